@@ -0,0 +1,104 @@
+/*  LinkedIn Fraud Job Detector — alerts.js
+    Desktop alerts when a recruiter's risk goes up. Which steps raise one
+    depends on the alert scope (options page) and on the watch list: people
+    you applied to or are talking with, kept apart from the recruiter
+    records like the trusted / blocked lists.
+    The background worker compares levels around every logPosts write
+    (store.onLogged) and raises the notifications; watch list writes go
+    through it too ('setWatched', see store.js).
+*/
+
+(function(root) {
+'use strict';
+
+const WATCH_KEY = 'watchedRecruiters';
+const SCOPE_KEY = 'alertScope';
+
+// watched: every step up, for watched recruiters only
+// fake   : that, plus any known recruiter turning fake
+// off    : no desktop alerts
+const ALERT_SCOPES = ['watched', 'fake', 'off'];
+const DEFAULT_SCOPE = 'fake';
+
+// In order of escalation
+const RISKS = ['low', 'medium', 'high', 'fake'];
+
+// A score (scoring.js) as one step of RISKS. Listed recruiters have none:
+// the user already decided about them.
+function riskOf(sc) {
+  if (!sc || sc.listStatus) return null;
+  return sc.isFake ? 'fake' : sc.level;
+}
+
+// Whether going from → to is worth a notification. isNew: the recruiter had
+// no record before, so the user is looking at their first posts right now.
+function shouldAlert(from, to, { scope = DEFAULT_SCOPE, watched = false, isNew = false } = {}) {
+  if (scope === 'off' || !from || !to || RISKS.indexOf(to) <= RISKS.indexOf(from)) return false;
+  if (watched) return true;
+  return scope === 'fake' && to === 'fake' && !isNew;
+}
+
+// The line of the notification under its title: why the recruiter moved up
+function alertReason(sc) {
+  if (sc.isFake && sc.hiringAnalysis && sc.hiringAnalysis.reason) return sc.hiringAnalysis.reason;
+  return sc.reasons[0] || '';
+}
+
+// ─── Watch list ───────────────────────────────────────────────
+function normalizeWatched(raw) {
+  return raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+}
+
+// Returns a new watch list with url added (on) or removed
+function withWatched(watched, url, on, name = '') {
+  const next = { ...normalizeWatched(watched) };
+  delete next[url];
+  if (on) next[url] = { name, at: Date.now() };
+  return next;
+}
+
+function normalizeAlertScope(scope) {
+  return ALERT_SCOPES.includes(scope) ? scope : DEFAULT_SCOPE;
+}
+
+// ─── Storage ──────────────────────────────────────────────────
+function loadWatched() {
+  return new Promise(r => chrome.storage.local.get([WATCH_KEY], d => r(normalizeWatched(d[WATCH_KEY]))));
+}
+
+function onWatchedChange(cb) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[WATCH_KEY]) cb(normalizeWatched(changes[WATCH_KEY].newValue));
+  });
+}
+
+function loadAlertScope() {
+  return new Promise(r => chrome.storage.local.get([SCOPE_KEY], d => r(normalizeAlertScope(d[SCOPE_KEY]))));
+}
+
+function saveAlertScope(scope) {
+  return new Promise(r => chrome.storage.local.set({ [SCOPE_KEY]: normalizeAlertScope(scope) }, r));
+}
+
+const api = {
+  WATCH_KEY,
+  SCOPE_KEY,
+  ALERT_SCOPES,
+  DEFAULT_SCOPE,
+  RISKS,
+  riskOf,
+  shouldAlert,
+  alertReason,
+  normalizeWatched,
+  withWatched,
+  normalizeAlertScope,
+  loadWatched,
+  onWatchedChange,
+  loadAlertScope,
+  saveAlertScope,
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = api;
+else (root.FRD = root.FRD || {}).alerts = api;
+
+})(typeof self !== 'undefined' ? self : this);
@@ -1,28 +1,335 @@
-// Background service worker 
+// Background service worker
+importScripts('locales.js', 'signals.js', 'fingerprint.js', 'profile.js', 'scoring.js', 'settings.js', 'lists.js', 'companies.js', 'transfer.js', 'retention.js', 'alerts.js', 'feedback.js', 'store.js');
+
+const store = FRD.store;
+
+// Run on every worker start, in this order (both go through the write
+// queue); no-ops once recruiterData has been split up and duplicate posts
+// from before activity IDs have been collapsed
+store.migrateLegacy();
+store.migratePostIds();
 
 chrome.runtime.onInstalled.addListener(() => {
-  chrome.storage.local.set({ recruiterData: {} });
   console.log('LinkedIn Fake Post Detector installed');
+  createMenus();
 });
 
-// Handle messages from content script
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.action === 'analyzeProfile') {
-    // This could be used to fetch profile data if needed
-    // For now, the content script handles everything
-    sendResponse({ success: true });
-  }
-  
-  if (message.action === 'getProfileData') {
-    chrome.storage.local.get(['recruiterData'], (result) => {
-      const data = result.recruiterData || {};
-      const profileData = data[message.profileUrl] || null;
-      sendResponse({ data: profileData });
+// ─── Scheduled cleanup ────────────────────────────────────────
+const CLEANUP_ALARM = 'frd-cleanup';
+
+async function pruneData() {
+  const [retention, cfg] = await Promise.all([FRD.retention.loadRetention(), FRD.feedback.loadScoringConfig()]);
+  const stats = await store.prune(retention, cfg);
+  dropIndex();
+  return stats;
+}
+
+// Alarms outlive the worker; only (re)create it when missing so frequent
+// worker restarts don't keep pushing the next run back
+chrome.alarms.get(CLEANUP_ALARM, alarm => {
+  if (!alarm) chrome.alarms.create(CLEANUP_ALARM, { delayInMinutes: 1, periodInMinutes: 24 * 60 });
+});
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === CLEANUP_ALARM) pruneData();
+});
+
+// ─── Score context ────────────────────────────────────────────
+// What score() needs besides a record: list status, shared post text and
+// company impersonation (companies.js). The worker keeps the stored records
+// in memory, with their posts in LSH buckets (fingerprint.textIndex) and
+// who claims which company (companies.claimIndex) and who logged which job
+// listing (getJobCards). logPosts and saveProfile
+// update them record by record; prune, import and clear drop them, to be
+// read again on next use. A scan batch then costs a look at the posts and
+// companies near its own recruiters, not a pass over all storage.
+let recordIndex = null; // Promise of { all, text, claims, jobs }
+
+// jobs: Map(jobId → url); a listing logged twice stays with the latest
+function indexJobs(jobs, url, rec) {
+  (rec.posts || []).forEach(p => { if (p.jobId) jobs.set(p.jobId, url); });
+}
+
+function loadIndex() {
+  return recordIndex || (recordIndex = store.serialize(() => store.readAll()).then(all => {
+    const jobs = new Map();
+    Object.entries(all).forEach(([url, rec]) => indexJobs(jobs, url, rec));
+    return { all, text: FRD.fingerprint.textIndex(all), claims: FRD.companies.claimIndex(all), jobs };
+  }));
+}
+
+// recs: { url: rec } as just written
+async function updateIndex(recs) {
+  const index = await loadIndex();
+  Object.entries(recs).forEach(([url, rec]) => {
+    if (!rec) return;
+    index.all[url] = rec;
+    FRD.fingerprint.indexPosts(index.text, url, rec);
+    FRD.companies.indexClaims(index.claims, url, rec);
+    indexJobs(index.jobs, url, rec);
+  });
+  return index;
+}
+
+function dropIndex() {
+  recordIndex = null;
+}
+
+// The context of the recruiters at urls, and the roll-up of the companies
+// they (or keys) name
+async function scoreContext(index, { urls = [], keys = [] }) {
+  const [cfg, lists] = await Promise.all([FRD.feedback.loadScoringConfig(), FRD.lists.loadLists()]);
+  const shared = url => FRD.fingerprint.sharedTextOf(index.text, url);
+  const { companies, impersonation } = FRD.companies.rollUpFor(index.all, index.claims, { urls, keys }, cfg, lists, shared);
+  return {
+    cfg,
+    companies,
+    ctxFor: url => ({ listStatus: FRD.lists.statusOf(lists, url), sharedText: shared(url), impersonation: impersonation[url] }),
+  };
+}
+
+// ─── Keyboard shortcuts ───────────────────────────────────────
+// Declared under "commands" in manifest.json (bindings: chrome://extensions/shortcuts);
+// the content script in the active LinkedIn tab carries them out
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (!tab || !/^https:\/\/(www\.)?linkedin\.com\//.test(tab.url || '')) return;
+  chrome.tabs.sendMessage(tab.id, { action: 'command', command }, () => void chrome.runtime.lastError);
+});
+
+// ─── Toolbar badge ────────────────────────────────────────────
+// Per tab: how many fake / high / medium posts are badged on the page right
+// now, as reported by the content script. A new URL starts from zero; the
+// content script reports again once the new page has badges.
+const FLAG_COLORS = { fake: '#d93025', high: '#d93025', medium: '#e8710a' };
+
+function showPageFlags(tabId, counts) {
+  const total = counts.fake + counts.high + counts.medium;
+  const worst = Object.keys(FLAG_COLORS).find(k => counts[k]);
+  chrome.action.setBadgeText({ tabId, text: total ? String(total) : '' });
+  if (worst) chrome.action.setBadgeBackgroundColor({ tabId, color: FLAG_COLORS[worst] });
+  chrome.action.setTitle({ tabId, title: total
+    ? chrome.i18n.getMessage('actionTitleFlagged', [counts.fake, counts.high, counts.medium].map(String))
+    : chrome.i18n.getMessage('extName') });
+}
+
+chrome.tabs.onUpdated.addListener((tabId, info) => {
+  if (info.url) showPageFlags(tabId, { fake: 0, high: 0, medium: 0 });
+});
+
+// ─── Risk alerts ──────────────────────────────────────────────
+// A desktop notification when newly logged posts move a recruiter up a
+// level; alerts.js decides which steps are worth one. Clicking it opens
+// the recruiter's profile.
+const ALERT_PREFIX = 'frd-alert:';
+const { riskOf, shouldAlert, alertReason } = FRD.alerts;
+
+async function alertEscalations(changes) {
+  const [scope, watched] = await Promise.all([FRD.alerts.loadAlertScope(), FRD.alerts.loadWatched()]);
+  if (scope === 'off') return;
+  const index = await updateIndex(Object.fromEntries(changes.map(({ url, after }) => [url, after])));
+  const { cfg, ctxFor } = await scoreContext(index, { urls: changes.map(c => c.url) });
+  changes.forEach(({ url, before, after }) => {
+    const ctx = ctxFor(url);
+    const sc = FRD.scoring.score(after, cfg, ctx);
+    const from = before ? riskOf(FRD.scoring.score(before, cfg, ctx)) : 'low';
+    const to = riskOf(sc);
+    if (!shouldAlert(from, to, { scope, watched: !!watched[url], isNew: !before })) return;
+    const name = after.name || url.split('/').pop();
+    chrome.notifications.create(ALERT_PREFIX + url, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: to === 'fake'
+        ? chrome.i18n.getMessage('alertFake', [name])
+        : chrome.i18n.getMessage('alertEscalated', [name, chrome.i18n.getMessage(`level_${to}`), chrome.i18n.getMessage(`level_${from}`)]),
+      message: alertReason(sc),
+      contextMessage: chrome.i18n.getMessage(watched[url] ? 'alertWatched' : 'extName'),
+      priority: to === 'fake' || to === 'high' ? 2 : 1,
     });
-    return true; // Keep channel open for async response
-  }
-  
-  return true;
+  });
+}
+
+// Runs inside the store's write queue, so it must not wait on it
+store.onLogged(changes => {
+  alertEscalations(changes).catch(e => console.warn('Risk alerts failed:', e));
+});
+
+chrome.notifications.onClicked.addListener(id => {
+  if (!id.startsWith(ALERT_PREFIX)) return;
+  chrome.tabs.create({ url: id.slice(ALERT_PREFIX.length) });
+  chrome.notifications.clear(id);
+});
+
+// ─── Context menu ─────────────────────────────────────────────
+// Right-click entries on LinkedIn pages. Chrome keeps them across worker
+// restarts, so they are (re)created on install and update only. The content
+// script works out which post or recruiter was clicked and does the rest.
+const LINKEDIN_PAGES = ['https://www.linkedin.com/*', 'https://linkedin.com/*'];
+const RECRUITER_LINKS = ['in', 'company'].flatMap(kind =>
+  LINKEDIN_PAGES.map(p => p.replace('/*', `/${kind}/*`)));
+const ON_PAGE = ['page', 'selection', 'link', 'image'];
+
+const MENUS = [
+  { id: 'analyze-post', title: 'menuAnalyzePost', contexts: ON_PAGE },
+  { id: 'check-recruiter', title: 'menuCheckRecruiter', contexts: ['link'], targetUrlPatterns: RECRUITER_LINKS },
+  { id: 'trust-recruiter', title: 'menuTrust', contexts: ON_PAGE },
+  { id: 'block-recruiter', title: 'menuBlock', contexts: ON_PAGE },
+];
+
+function createMenus() {
+  chrome.contextMenus.removeAll(() => {
+    MENUS.forEach(({ title, ...menu }) => chrome.contextMenus.create({
+      ...menu,
+      title: chrome.i18n.getMessage(title),
+      documentUrlPatterns: LINKEDIN_PAGES,
+    }));
+  });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab || tab.id < 0) return;
+  chrome.tabs.sendMessage(tab.id, { action: 'contextMenu', menu: info.menuItemId, linkUrl: info.linkUrl || null },
+    () => void chrome.runtime.lastError);
+});
+
+// ─── Message API ──────────────────────────────────────────────
+// Every write to recruiter data goes through here (see store.js).
+// Each handler returns the response object, or throws to reply { error }.
+const handlers = {
+  pageFlags(message, sender) {
+    if (sender.tab) showPageFlags(sender.tab.id, message.counts);
+    return { ok: true };
+  },
+
+  async getProfileData(message) {
+    const profileData = await store.serialize(() => store.readRecruiter(message.profileUrl));
+    const index = await updateIndex({ [message.profileUrl]: profileData });
+    const { cfg, ctxFor } = await scoreContext(index, { urls: [message.profileUrl] });
+    const ctx = ctxFor(message.profileUrl);
+    const score = profileData ? FRD.scoring.score(profileData, cfg, ctx) : null;
+    return { data: profileData, score, listStatus: ctx.listStatus };
+  },
+
+  // Replies with the stored record, how many accounts share its post text
+  // and the company it may be impersonating
+  async logPost(message) {
+    const rec = await store.logPost(message.profileUrl, message.name, message.role, message.date, message.text, message.meta);
+    const index = await updateIndex({ [message.profileUrl]: rec });
+    const { ctxFor } = await scoreContext(index, { urls: [message.profileUrl] });
+    const { sharedText, impersonation } = ctxFor(message.profileUrl);
+    return { rec, sharedText: sharedText || 0, impersonation: impersonation || null };
+  },
+
+  // One scan's posts in one write; replies with every record touched, how
+  // many accounts share its post text and the company it may be impersonating
+  async logPosts(message) {
+    const recs = await store.logPosts(message.posts);
+    const index = await updateIndex(recs);
+    const { ctxFor } = await scoreContext(index, { urls: Object.keys(recs) });
+    const sharedText = {};
+    const impersonation = {};
+    Object.keys(recs).forEach(url => {
+      const ctx = ctxFor(url);
+      sharedText[url] = ctx.sharedText || 0;
+      if (ctx.impersonation) impersonation[url] = ctx.impersonation;
+    });
+    return { recs, sharedText, impersonation };
+  },
+
+  // The profile check of an /in/ page: saved onto the recruiter's record
+  // when there is one; replies with the record as stored (or null), the
+  // normalized profile and the record's score context
+  async saveProfile(message) {
+    const { rec, profile, changed } = await store.saveProfile(message.profileUrl, message.profile);
+    const index = await updateIndex({ [message.profileUrl]: rec });
+    const { ctxFor } = await scoreContext(index, { urls: [message.profileUrl] });
+    const { sharedText, impersonation } = ctxFor(message.profileUrl);
+    return { rec, profile, changed, sharedText: sharedText || 0, impersonation: impersonation || null };
+  },
+
+  // The roll-up for a company page ({ slug, name }), or null when no
+  // recruiter has claimed to hire for it
+  async getCompany(message) {
+    const { companyKey, companySlug, findCompany } = FRD.companies;
+    const index = await loadIndex();
+    // The company's own page may claim it under another spelling
+    const pages = [...index.claims.byUrl.keys()].filter(url => message.slug && companySlug(url) === message.slug);
+    const { companies } = await scoreContext(index, { urls: pages, keys: [companyKey(message.name), companyKey(message.slug)] });
+    return { company: findCompany(companies, message) };
+  },
+
+  // Job search cards ([{ jobId, url }], url: the listing's company page, if
+  // shown): who each listing was logged under (else the company), their
+  // records as stored and their score context. Nothing is written.
+  async getJobCards(message) {
+    const index = await loadIndex();
+    const owners = {};
+    message.cards.forEach(({ jobId, url }) => {
+      const owner = index.jobs.get(jobId) || url;
+      if (owner) owners[jobId] = owner;
+    });
+    const urls = [...new Set(Object.values(owners))];
+    const { ctxFor } = await scoreContext(index, { urls });
+    const recs = {};
+    const sharedText = {};
+    const impersonation = {};
+    urls.forEach(url => {
+      const ctx = ctxFor(url);
+      if (index.all[url]) recs[url] = index.all[url];
+      sharedText[url] = ctx.sharedText || 0;
+      if (ctx.impersonation) impersonation[url] = ctx.impersonation;
+    });
+    return { owners, recs, sharedText, impersonation };
+  },
+
+  // Reads wait for queued writes so a caller always sees its own logPost
+  async getRecruiter(message) {
+    return { rec: await store.serialize(() => store.readRecruiter(message.url)) };
+  },
+
+  async getAllRecruiters() {
+    return { data: await store.serialize(() => store.readAll()) };
+  },
+
+  async setFlags(message) {
+    return { lists: await store.setFlags(message.url, message.status || null, message.name) };
+  },
+
+  async setWatched(message) {
+    return { watched: await store.setWatched(message.url, !!message.on, message.name) };
+  },
+
+  async setVerdict(message) {
+    return { feedback: await store.setVerdict(message.url, message.example || null) };
+  },
+
+  async resetFeedback() {
+    await store.resetFeedback();
+    return { ok: true };
+  },
+
+  async importData(message) {
+    const stats = await store.importData(message.exported);
+    dropIndex();
+    return { stats };
+  },
+
+  async pruneData() {
+    return { stats: await pruneData() };
+  },
+
+  async clearData() {
+    await store.clearAll();
+    dropIndex();
+    return { ok: true };
+  },
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const handler = handlers[message.action];
+  if (!handler) return false;
+  Promise.resolve()
+    .then(() => handler(message, sender))
+    .then(sendResponse, e => sendResponse({ error: e.message }));
+  return true; // Keep channel open for async response
 });
 
 // Note: Content script is auto-injected via manifest.json
@@ -0,0 +1,167 @@
+/*  LinkedIn Fraud Job Detector — companies.js
+    Company roll-up: recruiters grouped by the company their posts claim to
+    hire for (post.company, read by content.js when the post is logged).
+    Many unrelated people advertising for one company, several of them
+    flagged, is how fake openings "at" a real employer spread: those
+    accounts get ctx.impersonation in score(), and the company's own page
+    shows the roll-up in a banner ('getCompany', see background.js).
+*/
+
+(function(root) {
+'use strict';
+
+const isNode = typeof module !== 'undefined' && module.exports;
+const { CFG, score } = isNode ? require('./scoring.js') : root.FRD.scoring;
+const { emptyLists, statusOf } = isNode ? require('./lists.js') : root.FRD.lists;
+const { sharedTextIndex } = isNode ? require('./fingerprint.js') : root.FRD.fingerprint;
+
+// Legal forms don't tell companies apart: "Acme Pvt. Ltd." is "Acme"
+const LEGAL_FORMS = /\b(?:private|pvt|limited|ltd|llp|llc|inc|incorporated|corp|corporation|co|company|gmbh|ag|sa|sas|sarl|sl|ltda|plc|bv|nv)\b\.?/g;
+
+// What two spellings of one company have in common: "Acme Demo Labs Pvt. Ltd."
+// and "acme-demo-labs" (a /company/ slug) both become 'acmedemolabs'
+function companyKey(name) {
+  return String(name || '')
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[-_]/g, ' ')
+    .replace(LEGAL_FORMS, ' ')
+    .replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+function companySlug(url) {
+  const m = (url || '').match(/\/company\/([^/?#]+)/);
+  return m ? decodeURIComponent(m[1]) : null;
+}
+
+// The companies a recruiter's posts claim to hire for: { key: name as first seen }
+function claimsOf(rec) {
+  const claims = {};
+  (rec.posts || []).forEach(p => {
+    const key = p.company && companyKey(p.company);
+    if (key && !claims[key]) claims[key] = p.company;
+  });
+  return claims;
+}
+
+// ─── Roll-up ──────────────────────────────────────────────────
+// {
+//   companies: { key: { key, name, page, accounts: [{ url, name, flagged, listStatus }],
+//                       people, flagged, impersonated } },
+//   impersonation: { url: { company, people, flagged } }  — the ctx score() expects
+// }
+// people: individual profiles hiring for the company, not counting its own
+// page or those you trusted; flagged: how many of them score high or fake
+// without the impersonation rule (so it can't feed itself).
+function rollUp(all, cfg = CFG, lists = emptyLists(), shared = sharedTextIndex(all)) {
+  const companies = {};
+  Object.entries(all).forEach(([url, rec]) => {
+    const claims = claimsOf(rec);
+    if (!Object.keys(claims).length) return;
+    const listStatus = statusOf(lists, url);
+    const sc = score(rec, cfg, { listStatus, sharedText: shared[url] });
+    const flagged = sc.isFake || sc.level === 'high';
+    const slug = companySlug(url);
+
+    Object.entries(claims).forEach(([key, name]) => {
+      const c = companies[key] || (companies[key] = { key, name, page: null, accounts: [], people: 0, flagged: 0, impersonated: false });
+      c.accounts.push({ url, name: rec.name || '', flagged, listStatus });
+      if (slug) {
+        // The company's own page, whose name is the one to show
+        if (companyKey(slug) === key || companyKey(rec.name) === key) {
+          c.page = url;
+          c.name = rec.name || c.name;
+        }
+      } else if (listStatus !== 'trusted') {
+        c.people++;
+        if (flagged) c.flagged++;
+      }
+    });
+  });
+
+  const impersonation = {};
+  Object.values(companies).forEach(c => {
+    c.impersonated = c.people >= cfg.IMPERSONATION_ACCOUNTS && c.flagged >= cfg.IMPERSONATION_FLAGGED;
+    if (!c.impersonated) return;
+    c.accounts.forEach(({ url, listStatus }) => {
+      if (companySlug(url) || listStatus === 'trusted') return;
+      const prev = impersonation[url];
+      if (!prev || c.flagged > prev.flagged) impersonation[url] = { company: c.name, people: c.people, flagged: c.flagged };
+    });
+  });
+
+  return { companies, impersonation };
+}
+
+// { url: ctx.impersonation } — like fingerprint.sharedTextIndex, for score()
+function impersonationIndex(all, cfg = CFG, lists = emptyLists(), shared = sharedTextIndex(all)) {
+  return rollUp(all, cfg, lists, shared).impersonation;
+}
+
+// ─── Incremental index ────────────────────────────────────────
+// Who claims which company, kept by the background worker record by
+// record (like fingerprint.textIndex) so it can roll up just the companies
+// a few recruiters claim:
+//   index: { byKey: Map(key → Set of urls), byUrl: Map(url → [key]) }
+function claimIndex(all = {}) {
+  const index = { byKey: new Map(), byUrl: new Map() };
+  Object.entries(all).forEach(([url, rec]) => indexClaims(index, url, rec));
+  return index;
+}
+
+// Replaces what the index holds for url with rec's claims (rec null: drops it)
+function indexClaims(index, url, rec) {
+  (index.byUrl.get(url) || []).forEach(key => {
+    const urls = index.byKey.get(key);
+    urls.delete(url);
+    if (!urls.size) index.byKey.delete(key);
+  });
+  const keys = rec ? Object.keys(claimsOf(rec)) : [];
+  keys.forEach(key => {
+    const urls = index.byKey.get(key);
+    if (urls) urls.add(url); else index.byKey.set(key, new Set([url]));
+  });
+  if (keys.length) index.byUrl.set(url, keys); else index.byUrl.delete(url);
+}
+
+// rollUp() of only the companies in keys plus those the recruiters at urls
+// claim, from only the people who claim them: for those companies, and the
+// impersonation of the recruiters at urls, the same as rolling up all.
+// shared(url) gives ctx.sharedText, e.g. fingerprint.sharedTextOf.
+function rollUpFor(all, index, { urls = [], keys = [] }, cfg = CFG, lists = emptyLists(), shared = () => undefined) {
+  const wanted = new Set(keys);
+  urls.forEach(url => (index.byUrl.get(url) || []).forEach(key => wanted.add(key)));
+  const people = {};
+  wanted.forEach(key => (index.byKey.get(key) || []).forEach(url => { people[url] = all[url]; }));
+  const { companies, impersonation } = rollUp(people, cfg, lists,
+    Object.fromEntries(Object.keys(people).map(url => [url, shared(url)])));
+  // Companies only partly rolled up, through people who also claim a wanted one, are left out
+  Object.keys(companies).forEach(key => { if (!wanted.has(key)) delete companies[key]; });
+  return { companies, impersonation: Object.fromEntries(urls.filter(url => impersonation[url]).map(url => [url, impersonation[url]])) };
+}
+
+// The roll-up entry for a company page: by its /company/ slug, else its name
+function findCompany(companies, { slug, name } = {}) {
+  const list = Object.values(companies);
+  return list.find(c => c.page && companySlug(c.page) === slug)
+    || companies[companyKey(name)]
+    || companies[companyKey(slug)]
+    || null;
+}
+
+const api = {
+  companyKey,
+  companySlug,
+  claimsOf,
+  rollUp,
+  impersonationIndex,
+  claimIndex,
+  indexClaims,
+  rollUpFor,
+  findCompany,
+};
+
+if (isNode) module.exports = api;
+else (root.FRD = root.FRD || {}).companies = api;
+
+})(typeof self !== 'undefined' ? self : this);
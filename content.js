@@ -1,5 +1,6 @@
 /*  LinkedIn Fraud Job Detector — content.js
     Works on: feed, company pages, profile pages, job pages
+    Jobs pages (/jobs/view/, /jobs/search/) have their own scanner below.
 */
 
 (function() {
@@ -12,385 +13,101 @@ if (window.__LINKEDIN_FRAUD_DETECTOR_LOADED__) {
 window.__LINKEDIN_FRAUD_DETECTOR_LOADED__ = true;
 
 // ─── Config ───────────────────────────────────────────────────
+// Detection thresholds live in scoring.js (FRD.scoring.CFG), user overrides in settings.js
+const { CFG: DEFAULT_SCORE_CFG, score, newRecruiter, recordPost, textKey, activityId, activityTime, PRECISION_SLACK } = FRD.scoring;
+const { loadConfig, onConfigChange } = FRD.settings;
+const { emptyLists, statusOf, loadLists, onListsChange } = FRD.lists;
+const { request, REC_PREFIX } = FRD.store;
+const { loadWatched, onWatchedChange } = FRD.alerts;
+const { emptyFeedback, adaptWeights, loadFeedback, onFeedbackChange } = FRD.feedback;
+const { companySlug } = FRD.companies;
+const jobs = FRD.jobs;
+const { VERSION: SELECTOR_VERSION, sel, firstMatch, matchAll, newHits, tally, summarizeHits, pageType } = FRD.selectors;
+const { BADGE_CSS, TOAST_CSS, OVERLAY_CSS, BANNER_CSS, PANEL_CSS, mount, trapFocus, loadDisplayMode, onDisplayModeChange } = FRD.ui;
+const locales = FRD.locales;
+const { t } = locales;
+
+// The options page's config, and that with the weights the user's badge
+// verdicts adapted (feedback.js), which is what badges are scored with
+let baseCfg = DEFAULT_SCORE_CFG;
+let scoreCfg = DEFAULT_SCORE_CFG;
+let recruiterLists = emptyLists();
+let watchedRecruiters = {};
+let verdicts = emptyFeedback();
+let displayMode = FRD.ui.DEFAULT_DISPLAY;
+let badgesHidden = false;
+
 const CFG = {
-  DAILY_LIMIT   : 2,   // >2 posts in one day → suspicious (stricter)
-  ROLE_VARIETY  : 3,   // >3 different roles   → suspicious (lowered)
-  SAME_REPEAT   : 2,   // same role 2+ times   → suspicious
   SCAN_DELAY    : 800, // ms debounce
-  // Multi-window fake detection (more accurate)
-  FAKE_STRICT   : { posts: 5, days: 5 },   // 5+ in 5 days = DEFINITE fake
-  FAKE_LIKELY   : { posts: 4, days: 5 },   // 4+ in 5 days = LIKELY fake
-  FAKE_WINDOW   : { posts: 5, days: 7 },   // 5+ in 7 days = fake
-  FAKE_SUSPICIOUS: { posts: 3, days: 5 },  // 3+ in 5 days = SUSPICIOUS
-  FAKE_VERY_SUSPICIOUS: { posts: 2, days: 3 }, // 2+ in 3 days = VERY SUSPICIOUS
-  OBSERVATION_DAYS: 10, // 5+ posts seen within 10 days of first observation = fake
-  ONLY_HIRING_THRESHOLD: 2, // If all posts are hiring and >= 2, suspicious
+  VISIBLE_DELAY : 200, // ms to gather posts scrolling into view into one batch
+  VIEWPORT_MARGIN: '600px 0px', // start on posts this close to the viewport
+  REPORT_DELAY  : 300, // ms to let badges settle before updating the toolbar count
+  ID_TIME_MARGIN: 24 * 60 * 60 * 1000, // ms an activity ID's time may stray from the relative time shown
 };
 
-const STORAGE_KEY = 'recruiterData';
-
-// ─── Role keywords used for extraction ────────────────────────
-const JOB_KEYWORDS = [
-  'hiring','we are hiring','is hiring','#hiring','hiring for','we\'re hiring',
-  'join us','job opening','job opportunity','job vacancy','open position',
-  'immediate joiner','urgent hiring','looking for','vacancy','opening for',
-  'apply now','send your resume','send cv','share your resume','dm me',
-  'interested candidates','walk in','walkin','freshers','experienced',
-  'recruiter','recruitment','apply for','share cv','send resume',
-  'job role','opportunity for','position open','referral','referrals',
-  '#job','#jobs','#careers','#opening','dear connections','dear connection'
-];
-
-const ROLE_PATTERNS = [
-  /(?:hiring|looking\s+for|opening\s+for|role\s*[:\-]?|position\s*[:\-]?)[\s:–\-]+([A-Za-z][\w\s\/\+\#]{2,45}?)(?:\s*[\n\r\|,!?]|$)/im,
-  /([A-Za-z][\w\s\/\+\#]{2,40}?)\s+(?:engineer|developer|analyst|designer|manager|lead|architect|consultant|specialist|intern|associate|executive|officer|tester|qa|devops|sde|swe)/i,
-  /#([A-Za-z][\w]{2,30}(?:Engineer|Developer|Analyst|Manager|Designer|Lead|Architect|Intern|Associate|Executive|Tester|QA|DevOps|SDE|SWE))/i,
-];
-
 // ─── Utility ──────────────────────────────────────────────────
 function debounce(fn, ms) {
   let t;
   return (...a) => { clearTimeout(t); t = setTimeout(() => fn(...a), ms); };
 }
 
-function todayStr() {
-  return new Date().toISOString().slice(0, 10); // "2024-02-19"
-}
-
-function extractRole(text) {
-  for (const p of ROLE_PATTERNS) {
-    const m = text.match(p);
-    if (m) {
-      const role = (m[1] || m[2] || '').trim().replace(/\s+/g, ' ');
-      if (role.length > 2 && role.length < 60) return role;
-    }
-  }
-  return 'Job Position';
-}
-
-function isJobPost(text) {
-  const lower = text.toLowerCase();
-  return JOB_KEYWORDS.some(k => lower.includes(k));
-}
+// Keywords, role patterns and relative dates follow the page language (locales.js)
+const PAGE_LOCALE = locales.pickLocale(document.documentElement.lang || navigator.language);
+const { todayStr, localDate } = locales;
+const extractRole = text => locales.extractRole(text, PAGE_LOCALE);
+const isJobPost = text => locales.isJobPost(text, PAGE_LOCALE);
+const parseRelativeDate = txt => locales.parseRelativeDate(txt, PAGE_LOCALE);
+const parseRelativeTime = txt => locales.parseRelativeTime(txt, PAGE_LOCALE);
+const extractCompany = text => locales.extractCompany(text, PAGE_LOCALE);
+const companyFromHeadline = txt => locales.companyFromHeadline(txt, PAGE_LOCALE);
+const readCount = (txt, kind) => locales.readCount(txt, kind, PAGE_LOCALE);
+const isRecruiterHeadline = txt => locales.isRecruiterHeadline(txt, PAGE_LOCALE);
 
 // ─── Storage helpers ──────────────────────────────────────────
-function getData() {
-  return new Promise(r => chrome.storage.local.get([STORAGE_KEY], d => r(d[STORAGE_KEY] || {})));
-}
-function setData(all) {
-  return new Promise(r => chrome.storage.local.set({ [STORAGE_KEY]: all }, r));
-}
-
-async function getRecruiter(url) {
-  const all = await getData();
-  return all[url] || { url, name: '', posts: [], firstSeen: Date.now() };
-}
-
-async function saveRecruiter(url, rec) {
-  const all = await getData();
-  all[url] = rec;
-  await setData(all);
-}
-
-async function logPost(profileUrl, name, role, dateStr, contentSnippet = '') {
-  const rec = await getRecruiter(profileUrl);
-  if (name && name !== 'Unknown') rec.name = name;
-  // Dedupe: same role+date+snippet = same post. Different snippet = different post (avoids undercounting)
-  const snippet = (contentSnippet || '').slice(0, 80).replace(/\s+/g, ' ').trim();
-  const dup = rec.posts.find(p => 
-    p.role === role && p.date === dateStr && (snippet ? p.snippet === snippet : true)
-  );
-  if (!dup) {
-    rec.posts.push({ role, date: dateStr, ts: Date.now(), snippet: snippet || undefined });
-    await saveRecruiter(profileUrl, rec);
-  }
-  return rec;
-}
-
-// ─── Parse date safely ────────────────────────────────────────
-function parsePostDate(p) {
-  if (!p || !p.date) return null;
-  try {
-    const d = new Date(p.date + 'T12:00:00');
-    return isNaN(d.getTime()) ? null : d;
-  } catch (_) {
-    return null;
-  }
+// The background worker owns all writes (store.js); these are thin clients.
+async function getData() {
+  return (await request('getAllRecruiters')).data;
 }
 
-// ─── Check if posts indicate fake/spam pattern ──────────────────
-function analyzeHiringPattern(posts, firstSeen) {
-  if (!posts || posts.length === 0) return { isFake: false, count: 0, days: 0, reason: '', confidence: 0 };
-  
-  const now = Date.now();
-  const MS_PER_DAY = 24 * 60 * 60 * 1000;
-  
-  // Method 0: ALL posts are hiring posts (100% hiring ratio) - very suspicious
-  // If we've tracked posts and ALL of them are hiring, this is a fake account
-  if (posts.length >= CFG.ONLY_HIRING_THRESHOLD) {
-    // All posts we track are hiring posts (we only log hiring posts)
-    // So if someone has 2+ posts and they're all hiring, that's suspicious
-    const daysSinceFirstSeen = firstSeen ? (now - firstSeen) / MS_PER_DAY : 999;
-    if (firstSeen && daysSinceFirstSeen <= 7 && posts.length >= 2) {
-      return {
-        isFake: true,
-        count: posts.length,
-        days: Math.round(daysSinceFirstSeen),
-        reason: `Posted ${posts.length} hiring posts in ${Math.round(daysSinceFirstSeen)} days - ALL posts are hiring (100% hiring ratio)`,
-        confidence: 85,
-        recentPosts: posts
-      };
-    }
-  }
-  
-  // Method 1: Observation-based (most reliable) - we've seen N posts since first seeing this recruiter
-  // Skip if firstSeen is missing (legacy data) to avoid false positives
-  const daysSinceFirstSeen = firstSeen ? (now - firstSeen) / MS_PER_DAY : 999;
-  if (firstSeen && posts.length >= 3 && daysSinceFirstSeen <= 5) {
-    return {
-      isFake: true,
-      count: posts.length,
-      days: Math.round(daysSinceFirstSeen),
-      reason: `Posted ${posts.length} hiring posts within ${Math.round(daysSinceFirstSeen)} days of observation`,
-      confidence: 95,
-      recentPosts: posts
-    };
-  }
-  
-  // Method 2: Date-based with multiple windows
-  const recent3 = posts.filter(p => {
-    const d = parsePostDate(p);
-    if (!d) return false;
-    const cutoff = new Date(now - 3 * MS_PER_DAY);
-    return d >= cutoff;
-  });
-  const recent5 = posts.filter(p => {
-    const d = parsePostDate(p);
-    if (!d) return false;
-    const cutoff = new Date(now - 5 * MS_PER_DAY);
-    return d >= cutoff;
-  });
-  const recent7 = posts.filter(p => {
-    const d = parsePostDate(p);
-    if (!d) return false;
-    const cutoff = new Date(now - 7 * MS_PER_DAY);
-    return d >= cutoff;
-  });
-  
-  // 5+ in 5 days = DEFINITE fake
-  if (recent5.length >= CFG.FAKE_STRICT.posts) {
-    return {
-      isFake: true,
-      count: recent5.length,
-      days: 5,
-      reason: `Posted ${recent5.length} hiring posts in last 5 days`,
-      confidence: 98,
-      recentPosts: recent5
-    };
-  }
-  
-  // 4+ in 5 days = LIKELY fake
-  if (recent5.length >= CFG.FAKE_LIKELY.posts) {
-    return {
-      isFake: true,
-      count: recent5.length,
-      days: 5,
-      reason: `Posted ${recent5.length} hiring posts in last 5 days`,
-      confidence: 90,
-      recentPosts: recent5
-    };
-  }
-  
-  // 3+ in 5 days = SUSPICIOUS (new threshold)
-  if (recent5.length >= CFG.FAKE_SUSPICIOUS.posts) {
-    return {
-      isFake: true,
-      count: recent5.length,
-      days: 5,
-      reason: `Posted ${recent5.length} hiring posts in last 5 days`,
-      confidence: 80,
-      recentPosts: recent5
-    };
-  }
-  
-  // 2+ in 3 days = VERY SUSPICIOUS (catches cases like Arushi)
-  if (recent3.length >= CFG.FAKE_VERY_SUSPICIOUS.posts) {
-    return {
-      isFake: true,
-      count: recent3.length,
-      days: 3,
-      reason: `Posted ${recent3.length} hiring posts in last 3 days - suspicious pattern`,
-      confidence: 75,
-      recentPosts: recent3
-    };
-  }
-  
-  // 5+ in 7 days = fake
-  if (recent7.length >= CFG.FAKE_WINDOW.posts) {
-    return {
-      isFake: true,
-      count: recent7.length,
-      days: 7,
-      reason: `Posted ${recent7.length} hiring posts in last 7 days`,
-      confidence: 92,
-      recentPosts: recent7
-    };
-  }
-  
-  return {
-    isFake: false,
-    count: Math.max(recent3.length, recent5.length, recent7.length),
-    days: recent3.length >= recent5.length ? 3 : (recent5.length >= recent7.length ? 5 : 7),
-    reason: '',
-    confidence: 0,
-    recentPosts: recent3.length >= recent5.length ? recent3 : (recent5.length >= recent7.length ? recent5 : recent7)
-  };
+// Logs the post; resolves to { rec, sharedText, impersonation }: the
+// recruiter record as stored afterwards, how many accounts posted the same
+// text and the company it may be impersonating (companies.js)
+async function logPost(profileUrl, name, role, dateStr, text = '', meta) {
+  return request('logPost', { profileUrl, name, role, date: dateStr, text, meta });
 }
 
-// ─── Generate personalized fake post message ──────────────────
-function generateFakePostMessage(rec, hiringAnalysis) {
-  const name = rec.name || 'This recruiter';
-  const count = hiringAnalysis.count;
-  const days = hiringAnalysis.days;
-  const confidence = hiringAnalysis.confidence || 90;
-  
-  const messages = [
-    `🚨 FAKE POST DETECTED - DO NOT APPLY`,
-    ``,
-    `⚠️ Why this post is likely FAKE (${confidence}% confidence):`,
-    ``,
-    `• ${name} has posted ${count} hiring posts in the last ${days} days`,
-    `• ${hiringAnalysis.reason}`,
-    `• Legitimate recruiters rarely post more than 1-2 jobs per week`,
-    `• This pattern indicates spam/fake job postings or resume harvesting`,
-    `• Could be a scam to collect personal info, resumes, or payment`,
-    ``,
-    `💡 Recommendation:`,
-    `• Do NOT apply to this post`,
-    `• Do NOT share personal information or documents`,
-    `• Report suspicious activity to LinkedIn`,
-    `• Apply only through official company career pages`,
-    ``,
-    `🔍 Profile Analysis:`,
-    `• Total hiring posts tracked: ${rec.posts.length}`,
-    `• Risk Level: CRITICAL - Likely Fraudulent`
-  ];
-  
-  return messages.join('\n');
-}
-
-// ─── Scoring ──────────────────────────────────────────────────
-function score(rec) {
-  const posts = rec.posts || [];
-  // Use firstSeen if available; for legacy data without it, use old timestamp so observation-based won't trigger
-  const firstSeen = rec.firstSeen || (Date.now() - 365 * 24 * 60 * 60 * 1000);
-  if (!posts.length) return { level: 'unknown', pts: 0, reasons: [], roles: [], byDate: {}, isFake: false, fakeMessage: '' };
-
-  let pts = 0;
-  const reasons = [];
-  let isFake = false;
-  let fakeMessage = '';
-
-  // Primary: Multi-window fake detection (most accurate)
-  const hiringAnalysis = analyzeHiringPattern(posts, firstSeen);
-  if (hiringAnalysis.isFake) {
-    pts += 100;
-    isFake = true;
-    reasons.push(`🚨 CRITICAL: ${hiringAnalysis.reason} - LIKELY FAKE`);
-    fakeMessage = generateFakePostMessage(rec, hiringAnalysis);
-  }
-
-  // Group by date
-  const byDate = {};
-  posts.forEach(p => { (byDate[p.date] = byDate[p.date] || []).push(p); });
-  const dayCounts = Object.values(byDate).map(a => a.length);
-  const maxDay = dayCounts.length ? Math.max(...dayCounts) : 0;
-
-  if (maxDay >= CFG.DAILY_LIMIT) {
-    pts += 40;
-    reasons.push(`Posted ${maxDay} jobs in a single day`);
-  }
-
-  const roles = [...new Set(posts.map(p => p.role).filter(Boolean))];
-  if (roles.length >= CFG.ROLE_VARIETY) {
-    pts += 30;
-    reasons.push(`${roles.length} different roles posted`);
-  }
-  
-  // Additional: If all posts are hiring (we only track hiring posts), that's suspicious
-  if (posts.length >= 2) {
-    pts += 20;
-    reasons.push(`All ${posts.length} tracked posts are hiring posts (100% hiring ratio)`);
-  }
-
-  const roleCnt = {};
-  posts.forEach(p => { if (p.role) roleCnt[p.role] = (roleCnt[p.role] || 0) + 1; });
-  Object.entries(roleCnt).forEach(([r, c]) => {
-    if (c >= CFG.SAME_REPEAT) { pts += 25; reasons.push(`"${r}" posted ${c} times`); }
-  });
-
-  if (posts.length >= 6) { pts += 15; reasons.push(`${posts.length} total hiring posts observed`); }
-  if (posts.length >= 8) { pts += 10; }
-
-  // Lower threshold for high risk - catch more suspicious cases
-  const level = isFake || pts >= 45 ? 'high' : pts >= 20 ? 'medium' : 'low';
-  return { level, pts, reasons, roles, byDate, roleCnt, isFake, fakeMessage, hiringAnalysis };
+function scoreLogged({ rec, sharedText, impersonation }, url) {
+  return score(rec, scoreCfg, { listStatus: statusOf(recruiterLists, url), sharedText, impersonation });
 }
 
 // ─── DOM: find recruiter URL from a post element ──────────────
-function getAuthorFromPost(postEl) {
-  // Multiple selectors for different LinkedIn layouts (feed, profile, company pages)
-  const selectors = [
-    // Feed selectors
-    '.feed-shared-actor__meta a[href*="/in/"]',
-    '.feed-shared-actor__meta a[href*="/company/"]',
-    '.feed-shared-actor a[href*="/in/"]',
-    '.feed-shared-actor a[href*="/company/"]',
-    '.update-components-actor__meta a[href*="/in/"]',
-    '.update-components-actor__meta a[href*="/company/"]',
-    '.update-components-actor__title a',
-    // Profile/company page selectors
-    '.profile-creator-shared-feed-update__container a[href*="/in/"]',
-    '.profile-creator-shared-feed-update__container a[href*="/company/"]',
-    '.feed-shared-actor__name-link',
-    '.update-components-actor__name-link',
-    // Generic selectors
-    'a.app-aware-link[href*="/in/"]',
-    'a.app-aware-link[href*="/company/"]',
-    'a[data-control-name="actor"][href*="/in/"]',
-    'a[data-control-name="actor"][href*="/company/"]',
-    // Fallback: any link with /in/ or /company/ in the post header
-    'header a[href*="/in/"]',
-    'header a[href*="/company/"]',
-  ];
-
-  for (const sel of selectors) {
-    const el = postEl.querySelector(sel);
-    if (el && el.href) {
-      const url = normalizeProfileUrl(el.href);
-      if (url) {
-        // Try multiple ways to get the name
-        const name = el.querySelector('.update-components-actor__name, .feed-shared-actor__name, .feed-shared-actor__name-link, span[aria-hidden="true"]')?.innerText?.trim()
-          || el.textContent?.trim()
-          || el.innerText?.trim()
-          || el.getAttribute('aria-label')
-          || 'Unknown';
-        const cleanName = name.split('\n')[0].split('•')[0].trim();
-        if (cleanName && cleanName !== 'Unknown') {
-          return { url, name: cleanName };
-        }
-      }
-    }
-  }
-  
+// hits (optional): tallies which selectors matched, for diagnostics
+function getAuthorFromPost(postEl, hits) {
+  let author = null;
+  firstMatch(postEl, 'author', el => {
+    const url = el.href && normalizeProfileUrl(el.href);
+    if (!url) return false;
+    // Try multiple ways to get the name
+    const name = firstMatch(el, 'authorName', n => n.innerText?.trim())?.el.innerText.trim()
+      || el.textContent?.trim()
+      || el.innerText?.trim()
+      || el.getAttribute('aria-label')
+      || 'Unknown';
+    const cleanName = name.split('\n')[0].split('•')[0].trim();
+    if (!cleanName || cleanName === 'Unknown') return false;
+    author = { url, name: cleanName };
+    return true;
+  }, hits);
+  if (author) return author;
+
   // Last resort: check if we're on a company/profile page, use URL
   const pathMatch = window.location.pathname.match(/\/(in|company)\/([^/]+)/);
   if (pathMatch) {
     const url = `https://www.linkedin.com/${pathMatch[1]}/${pathMatch[2]}`;
-    const pageTitle = document.querySelector('h1, .text-heading-xlarge, .pv-text-details__left-panel h1')?.innerText?.trim();
+    const pageTitle = firstMatch(document, 'pageTitle', h => h.innerText?.trim())?.el.innerText.trim();
     return { url, name: pageTitle || pathMatch[2] };
   }
-  
+
   return null;
 }
 
@@ -403,155 +120,263 @@ function normalizeProfileUrl(href) {
   return null;
 }
 
-// ─── DOM: extract date from post ─────────────────────────────
-function getPostDate(postEl) {
-  const timeEl = postEl.querySelector('time[datetime]');
-  if (timeEl?.getAttribute('datetime')) {
-    return timeEl.getAttribute('datetime').slice(0, 10);
-  }
+// ─── DOM: when a post was made ────────────────────────────────
+// { date, postedAt, precision } (scoring.PRECISION_SLACK): exact from a
+// <time datetime> or the post's activity ID, else read off the relative
+// time ("2h", "1d", "3w"); date is the local day. An ID the page's relative
+// time contradicts doesn't carry a post time and is left out. With nothing
+// to go by it's today, with no postedAt: scored by the day, like posts
+// logged before times were kept.
+function getPostTime(postEl, id, hits) {
+  let shown = null;
+  firstMatch(postEl, 'date', el => {
+    const datetime = el.matches('time[datetime]') && el.getAttribute('datetime');
+    shown = datetime ? fromDatetime(datetime)
+      : parseRelativeTime(el.innerText || el.getAttribute('aria-label') || '');
+    return !!shown;
+  }, hits);
+  const fromId = activityTime(id);
+  const time = shown?.precision === 'exact' ? shown
+    : fromId && (!shown || (fromId >= shown.at - shown.slack - CFG.ID_TIME_MARGIN && fromId <= shown.at + CFG.ID_TIME_MARGIN))
+      ? { at: fromId, precision: 'exact' }
+      : shown;
+  return time ? { date: localDate(time.at), postedAt: time.at, precision: time.precision } : { date: todayStr() };
+}
 
-  // Try text like "2h", "1d", "3w"
-  const spanSels = [
-    '.update-components-actor__sub-description span[aria-hidden="true"]',
-    '.feed-shared-actor__sub-description span[aria-hidden="true"]',
-    '.update-components-actor__sub-description',
-    'time',
-    '[aria-label*=" ago"]',
-  ];
-  for (const s of spanSels) {
-    const el = postEl.querySelector(s);
-    const txt = el?.innerText || el?.getAttribute('aria-label') || '';
-    const parsed = parseRelativeDate(txt);
-    if (parsed) return parsed;
+// A full datetime is exact; a bare "YYYY-MM-DD" only names the day
+function fromDatetime(datetime) {
+  if (datetime.length > 10) {
+    const at = Date.parse(datetime);
+    return isNaN(at) ? null : { at, precision: 'exact', slack: 0 };
   }
-  return todayStr();
+  const day = new Date(`${datetime}T12:00:00`).getTime();
+  return isNaN(day) ? null : { at: day, precision: 'relative-day', slack: PRECISION_SLACK['relative-day'] };
 }
 
-function parseRelativeDate(txt) {
-  if (!txt || typeof txt !== 'string') return null;
-  const t = txt.toLowerCase().trim();
-  const now = new Date();
-
-  // Today: just now, minutes, hours
-  if (t.includes('just now') || t.includes('moment') || t.includes('now') ||
-      /\d+\s*(min|minute)s?/.test(t) || /\d+\s*h(?:our)?s?/.test(t) || /\d+\s*sec/.test(t) ||
-      /^\d+\s*h$/.test(t) || /^\d+h$/.test(t)) {
-    return todayStr();
-  }
-  // Days: "2d", "2 d", "2 days", "1 day"
-  const dayMatch = t.match(/(\d+)\s*d(?:ay)?s?/i) || t.match(/(\d+)\s*d\b/i) || t.match(/^(\d+)d$/i);
-  if (dayMatch) {
-    const d = new Date(now);
-    d.setDate(d.getDate() - parseInt(dayMatch[1], 10));
-    return d.toISOString().slice(0, 10);
-  }
-  // Weeks: "1w", "2 w", "1 week"
-  const wkMatch = t.match(/(\d+)\s*w(?:eek)?s?/i) || t.match(/(\d+)\s*w\b/i) || t.match(/^(\d+)w$/i);
-  if (wkMatch) {
-    const d = new Date(now);
-    d.setDate(d.getDate() - parseInt(wkMatch[1], 10) * 7);
-    return d.toISOString().slice(0, 10);
-  }
-  // Months: "1mo", "2 mo"
-  const moMatch = t.match(/(\d+)\s*mo(?:nth)?s?/i) || t.match(/(\d+)\s*mo\b/i) || t.match(/^(\d+)mo$/i);
-  if (moMatch) {
-    const d = new Date(now);
-    d.setMonth(d.getMonth() - parseInt(moMatch[1], 10));
-    return d.toISOString().slice(0, 10);
-  }
-  return null;
+function getPostDate(postEl, hits) {
+  return getPostTime(postEl, getPostIds(postEl).id, hits).date;
 }
 
 // ─── DOM: get post text ───────────────────────────────────────
-function getPostText(postEl) {
-  const sel = [
-    '.update-components-text',
-    '.feed-shared-update-v2__description',
-    '.feed-shared-text',
-    '.attributed-text-segment-list__content',
-    '.break-words',
-    '[data-placeholder="What do you want to talk about?"]',
-    '.feed-shared-inline-show-more-text',
-  ];
-  for (const s of sel) {
-    const el = postEl.querySelector(s);
-    if (el?.innerText?.trim()) return el.innerText.trim();
-  }
+function getPostText(postEl, hits) {
+  const m = firstMatch(postEl, 'text', el => el.innerText?.trim(), hits);
+  if (m) return m.el.innerText.trim();
   // Fallback: get all text from post container
-  const textEl = postEl.querySelector('.feed-shared-update-v2, [data-urn]');
+  const textEl = postEl.querySelector(sel('textFallback'));
   return (textEl || postEl).innerText?.trim() || '';
 }
 
+// ─── DOM: activity IDs ────────────────────────────────────────
+// The urn:li:activity ID on an element's data-urn / data-id, or null
+function activityOf(el) {
+  const attr = el?.getAttribute('data-urn') || el?.getAttribute('data-id') || el?.getAttribute('data-activity-id') || '';
+  return activityId(attr) || (/^\d+$/.test(attr) ? attr : null);
+}
+
+// { id, of }: the post's activity ID, and for a reshare the original's.
+// The post element, else the outermost ID inside it that isn't the
+// original's, else the post around it (an actor header); null if none.
+function getPostIds(postEl, hits) {
+  const box = firstMatch(postEl, 'reshared', () => true, hits)?.el || null;
+  const inBox = el => !!box && box.contains(el);
+  const id = activityOf(postEl)
+    || activityOf(firstMatch(postEl, 'activity', el => !inBox(el), hits)?.el)
+    || activityOf(postEl.parentElement?.closest(sel('activity')));
+  const link = box && firstMatch(box, 'activityLink', el => activityId(el.getAttribute('href')), hits)?.el;
+  const of = box && (activityOf(box) || activityOf(box.querySelector(sel('activity'))) || activityId(link?.getAttribute('href')));
+  return { id: id || null, of: of && of !== id ? of : null };
+}
+
+// ─── DOM: the company a post hires for ────────────────────────
+// What the text says ("Company: Acme", "hiring at Acme"), else the author's
+// headline ("Recruiter at Acme"); a company page posting hires for itself
+function getPostCompany(postEl, text, author, hits) {
+  const named = extractCompany(text);
+  if (named) return named;
+  const headline = firstMatch(postEl, 'authorHeadline', el => el.innerText?.trim(), hits)?.el.innerText.trim();
+  return companyFromHeadline(headline) || (author && companySlug(author.url) ? author.name : null);
+}
+
 // ─── Badge UI ─────────────────────────────────────────────────
+// The post's own text block; the badge goes right above it
+const POST_BODY_SEL = sel('body');
+
+// 'trusted' / 'blocked' in the UI language
+function listName(status) {
+  return t(`list_${status}`);
+}
+
+function esc(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const announcedFakes = new Set();
+
+// Badge class, emoji and label for a score; trusted / blocked win
+function verdictOf({ level, isFake, listStatus }) {
+  const kind = listStatus || (isFake ? 'fake' : level);
+  const emoji = listStatus === 'trusted' ? '🛡️' : listStatus === 'blocked' ? '⛔'
+              : isFake ? '🚨' : level === 'high' ? '🚨' : level === 'medium' ? '⚠️' : '✅';
+  const label = listStatus === 'trusted' ? t('badgeTrusted')
+              : listStatus === 'blocked' ? t('badgeBlocked')
+              : isFake ? t('badgeFake')
+              : level === 'high' ? t('badgeHigh')
+              : level === 'medium' ? t('badgeMedium')
+              : t('badgeLow');
+  return { kind, emoji, label };
+}
+
+// What each badge on the page says, for the toolbar count and the popup
+const badgeInfo = new WeakMap(); // badge host → { id, flag, name, pts }
+let nextBadgeId = 1;
+
+// The badge is a host element (.frd-badge .frd-<level>, which is all the
+// page sees) with its content in a shadow root, see ui.js
+// Sends a badge button's change to the worker. If the worker fails (say the
+// extension was reloaded) the button comes back and a toast says why
+async function badgeAction(btn, action, payload) {
+  btn.disabled = true;
+  try {
+    await request(action, payload);
+    return true;
+  } catch (err) {
+    btn.disabled = false;
+    showNotification(`⚠️ ${t('actionFailed', err.message)}`, 'error');
+    return false;
+  }
+}
+
 function insertBadge(postEl, sc, author) {
-  // Remove existing badge if present (to update with new score)
+  // Remove existing badge if present (to update with new score). Keyboard
+  // focus in the old badge (say on Trust, which re-scores it) moves to the new one.
   const existingBadge = postEl.querySelector('.frd-badge');
+  const hadFocus = existingBadge && document.activeElement === existingBadge;
   if (existingBadge) {
     existingBadge.remove();
   }
 
-  const { level, pts, reasons, roles, isFake, fakeMessage } = sc;
-  const emoji = isFake ? '🚨' : level === 'high' ? '🚨' : level === 'medium' ? '⚠️' : '✅';
-  const label = isFake ? 'FAKE POST - DO NOT APPLY'
-              : level === 'high' ? 'HIGH RISK — Likely Fraudulent'
-              : level === 'medium' ? 'SUSPICIOUS Recruiter'
-              : 'Looks Genuine';
+  const { pts, reasons, roles, ratio, isFake, fakeMessage, listStatus } = sc;
+  const { kind, emoji, label } = verdictOf(sc);
 
   const badge = document.createElement('div');
-  badge.className = `frd-badge frd-${isFake ? 'fake' : level}`;
+  badge.className = `frd-badge frd-${kind}`;
+  badge.hidden = badgesHidden;
+  badgeInfo.set(badge, { id: nextBadgeId++, flag: flagOf(kind), name: author.name, pts });
+  if (postEl.matches(sel('jobCard'))) badge.classList.add('frd-card');
+
+  // Trust / block actions (or undo, when already listed)
+  const actions = listStatus
+    ? `<button type="button" class="action" data-status="">↺ ${t('actionRemove', listName(listStatus))}</button>`
+    : `<button type="button" class="action action-trust" data-status="trusted">🛡️ ${t('actionTrust')}</button>
+       <button type="button" class="action action-block" data-status="blocked">⛔ ${t('actionBlock')}</button>`;
+  // Desktop alerts on every step up in risk (alerts.js)
+  const watching = !!watchedRecruiters[author.url];
+  const watch = `<button type="button" class="action action-watch" aria-pressed="${watching}">👁️ ${t('actionWatch')}</button>`;
+  // Was this badge right? Kept as a labelled example that tunes the rule
+  // weights on this device (feedback.js). Not for listed recruiters: the
+  // user already overrode the verdict.
+  const given = verdicts[author.url]?.verdict;
+  const feedback = listStatus ? '' : `
+    <div class="feedback" role="group" aria-label="${esc(t('verdictAsk'))}">
+      <span>${t('verdictAsk')}</span>
+      <button type="button" class="action action-verdict" data-verdict="correct" aria-pressed="${given === 'correct'}">👍 ${t('actionCorrect')}</button>
+      <button type="button" class="action action-verdict" data-verdict="wrong" aria-pressed="${given === 'wrong'}">👎 ${t('actionWrong')}</button>
+    </div>`;
   
   // If fake, show prominent warning
   const warningSection = isFake && fakeMessage 
-    ? `<div class="frd-fake-warning">
-        <div class="frd-fake-title">⚠️ FAKE POST DETECTED</div>
-        <div class="frd-fake-message">${fakeMessage.split('\n').map(line => {
+    ? `<div class="fake-warning">
+        <h3 class="fake-title">⚠️ ${t('fakeDetected')}</h3>
+        <div class="fake-message">${fakeMessage.split('\n').map(line => {
           const trimmed = line.trim();
           if (!trimmed) return '<br>';
-          // Escape HTML and format
-          const escaped = trimmed.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-          // Make emojis and bold text stand out
-          return `<div>${escaped}</div>`;
+          return `<div>${esc(trimmed)}</div>`;
         }).join('')}</div>
       </div>`
     : '';
 
-  badge.innerHTML = `
-    <div class="frd-top">
-      <span class="frd-emoji">${emoji}</span>
-      <span class="frd-label">${label}</span>
-      <span class="frd-pts">Risk: ${pts}</span>
-      <button class="frd-toggle">▼ Details</button>
-    </div>
-    <div class="frd-body">
-      ${warningSection}
-      ${reasons.length
-        ? reasons.map(r => `<div class="frd-reason">• ${r}</div>`).join('')
-        : '<div class="frd-reason">No suspicious patterns detected</div>'}
-      ${roles.length ? `<div class="frd-roles">${roles.slice(0,8).map(r=>`<span class="frd-tag">${r}</span>`).join('')}</div>` : ''}
-      <a class="frd-link" href="${author.url}" target="_blank">View Recruiter Profile →</a>
-      ${isFake ? '<div class="frd-do-not-apply">🚫 DO NOT APPLY TO THIS POST</div>' : ''}
-    </div>`;
+  const root = mount(badge, BADGE_CSS, `
+    <section class="badge ${kind} ${displayMode}" aria-label="${esc(`${label}, ${t('badgeRisk', pts)}`)}">
+      <div class="top">
+        <span class="emoji" aria-hidden="true">${emoji}</span>
+        <span class="label">${label}</span>
+        <span class="pts">${t('badgeRisk', pts)}</span>
+        <button type="button" class="toggle" aria-expanded="false" aria-controls="details"></button>
+      </div>
+      <div class="body" id="details" hidden>
+        ${warningSection}
+        <ul class="reasons">
+        ${reasons.length
+          ? reasons.map(r => `<li class="reason">• ${esc(r)}</li>`).join('')
+          : `<li class="reason">${t('noPatterns')}</li>`}
+        </ul>
+        <div class="ratio">📊 ${ratio.known
+          ? t('badgeRatio', ratio.hiring, ratio.total, ratio.pct)
+          : t('badgeRatioPending', ratio.total, scoreCfg.RATIO_MIN_POSTS)}</div>
+        ${roles.length ? `<div class="roles">${roles.slice(0,8).map(r=>`<span class="tag">${esc(r)}</span>`).join('')}</div>` : ''}
+        <a class="link" href="${author.url}" target="_blank" rel="noopener">${t('viewProfile')} →</a>
+        <div class="actions">${actions}${watch}</div>
+        ${feedback}
+        ${isFake ? `<div class="do-not-apply">🚫 ${t('doNotApply')}</div>` : ''}
+      </div>
+    </section>`);
+
+  // Lists live in storage; onListsChange re-scores every badge
+  root.querySelectorAll('.action[data-status]').forEach(btn => {
+    btn.onclick = async (e) => {
+      e.stopPropagation();
+      const status = btn.dataset.status || null;
+      if (!await badgeAction(btn, 'setFlags', { url: author.url, status, name: author.name })) return;
+      showNotification(status
+        ? t('notifyListed', author.name, listName(status))
+        : t('notifyUnlisted', author.name), 'success');
+    };
+  });
+
+  root.querySelector('.action-watch').onclick = async (e) => {
+    e.stopPropagation();
+    if (!await badgeAction(e.currentTarget, 'setWatched', { url: author.url, on: !watching, name: author.name })) return;
+    showNotification(t(watching ? 'notifyUnwatched' : 'notifyWatching', author.name), 'success');
+  };
+
+  // Pressing the verdict already given takes it back
+  root.querySelectorAll('.action-verdict').forEach(btn => {
+    btn.onclick = async (e) => {
+      e.stopPropagation();
+      const verdict = btn.getAttribute('aria-pressed') === 'true' ? null : btn.dataset.verdict;
+      const example = verdict && { name: author.name, verdict, level: sc.level, pts, rules: sc.rules };
+      if (!await badgeAction(btn, 'setVerdict', { url: author.url, example })) return;
+      showNotification(t(verdict ? 'notifyVerdict' : 'notifyVerdictCleared', author.name), 'success');
+    };
+  });
 
   // Toggle
-  badge.querySelector('.frd-toggle').onclick = (e) => {
+  const body = root.querySelector('.body');
+  const toggle = root.querySelector('.toggle');
+  const setOpen = open => {
+    body.hidden = !open;
+    toggle.setAttribute('aria-expanded', String(open));
+    toggle.textContent = open ? `▲ ${t('badgeHide')}` : `▼ ${t('badgeDetails')}`;
+  };
+  toggle.onclick = (e) => {
     e.stopPropagation();
-    const body = badge.querySelector('.frd-body');
-    const btn  = badge.querySelector('.frd-toggle');
-    const open = body.style.display !== 'none';
-    body.style.display = open ? 'none' : 'block';
-    btn.textContent = open ? '▼ Details' : '▲ Hide';
+    setOpen(body.hidden);
   };
+  // Escape folds the details back and returns to the toggle
+  body.addEventListener('keydown', e => {
+    if (e.key !== 'Escape') return;
+    e.stopPropagation();
+    setOpen(false);
+    toggle.focus();
+  });
+  // Clicks on the badge are ours, not the post's (Ctrl+Click analysis, LinkedIn's own handlers)
+  badge.addEventListener('click', e => e.stopPropagation());
 
-  // Auto-expand if fake
-  if (isFake) {
-    badge.querySelector('.frd-body').style.display = 'block';
-    badge.querySelector('.frd-toggle').textContent = '▲ Hide';
-  }
+  // Auto-expand if fake (full mode only; compact stays one line)
+  setOpen(isFake && displayMode === 'full');
 
   // Insert before post content - safely check parent
-  const insertTarget = postEl.querySelector(
-    '.update-components-text, .feed-shared-update-v2__description, .feed-shared-text'
-  ) || postEl.firstElementChild;
+  const insertTarget = postEl.querySelector(POST_BODY_SEL) || postEl.firstElementChild;
 
   if (insertTarget && insertTarget.parentNode === postEl) {
     try {
@@ -569,222 +394,493 @@ function insertBadge(postEl, sc, author) {
   } else {
     postEl.prepend(badge);
   }
+
+  if (hadFocus) toggle.focus();
+  // Screen readers hear about each fake recruiter once, not on every re-score
+  if (isFake && !listStatus && !announcedFakes.has(author.url)) {
+    announcedFakes.add(author.url);
+    announce(t('announceFake', author.name));
+  }
 }
 
 // ─── Analyze selected post ────────────────────────────────────
 async function analyzeSelectedPost(postEl) {
   const text = getPostText(postEl);
   if (!text || !isJobPost(text)) {
-    showNotification('This post does not appear to be a job posting.', 'info');
+    showNotification(t('notifyNotJob'), 'info');
     return;
   }
 
   const author = getAuthorFromPost(postEl);
   if (!author) {
-    showNotification('Could not find the author of this post.', 'error');
+    showNotification(t('notifyNoAuthor'), 'error');
     return;
   }
 
-  showNotification(`Analyzing ${author.name}'s profile...`, 'info');
+  showNotification(t('notifyAnalyzing', author.name), 'info');
 
-  // Get existing data
-  const rec = await getRecruiter(author.url);
   const role = extractRole(text);
-  const dateStr = getPostDate(postEl);
+  const ids = getPostIds(postEl);
+  const { date, postedAt, precision } = getPostTime(postEl, ids.id);
 
-  // Log this post (with text snippet for better deduplication)
-  await logPost(author.url, author.name, role, dateStr, text);
-  
-  // Re-fetch to get updated data
-  const updatedRec = await getRecruiter(author.url);
-  const sc = score(updatedRec);
+  // Log this post (keyed by its activity ID when it has one); returns the updated record
+  const meta = { company: getPostCompany(postEl, text, author), ...ids, postedAt, precision };
+  const sc = scoreLogged(await logPost(author.url, author.name, role, date, text, meta), author.url);
 
   // Show badge
   insertBadge(postEl, sc, author);
 
   // If fake, show alert
   if (sc.isFake) {
-    showNotification('🚨 FAKE POST DETECTED! Check the warning badge above.', 'error');
+    showNotification(`🚨 ${t('notifyFake')}`, 'error');
   } else {
-    showNotification(`Analysis complete. Risk level: ${sc.level}`, 'success');
+    showNotification(t('notifyDone', t(`level_${sc.level}`)), 'success');
   }
 }
 
 // ─── Show notification ─────────────────────────────────────────
+// One host for all toasts. Toasts are added to live regions, so screen
+// readers read them: errors (fake posts) interrupt, the rest wait.
+let toastRoot = null;
+function toasts() {
+  if (!toastRoot || !toastRoot.host.isConnected) {
+    const host = document.createElement('div');
+    host.id = 'frd-notifications';
+    toastRoot = mount(host, TOAST_CSS, `
+      <div class="toasts">
+        <div class="polite" role="status" aria-live="polite"></div>
+        <div class="urgent" role="alert" aria-live="assertive"></div>
+      </div>`);
+    document.body.appendChild(host);
+  }
+  return toastRoot;
+}
+
 function showNotification(message, type = 'info') {
   const notification = document.createElement('div');
-  notification.className = `frd-notification frd-notification-${type}`;
+  notification.className = `toast ${type}`;
   notification.textContent = message;
-  document.body.appendChild(notification);
+  toasts().querySelector(type === 'error' ? '.urgent' : '.polite').appendChild(notification);
 
   setTimeout(() => {
-    notification.classList.add('frd-notification-show');
+    notification.classList.add('show');
   }, 10);
 
   setTimeout(() => {
-    notification.classList.remove('frd-notification-show');
+    notification.classList.remove('show');
     setTimeout(() => notification.remove(), 300);
   }, 4000);
 }
 
+// Read out by screen readers, not shown
+function announce(message) {
+  const line = document.createElement('div');
+  line.className = 'sr-only';
+  line.textContent = message;
+  toasts().querySelector('.urgent').appendChild(line);
+  setTimeout(() => line.remove(), 4000);
+}
+
 // ─── Add click handler to posts for selection ──────────────────
 function addPostSelectionHandlers() {
-  const postSelectors = [
-    'div[data-urn^="urn:li:activity"]',
-    'div[data-id^="urn:li:activity"]',
-    '.feed-shared-update-v2',
-    '.occludable-update',
-    'li.profile-creator-shared-feed-update__container',
-  ];
-
-  postSelectors.forEach(sel => {
-    document.querySelectorAll(sel).forEach(postEl => {
-      if (postEl.dataset.frdSelectable) return;
-      postEl.dataset.frdSelectable = '1';
-      
-      // Add visual indicator on hover
-      postEl.style.position = 'relative';
-      postEl.style.cursor = 'pointer';
+  matchAll(document, 'selectable').forEach(postEl => {
+    if (postEl.dataset.frdSelectable) return;
+    postEl.dataset.frdSelectable = '1';
+    
+    // Add visual indicator on hover
+    postEl.style.position = 'relative';
+    postEl.style.cursor = 'pointer';
+    
+    // Add click handler (but don't interfere with existing clicks)
+    postEl.addEventListener('click', async (e) => {
+      // Only trigger if clicking on the post itself, not on links/buttons
+      if (e.target.tagName === 'A' || e.target.tagName === 'BUTTON' || 
+          e.target.closest('a') || e.target.closest('button') || e.target.closest('.frd-badge')) {
+        return;
+      }
       
-      // Add click handler (but don't interfere with existing clicks)
-      postEl.addEventListener('click', async (e) => {
-        // Only trigger if clicking on the post itself, not on links/buttons
-        if (e.target.tagName === 'A' || e.target.tagName === 'BUTTON' || 
-            e.target.closest('a') || e.target.closest('button')) {
-          return;
-        }
-        
-        // Check if Ctrl/Cmd is pressed for manual analysis
-        if (e.ctrlKey || e.metaKey) {
-          e.preventDefault();
-          e.stopPropagation();
-          await analyzeSelectedPost(postEl);
-        }
-      }, true);
-    });
+      // Check if Ctrl/Cmd is pressed for manual analysis
+      if (e.ctrlKey || e.metaKey) {
+        e.preventDefault();
+        e.stopPropagation();
+        await analyzeSelectedPost(postEl);
+      }
+    }, true);
   });
 }
 
 // ─── Main scanner ─────────────────────────────────────────────
-async function scanPosts() {
-  // All possible post container selectors (feed + company/profile Posts tab + home feed)
-  const postSelectors = [
-    // Home feed selectors (priority)
-    '.feed-shared-update-v2',
-    'article.feed-shared-update-v2',
-    '.occludable-update',
-    'div[data-urn^="urn:li:activity"]',
-    'div[data-id^="urn:li:activity"]',
-    '[data-urn*="activity"]',
-    // Profile/company page selectors
-    'li.profile-creator-shared-feed-update__container',
-    '.profile-creator-shared-feed-update__container',
-    '.scaffold-finite-scroll__content article',
-    '.scaffold-finite-scroll__content > div > div',
-    'div[data-chameleon-result-urn]',
-    // Additional feed selectors
-    '.update-components-actor',
-    '.feed-shared-actor',
-    '[data-activity-id]',
-  ];
-
+// The post elements on the page, one per post (feed + company/profile Posts
+// tab + home feed). Posts that already have a badge are left out unless
+// includeDone. hits (optional): tallies which selectors matched.
+function collectPosts(hits, includeDone = false) {
   let posts = [];
   const seenIds = new Set();
-  
+  const add = el => {
+    // Use data-urn or data-id as unique identifier
+    const id = el.getAttribute('data-urn') || el.getAttribute('data-id') || el.getAttribute('data-activity-id') || null;
+    const uniqueKey = id || el;
+
+    // Skip if already processed or duplicate
+    if (seenIds.has(uniqueKey) || (el.dataset.frdDone && !includeDone)) return;
+
+    seenIds.add(uniqueKey);
+    posts.push(el);
+  };
+
   // Try all selectors and combine results (don't break on first match)
-  for (const sel of postSelectors) {
-    const found = [...document.querySelectorAll(sel)];
-    if (found.length) {
-      found.forEach(el => {
-        // Use data-urn or data-id as unique identifier
-        const id = el.getAttribute('data-urn') || el.getAttribute('data-id') || el.getAttribute('data-activity-id') || null;
-        const uniqueKey = id || el;
-        
-        // Skip if already processed or duplicate
-        if (seenIds.has(uniqueKey) || el.dataset.frdDone) return;
-        
-        seenIds.add(uniqueKey);
-        posts.push(el);
-      });
-    }
-  }
-  
+  matchAll(document, 'post', hits).forEach(add);
+
   // Additional scan for profile/company pages
   if (window.location.pathname.includes('/posts/') || window.location.pathname.includes('/company/') || window.location.pathname.includes('/in/')) {
-    const profilePosts = document.querySelectorAll(
-      '.scaffold-finite-scroll__content article, ' +
-      '.scaffold-finite-scroll__content [data-urn], ' +
-      '.profile-creator-shared-feed-update__container, ' +
-      '.feed-shared-update-v2'
-    );
-    profilePosts.forEach(el => {
-      const id = el.getAttribute('data-urn') || el.getAttribute('data-id') || null;
-      const uniqueKey = id || el;
-      if (!seenIds.has(uniqueKey) && !el.dataset.frdDone) {
-        seenIds.add(uniqueKey);
-        posts.push(el);
-      }
-    });
+    matchAll(document, 'profilePost', hits).forEach(add);
   }
-  
+
   // Also scan main feed container (for home feed)
-  const mainFeed = document.querySelector('.scaffold-layout__main, .feed-container, [data-test-id="feed-container"]');
-  if (mainFeed) {
-    const feedPosts = mainFeed.querySelectorAll('.feed-shared-update-v2, article, [data-urn*="activity"]');
-    feedPosts.forEach(el => {
-      const id = el.getAttribute('data-urn') || el.getAttribute('data-id') || null;
-      const uniqueKey = id || el;
-      if (!seenIds.has(uniqueKey) && !el.dataset.frdDone) {
-        seenIds.add(uniqueKey);
-        posts.push(el);
-      }
-    });
-  }
+  const mainFeed = document.querySelector(sel('feed'));
+  if (mainFeed) matchAll(mainFeed, 'feedPost', hits).forEach(add);
+
+  // One element per post. Wrappers around a post and parts of one (the actor
+  // header, say) match some selectors too; a "Recruiter at …" headline would
+  // otherwise be logged as a post of its own. A reshare keeps its outer post,
+  // since the outer text block is its own commentary.
+  const bodyOf = el => el.querySelector(POST_BODY_SEL);
+  const withBody = posts.filter(bodyOf).concat([...document.querySelectorAll('[data-frd-done]')]);
+  return posts.filter(el => bodyOf(el)
+    ? !withBody.some(p => p !== el && el.contains(p) && p.contains(bodyOf(el)))
+    : !withBody.some(p => p !== el && p.contains(el)));
+}
+
+// ─── Scan pipeline ────────────────────────────────────────────
+// Posts are read from the DOM first, then logged in one batch: one message
+// to the background worker and one storage write per scan, however many
+// posts. The records that come back are cached, so a post logged before (a
+// rescan, a settings change) is scored without a round trip.
+const recCache = new Map(); // url → { rec, sharedText, impersonation, logged: Set of postKey }
+// Non-job posts already sent to count towards their author's hiring ratio: 'url|textKey'
+const otherLogged = new Set();
+// Other posts sent before their author had a record: the store dropped
+// them, so they go again with that author's first job post.
+// url → Map(textKey → post)
+const pendingOthers = new Map();
+
+// Cost counters, shown in the popup's page diagnostics
+const perf = { batches: 0, posts: 0, logged: 0, cacheHits: 0, readMs: 0, storageMs: 0, badgeMs: 0 };
+
+// A post's activity ID, else what the store dedupes it on without one
+function postKey({ role, date, text, meta }) {
+  return meta.id || `${role}|${date}|${text.slice(0, 80)}`;
+}
+
+function cacheLogged(recs, sharedText, impersonation = {}) {
+  Object.entries(recs).forEach(([url, rec]) => {
+    const cached = recCache.get(url) || { logged: new Set() };
+    cached.rec = rec;
+    cached.sharedText = sharedText[url] || 0;
+    cached.impersonation = impersonation[url] || null;
+    recCache.set(url, cached);
+  });
+}
+
+// Another tab or a Ctrl+Click may log posts for a cached recruiter; a cleared
+// record is dropped so its posts get logged again
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  Object.entries(changes).forEach(([key, { newValue }]) => {
+    const cached = key.startsWith(REC_PREFIX) && recCache.get(key.slice(REC_PREFIX.length));
+    if (!cached) return;
+    if (newValue) cached.rec = newValue;
+    else recCache.delete(key.slice(REC_PREFIX.length));
+  });
+});
 
-  for (const postEl of posts) {
+async function processPosts(postEls) {
+  const t0 = performance.now();
+  const items = [];
+  const others = [];
+  postEls.forEach(postEl => {
     // Skip if already processed in this scan (but allow re-scanning on next scan)
-    if (postEl.dataset.frdScanning) continue;
-    postEl.dataset.frdScanning = '1';
+    if (postEl.dataset.frdScanning) return;
 
     const text = getPostText(postEl);
-    if (!text || !isJobPost(text)) {
-      delete postEl.dataset.frdScanning; // Allow re-checking if not a job post
-      continue;
-    }
-
+    if (!text) return;
+    const jobPost = isJobPost(text);
     const author = getAuthorFromPost(postEl);
-    if (!author) {
-      delete postEl.dataset.frdScanning;
-      continue;
+    if (!author) return;
+    // Other posts are never badged; they only feed their author's hiring ratio
+    if (!jobPost) {
+      if (!otherLogged.has(`${author.url}|${textKey(text)}`) && !pendingOthers.get(author.url)?.has(textKey(text))) {
+        others.push({ profileUrl: author.url, name: author.name, date: getPostDate(postEl), text, other: true });
+      }
+      return;
     }
 
-    const role    = extractRole(text);
-    const dateStr = getPostDate(postEl);
-
-    // Log the post first
-    await logPost(author.url, author.name, role, dateStr, text);
-    
-    // Re-fetch recruiter data to get updated posts list (critical for accurate scoring)
-    const updatedRec = await getRecruiter(author.url);
-    const sc  = score(updatedRec);
+    postEl.dataset.frdScanning = '1';
+    const ids = getPostIds(postEl);
+    const { date, postedAt, precision } = getPostTime(postEl, ids.id);
+    const post = {
+      profileUrl: author.url, name: author.name, role: extractRole(text), date, text,
+      meta: { company: getPostCompany(postEl, text, author), ...ids, postedAt, precision },
+    };
+    items.push({ postEl, author, post });
+  });
+  const t1 = performance.now();
+  perf.posts += postEls.length;
+  perf.readMs += t1 - t0;
+  if (!items.length && !others.length) return;
+
+  // Authors of job posts get a record now: their held-back other posts count
+  items.forEach(({ author }) => {
+    const waiting = pendingOthers.get(author.url);
+    if (waiting) others.push(...waiting.values());
+  });
+  const toLog = items.filter(({ author, post }) => !recCache.get(author.url)?.logged.has(postKey(post)));
+  perf.cacheHits += items.length - toLog.length;
+  if (toLog.length || others.length) {
+    const { recs, sharedText, impersonation } = await request('logPosts', { posts: toLog.map(i => i.post).concat(others) });
+    cacheLogged(recs, sharedText, impersonation);
+    toLog.forEach(({ author, post }) => recCache.get(author.url).logged.add(postKey(post)));
+    // Sent once per page load, or held until their author has a record:
+    // re-sending every scan would cost a round trip each time
+    others.forEach(p => {
+      if (recs[p.profileUrl]) return otherLogged.add(`${p.profileUrl}|${textKey(p.text)}`);
+      const waiting = pendingOthers.get(p.profileUrl) || new Map();
+      pendingOthers.set(p.profileUrl, waiting.set(textKey(p.text), p));
+    });
+    Object.keys(recs).forEach(url => pendingOthers.delete(url));
+    perf.batches++;
+    perf.logged += toLog.length;
+    refreshBanner();
+    refreshProfile();
+  }
+  const t2 = performance.now();
+  perf.storageMs += t2 - t1;
 
-    // Always insert/update badge (insertBadge will remove old one if exists)
-    insertBadge(postEl, sc, author);
-    
-    // Mark as done for this scan session
+  // Every post of a recruiter is scored against the record with all of them
+  items.forEach(({ postEl, author }) => {
+    insertBadge(postEl, scoreLogged(recCache.get(author.url), author.url), author);
     postEl.dataset.frdDone = '1';
     delete postEl.dataset.frdScanning;
-  }
-  
-  // Add selection handlers
+  });
+  perf.badgeMs += performance.now() - t2;
+}
+
+// Batches run one after another, so two never log the same post
+let pipeline = Promise.resolve();
+function enqueue(postEls) {
+  const run = pipeline.then(() => processPosts(postEls));
+  pipeline = run.catch(() => {});
+  return run;
+}
+
+// Every post on the page, visible or not: the popup's Scan, and rescans
+async function scanPosts() {
+  if (jobs.isJobsPage(window.location.pathname)) return scanJobs();
+  await enqueue(collectPosts());
   addPostSelectionHandlers();
 }
 
+// ─── Viewport tracking ────────────────────────────────────────
+// Page changes only register new post containers here; a post is read and
+// logged once it comes near the viewport, together with the others that
+// did in the same moment.
+const nearViewport = new Set();
+const flushVisible = debounce(() => {
+  const els = [...nearViewport].filter(el => el.isConnected && !el.dataset.frdDone);
+  nearViewport.clear();
+  enqueue(els).then(addPostSelectionHandlers);
+}, CFG.VISIBLE_DELAY);
+
+const viewport = new IntersectionObserver(entries => {
+  entries.forEach(e => {
+    if (!e.isIntersecting) return;
+    viewport.unobserve(e.target);
+    nearViewport.add(e.target);
+  });
+  if (nearViewport.size) flushVisible();
+}, { rootMargin: CFG.VIEWPORT_MARGIN });
+
+function trackPosts() {
+  refreshBanner();
+  refreshProfile();
+  if (jobs.isJobsPage(window.location.pathname)) return scanJobs();
+  collectPosts().forEach(el => {
+    if (el.dataset.frdTracked) return;
+    el.dataset.frdTracked = '1';
+    viewport.observe(el);
+  });
+}
+
+// ─── Diagnostics ──────────────────────────────────────────────
+// A read-only pass for the popup: how many posts the selectors find on this
+// page, how many have a badge, why the others were skipped, and which
+// selectors (or fallbacks) matched. Tells "nothing suspicious here" apart
+// from "the extension is blind on this layout".
+function diagnose() {
+  const hits = newHits();
+  const report = {
+    version: SELECTOR_VERSION,
+    page: pageType(window.location.pathname),
+    locale: PAGE_LOCALE,
+    found: 0,
+    analyzed: 0,
+    pending: 0,
+    skipped: { noText: 0, notJob: 0, noAuthor: 0 },
+  };
+
+  const jobsPage = jobs.isJobsPage(window.location.pathname);
+  if (jobsPage) {
+    const items = matchAll(document, 'jobDetail', hits).slice(0, 1).concat(matchAll(document, 'jobCard', hits));
+    report.found = items.length;
+    report.analyzed = items.filter(el => el.dataset.frdDone).length;
+    report.pending = report.found - report.analyzed;
+  } else {
+    const posts = collectPosts(hits, true);
+    report.found = posts.length;
+    posts.forEach(el => {
+      const text = getPostText(el, hits);
+      if (!text) report.skipped.noText++;
+      else if (!isJobPost(text)) report.skipped.notJob++;
+      else if (!getAuthorFromPost(el, hits)) report.skipped.noAuthor++;
+      else {
+        getPostDate(el, hits);
+        getPostCompany(el, text, null, hits);
+        if (el.dataset.frdDone) report.analyzed++;
+        else report.pending++;
+      }
+    });
+  }
+  if (report.page === 'profile') readProfile(hits);
+  // Post containers that matched nothing still show up, as a miss
+  (jobsPage ? ['jobDetail', 'jobCard'] : ['post']).forEach(g => { if (!hits[g]) tally(hits, g, null); });
+  report.selectors = summarizeHits(hits);
+  report.perf = { ...perf };
+  return report;
+}
+
+// ─── Jobs pages ───────────────────────────────────────────────
+// A listing is attributed to the "Meet the hiring team" poster when shown,
+// else to the company, so the frequency rules see the recruiter's history.
+function textOf(root, group) {
+  return root.querySelector(sel(group))?.innerText?.trim().split('\n')[0] || '';
+}
+
+function linkOf(root, group) {
+  const el = root.querySelector(sel(group));
+  const url = el && normalizeProfileUrl(el.href);
+  return url ? { url, name: el.innerText?.trim().split('\n')[0] || url.split('/').pop() } : null;
+}
+
+function jobDate(root, metaText) {
+  const t = root.querySelector('time[datetime]')?.getAttribute('datetime');
+  return t ? t.slice(0, 10) : parseRelativeDate(jobs.postedSegment(metaText)) || todayStr();
+}
+
+// Everything the top card and description say about the open listing
+function readJobDetail(el) {
+  const metaText = el.querySelector(sel('jobMeta'))?.innerText || '';
+  const company = linkOf(el, 'jobCompany');
+  return {
+    jobId: jobs.jobIdFromUrl(window.location.href),
+    title: textOf(el, 'jobTitle'),
+    company,
+    poster: linkOf(el, 'jobPoster'),
+    dateStr: jobDate(el, metaText),
+    reposted: jobs.isReposted(metaText),
+    applicants: jobs.parseApplicants(el.innerText),
+    description: el.querySelector(sel('jobDescription'))?.innerText?.trim() || '',
+  };
+}
+
+function readJobCard(card) {
+  const link = card.querySelector(sel('jobCardTitle'));
+  const companyName = textOf(card, 'jobCardCompany');
+  const cardText = card.innerText || '';
+  return {
+    jobId: card.dataset.occludableJobId || card.dataset.jobId || (link && jobs.jobIdFromUrl(link.href)),
+    title: link?.innerText?.trim().split('\n')[0] || '',
+    company: linkOf(card, 'jobCardCompanyLink')
+      || (companyName ? { url: null, name: companyName } : null),
+    dateStr: jobDate(card, cardText),
+    reposted: jobs.isReposted(cardText),
+    applicants: jobs.parseApplicants(cardText),
+    description: '',
+  };
+}
+
+function jobMeta(job) {
+  return { company: job.company?.name || null, jobId: job.jobId, reposted: job.reposted, applicants: job.applicants };
+}
+
+// The open listing is logged like a feed post
+async function scanJobDetail() {
+  const el = document.querySelector(sel('jobDetail'));
+  if (!el) return;
+  const job = readJobDetail(el);
+  // The pane is reused when another card is clicked, so track which job it shows
+  if (!job.jobId || !job.title || (el.dataset.frdDone && el.dataset.frdJobId === job.jobId)) return;
+
+  const author = job.poster || job.company;
+  if (!author) return;
+
+  el.dataset.frdJobId = job.jobId;
+  const role = job.title;
+  const text = jobs.jobText({ ...job, company: job.company?.name });
+  const logged = await logPost(author.url, author.name, role, job.dateStr, text, jobMeta(job));
+  insertBadge(el, scoreLogged(logged, author.url), author);
+  el.dataset.frdDone = '1';
+}
+
+// Search result cards only show a preview: they are scored against whoever
+// the listing was logged under (or the company) without writing anything.
+async function scanJobCards() {
+  const cards = [...document.querySelectorAll(sel('jobCard'))]
+    .filter(c => !c.dataset.frdDone)
+    .map(card => ({ card, job: readJobCard(card) }))
+    .filter(({ job }) => job.jobId && job.title);
+  if (!cards.length) return;
+
+  // The worker knows who logged which listing, and works out the score
+  // context of just those recruiters
+  const { owners, recs, sharedText, impersonation } = await request('getJobCards', {
+    cards: cards.map(({ job }) => ({ jobId: job.jobId, url: job.company?.url || null })),
+  });
+  cacheLogged(recs, sharedText, impersonation);
+
+  cards.forEach(({ card, job }) => {
+    const url = owners[job.jobId];
+    if (!url) return;
+
+    const companyName = job.company?.name || '';
+    const stored = recCache.get(url)?.rec;
+    const rec = stored ? JSON.parse(JSON.stringify(stored)) : newRecruiter(url);
+    recordPost(rec, stored ? '' : companyName, job.title, job.dateStr, jobs.jobText({ ...job, company: companyName }), jobMeta(job));
+    const author = { url, name: rec.name || companyName };
+    const ctx = { listStatus: statusOf(recruiterLists, url), sharedText: sharedText[url], impersonation: impersonation[url] };
+    insertBadge(card, score(rec, scoreCfg, ctx), author);
+    card.dataset.frdJobId = job.jobId;
+    card.dataset.frdDone = '1';
+  });
+}
+
+async function scanJobs() {
+  await scanJobDetail();
+  await scanJobCards();
+}
+
 // ─── Observer ─────────────────────────────────────────────────
-const debouncedScan = debounce(scanPosts, CFG.SCAN_DELAY);
+const debouncedScan = debounce(trackPosts, CFG.SCAN_DELAY);
 
-// Enhanced observer for better scroll detection
+// Whether any of nodes is or holds a badge
+function hasBadge(nodes) {
+  return [...nodes].some(n => n.nodeType === 1 && (n.matches('.frd-badge') || n.querySelector('.frd-badge')));
+}
+
+// New posts (infinite scroll, navigation) get tracked; the viewport
+// observer above decides when they are scanned
 const observer = new MutationObserver((mutations) => {
+  // Badges coming and going are mutations too; nothing else changes the count
+  if (mutations.some(m => hasBadge(m.addedNodes) || hasBadge(m.removedNodes))) reportFlags();
   let shouldScan = false;
   for (const mutation of mutations) {
     // Check if new posts were added
@@ -793,8 +889,10 @@ const observer = new MutationObserver((mutations) => {
         if (node.nodeType === 1) { // Element node
           // Check if it's a post container or contains posts
           if (node.matches && (
-            node.matches('.feed-shared-update-v2, article, [data-urn*="activity"], .occludable-update') ||
-            node.querySelector('.feed-shared-update-v2, article, [data-urn*="activity"]')
+            node.matches(sel('observed')) ||
+            node.querySelector(sel('observed')) ||
+            node.matches(`${sel('jobCard')}, ${sel('jobDetail')}`) ||
+            node.querySelector(`${sel('jobCard')}, ${sel('jobDescription')}`)
           )) {
             shouldScan = true;
             break;
@@ -815,32 +913,368 @@ observer.observe(document.body, {
   subtree: true 
 });
 
-// Also listen for scroll events to trigger scan (for infinite scroll)
-let scrollTimeout;
-window.addEventListener('scroll', () => {
-  clearTimeout(scrollTimeout);
-  scrollTimeout = setTimeout(() => {
-    debouncedScan();
-  }, 1000); // Scan 1 second after scrolling stops
-}, { passive: true });
+// Re-scan every post on the page from scratch
+function rescanAll() {
+  // Reset done flags so we re-scan everything
+  document.querySelectorAll('[data-frd-done]').forEach(el => {
+    delete el.dataset.frdDone;
+    delete el.dataset.frdScanning;
+  });
+  // Keyboard focus on a badge (on Trust, say, which re-scores it) moves to its replacement
+  const focused = document.activeElement?.classList.contains('frd-badge') ? document.activeElement.parentElement : null;
+  // Also remove existing badges to force refresh
+  document.querySelectorAll('.frd-badge').forEach(badge => badge.remove());
+  refreshBanner();
+  refreshProfile();
+  return scanPosts().then(() => {
+    focused?.querySelector('.frd-badge')?.shadowRoot.querySelector('.toggle').focus();
+  });
+}
+
+// ─── Settings ─────────────────────────────────────────────────
+// Re-score badges in place when thresholds, verdicts or trust/block lists change
+onConfigChange(cfg => {
+  baseCfg = cfg;
+  scoreCfg = adaptWeights(baseCfg, verdicts);
+  rescanAll();
+});
+
+onFeedbackChange(feedback => {
+  verdicts = feedback;
+  scoreCfg = adaptWeights(baseCfg, verdicts);
+  rescanAll();
+});
+
+onListsChange(lists => {
+  recruiterLists = lists;
+  rescanAll();
+});
+
+onWatchedChange(watched => {
+  watchedRecruiters = watched;
+  rescanAll();
+});
+
+onDisplayModeChange(mode => {
+  displayMode = mode;
+  rescanAll();
+});
+
+// ─── Company banner ───────────────────────────────────────────
+// On a company page: the recruiters who claim to hire for it (companies.js),
+// how many of them are flagged, and a warning when the company looks
+// impersonated. Closing it hides it for this company until the page reloads.
+const dismissedBanners = new Set();
+
+function bannerAccount(a) {
+  const name = esc(a.name || a.url.split('/').pop());
+  return `<li><a href="${esc(a.url)}" target="_blank" rel="noopener">${name}</a>${a.flagged ? ` <span class="flag">${t('companyFlagged')}</span>` : ''}</li>`;
+}
+
+async function showCompanyBanner() {
+  const slug = pageType(window.location.pathname) === 'company' ? companySlug(window.location.pathname) : null;
+  const name = slug && firstMatch(document, 'pageTitle', h => h.innerText?.trim())?.el.innerText.trim();
+  const { company } = slug && !dismissedBanners.has(slug) ? await request('getCompany', { slug, name }) : {};
+  document.getElementById('frd-company-banner')?.remove();
+  const main = document.querySelector(sel('pageMain'));
+  if (!company || !company.people || !main) return;
+
+  const people = company.accounts.filter(a => !companySlug(a.url) && a.listStatus !== 'trusted')
+    .sort((a, b) => b.flagged - a.flagged);
+  const title = company.impersonated
+    ? `🎭 ${t('bannerImpersonation', esc(company.name), company.people, company.flagged)}`
+    : `🏢 ${t('bannerCompany', esc(company.name), company.people, company.flagged)}`;
+  const host = document.createElement('div');
+  host.id = 'frd-company-banner';
+  const root = mount(host, BANNER_CSS, `
+    <section class="banner${company.impersonated ? ' warn' : ''}" role="region" aria-labelledby="title">
+      <div class="top">
+        <strong class="title" id="title">${title}</strong>
+        <button type="button" class="close" aria-label="${t('bannerClose')}">✕</button>
+      </div>
+      <ul class="accounts">${people.map(bannerAccount).join('')}</ul>
+    </section>`);
+  root.querySelector('.close').onclick = () => {
+    dismissedBanners.add(slug);
+    host.remove();
+  };
+  main.prepend(host);
+}
+
+const refreshBanner = debounce(showCompanyBanner, CFG.REPORT_DELAY);
+
+// ─── Profile check ────────────────────────────────────────────
+// On a person's /in/ page: what the top card, the Experience section and
+// the posts on the page say about the account (rules in profile.js), next
+// to the posts logged from it, in a panel on top of the page. The reading
+// is saved onto their record, so badges and the popup count it from then
+// on. Closing the panel hides it for this profile until the page reloads.
+const dismissedPanels = new Set();
+
+function pageProfileUrl() {
+  return pageType(window.location.pathname) === 'profile' ? normalizeProfileUrl(window.location.href) : null;
+}
+
+// Of the posts on this page, how many by the profile's owner are hiring posts
+function profileActivity(url) {
+  let hiring = 0, total = 0;
+  collectPosts(null, true).forEach(el => {
+    const text = getPostText(el);
+    if (!text || getAuthorFromPost(el)?.url !== url) return;
+    total++;
+    if (isJobPost(text)) hiring++;
+  });
+  return total ? { hiring, total } : null;
+}
+
+// Account signals as profile.normalizeProfile() expects them, or null
+// before the top card is there. Whatever the page doesn't clearly show is
+// null, so a layout the selectors miss reads as unknown, not as suspicious.
+function readProfile(hits) {
+  const url = pageProfileUrl();
+  const card = url && firstMatch(document, 'profileCard', () => true, hits)?.el;
+  if (!card) return null;
+  const firstLine = group => firstMatch(card, group, el => el.innerText?.trim(), hits)?.el.innerText.trim().split('\n')[0] || '';
+  const headline = firstLine('profileHeadline');
+  const counts = matchAll(card, 'profileCounts', hits).map(el => el.innerText || '').join(' · ');
+  const photo = firstMatch(card, 'profilePhoto', () => true, hits)?.el;
+  // No Experience section among the others means nothing is listed there
+  const experience = firstMatch(document, 'profileExperience', () => true, hits)?.el.closest('section');
+  const sections = document.querySelector(sel('profileSection'));
+  return {
+    headline,
+    company: firstLine('profileCompany') || companyFromHeadline(headline),
+    recruiter: isRecruiterHeadline(headline),
+    connections: readCount(counts, 'connections'),
+    followers: readCount(counts, 'followers'),
+    verified: !!firstMatch(card, 'profileVerified', () => true, hits),
+    photo: photo ? !/ghost/i.test(`${photo.className} ${photo.getAttribute('src') || ''}`)
+         : card.querySelector(sel('profileNoPhoto')) ? false : null,
+    experience: experience ? matchAll(experience, 'experienceItem').filter(li => !li.parentElement.closest('li')).length
+              : sections ? 0 : null,
+    activity: profileActivity(url),
+  };
+}
+
+function profileFacts(p) {
+  return [
+    p.company ? `🏢 ${t('profileCompany', esc(p.company))}` : `🏢 ${t('profileNoCompany')}`,
+    p.connections !== null && `🔗 ${t('profileConnections', p.connections)}`,
+    p.followers !== null && `👥 ${t('profileFollowers', p.followers)}`,
+    p.verified && `✔️ ${t('profileVerified')}`,
+    p.photo === false && `👤 ${t('profileNoPhoto')}`,
+    p.experience !== null && `📄 ${t('profileExperience', p.experience)}`,
+    p.activity && `📢 ${t('profileActivity', p.activity.hiring, p.activity.total)}`,
+  ].filter(Boolean);
+}
+
+async function showProfilePanel() {
+  const url = pageProfileUrl();
+  const read = url && !dismissedPanels.has(url) ? readProfile() : null;
+  if (!read) {
+    document.getElementById('frd-profile-panel')?.remove();
+    return;
+  }
+  const { rec, profile, changed, sharedText, impersonation } = await request('saveProfile', { profileUrl: url, profile: read });
+  if (rec) cacheLogged({ [url]: rec }, { [url]: sharedText }, { [url]: impersonation });
+  // Their badges on this page now count the profile too
+  if (changed && document.querySelector('.frd-badge')) rescanAll();
+
+  const sc = scoreLogged({ rec: rec || { url, posts: [], profile }, sharedText, impersonation }, url);
+  const { kind, emoji, label } = verdictOf(sc);
+  const posts = rec ? rec.posts.length : 0;
+  const host = document.createElement('div');
+  host.id = 'frd-profile-panel';
+  const root = mount(host, PANEL_CSS, `
+    <section class="panel ${kind}" role="region" aria-labelledby="title">
+      <div class="top">
+        <strong class="title" id="title">${emoji} ${t('profilePanelTitle', label)}</strong>
+        <span class="pts">${t('badgeRisk', sc.pts)}</span>
+        <button type="button" class="close" aria-label="${t('bannerClose')}">✕</button>
+      </div>
+      <ul class="facts">${profileFacts(profile).map(f => `<li>${f}</li>`).join('')}</ul>
+      <ul class="reasons">
+      ${sc.reasons.length
+        ? sc.reasons.map(r => `<li>• ${esc(r)}</li>`).join('')
+        : `<li>${t('profileClean')}</li>`}
+      </ul>
+      <div class="history">${posts ? t('profileHistory', posts) : t('profileNoHistory')}</div>
+    </section>`);
+  root.querySelector('.close').onclick = () => {
+    dismissedPanels.add(url);
+    host.remove();
+  };
+  document.getElementById('frd-profile-panel')?.remove();
+  document.querySelector(sel('pageMain'))?.prepend(host);
+}
+
+const refreshProfile = debounce(showProfilePanel, CFG.REPORT_DELAY);
+
+// ─── Flagged on this page ─────────────────────────────────────
+// The toolbar badge (background.js) and the popup's "On this page" list are
+// read off the badges on the page, so re-scores, rescans and posts LinkedIn
+// drops are all accounted for. Blocked recruiters count as fake.
+function flagOf(kind) {
+  if (kind === 'blocked') return 'fake';
+  return ['fake', 'high', 'medium'].includes(kind) ? kind : null;
+}
+
+function flaggedBadges() {
+  return [...document.querySelectorAll('.frd-badge')].filter(b => badgeInfo.get(b)?.flag);
+}
+
+// The count is per page: a new URL (LinkedIn navigates without reloading)
+// is always reported, even when the count is unchanged
+let reported = '';
+const reportFlags = debounce(() => {
+  const counts = { fake: 0, high: 0, medium: 0 };
+  flaggedBadges().forEach(b => { counts[badgeInfo.get(b).flag]++; });
+  const key = `${location.href} ${JSON.stringify(counts)}`;
+  if (key === reported) return;
+  reported = key;
+  request('pageFlags', { counts }).catch(() => {});
+}, CFG.REPORT_DELAY);
+
+// Scrolls the badge to the middle of the viewport and gives it keyboard
+// focus; hidden badges (toggle-badges) scroll their post instead
+function focusBadge(badge) {
+  (badge.hidden ? badge.parentElement : badge).scrollIntoView({ block: 'center', behavior: 'smooth' });
+  if (!badge.hidden) badge.shadowRoot.querySelector('.toggle').focus({ preventScroll: true });
+}
+
+// ─── Keyboard commands ────────────────────────────────────────
+// chrome.commands (manifest.json) → background.js → here
+const FLAGGED = ['fake', 'blocked', 'high', 'medium'].map(k => `.frd-badge.frd-${k}`).join(', ');
+
+// The post holding el, if any
+function postOf(el) {
+  return el && collectPosts(null, true).find(p => p.contains(el));
+}
+
+// The post with keyboard focus (or holding it), else the one across the middle of the viewport
+function currentPost() {
+  return postOf(document.activeElement !== document.body && document.activeElement)
+    || postOf(document.elementFromPoint?.(window.innerWidth / 2, window.innerHeight / 2));
+}
+
+// Scrolls the next flagged badge below the middle of the viewport (or the
+// previous one above it) to the middle, and gives it keyboard focus
+function jumpToFlagged(dir) {
+  const mid = window.innerHeight / 2;
+  const badges = [...document.querySelectorAll(FLAGGED)].filter(b => !b.hidden);
+  const target = dir > 0
+    ? badges.find(b => b.getBoundingClientRect().top > mid + 1)
+    : badges.reverse().find(b => b.getBoundingClientRect().bottom < mid - 1);
+  if (!target) {
+    showNotification(t(dir > 0 ? 'notifyNoFlaggedBelow' : 'notifyNoFlaggedAbove'), 'info');
+    return;
+  }
+  focusBadge(target);
+}
+
+function toggleBadges() {
+  badgesHidden = !badgesHidden;
+  document.querySelectorAll('.frd-badge').forEach(b => { b.hidden = badgesHidden; });
+  showNotification(t(badgesHidden ? 'notifyBadgesHidden' : 'notifyBadgesShown'), 'info');
+}
+
+const COMMANDS = {
+  'analyze-post': () => {
+    const postEl = currentPost();
+    if (!postEl) return showNotification(t('notifyNoPost'), 'info');
+    return analyzeSelectedPost(postEl);
+  },
+  'next-flagged': () => jumpToFlagged(1),
+  'prev-flagged': () => jumpToFlagged(-1),
+  'toggle-badges': toggleBadges,
+  'rescan': () => rescanAll().then(() => showNotification(`✅ ${t('scanCompleteShort')}`, 'success')),
+};
+
+// ─── Context menu ─────────────────────────────────────────────
+// chrome.contextMenus (background.js) → here. Chrome only passes the URL of a
+// right-clicked link, so the element itself is kept from the contextmenu event.
+let menuTarget = null;
+document.addEventListener('contextmenu', e => { menuTarget = e.target; }, true);
+
+// The recruiter the menu was opened on: the /in/ or /company/ link, else the
+// author of the post around the click. { url, name } or null.
+function menuRecruiter(linkUrl) {
+  const postEl = postOf(menuTarget);
+  const author = postEl && getAuthorFromPost(postEl);
+  const url = linkUrl && normalizeProfileUrl(linkUrl);
+  if (url && url !== author?.url) {
+    const link = menuTarget?.closest?.('a');
+    const name = link && (firstMatch(link, 'authorName', n => n.innerText?.trim())?.el || link).innerText.trim().split('\n')[0];
+    return { url, name: name || url.split('/').pop() };
+  }
+  return author || null;
+}
+
+// Shows what is stored about a recruiter, without logging anything
+async function checkRecruiter(who) {
+  const { data, score: sc, listStatus } = await request('getProfileData', { profileUrl: who.url });
+  const name = data?.name || who.name;
+  if (listStatus) return showNotification(t('notifyCheckListed', name, listName(listStatus)), 'info');
+  if (!data) return showNotification(t('notifyCheckUnknown', name), 'info');
+  showNotification(t('notifyCheck', name, t(`level_${sc.level}`), String(sc.pts), String(data.posts.length)),
+    sc.isFake || sc.level === 'high' ? 'error' : 'info');
+}
+
+async function listRecruiter(who, status) {
+  await request('setFlags', { url: who.url, status, name: who.name });
+  showNotification(t('notifyListed', who.name, listName(status)), 'success');
+}
+
+const MENUS = {
+  'analyze-post': () => {
+    const postEl = postOf(menuTarget);
+    if (!postEl) return showNotification(t('notifyNoPost'), 'info');
+    return analyzeSelectedPost(postEl);
+  },
+  'check-recruiter': checkRecruiter,
+  'trust-recruiter': who => listRecruiter(who, 'trusted'),
+  'block-recruiter': who => listRecruiter(who, 'blocked'),
+};
+
+async function runMenu(menu, linkUrl) {
+  if (menu === 'analyze-post') return MENUS[menu]();
+  const who = menuRecruiter(linkUrl);
+  if (!who) return showNotification(t('notifyNoAuthor'), 'error');
+  return MENUS[menu]?.(who);
+}
 
 // ─── Listen for popup message ─────────────────────────────────
 chrome.runtime.onMessage.addListener((msg, _sender, reply) => {
   if (msg.action === 'scan') {
-    // Reset done flags so we re-scan everything
-    document.querySelectorAll('[data-frd-done]').forEach(el => {
-      delete el.dataset.frdDone;
-      delete el.dataset.frdScanning;
-    });
-    // Also remove existing badges to force refresh
-    document.querySelectorAll('.frd-badge').forEach(badge => badge.remove());
-    scanPosts().then(() => reply({ ok: true }));
+    rescanAll().then(() => reply({ ok: true }));
     return true; // async reply
   }
   if (msg.action === 'getStats') {
     getData().then(all => reply({ all }));
     return true;
   }
+  if (msg.action === 'command') {
+    Promise.resolve(COMMANDS[msg.command]?.()).then(() => reply({ ok: true }), e => reply({ error: e.message }));
+    return true;
+  }
+  if (msg.action === 'contextMenu') {
+    runMenu(msg.menu, msg.linkUrl).then(() => reply({ ok: true }), e => reply({ error: e.message }));
+    return true;
+  }
+  if (msg.action === 'getFlagged') {
+    reply(flaggedBadges().map(b => badgeInfo.get(b)));
+    return;
+  }
+  if (msg.action === 'scrollToFlagged') {
+    const badge = flaggedBadges().find(b => badgeInfo.get(b).id === msg.id);
+    if (badge) focusBadge(badge);
+    reply({ ok: !!badge });
+    return;
+  }
+  if (msg.action === 'getDiagnostics') {
+    reply(diagnose());
+    return;
+  }
   if (msg.action === 'analyzePost') {
     // Analyze a specific post element
     const postEl = document.querySelector(msg.selector);
@@ -854,53 +1288,76 @@ chrome.runtime.onMessage.addListener((msg, _sender, reply) => {
 });
 
 // ─── Initial scan ─────────────────────────────────────────────
-// Scan immediately and also after page load
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => {
-    setTimeout(() => {
-      scanPosts();
-      addPostSelectionHandlers();
-    }, 1000);
-  });
-} else {
+// Scan immediately and also after page load (once user settings are loaded)
+const configReady = Promise.all([loadConfig(), loadFeedback(), loadLists(), loadWatched(), loadDisplayMode()]).then(([cfg, feedback, lists, watched, mode]) => {
+  baseCfg = cfg;
+  verdicts = feedback;
+  scoreCfg = adaptWeights(baseCfg, verdicts);
+  recruiterLists = lists;
+  watchedRecruiters = watched;
+  displayMode = mode;
+});
+
+function initialScan() {
   setTimeout(() => {
-    scanPosts();
-    addPostSelectionHandlers();
+    configReady.then(() => {
+      trackPosts();
+      addPostSelectionHandlers();
+    });
   }, 1000);
 }
 
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initialScan);
+} else {
+  initialScan();
+}
+
 // Also scan when page becomes visible (user switches back to tab)
 document.addEventListener('visibilitychange', () => {
   if (!document.hidden) {
-    setTimeout(() => scanPosts(), 500);
+    setTimeout(() => trackPosts(), 500);
   }
 });
 
 // ─── Add instructions overlay ────────────────────────────────
+// A modal dialog: focus goes to "Got it" and stays inside until it is
+// closed (button or Escape), then returns to where it was.
 function showInstructions() {
+  const previousFocus = document.activeElement;
   const instructions = document.createElement('div');
   instructions.id = 'frd-instructions';
-  instructions.innerHTML = `
-    <div class="frd-instructions-content">
-      <div class="frd-instructions-title">🔍 LinkedIn Fake Post Detector</div>
-      <div class="frd-instructions-text">
-        <strong>How to use:</strong><br>
-        • Posts are automatically scanned for fake hiring patterns<br>
-        • Press <kbd>Ctrl</kbd> (or <kbd>Cmd</kbd> on Mac) + Click on any post to analyze it manually<br>
-        • Fake posts will show a 🚨 warning badge<br>
-        • Check the extension popup for detailed statistics
+  const root = mount(instructions, OVERLAY_CSS, `
+    <div class="overlay">
+      <div class="content" role="dialog" aria-modal="true" aria-labelledby="title" aria-describedby="text">
+        <h2 class="title" id="title">🔍 ${t('extName')}</h2>
+        <div class="text" id="text">
+          <strong>${t('howToUse')}</strong>
+          <ul>
+            <li>${t('instructionsAuto')}</li>
+            <li>${t('instructionsCtrl', '<kbd>Ctrl</kbd>', '<kbd>Cmd</kbd>')}</li>
+            <li>${t('instructionsBadge')}</li>
+            <li>${t('instructionsPopup')}</li>
+          </ul>
+        </div>
+        <button type="button" class="close">${t('gotIt')}</button>
       </div>
-      <button class="frd-instructions-close">Got it!</button>
-    </div>
-  `;
+    </div>`);
   document.body.appendChild(instructions);
-  
-  instructions.querySelector('.frd-instructions-close').onclick = () => {
+
+  const close = () => {
     instructions.remove();
     localStorage.setItem('frd-instructions-seen', 'true');
+    if (previousFocus && previousFocus.focus) previousFocus.focus();
   };
-  
-  setTimeout(() => instructions.classList.add('frd-instructions-show'), 100);
+  root.querySelector('.close').onclick = close;
+  root.querySelector('.content').addEventListener('keydown', e => {
+    if (e.key === 'Escape') close();
+    else trapFocus(root, e);
+  });
+
+  root.querySelector('.close').focus();
+  setTimeout(() => root.querySelector('.overlay').classList.add('show'), 100);
 }
 
 // Show instructions on first visit
@@ -908,4 +1365,30 @@ if (!localStorage.getItem('frd-instructions-seen')) {
   setTimeout(showInstructions, 2000);
 }
 
+// Extractors and scanner, for the offline DOM fixture tests only: the test
+// helper (tests/helpers/dom.js) runs this file with a module object, so
+// nothing of this reaches the global scope in the extension
+if (typeof module !== 'undefined' && module.exports) module.exports = {
+  getAuthorFromPost,
+  getPostDate,
+  getPostText,
+  getPostCompany,
+  getPostIds,
+  extractRole,
+  isJobPost,
+  scanPosts,
+  scanJobs,
+  rescanAll,
+  trackPosts,
+  currentPost,
+  showCompanyBanner,
+  readProfile,
+  showProfilePanel,
+  diagnose,
+  perf,
+  // Settles once every batch queued so far has been logged and badged
+  idle: () => pipeline,
+  ready: configReady,
+};
+
 })(); // End of IIFE - prevents redeclaration errors
@@ -0,0 +1,210 @@
+/*  LinkedIn Fraud Job Detector — feedback.js
+    The user's Correct / Wrong verdicts on badges, kept on this device as
+    labelled examples: the level and points a recruiter got, and which
+    rules (score().rules) added them up. From them: how often each rule
+    was part of a false alarm or a miss (the popup's calibration view), and
+    the rule weights scoring actually uses, nudged up or down from the
+    configured ones (options page) until the verdicts are reset.
+    Writes go through the background worker ('setVerdict', see store.js).
+*/
+
+(function(root) {
+'use strict';
+
+const isNode = typeof module !== 'undefined' && module.exports;
+const { CFG } = isNode ? require('./scoring.js') : root.FRD.scoring;
+const { RULES: SIGNAL_RULES } = isNode ? require('./signals.js') : root.FRD.signals;
+const { RULES: PROFILE_RULES } = isNode ? require('./profile.js') : root.FRD.profile;
+const { loadConfig } = isNode ? require('./settings.js') : root.FRD.settings;
+const { t } = isNode ? require('./locales.js') : root.FRD.locales;
+
+const FEEDBACK_KEY = 'verdictFeedback';
+const VERDICTS = ['correct', 'wrong'];
+const LEVELS = ['low', 'medium', 'high', 'unknown'];
+const MAX_EXAMPLES = 500; // oldest verdicts go first
+
+// How far verdicts move a rule's weight
+const ADAPT = {
+  MIN_EXAMPLES: 3,  // a rule needs 3+ verdicts on recruiters it fired on
+  STEP        : 0.5, // all of them wrong in one direction → ±50%
+  MIN_FACTOR  : 0.5, // never below half the configured weight...
+  MAX_FACTOR  : 1.5, // ...nor above one and a half times it
+};
+
+// ─── Rules ────────────────────────────────────────────────────
+// Names for the cfg paths in score().rules, in the UI language: the
+// weights' are _locales/ keys weight_<id>, the signals' and profile rules'
+// their labels
+function ruleLabel(path) {
+  const [group, id] = path.split('.');
+  if (group === 'WEIGHTS') return id in CFG.WEIGHTS && id !== 'FAKE' ? t(`weight_${id}`) : id;
+  const rule = (group === 'SIGNAL_WEIGHTS' ? SIGNAL_RULES : group === 'PROFILE_WEIGHTS' ? PROFILE_RULES : [])
+    .find(r => r.id === id);
+  return rule ? `${rule.emoji} ${rule.label}` : path;
+}
+
+// Credit rules (a verified profile) take points off, so a false alarm
+// calls for more of them rather than less
+function isCredit(path) {
+  const [group, id] = path.split('.');
+  return group === 'PROFILE_WEIGHTS' && !!PROFILE_RULES.find(r => r.id === id && r.credit);
+}
+
+function getPath(cfg, path) {
+  const [group, id] = path.split('.');
+  return cfg[group]?.[id];
+}
+
+// ─── Examples ─────────────────────────────────────────────────
+// feedback: { [profileUrl]: { name, verdict, level, pts, rules, at } },
+// one example per recruiter, the latest verdict on them
+function emptyFeedback() {
+  return {};
+}
+
+function normalizeExample(raw) {
+  if (!raw || typeof raw !== 'object' || !VERDICTS.includes(raw.verdict) || !LEVELS.includes(raw.level)) return null;
+  return {
+    name: typeof raw.name === 'string' ? raw.name.slice(0, 200) : '',
+    verdict: raw.verdict,
+    level: raw.level,
+    pts: typeof raw.pts === 'number' && isFinite(raw.pts) ? raw.pts : 0,
+    rules: Array.isArray(raw.rules) ? raw.rules.filter(r => typeof r === 'string' && typeof getPath(CFG, r) === 'number') : [],
+    at: typeof raw.at === 'number' ? raw.at : 0,
+  };
+}
+
+// Drops anything malformed, and the oldest examples past MAX_EXAMPLES
+function normalizeFeedback(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return emptyFeedback();
+  const entries = Object.entries(raw)
+    .map(([url, ex]) => [url, normalizeExample(ex)])
+    .filter(([, ex]) => ex)
+    .sort((a, b) => b[1].at - a[1].at)
+    .slice(0, MAX_EXAMPLES);
+  return Object.fromEntries(entries);
+}
+
+// Returns new feedback with the verdict on url set (example: { name,
+// verdict, level, pts, rules }) or removed (example null)
+function withVerdict(feedback, url, example) {
+  const next = { ...normalizeFeedback(feedback) };
+  delete next[url];
+  const ex = example && normalizeExample({ ...example, at: Date.now() });
+  if (ex) next[url] = ex;
+  return normalizeFeedback(next);
+}
+
+// ─── Calibration ──────────────────────────────────────────────
+// A badge was a false alarm when it warned (medium / high) and the user
+// said wrong, a miss when it said low risk and the user said wrong.
+// Per rule, out of the recruiters it fired on:
+//   fpRate: false alarms among those it helped flag
+//   fnRate: misses among those it fired on without flagging
+// Rates are null until there is something to divide by.
+function flagged(ex) {
+  return ex.level === 'medium' || ex.level === 'high';
+}
+
+function rate(n, of) {
+  return of ? n / of : null;
+}
+
+function calibrate(feedback) {
+  const examples = Object.values(normalizeFeedback(feedback)).filter(ex => ex.level !== 'unknown');
+  const out = { total: examples.length, flagged: 0, fp: 0, fn: 0, rules: {} };
+  examples.forEach(ex => {
+    const isFlagged = flagged(ex);
+    const wrong = ex.verdict === 'wrong';
+    if (isFlagged) out.flagged++;
+    if (wrong && isFlagged) out.fp++;
+    if (wrong && !isFlagged) out.fn++;
+    ex.rules.forEach(path => {
+      const r = out.rules[path] = out.rules[path] || { fired: 0, flagged: 0, fp: 0, fn: 0 };
+      r.fired++;
+      if (isFlagged) r.flagged++;
+      if (wrong && isFlagged) r.fp++;
+      if (wrong && !isFlagged) r.fn++;
+    });
+  });
+  out.fpRate = rate(out.fp, out.flagged);
+  out.fnRate = rate(out.fn, out.total - out.flagged);
+  Object.values(out.rules).forEach(r => {
+    r.fpRate = rate(r.fp, r.flagged);
+    r.fnRate = rate(r.fn, r.fired - r.flagged);
+  });
+  return out;
+}
+
+// ─── Adaptation ───────────────────────────────────────────────
+// How much to scale a rule's weight by: misses push it up, false alarms
+// down, in proportion to how many of its verdicts they are
+function adaptFactor(r, credit = false) {
+  if (!r || r.fired < ADAPT.MIN_EXAMPLES) return 1;
+  const lean = (r.fn - r.fp) / r.fired * (credit ? -1 : 1);
+  return Math.min(ADAPT.MAX_FACTOR, Math.max(ADAPT.MIN_FACTOR, 1 + ADAPT.STEP * lean));
+}
+
+// cfg with every rule weight the verdicts have something to say about
+// scaled by its factor (whole points). cfg itself is left alone.
+function adaptWeights(cfg, feedback) {
+  const { rules } = calibrate(feedback);
+  const out = { ...cfg, WEIGHTS: { ...cfg.WEIGHTS }, SIGNAL_WEIGHTS: { ...cfg.SIGNAL_WEIGHTS }, PROFILE_WEIGHTS: { ...cfg.PROFILE_WEIGHTS } };
+  Object.entries(rules).forEach(([path, r]) => {
+    const [group, id] = path.split('.');
+    const base = getPath(cfg, path);
+    if (typeof base !== 'number') return;
+    out[group][id] = Math.round(base * adaptFactor(r, isCredit(path)));
+  });
+  return out;
+}
+
+// The calibration view: one row per rule with verdicts, most false alarms
+// and misses first, with the configured and the adapted weight
+function calibrationRows(cfg, feedback) {
+  const { rules } = calibrate(feedback);
+  const adapted = adaptWeights(cfg, feedback);
+  return Object.entries(rules)
+    .map(([path, r]) => ({ path, label: ruleLabel(path), ...r, base: getPath(cfg, path), weight: getPath(adapted, path) }))
+    .sort((a, b) => (b.fp + b.fn) - (a.fp + a.fn) || b.fired - a.fired || a.path.localeCompare(b.path));
+}
+
+// ─── Storage ──────────────────────────────────────────────────
+function loadFeedback() {
+  return new Promise(r => chrome.storage.local.get([FEEDBACK_KEY], d => r(normalizeFeedback(d[FEEDBACK_KEY]))));
+}
+
+function onFeedbackChange(cb) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[FEEDBACK_KEY]) cb(normalizeFeedback(changes[FEEDBACK_KEY].newValue));
+  });
+}
+
+// The detection config as scoring uses it: the stored one (settings.js)
+// with the verdicts' weights on top. The options page edits loadConfig()'s.
+async function loadScoringConfig() {
+  const [cfg, feedback] = await Promise.all([loadConfig(), loadFeedback()]);
+  return adaptWeights(cfg, feedback);
+}
+
+const api = {
+  FEEDBACK_KEY,
+  ADAPT,
+  MAX_EXAMPLES,
+  ruleLabel,
+  emptyFeedback,
+  normalizeFeedback,
+  withVerdict,
+  calibrate,
+  adaptFactor,
+  adaptWeights,
+  calibrationRows,
+  loadFeedback,
+  onFeedbackChange,
+  loadScoringConfig,
+};
+
+if (isNode) module.exports = api;
+else (root.FRD = root.FRD || {}).feedback = api;
+
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,206 @@
+/*  LinkedIn Fraud Job Detector — fingerprint.js
+    Near-duplicate detection for copy-pasted posts. Each post keeps a MinHash
+    of its full normalized text (the stored snippet is only 80 chars), and
+    posts from different accounts whose hashes mostly agree are clustered.
+*/
+
+(function(root) {
+'use strict';
+
+const HASHES = 16;      // MinHash size stored on each post
+const BANDS = 8;        // LSH: posts sharing any band are compared in full
+const SHINGLE = 3;      // words per shingle
+const MIN_WORDS = 12;   // shorter posts ("We're hiring! DM me") are too generic to compare
+const SIMILARITY = 0.75; // share of equal hashes ≈ Jaccard similarity of the texts
+
+// Lowercase, drop links, mentions, hashtags, digits and punctuation so that
+// "Apply: wa.me/91..." and "apply at wa.me/44..." read the same
+function normalizeText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+|www\.\S+|\S+@\S+/g, ' ')
+    .replace(/[@#]\S+/g, ' ')
+    .replace(/[^\p{L}\s]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// ─── Hashing ──────────────────────────────────────────────────
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// murmur3 finalizer, seeded once per MinHash slot
+function mix(h, seed) {
+  h = (h ^ Math.imul(seed, 0x9e3779b1)) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+// { fp: [HASHES numbers], words } or null when the text is too short
+function fingerprint(text) {
+  const words = normalizeText(text).split(' ').filter(Boolean);
+  if (words.length < MIN_WORDS) return null;
+  const fp = new Array(HASHES).fill(0xffffffff);
+  for (let i = 0; i + SHINGLE <= words.length; i++) {
+    const base = fnv1a(words.slice(i, i + SHINGLE).join(' '));
+    for (let k = 0; k < HASHES; k++) {
+      const v = mix(base, k + 1);
+      if (v < fp[k]) fp[k] = v;
+    }
+  }
+  return { fp, words: words.length };
+}
+
+function similarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let same = 0;
+  for (let i = 0; i < a.length; i++) if (a[i] === b[i]) same++;
+  return same / a.length;
+}
+
+// LSH bucket keys of a fingerprint: one per band of HASHES / BANDS hashes
+function bandKeys(fp) {
+  const rows = HASHES / BANDS;
+  const keys = [];
+  for (let b = 0; b < BANDS; b++) keys.push(b + ':' + fp.slice(b * rows, (b + 1) * rows).join(','));
+  return keys;
+}
+
+// ─── Clustering ───────────────────────────────────────────────
+// Groups near-identical posts across all recruiters. Only clusters spanning
+// at least minAccounts different profile URLs are returned, biggest first:
+//   [{ accounts: [{ url, name }], posts: [{ url, date, snippet }] }]
+function findClusters(all, minAccounts = 2) {
+  const items = [];
+  Object.entries(all).forEach(([url, rec]) => (rec.posts || []).forEach(p => {
+    if (Array.isArray(p.fp) && p.fp.length === HASHES) items.push({ url, name: rec.name || '', post: p });
+  }));
+
+  // Union-find over candidate pairs from the LSH buckets
+  const parent = items.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const buckets = new Map();
+  items.forEach((it, i) => bandKeys(it.post.fp).forEach(key => {
+    const bucket = buckets.get(key);
+    if (bucket) bucket.push(i); else buckets.set(key, [i]);
+  }));
+  buckets.forEach(bucket => {
+    for (let x = 1; x < bucket.length; x++) {
+      for (let y = 0; y < x; y++) {
+        const i = bucket[y], j = bucket[x];
+        if (find(i) !== find(j) && similarity(items[i].post.fp, items[j].post.fp) >= SIMILARITY) {
+          parent[find(j)] = find(i);
+        }
+      }
+    }
+  });
+
+  const groups = new Map();
+  items.forEach((it, i) => {
+    const g = find(i);
+    if (!groups.has(g)) groups.set(g, []);
+    groups.get(g).push(it);
+  });
+
+  return [...groups.values()]
+    .map(members => {
+      const accounts = new Map();
+      members.forEach(m => { if (!accounts.has(m.url)) accounts.set(m.url, { url: m.url, name: m.name }); });
+      return {
+        accounts: [...accounts.values()],
+        posts: members.map(m => ({ url: m.url, date: m.post.date, snippet: m.post.snippet || '' })),
+      };
+    })
+    .filter(c => c.accounts.length >= minAccounts)
+    .sort((a, b) => b.accounts.length - a.accounts.length || b.posts.length - a.posts.length);
+}
+
+// { url: number of accounts in the biggest cluster this recruiter is part of }
+// — the ctx.sharedText value score() expects. Pass clusters if already computed.
+function sharedTextIndex(all, clusters = findClusters(all)) {
+  const index = {};
+  clusters.forEach(c => c.accounts.forEach(({ url }) => {
+    index[url] = Math.max(index[url] || 0, c.accounts.length);
+  }));
+  return index;
+}
+
+// ─── Incremental index ────────────────────────────────────────
+// The background worker keeps every stored post in LSH buckets, updated
+// record by record, so one recruiter's ctx.sharedText is a walk over the
+// posts that look like theirs instead of a findClusters() pass over all.
+//   index: { buckets: Map(key → Set of items), byUrl: Map(url → [item]) },
+//   item: { url, fp }
+function textIndex(all = {}) {
+  const index = { buckets: new Map(), byUrl: new Map() };
+  Object.entries(all).forEach(([url, rec]) => indexPosts(index, url, rec));
+  return index;
+}
+
+// Replaces what the index holds for url with rec's posts (rec null: drops it)
+function indexPosts(index, url, rec) {
+  (index.byUrl.get(url) || []).forEach(it => bandKeys(it.fp).forEach(key => {
+    const bucket = index.buckets.get(key);
+    bucket.delete(it);
+    if (!bucket.size) index.buckets.delete(key);
+  }));
+  const items = ((rec && rec.posts) || [])
+    .filter(p => Array.isArray(p.fp) && p.fp.length === HASHES)
+    .map(p => ({ url, fp: p.fp }));
+  items.forEach(it => bandKeys(it.fp).forEach(key => {
+    const bucket = index.buckets.get(key);
+    if (bucket) bucket.add(it); else index.buckets.set(key, new Set([it]));
+  }));
+  if (items.length) index.byUrl.set(url, items); else index.byUrl.delete(url);
+}
+
+// sharedTextIndex(all)[url] from the index: the accounts in the biggest
+// cluster of url's posts, or undefined when none spans two accounts.
+// Clusters are what findClusters() joins: posts linked through similar ones.
+function sharedTextOf(index, url) {
+  const seen = new Set();
+  let best;
+  (index.byUrl.get(url) || []).forEach(start => {
+    if (seen.has(start)) return;
+    seen.add(start);
+    const accounts = new Set();
+    const todo = [start];
+    while (todo.length) {
+      const it = todo.pop();
+      accounts.add(it.url);
+      bandKeys(it.fp).forEach(key => index.buckets.get(key).forEach(other => {
+        if (seen.has(other) || similarity(it.fp, other.fp) < SIMILARITY) return;
+        seen.add(other);
+        todo.push(other);
+      }));
+    }
+    if (accounts.size >= 2) best = Math.max(best || 0, accounts.size);
+  });
+  return best;
+}
+
+const api = {
+  HASHES,
+  MIN_WORDS,
+  SIMILARITY,
+  normalizeText,
+  fingerprint,
+  similarity,
+  findClusters,
+  sharedTextIndex,
+  textIndex,
+  indexPosts,
+  sharedTextOf,
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = api;
+else (root.FRD = root.FRD || {}).fingerprint = api;
+
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,68 @@
+/*  LinkedIn Fraud Job Detector — jobs.js
+    Text parsing for LinkedIn Jobs pages (/jobs/view/, /jobs/search/).
+    content.js reads the DOM and hands the strings to these helpers; the
+    listing is then logged like any feed post, with the job ID, repost flag
+    and applicant count as meta (see recordPost in scoring.js).
+*/
+
+(function(root) {
+'use strict';
+
+function isJobsPage(pathname) {
+  return /^\/jobs\/(view|search|collections)\//.test(pathname || '');
+}
+
+// "https://www.linkedin.com/jobs/view/3812345678/?..." or "...?currentJobId=3812345678"
+function jobIdFromUrl(href) {
+  try {
+    const u = new URL(href, 'https://www.linkedin.com');
+    const m = u.pathname.match(/\/jobs\/view\/(?:[^/]*-)?(\d+)/);
+    return m ? m[1] : (u.searchParams.get('currentJobId') || null);
+  } catch (_) {
+    return null;
+  }
+}
+
+// The top card packs everything into one line:
+// "Bengaluru, India · Reposted 3 days ago · Over 100 applicants"
+function splitMeta(text) {
+  return (text || '').split(/[·•\n]/).map(s => s.trim()).filter(Boolean);
+}
+
+// The "… ago" part ("vor 3 Tagen", "il y a 2 jours", …), ready for parseRelativeDate
+function postedSegment(text) {
+  return splitMeta(text).find(s => /\bago\b|\bjust now\b|\bvor\b|il y a|\bhace\b|\bhá\s|पहले/i.test(s)) || null;
+}
+
+function isReposted(text) {
+  return /\breposted\b/i.test(text || '');
+}
+
+// Lower bound on applicants: "Over 100 applicants" → 100, "1,234 applicants" → 1234,
+// "Be among the first 25 applicants" → 0, "42 people clicked apply" → 42
+function parseApplicants(text) {
+  const t = (text || '').replace(/(\d),(\d)/g, '$1$2');
+  if (/among the first \d+ applicants/i.test(t)) return 0;
+  const m = t.match(/(\d+)\s+(?:applicants?|people clicked apply)/i);
+  return m ? parseInt(m[1], 10) : null;
+}
+
+// What gets stored and scanned for content signals
+function jobText(job) {
+  return [job.title, job.company, job.description].filter(Boolean).join('\n');
+}
+
+const api = {
+  isJobsPage,
+  jobIdFromUrl,
+  splitMeta,
+  postedSegment,
+  isReposted,
+  parseApplicants,
+  jobText,
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = api;
+else (root.FRD = root.FRD || {}).jobs = api;
+
+})(typeof self !== 'undefined' ? self : this);
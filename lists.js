@@ -0,0 +1,60 @@
+/*  LinkedIn Fraud Job Detector — lists.js
+    User-maintained trusted / blocked recruiter lists, keyed by profile URL.
+    Kept apart from recruiter records so clearing tracked data keeps the lists.
+    Writes go through the background worker ('setFlags', see store.js).
+*/
+
+(function(root) {
+'use strict';
+
+const LISTS_KEY = 'recruiterLists';
+const LIST_NAMES = ['trusted', 'blocked'];
+
+function emptyLists() {
+  return { trusted: {}, blocked: {} };
+}
+
+function normalizeLists(raw) {
+  const lists = emptyLists();
+  LIST_NAMES.forEach(n => { if (raw && raw[n] && typeof raw[n] === 'object') lists[n] = raw[n]; });
+  return lists;
+}
+
+// 'trusted' | 'blocked' | null
+function statusOf(lists, url) {
+  return LIST_NAMES.find(n => lists[n][url]) || null;
+}
+
+// Returns a new lists object with url moved to status (null = unlisted)
+function withStatus(lists, url, status, name = '') {
+  const next = normalizeLists(JSON.parse(JSON.stringify(lists)));
+  LIST_NAMES.forEach(n => { delete next[n][url]; });
+  if (status) next[status][url] = { name, at: Date.now() };
+  return next;
+}
+
+// ─── Storage ──────────────────────────────────────────────────
+function loadLists() {
+  return new Promise(r => chrome.storage.local.get([LISTS_KEY], d => r(normalizeLists(d[LISTS_KEY]))));
+}
+
+function onListsChange(cb) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[LISTS_KEY]) cb(normalizeLists(changes[LISTS_KEY].newValue));
+  });
+}
+
+const api = {
+  LISTS_KEY,
+  emptyLists,
+  normalizeLists,
+  statusOf,
+  withStatus,
+  loadLists,
+  onListsChange,
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = api;
+else (root.FRD = root.FRD || {}).lists = api;
+
+})(typeof self !== 'undefined' ? self : this);
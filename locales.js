@@ -0,0 +1,401 @@
+/*  LinkedIn Fraud Job Detector — locales.js
+    Language packs for reading LinkedIn in other UI languages: relative post
+    times ("2 Tg.", "il y a 3 j", "1 sem"), hiring keywords, role patterns and
+    the company a post claims to hire for (from its text or the author's
+    headline: "Recruiter at X", "bei X", "chez X"), and what a profile's top
+    card says (connection and follower counts, recruiter headlines).
+    The pack is picked from the page language; English is always tried as
+    well, since hashtags and job titles are often English anyway.
+
+    To add a language, add an entry to LOCALES with the same shape as 'en'.
+    UI strings are not here: they live in _locales/ (chrome.i18n, which
+    follows the browser language) and are read through t().
+*/
+
+(function(root) {
+'use strict';
+
+const DEFAULT_LOCALE = 'en';
+const FALLBACK_ROLE = 'Job Position';
+
+// A company name in running text: a run of capitalised words, for patterns
+// that can't rely on punctuation ("Join Acme Demo Labs as ...")
+const NAME = "([A-ZÀ-Ý0-9][\\w&.'’À-ÿ\\-]*(?:\\s+(?:[A-ZÀ-Ý0-9&][\\w&.'’À-ÿ\\-]*|of|and|de|du|des|la|und)){0,4})";
+// The rest of a labelled line ("Company: Acme Demo Labs Pvt Ltd"). Neither
+// this nor SEGMENT takes markup or double quotes: the name ends up in
+// badge reasons and banners.
+const REST = '([^\\n\\r|,!?•।<>"`]{2,50})';
+// The rest of a headline segment ("Talent Acquisition at Acme | Hiring")
+const SEGMENT = '([^|•,\\n<>"`]{2,50})';
+const re = (src, flags = '') => new RegExp(src, flags);
+
+// units: tried in order; each pattern captures the number.
+// 'now' has no number and means today.
+const LOCALES = {
+  en: {
+    now: /just now|moment|\bnow\b/,
+    units: [
+      ['year',   /(\d+)\s*y(?:ears?|rs?)?\b/],
+      ['month',  /(\d+)\s*mo(?:nths?)?\b/],
+      ['week',   /(\d+)\s*w(?:eeks?|k)?\b/],
+      ['day',    /(\d+)\s*d(?:ays?)?\b/],
+      ['hour',   /(\d+)\s*h(?:ours?|rs?)?\b/],
+      ['minute', /(\d+)\s*m(?:in(?:ute)?s?)?\b/],
+      ['second', /(\d+)\s*s(?:ec(?:ond)?s?)?\b/],
+    ],
+    keywords: [
+      'hiring','we are hiring','is hiring','#hiring','hiring for','we\'re hiring',
+      'join us','job opening','job opportunity','job vacancy','open position',
+      'immediate joiner','urgent hiring','looking for','vacancy','opening for',
+      'apply now','send your resume','send cv','share your resume','dm me',
+      'interested candidates','walk in','walkin','freshers','experienced',
+      'recruiter','recruitment','apply for','share cv','send resume',
+      'job role','opportunity for','position open','referral','referrals',
+      '#job','#jobs','#careers','#opening','dear connections','dear connection'
+    ],
+    rolePatterns: [
+      /(?:hiring|looking\s+for|opening\s+for|role\s*[:\-]?|position\s*[:\-]?)[\s:–\-]+([A-Za-z][\w\s\/\+\#]{2,45}?)(?:\s*[\n\r\|,!?]|$)/im,
+      /([A-Za-z][\w\s\/\+\#]{2,40}?)\s+(?:engineer|developer|analyst|designer|manager|lead|architect|consultant|specialist|intern|associate|executive|officer|tester|qa|devops|sde|swe)/i,
+      /#([A-Za-z][\w]{2,30}(?:Engineer|Developer|Analyst|Manager|Designer|Lead|Architect|Intern|Associate|Executive|Tester|QA|DevOps|SDE|SWE))/i,
+    ],
+    companyPatterns: [
+      re(`\\b(?:company|organi[sz]ation|employer|client)\\s*[:\\-–]\\s*${REST}`, 'i'),
+      re(`\\b(?:[Hh]iring|[Oo]penings?|[Vv]acanc(?:y|ies)|[Pp]ositions?|[Oo]pportunit(?:y|ies)|[Rr]oles?)\\s+(?:(?:at|with)\\s+|@\\s*)@?${NAME}`),
+      re(`\\b[Jj]oin\\s+(?![Uu]s\\b|[Oo]ur\\b|[Tt]he\\b|[Mm][ey]\\b|[Nn]ow\\b|[Tt]oday\\b)@?${NAME}`),
+    ],
+    headlinePatterns: [re(`\\s(?:at\\s+|@\\s*)${SEGMENT}`)],
+    recruiterTitle: /\b(?:recruit(?:er|ing|ment)?|hiring|talent acquisition|human resources|hr|staffing|headhunter)\b/i,
+    counts: { connections: /(\d[\d.,\s]*)\+?\s*connections?\b/, followers: /(\d[\d.,\s]*[km]?)\s*followers?\b/ },
+  },
+
+  hi: {
+    now: /अभी/,
+    units: [
+      ['year',   /(\d+)\s*(?:वर्ष|साल)/],
+      ['month',  /(\d+)\s*(?:महीने|महीना|माह)/],
+      ['week',   /(\d+)\s*(?:सप्ताह|हफ़्ते|हफ्ते|हफ़्ता|हफ्ता)/],
+      ['day',    /(\d+)\s*दिन/],
+      ['hour',   /(\d+)\s*घं/],
+      ['minute', /(\d+)\s*मि/],
+      ['second', /(\d+)\s*से/],
+    ],
+    keywords: [
+      'भर्ती','हायरिंग','नौकरी','रिक्ति','रिक्तियां','वैकेंसी','आवेदन करें',
+      'रिज्यूमे भेजें','बायोडाटा भेजें','हम भर्ती कर रहे हैं','इच्छुक उम्मीदवार',
+    ],
+    rolePatterns: [
+      // Devanagari (but the danda), ASCII letters and digits: no markup, quotes or line breaks
+      /(?:के\s+लिए\s+भर्ती|भर्ती|पद)\s*[:\-–]\s*([\u0900-\u0963\u0966-\u097F\w \/\+\#\-]{3,45})/,
+    ],
+    companyPatterns: [re(`(?:कंपनी|संस्था)\\s*[:\\-–]\\s*${REST}`)],
+    headlinePatterns: [],
+    recruiterTitle: /भर्ती|रिक्रूटर|एचआर|मानव संसाधन/,
+    counts: { connections: /(\d[\d.,\s]*)\+?\s*(?:कनेक्शन|संपर्क)/, followers: /(\d[\d.,\s]*[km]?)\s*(?:फ़ॉलोअर|फॉलोअर)/ },
+  },
+
+  de: {
+    now: /gerade eben|\bjetzt\b/,
+    units: [
+      ['year',   /(\d+)\s*(?:jahren?|jahr|j)\b/],
+      ['month',  /(\d+)\s*(?:monaten?|mon|mo)\b/],
+      ['week',   /(\d+)\s*(?:wochen?|wo)\b/],
+      ['day',    /(\d+)\s*(?:tagen?|tg|t)\b/],
+      ['hour',   /(\d+)\s*(?:stunden?|std)\b/],
+      ['minute', /(\d+)\s*min/],
+      ['second', /(\d+)\s*sek/],
+    ],
+    keywords: [
+      'wir stellen ein','wir suchen','stellenangebot','stellenanzeige','offene stelle',
+      'jetzt bewerben','bewirb dich','bewerbung','(m/w/d)','m/w/d','(w/m/d)','verstärkung',
+      '#wirstellenein','#jobangebot','#stellenangebot',
+    ],
+    rolePatterns: [
+      /(?:suchen|sucht|stellen)\s+(?:wir\s+)?(?:eine[nr]?\s+|ab sofort\s+)?([A-ZÄÖÜ][\wäöüßÄÖÜ\s\/\-]{2,45}?)\s*\((?:m\/w\/d|w\/m\/d|m\/f\/d)\)/,
+      /([A-ZÄÖÜ][\wäöüß\-]{1,30}(?:entwickler|ingenieur|berater|manager|leiter|analyst|architekt|designer)(?:in)?)\b/i,
+    ],
+    companyPatterns: [
+      re(`\\b(?:unternehmen|firma|arbeitgeber|kunde)\\s*[:\\-–]\\s*${REST}`, 'i'),
+      re(`\\b(?:[Bb]ewirb dich|[Bb]ewerben Sie sich|[Bb]ewerbung)\\s+bei\\s+${NAME}`),
+    ],
+    headlinePatterns: [re(`\\s(?:bei\\s+|@\\s*)${SEGMENT}`)],
+    recruiterTitle: /recruit|personalvermittl|personalberat|personalreferent|talent acquisition|headhunter|\bhr\b/i,
+    counts: { connections: /(\d[\d.,\s]*)\+?\s*kontakte?\b/, followers: /(\d[\d.,\s]*[km]?)\s*follower/ },
+  },
+
+  fr: {
+    now: /à l['’]instant|maintenant/,
+    units: [
+      ['year',   /(\d+)\s*(?:ans?|années?)\b/],
+      ['month',  /(\d+)\s*mois\b/],
+      ['week',   /(\d+)\s*sem(?:aines?)?\b/],
+      ['day',    /(\d+)\s*j(?:ours?)?\b/],
+      ['hour',   /(\d+)\s*h(?:eures?)?\b/],
+      ['minute', /(\d+)\s*min/],
+      ['second', /(\d+)\s*s(?:ec(?:ondes?)?)?\b/],
+    ],
+    keywords: [
+      'nous recrutons','on recrute','je recrute','recrutement','offre d\'emploi','offre d’emploi',
+      'poste à pourvoir','postulez','candidature','envoyez votre cv','(h/f)','h/f','(f/h)',
+      'rejoignez','#recrutement','#emploi',
+    ],
+    rolePatterns: [
+      /(?:recrutons|recherchons|recrute|cherchons)\s+(?:un(?:e)?\s+|des\s+)?([A-Za-zÀ-ÿ][\wÀ-ÿ\s\/\-]{2,45}?)(?:\s*\(?[hf]\/[hf]\)?|\s*[\n\r\|,!?.]|$)/i,
+      /((?:développeur|développeuse|ingénieur|chef de projet|consultant|consultante|analyste|commercial|commerciale)[\wÀ-ÿ\s\-]{0,30}?)(?:\s*[\n\r\|,!?.(]|$)/i,
+    ],
+    companyPatterns: [
+      re(`\\b(?:entreprise|société|client)\\s*[:\\-–]\\s*${REST}`, 'i'),
+      re(`\\b[Rr]ejoignez\\s+(?!-nous\\b|nous\\b|notre\\b|l['’]équipe\\b)${NAME}`),
+    ],
+    headlinePatterns: [re(`\\s(?:chez\\s+|@\\s*)${SEGMENT}`)],
+    recruiterTitle: /recrut|talent acquisition|ressources humaines|chasseu[rs]e? de têtes|\brh\b/i,
+    counts: { connections: /(\d[\d.,\s]*)\+?\s*relations?\b/, followers: /(\d[\d.,\s]*[km]?)\s*abonné/ },
+  },
+
+  es: {
+    now: /justo ahora|\bahora\b/,
+    units: [
+      ['year',   /(\d+)\s*(?:años?|a)\b/],
+      ['week',   /(\d+)\s*sem(?:anas?)?\b/],
+      ['month',  /(\d+)\s*(?:mes(?:es)?|m)\b/],
+      ['day',    /(\d+)\s*d(?:ías?|ias?)?\b/],
+      ['hour',   /(\d+)\s*h(?:oras?)?\b/],
+      ['minute', /(\d+)\s*min/],
+      ['second', /(\d+)\s*s(?:eg(?:undos?)?)?\b/],
+    ],
+    keywords: [
+      'estamos contratando','estamos buscando','buscamos','oferta de empleo','oferta laboral',
+      'vacante','vacantes','postúlate','postulate','envía tu cv','envia tu cv','únete a nuestro equipo',
+      'contratación','contratacion','#empleo','#vacante',
+    ],
+    rolePatterns: [
+      /(?:buscamos|contratando|vacante(?:\s+de|\s+para)?)\s*:?\s*(?:un(?:a)?\s+)?([A-Za-zÀ-ÿ][\wÀ-ÿ\s\/\-]{2,45}?)(?:\s*[\n\r\|,!?.]|$)/i,
+      /((?:desarrollador|desarrolladora|ingeniero|ingeniera|analista|diseñador|diseñadora|gerente|consultor|consultora)[\wÀ-ÿ\s\-]{0,30}?)(?:\s*[\n\r\|,!?.(]|$)/i,
+    ],
+    companyPatterns: [
+      re(`\\b(?:empresa|cliente)\\s*[:\\-–]\\s*${REST}`, 'i'),
+      re(`[Úú]nete\\s+a\\s+(?!nuestro\\b|nuestra\\b)${NAME}`),
+    ],
+    headlinePatterns: [re(`\\s(?:en\\s+|@\\s*)${SEGMENT}`)],
+    recruiterTitle: /reclut|selección de personal|talent acquisition|recursos humanos|headhunter|\brrhh\b/i,
+    counts: { connections: /(\d[\d.,\s]*)\+?\s*contactos?\b/, followers: /(\d[\d.,\s]*[km]?)\s*seguidores?\b/ },
+  },
+
+  pt: {
+    now: /\bagora\b/,
+    units: [
+      ['year',   /(\d+)\s*(?:anos?|a)\b/],
+      ['week',   /(\d+)\s*sem(?:anas?)?\b/],
+      ['month',  /(\d+)\s*(?:m[eê]s(?:es)?|m)\b/],
+      ['day',    /(\d+)\s*d(?:ias?)?\b/],
+      ['hour',   /(\d+)\s*h(?:oras?)?\b/],
+      ['minute', /(\d+)\s*min/],
+      ['second', /(\d+)\s*s(?:eg(?:undos?)?)?\b/],
+    ],
+    keywords: [
+      'estamos contratando','vaga','oportunidade de emprego','envie seu currículo',
+      'envie seu curriculo','candidate-se','contratação','contratacao','recrutamento',
+      'procuramos','#vagas','#emprego',
+    ],
+    rolePatterns: [
+      /(?:vaga(?:\s+para|\s+de)?|contratando|procuramos)\s*:?\s*(?:um(?:a)?\s+)?([A-Za-zÀ-ÿ][\wÀ-ÿ\s\/\-]{2,45}?)(?:\s*[\n\r\|,!?.]|$)/i,
+      /((?:desenvolvedor|desenvolvedora|engenheiro|engenheira|analista|designer|gerente|consultor|consultora)[\wÀ-ÿ\s\-]{0,30}?)(?:\s*[\n\r\|,!?.(]|$)/i,
+    ],
+    companyPatterns: [
+      re(`\\b(?:empresa|cliente)\\s*[:\\-–]\\s*${REST}`, 'i'),
+      re(`\\b[Vv]enha\\s+(?:para|trabalhar)\\s+(?:na|no|conosco\\s+na)\\s+${NAME}`),
+    ],
+    headlinePatterns: [re(`\\s(?:na\\s+|no\\s+|em\\s+|@\\s*)${SEGMENT}`)],
+    recruiterTitle: /recrut|talent acquisition|recursos humanos|headhunter|\brh\b/i,
+    counts: { connections: /(\d[\d.,\s]*)\+?\s*conex(?:ões|ão)/, followers: /(\d[\d.,\s]*[km]?)\s*seguidores?\b/ },
+  },
+};
+
+// 'de-DE' → 'de'; unknown languages → 'en'
+function pickLocale(lang) {
+  const base = String(lang || '').toLowerCase().split(/[-_]/)[0];
+  return LOCALES[base] ? base : DEFAULT_LOCALE;
+}
+
+// The page's pack first, then English
+function packsFor(locale) {
+  return locale && locale !== DEFAULT_LOCALE && LOCALES[locale]
+    ? [LOCALES[locale], LOCALES[DEFAULT_LOCALE]]
+    : [LOCALES[DEFAULT_LOCALE]];
+}
+
+// Local "YYYY-MM-DD", the way posts are dated and days are counted
+// (scoring.parsePostDate() reads them back as local noon)
+function localDate(ms) {
+  const d = new Date(ms);
+  const pad = v => String(v).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function todayStr(now = Date.now()) {
+  return localDate(now); // "2024-02-19"
+}
+
+// How precise a relative time is: "5h" and "2d" name the day, "2w", "3mo"
+// and "1yr" only the week or worse. slack: how much earlier the post may be
+// than the time worked out (LinkedIn rounds down: "2d" is 2 to 3 days ago).
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const UNIT_TIME = {
+  second: { precision: 'relative-day',  slack: MS_PER_DAY },
+  minute: { precision: 'relative-day',  slack: MS_PER_DAY },
+  hour  : { precision: 'relative-day',  slack: MS_PER_DAY },
+  day   : { precision: 'relative-day',  slack: MS_PER_DAY },
+  week  : { precision: 'relative-week', slack: 7 * MS_PER_DAY },
+  month : { precision: 'relative-week', slack: 31 * MS_PER_DAY },
+  year  : { precision: 'relative-week', slack: 366 * MS_PER_DAY },
+};
+
+// "2d" / "2 Tg." / "il y a 3 j" / "2 दिन" → { at (ms), precision, slack }, or
+// null if not a relative time. at is the latest the post can have been made.
+function parseRelativeTime(txt, locale = DEFAULT_LOCALE, now = Date.now()) {
+  if (!txt || typeof txt !== 'string') return null;
+  // Devanagari digits → ASCII
+  const t = txt.toLowerCase().trim().replace(/[०-९]/g, c => String(c.charCodeAt(0) - 0x966));
+
+  for (const pack of packsFor(locale)) {
+    if (pack.now.test(t)) return { at: now, ...UNIT_TIME.second };
+    for (const [unit, re] of pack.units) {
+      const m = t.match(re);
+      if (!m) continue;
+      const n = parseInt(m[1], 10);
+      const d = new Date(now);
+      if (unit === 'year') d.setFullYear(d.getFullYear() - n);
+      else if (unit === 'month') d.setMonth(d.getMonth() - n);
+      else if (unit === 'week') d.setDate(d.getDate() - n * 7);
+      else if (unit === 'day') d.setDate(d.getDate() - n);
+      else if (unit === 'hour') d.setHours(d.getHours() - n);
+      else if (unit === 'minute') d.setMinutes(d.getMinutes() - n);
+      return { at: d.getTime(), ...UNIT_TIME[unit] };
+    }
+  }
+  return null;
+}
+
+// The same, as the local "YYYY-MM-DD" it falls on
+function parseRelativeDate(txt, locale = DEFAULT_LOCALE, now = Date.now()) {
+  const time = parseRelativeTime(txt, locale, now);
+  return time ? localDate(time.at) : null;
+}
+
+function isJobPost(text, locale = DEFAULT_LOCALE) {
+  const lower = (text || '').toLowerCase();
+  return packsFor(locale).some(pack => pack.keywords.some(k => lower.includes(k)));
+}
+
+function extractRole(text, locale = DEFAULT_LOCALE) {
+  for (const pack of packsFor(locale)) {
+    for (const p of pack.rolePatterns) {
+      const m = (text || '').match(p);
+      if (m) {
+        const role = (m[1] || m[2] || '').trim().replace(/\s+/g, ' ');
+        if (role.length > 2 && role.length < 60) return role;
+      }
+    }
+  }
+  return FALLBACK_ROLE;
+}
+
+// Trims what a company pattern captured; null when nothing name-like is left
+function cleanCompany(raw) {
+  const name = String(raw || '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[@\s]+/, '')
+    .replace(/[\s.:;'’\-–]+$/, '')
+    .replace(/\s+(?:of|and|de|du|des|la|und)$/, '')
+    .trim();
+  return name.length >= 2 && name.length <= 50 && /\p{L}/u.test(name) && !/[<>"`]/.test(name) ? name : null;
+}
+
+function firstCapture(text, patterns) {
+  for (const p of patterns) {
+    const m = (text || '').match(p);
+    const name = m && cleanCompany(m[1]);
+    if (name) return name;
+  }
+  return null;
+}
+
+// "Company: Acme", "hiring at Acme", "Join Acme as ..." → 'Acme', or null
+function extractCompany(text, locale = DEFAULT_LOCALE) {
+  for (const pack of packsFor(locale)) {
+    const name = firstCapture(text, pack.companyPatterns);
+    if (name) return name;
+  }
+  return null;
+}
+
+// "HR Recruiter | Talent Acquisition at Acme" → 'Acme', or null
+function companyFromHeadline(headline, locale = DEFAULT_LOCALE) {
+  for (const pack of packsFor(locale)) {
+    const name = firstCapture(headline, pack.headlinePatterns);
+    if (name) return name;
+  }
+  return null;
+}
+
+// ─── Profile top card ─────────────────────────────────────────
+// "1,234" / "1.234" / "1 234" / "500" / "12K" / "1.2M" → number, or null
+function parseCount(raw) {
+  const m = String(raw || '').replace(/\s/g, '').toLowerCase().match(/^(\d+(?:[.,]\d+)*)([km]?)$/);
+  if (!m) return null;
+  if (m[2]) return Math.round(parseFloat(m[1].replace(',', '.')) * (m[2] === 'k' ? 1e3 : 1e6));
+  return parseInt(m[1].replace(/[.,]/g, ''), 10);
+}
+
+// kind: 'connections' | 'followers'. "500+ connections · 1,204 followers" /
+// "500+ Kontakte" / "1 234 abonnés" → 500 / 1204 / 1234, or null. "500+"
+// counts as 500: the profile may have more.
+function readCount(text, kind, locale = DEFAULT_LOCALE) {
+  const t = String(text || '').toLowerCase().replace(/[०-९]/g, c => String(c.charCodeAt(0) - 0x966));
+  for (const pack of packsFor(locale)) {
+    const m = t.match(pack.counts[kind]);
+    const n = m ? parseCount(m[1]) : null;
+    if (n !== null) return n;
+  }
+  return null;
+}
+
+// "Senior Technical Recruiter | Hiring" / "Personalberaterin" → true
+function isRecruiterHeadline(headline, locale = DEFAULT_LOCALE) {
+  return !!headline && packsFor(locale).some(pack => pack.recruiterTitle.test(headline));
+}
+
+// ─── UI strings ───────────────────────────────────────────────
+// t('notifyDone', 'high') → the message from _locales/<lang>/messages.json,
+// $1…$9 filled in from subs; the key itself when it is missing. Without
+// chrome.i18n (the Node tests) the English messages are read directly.
+const EN_MESSAGES = typeof module !== 'undefined' && module.exports ? require('./_locales/en/messages.json') : {};
+
+function t(key, ...subs) {
+  const i18n = typeof chrome !== 'undefined' && chrome.i18n;
+  if (i18n) return i18n.getMessage(key, subs.map(String)) || key;
+  const m = EN_MESSAGES[key];
+  return m ? m.message.replace(/\$(\d)/g, (_, n) => subs[n - 1] ?? '') : key;
+}
+
+const api = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  pickLocale,
+  localDate,
+  todayStr,
+  parseRelativeTime,
+  parseRelativeDate,
+  isJobPost,
+  extractRole,
+  extractCompany,
+  companyFromHeadline,
+  parseCount,
+  readCount,
+  isRecruiterHeadline,
+  t,
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = api;
+else (root.FRD = root.FRD || {}).locales = api;
+
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,307 @@
+/* options.js */
+const { score } = FRD.scoring;
+const { RULES: SIGNAL_RULES } = FRD.signals;
+const { RULES: PROFILE_RULES } = FRD.profile;
+const { PRESETS, WINDOW_MIN, presetConfig, matchPreset, loadConfig, saveConfig } = FRD.settings;
+const { MIN_DAYS, loadRetention, saveRetention } = FRD.retention;
+const { request } = FRD.store;
+const { sharedTextIndex } = FRD.fingerprint;
+const { impersonationIndex } = FRD.companies;
+const { DISPLAY_MODES, loadDisplayMode, saveDisplayMode } = FRD.ui;
+const { ALERT_SCOPES, loadAlertScope, saveAlertScope } = FRD.alerts;
+const { adaptWeights, loadFeedback } = FRD.feedback;
+const { emptyLists, statusOf, loadLists } = FRD.lists;
+
+// ─── Form layout ──────────────────────────────────────────────
+// window: true → { posts, days } pair; otherwise a single number at path
+const SECTIONS = [
+  { title: 'Fake-detection windows', fields: [
+    { path: 'FAKE_STRICT',          label: 'Definite fake',       window: true },
+    { path: 'FAKE_LIKELY',          label: 'Likely fake',         window: true },
+    { path: 'FAKE_SUSPICIOUS',      label: 'Suspicious',          window: true },
+    { path: 'FAKE_VERY_SUSPICIOUS', label: 'Very suspicious',     window: true },
+    { path: 'FAKE_WINDOW',          label: 'Weekly limit',        window: true },
+    { path: 'OBSERVED',             label: 'Since first seen',    window: true },
+    { path: 'ONLY_HIRING_THRESHOLD', label: 'Only-hiring posts',  hint: 'posts' },
+    { path: 'ONLY_HIRING_DAYS',     label: 'Only-hiring window',  hint: 'days' },
+    { path: 'RATIO_MIN_POSTS',      label: 'Hiring ratio needs',  hint: 'posts' },
+    { path: 'HIRING_RATIO',         label: 'Mostly hiring from',  hint: '%' },
+  ]},
+  { title: 'Pattern thresholds', fields: [
+    { path: 'DAILY_LIMIT',     label: 'Posts in one day',        hint: 'posts' },
+    { path: 'ROLE_VARIETY',    label: 'Different roles',         hint: 'roles' },
+    { path: 'SAME_REPEAT',     label: 'Same role repeated',      hint: 'times' },
+    { path: 'MANY_POSTS',      label: 'Many posts observed',     hint: 'posts' },
+    { path: 'VERY_MANY_POSTS', label: 'Very many posts observed', hint: 'posts' },
+    { path: 'SHARED_TEXT_ACCOUNTS', label: 'Same text from',     hint: 'accounts' },
+    { path: 'IMPERSONATION_ACCOUNTS', label: 'People hiring for one company', hint: 'accounts' },
+    { path: 'IMPERSONATION_FLAGGED', label: '…of them flagged',   hint: 'accounts' },
+    { path: 'PROFILE_MIN_CONNECTIONS', label: 'Profile connections below', hint: 'connections' },
+    { path: 'PROFILE_ACTIVITY_MIN', label: 'Profile activity needs', hint: 'posts' },
+  ]},
+  { title: 'Risk levels', fields: [
+    { path: 'LEVEL_HIGH',   label: 'High risk from',  hint: 'pts' },
+    { path: 'LEVEL_MEDIUM', label: 'Suspicious from', hint: 'pts' },
+  ]},
+  { title: 'Scoring weights', fields: [
+    { path: 'WEIGHTS.FAKE',            label: 'Fake window fired',        hint: 'pts' },
+    { path: 'WEIGHTS.DAILY',           label: 'Too many posts in a day',  hint: 'pts' },
+    { path: 'WEIGHTS.ROLE_VARIETY',    label: 'Too many different roles', hint: 'pts' },
+    { path: 'WEIGHTS.SAME_ROLE',       label: 'Same role repeated (each)', hint: 'pts' },
+    { path: 'WEIGHTS.ALL_HIRING',      label: 'Mostly hiring posts',      hint: 'pts' },
+    { path: 'WEIGHTS.MANY_POSTS',      label: 'Many posts observed',      hint: 'pts' },
+    { path: 'WEIGHTS.VERY_MANY_POSTS', label: 'Very many posts observed', hint: 'pts' },
+    { path: 'WEIGHTS.REPOSTED',        label: 'Job listing reposted',     hint: 'pts' },
+    { path: 'WEIGHTS.SHARED_TEXT',     label: 'Same text as other accounts', hint: 'pts' },
+    { path: 'WEIGHTS.IMPERSONATION',   label: 'Company impersonation',    hint: 'pts' },
+  ]},
+  { title: 'Content signal weights', fields: SIGNAL_RULES.map(r => (
+    { path: `SIGNAL_WEIGHTS.${r.id}`, label: `${r.emoji} ${r.label}`, hint: 'pts' }
+  ))},
+  { title: 'Profile signal weights', fields: PROFILE_RULES.map(r => (
+    { path: `PROFILE_WEIGHTS.${r.id}`, label: `${r.emoji} ${r.label}`, hint: r.credit ? 'pts off' : 'pts' }
+  ))},
+];
+
+// Not part of the detection config: presets and the preview ignore these
+const RETENTION_FIELDS = [
+  { key: 'POST_DAYS',    label: 'Keep posts for' },
+  { key: 'IDLE_DAYS',    label: 'Forget quiet low-risk recruiters after' },
+  { key: 'FLAGGED_DAYS', label: 'Keep high-risk / blocked recruiters for' },
+];
+
+const ALERT_LABELS = { watched: 'watched only', fake: 'watched + fake', off: 'off' };
+
+let savedCfg = null;
+let savedRetention = null;
+let savedDisplay = null;
+let displayChoice = null;
+let savedAlerts = null;
+let alertChoice = null;
+let recruiters = {};
+let shared = {};
+let verdicts = {};
+let lists = emptyLists();
+
+function getPath(obj, path) {
+  return path.split('.').reduce((o, k) => (o ? o[k] : undefined), obj);
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  keys.reduce((o, k) => (o[k] = o[k] || {}), obj)[last] = value;
+}
+
+function renderFields() {
+  document.getElementById('fields').innerHTML = SECTIONS.map(s => `
+    <div class="card">
+      <div class="card-title">${s.title}</div>
+      ${s.fields.map(f => f.window ? `
+        <div class="field">
+          <span class="field-label">${f.label}</span>
+          <input type="number" min="${WINDOW_MIN}" data-path="${f.path}.posts">
+          <span class="field-sep">posts in</span>
+          <input type="number" min="${WINDOW_MIN}" data-path="${f.path}.days">
+          <span class="field-sep">days</span>
+        </div>` : `
+        <div class="field">
+          <span class="field-label">${f.label}</span>
+          <input type="number" min="0" data-path="${f.path}">
+          <span class="field-hint">${f.hint}</span>
+        </div>`).join('')}
+    </div>`).join('');
+
+  document.getElementById('retentionFields').innerHTML = RETENTION_FIELDS.map(f => `
+    <div class="field">
+      <span class="field-label">${f.label}</span>
+      <input type="number" min="${MIN_DAYS}" data-retention="${f.key}">
+      <span class="field-hint">days</span>
+    </div>`).join('');
+
+  document.getElementById('presets').innerHTML = Object.keys(PRESETS)
+    .map(name => `<button class="preset-btn" data-preset="${name}">${name}</button>`).join('');
+
+  document.getElementById('displayModes').innerHTML = DISPLAY_MODES
+    .map(mode => `<button class="preset-btn" role="radio" data-display="${mode}">${mode}</button>`).join('');
+
+  document.getElementById('alertScopes').innerHTML = ALERT_SCOPES
+    .map(scope => `<button class="preset-btn" role="radio" data-alerts="${scope}">${ALERT_LABELS[scope]}</button>`).join('');
+}
+
+function fillDisplay(mode) {
+  displayChoice = mode;
+  document.querySelectorAll('[data-display]').forEach(btn => {
+    const on = btn.dataset.display === mode;
+    btn.classList.toggle('active', on);
+    btn.setAttribute('aria-checked', String(on));
+  });
+}
+
+function fillAlerts(scope) {
+  alertChoice = scope;
+  document.querySelectorAll('[data-alerts]').forEach(btn => {
+    const on = btn.dataset.alerts === scope;
+    btn.classList.toggle('active', on);
+    btn.setAttribute('aria-checked', String(on));
+  });
+}
+
+function fillForm(cfg) {
+  document.querySelectorAll('#fields input').forEach(input => {
+    input.value = getPath(cfg, input.dataset.path);
+  });
+  onFormChange();
+}
+
+function readForm() {
+  const cfg = JSON.parse(JSON.stringify(savedCfg));
+  document.querySelectorAll('#fields input').forEach(input => {
+    const v = Number(input.value);
+    // Raised to the input's min, the same floor mergeConfig applies
+    if (input.value !== '' && isFinite(v) && v >= 0) setPath(cfg, input.dataset.path, Math.max(Number(input.min) || 0, v));
+  });
+  return cfg;
+}
+
+function fillRetention(retention) {
+  document.querySelectorAll('#retentionFields input').forEach(input => {
+    input.value = retention[input.dataset.retention];
+    input.classList.remove('changed');
+  });
+}
+
+function readRetention() {
+  const retention = { ...savedRetention };
+  document.querySelectorAll('#retentionFields input').forEach(input => {
+    const v = Number(input.value);
+    if (input.value !== '' && isFinite(v)) retention[input.dataset.retention] = Math.max(MIN_DAYS, v);
+  });
+  return retention;
+}
+
+function levelOf(sc) {
+  return sc.isFake ? 'fake' : sc.level;
+}
+
+function renderPreview(cfg) {
+  // Badges score with the weights as the user's verdicts adapted them (feedback.js)
+  const before = adaptWeights(savedCfg, verdicts);
+  const after = adaptWeights(cfg, verdicts);
+  // Who counts as flagged, and so which companies look impersonated, moves with the config too
+  const impBefore = impersonationIndex(recruiters, before, lists, shared);
+  const impAfter = impersonationIndex(recruiters, after, lists, shared);
+  // Trusted and blocked recruiters keep the level their badge shows
+  const items = Object.entries(recruiters).map(([url, rec]) => ({
+    url,
+    name: rec.name || 'Unknown Recruiter',
+    before: levelOf(score(rec, before, { listStatus: statusOf(lists, url), sharedText: shared[url], impersonation: impBefore[url] })),
+    after: levelOf(score(rec, after, { listStatus: statusOf(lists, url), sharedText: shared[url], impersonation: impAfter[url] })),
+  }));
+
+  const count = (key, level) => items.filter(i => i[key] === level || (level === 'high' && i[key] === 'fake')).length;
+  const stat = (level, cls, label) => {
+    const after = count('after', level);
+    const delta = after - count('before', level);
+    return `<div class="stat">
+      <div class="stat-num ${cls}">${after}</div>
+      <div class="stat-lbl">${label}</div>
+      <div class="stat-delta">${delta ? (delta > 0 ? '+' : '') + delta : '±0'}</div>
+    </div>`;
+  };
+  document.getElementById('summary').innerHTML =
+    stat('high', 'red', '🚨 High Risk') + stat('medium', 'orange', '⚠️ Suspicious') + stat('low', 'green', '✅ Genuine');
+
+  const preview = document.getElementById('preview');
+  if (!items.length) {
+    preview.innerHTML = '<div class="empty">No recruiters tracked yet — browse LinkedIn to build a preview.</div>';
+    return;
+  }
+
+  // Re-classified recruiters first
+  items.sort((a, b) => (b.before !== b.after) - (a.before !== a.after) || a.name.localeCompare(b.name));
+  preview.innerHTML = items.map(i => `
+    <div class="preview-row${i.before !== i.after ? ' moved' : ''}">
+      <span class="preview-name">${i.name.replace(/</g, '&lt;')}</span>
+      <span class="lvl ${i.before}">${i.before}</span>
+      ${i.before !== i.after ? `<span class="arrow">→</span><span class="lvl ${i.after}">${i.after}</span>` : ''}
+    </div>`).join('');
+}
+
+function onFormChange() {
+  const cfg = readForm();
+  document.querySelectorAll('#fields input').forEach(input => {
+    input.classList.toggle('changed', getPath(cfg, input.dataset.path) !== getPath(savedCfg, input.dataset.path));
+  });
+  const preset = matchPreset(cfg);
+  document.querySelectorAll('#presets .preset-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.preset === preset);
+  });
+  renderPreview(cfg);
+}
+
+function showStatus(msg) {
+  const el = document.getElementById('status');
+  el.textContent = msg;
+  setTimeout(() => { el.textContent = ''; }, 3000);
+}
+
+async function init() {
+  renderFields();
+  savedCfg = await loadConfig();
+  savedRetention = await loadRetention();
+  savedDisplay = await loadDisplayMode();
+  savedAlerts = await loadAlertScope();
+  verdicts = await loadFeedback();
+  lists = await loadLists();
+  recruiters = (await request('getAllRecruiters')).data;
+  shared = sharedTextIndex(recruiters);
+  fillForm(savedCfg);
+  fillRetention(savedRetention);
+  fillDisplay(savedDisplay);
+  fillAlerts(savedAlerts);
+
+  document.getElementById('fields').addEventListener('input', onFormChange);
+  document.getElementById('retentionFields').addEventListener('input', e => {
+    const key = e.target.dataset.retention;
+    e.target.classList.toggle('changed', readRetention()[key] !== savedRetention[key]);
+  });
+
+  document.getElementById('presets').addEventListener('click', e => {
+    const name = e.target.dataset.preset;
+    if (name) fillForm(presetConfig(name));
+  });
+
+  document.getElementById('displayModes').addEventListener('click', e => {
+    if (e.target.dataset.display) fillDisplay(e.target.dataset.display);
+  });
+
+  document.getElementById('alertScopes').addEventListener('click', e => {
+    if (e.target.dataset.alerts) fillAlerts(e.target.dataset.alerts);
+  });
+
+  document.getElementById('saveBtn').addEventListener('click', async () => {
+    const cfg = readForm();
+    const retention = readRetention();
+    await saveConfig(cfg);
+    await saveRetention(retention);
+    await saveDisplayMode(displayChoice);
+    await saveAlertScope(alertChoice);
+    savedCfg = cfg;
+    savedRetention = retention;
+    savedDisplay = displayChoice;
+    savedAlerts = alertChoice;
+    onFormChange();
+    fillRetention(savedRetention);
+    showStatus('✅ Saved. Open LinkedIn tabs will update automatically.');
+  });
+
+  document.getElementById('revertBtn').addEventListener('click', () => {
+    fillForm(savedCfg);
+    fillRetention(savedRetention);
+    fillDisplay(savedDisplay);
+    fillAlerts(savedAlerts);
+  });
+}
+
+init();
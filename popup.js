@@ -1,71 +1,34 @@
 /* popup.js */
-const STORAGE_KEY = 'recruiterData';
-
-// Must match content.js scoring logic exactly
-function scoreRec(rec) {
-  const posts = rec.posts || [];
-  const firstSeen = rec.firstSeen || (Date.now() - 365 * 24 * 60 * 60 * 1000);
-  if (!posts.length) return { level: 'unknown', pts: 0, roles: [], isFake: false, recentCount: 0 };
-  
-  const now = Date.now();
-  const MS_PER_DAY = 24 * 60 * 60 * 1000;
-  
-  // Method 0: ALL posts are hiring (100% hiring ratio)
-  let isFake = false;
-  let recentCount = posts.length;
-  const daysSinceFirstSeen = (now - firstSeen) / MS_PER_DAY;
-  
-  if (posts.length >= 2 && daysSinceFirstSeen <= 7) {
-    // All tracked posts are hiring posts - very suspicious
-    isFake = true;
-  }
-  
-  // Method 1: Observation-based (3+ posts within 5 days of first seeing)
-  if (!isFake && firstSeen && posts.length >= 3 && daysSinceFirstSeen <= 5) {
-    isFake = true;
-  }
-  
-  // Method 2: Date-based with multiple windows
-  if (!isFake) {
-    const recent3 = posts.filter(p => {
-      try {
-        const d = new Date((p.date || '') + 'T12:00:00');
-        return !isNaN(d.getTime()) && d >= new Date(now - 3 * MS_PER_DAY);
-      } catch (_) { return false; }
-    });
-    const recent5 = posts.filter(p => {
-      try {
-        const d = new Date((p.date || '') + 'T12:00:00');
-        return !isNaN(d.getTime()) && d >= new Date(now - 5 * MS_PER_DAY);
-      } catch (_) { return false; }
-    });
-    const recent7 = posts.filter(p => {
-      try {
-        const d = new Date((p.date || '') + 'T12:00:00');
-        return !isNaN(d.getTime()) && d >= new Date(now - 7 * MS_PER_DAY);
-      } catch (_) { return false; }
-    });
-    recentCount = Math.max(recent3.length, recent5.length, recent7.length);
-    // Multiple thresholds
-    isFake = recent5.length >= 5 || recent5.length >= 4 || recent3.length >= 2 || recent7.length >= 5;
-  }
-  
-  let pts = isFake ? 100 : 0;
-  const byDate = {};
-  posts.forEach(p => { (byDate[p.date] = byDate[p.date] || []).push(p); });
-  const dayCounts = Object.values(byDate).map(a => a.length);
-  const maxDay = dayCounts.length ? Math.max(...dayCounts) : 0;
-  if (maxDay >= 2) pts += 40;
-  const roles = [...new Set(posts.map(p => p.role).filter(Boolean))];
-  if (roles.length >= 3) pts += 30; // Lowered from 4
-  const rc = {};
-  posts.forEach(p => { if (p.role) rc[p.role] = (rc[p.role]||0)+1; });
-  Object.values(rc).forEach(c => { if (c >= 2) pts += 25; });
-  if (posts.length >= 2) pts += 20; // All posts are hiring
-  if (posts.length >= 6) pts += 15;
-  if (posts.length >= 8) pts += 10;
-  const level = isFake || pts >= 45 ? 'high' : pts >= 20 ? 'medium' : 'low'; // Lowered thresholds
-  return { level, pts, roles, isFake, recentCount };
+const { score, windowReport, dailyActivity } = FRD.scoring;
+const { getRule } = FRD.signals;
+const { loadConfig } = FRD.settings;
+const { statusOf, loadLists } = FRD.lists;
+const { loadWatched } = FRD.alerts;
+const { adaptWeights, calibrate, calibrationRows, loadFeedback, loadScoringConfig } = FRD.feedback;
+const { buildExport, buildCSV, parseImport } = FRD.transfer;
+const { getStorageUsage } = FRD.retention;
+const { findClusters, sharedTextIndex } = FRD.fingerprint;
+const { rollUp } = FRD.companies;
+const { request } = FRD.store;
+const { t } = FRD.locales;
+
+// Static labels: data-i18n sets the text, data-i18n-title the tooltip
+function localizePage() {
+  document.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+  document.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+}
+
+// 'trusted' / 'blocked' in the UI language
+function listName(status) {
+  return t(`list_${status}`);
+}
+
+function countOf(n, one, many) {
+  return n === 1 ? t(one) : t(many, n);
+}
+
+async function getData() {
+  return (await request('getAllRecruiters')).data;
 }
 
 function showStatus(msg, color='#0a66c2') {
@@ -77,9 +40,133 @@ function showStatus(msg, color='#0a66c2') {
   setTimeout(() => el.classList.remove('show'), 3000);
 }
 
+// Trusted / blocked recruiters, including ones with no tracked posts
+function renderLists(lists) {
+  const entries = ['blocked', 'trusted'].flatMap(status =>
+    Object.entries(lists[status]).map(([url, info]) => ({ url, status, name: info.name || url.split('/').pop() })));
+  document.getElementById('listsHeader').style.display = entries.length ? '' : 'none';
+
+  const el = document.getElementById('userLists');
+  el.innerHTML = entries.map(({ url, status, name }) => `
+    <div class="list-entry" data-url="${encodeURIComponent(url)}">
+      <span class="list-entry-icon">${status === 'trusted' ? '🛡️' : '⛔'}</span>
+      <span class="list-entry-name">${esc(name)}</span>
+      <span class="list-entry-status ${status}">${listName(status)}</span>
+      <button class="rec-action" data-status="" title="${esc(t('actionRemove', listName(status)))}">✕</button>
+    </div>`).join('');
+}
+
+function esc(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Same post text from several accounts (fingerprint.js)
+function renderClusters(clusters) {
+  document.getElementById('clustersHeader').style.display = clusters.length ? '' : 'none';
+  const el = document.getElementById('clusters');
+  el.innerHTML = clusters.map(c => `
+    <div class="cluster">
+      <div class="cluster-title">📋 ${t('clusterTitle', c.accounts.length, c.posts.length)}</div>
+      <div class="cluster-snippet">“${esc(c.posts.find(p => p.snippet)?.snippet || '')}…”</div>
+      <div class="cluster-accounts">${c.accounts.map(a => `
+        <span class="cluster-account" data-url="${encodeURIComponent(a.url)}" title="${esc(a.url)}">${esc(a.name || a.url.split('/').pop())}</span>`).join('')}
+      </div>
+    </div>`).join('');
+  el.querySelectorAll('.cluster-account').forEach(a => {
+    a.addEventListener('click', () => showDetail(decodeURIComponent(a.dataset.url)));
+  });
+}
+
+// Companies several tracked people claim to hire for, impersonated ones first
+function renderCompanies(companies) {
+  const list = Object.values(companies).filter(c => c.people >= 2)
+    .sort((a, b) => b.impersonated - a.impersonated || b.flagged - a.flagged || b.people - a.people);
+  document.getElementById('companiesHeader').style.display = list.length ? '' : 'none';
+  const el = document.getElementById('companies');
+  el.innerHTML = list.map(c => `
+    <div class="cluster company${c.impersonated ? ' impersonated' : ''}">
+      <div class="cluster-title">${c.impersonated ? '🎭' : '🏢'} ${esc(c.name)}${c.impersonated ? ` <span class="company-tag">${esc(t('companyImpersonated'))}</span>` : ''}</div>
+      <div class="company-meta">${esc(t('companyMeta', c.people, c.flagged))}</div>
+      <div class="cluster-accounts">${c.accounts.map(a => `
+        <span class="cluster-account${a.flagged ? ' flagged' : ''}" data-url="${encodeURIComponent(a.url)}" title="${esc(a.url)}">${esc(a.name || a.url.split('/').pop())}</span>`).join('')}
+      </div>
+    </div>`).join('');
+  el.querySelectorAll('.cluster-account').forEach(a => {
+    a.addEventListener('click', () => showDetail(decodeURIComponent(a.dataset.url)));
+  });
+}
+
+// Badge verdicts (feedback.js): false alarms and misses per rule, and the
+// weight each rule scores with now against the one set in the options
+function percent(r) {
+  return r === null ? '–' : `${Math.round(r * 100)}%`;
+}
+
+function renderCalibration(cfg, feedback) {
+  const cal = calibrate(feedback);
+  document.getElementById('calibration').style.display = cal.total ? '' : 'none';
+  document.getElementById('calibrationSummary').textContent = t('calibrationSummary', cal.total, percent(cal.fpRate), percent(cal.fnRate));
+  const rows = calibrationRows(cfg, feedback);
+  document.getElementById('calibrationRules').innerHTML = rows.length ? `
+    <div class="calib-row calib-head">
+      <span class="calib-label">${t('calibrationRule')}</span>
+      <span title="${esc(t('calibrationFpTitle'))}">${t('calibrationFp')}</span>
+      <span title="${esc(t('calibrationFnTitle'))}">${t('calibrationFn')}</span>
+      <span class="calib-weight">${t('calibrationWeight')}</span>
+    </div>` + rows.map(r => `
+    <div class="calib-row${r.weight !== r.base ? ' adapted' : ''}">
+      <span class="calib-label" title="${esc(t('calibrationFired', r.fired))}">${esc(r.label)}</span>
+      <span>${percent(r.fpRate)}</span>
+      <span>${percent(r.fnRate)}</span>
+      <span class="calib-weight">${r.weight === r.base ? r.base : `${r.base} → ${r.weight}`}</span>
+    </div>`).join('') : `<div class="calib-row">${t('calibrationNoRules')}</div>`;
+}
+
+function bindListActions(container) {
+  container.querySelectorAll('.rec-action').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const row = btn.closest('[data-url]');
+      const url = decodeURIComponent(row.dataset.url);
+      const status = btn.dataset.status || null;
+      await request('setFlags', { url, status, name: row.dataset.name ? decodeURIComponent(row.dataset.name) : '' });
+      showStatus(status ? t('statusListed', listName(status)) : t('statusUnlisted'));
+      await render();
+    });
+  });
+}
+
+function formatBytes(n) {
+  return n >= 1048576 ? `${(n / 1048576).toFixed(1)} MB` : `${Math.ceil(n / 1024)} KB`;
+}
+
+async function renderStorage() {
+  const u = await getStorageUsage();
+  const pct = Math.min(100, Math.round(u.ratio * 100));
+  document.getElementById('storageText').textContent =
+    `💾 ${t('storageText', formatBytes(u.bytes), formatBytes(u.quota), pct)}` +
+    (u.warn ? ` — ${t('storageWarn')}` : '');
+  document.getElementById('storageFill').style.width = `${pct}%`;
+  document.getElementById('storageBar').classList.toggle('warn', u.warn);
+}
+
 async function render() {
-  const data = await new Promise(r => chrome.storage.local.get([STORAGE_KEY], d => r(d[STORAGE_KEY] || {})));
-  const items = Object.entries(data).map(([url, rec]) => ({ url, rec, sc: scoreRec(rec) }));
+  renderStorage();
+  renderDiagnostics();
+  renderPageFlags();
+
+  const data = await getData();
+  const baseCfg = await loadConfig();
+  const feedback = await loadFeedback();
+  const cfg = adaptWeights(baseCfg, feedback);
+  const lists = await loadLists();
+  const watched = await loadWatched();
+  const clusters = findClusters(data);
+  const shared = sharedTextIndex(data, clusters);
+  const { companies, impersonation } = rollUp(data, cfg, lists, shared);
+  const items = Object.entries(data).map(([url, rec]) => ({
+    url, rec, sc: score(rec, cfg, { listStatus: statusOf(lists, url), sharedText: shared[url], impersonation: impersonation[url] })
+  }));
 
   const high = items.filter(i => i.sc.level === 'high').length;
   const med  = items.filter(i => i.sc.level === 'medium').length;
@@ -90,12 +177,18 @@ async function render() {
   document.getElementById('sMed').textContent  = med;
   document.getElementById('sLow').textContent  = low;
 
+  renderLists(lists);
+  bindListActions(document.getElementById('userLists'));
+  renderClusters(clusters);
+  renderCompanies(companies);
+  renderCalibration(baseCfg, feedback);
+
   const list = document.getElementById('recruiterList');
 
   if (!items.length) {
     list.innerHTML = `<div class="empty">
       <div class="empty-icon">📋</div>
-      <div class="empty-text">No recruiters tracked yet.<br>Go to LinkedIn, scroll through job posts,<br>and they'll appear here automatically!</div>
+      <div class="empty-text">${esc(t('emptyList'))}</div>
     </div>`;
     return;
   }
@@ -103,79 +196,372 @@ async function render() {
   items.sort((a, b) => b.sc.pts - a.sc.pts);
 
   list.innerHTML = items.map(({ url, rec, sc }) => {
-    const name = rec.name || 'Unknown Recruiter';
+    const name = rec.name || t('unknownRecruiter');
     const initial = name.charAt(0).toUpperCase();
-    const icon = sc.isFake ? '🚨' : sc.level === 'high' ? '🚨' : sc.level === 'medium' ? '⚠️' : '✅';
+    const icon = levelIcon(sc);
     const posts = (rec.posts||[]).length;
     const roles = sc.roles.length;
-    const fakeLabel = sc.isFake ? ` · 🚨 FAKE (${sc.recentCount} posts in 5 days)` : '';
+    const fakeLabel = sc.listStatus ? ` · ${t('listedByYou', listName(sc.listStatus))}`
+                    : sc.isFake ? ` · 🚨 ${t('fakeMeta', sc.hiringAnalysis.count, sc.hiringAnalysis.days)}` : '';
+    const cls = sc.listStatus || (sc.isFake ? 'high' : sc.level);
+    const actions = sc.listStatus
+      ? `<button class="rec-action" data-status="" title="${esc(t('actionRemove', listName(sc.listStatus)))}">↺</button>`
+      : `<button class="rec-action" data-status="trusted" title="${esc(t('actionTrust'))}">🛡️</button>
+         <button class="rec-action" data-status="blocked" title="${esc(t('actionBlock'))}">⛔</button>`;
     return `
-      <div class="recruiter-item" data-url="${encodeURIComponent(url)}">
-        <div class="rec-avatar ${sc.isFake ? 'high' : sc.level}">${initial}</div>
+      <div class="recruiter-item" data-url="${encodeURIComponent(url)}" data-name="${encodeURIComponent(name)}">
+        <div class="rec-avatar ${cls}">${esc(initial)}</div>
         <div class="rec-info">
-          <div class="rec-name">${icon} ${name}${sc.isFake ? ' <span style="color:#d32f2f;font-weight:900;">[FAKE]</span>' : ''}</div>
-          <div class="rec-meta">${posts} post${posts!==1?'s':''} · ${roles} role${roles!==1?'s':''}${fakeLabel}</div>
+          <div class="rec-name">${icon} ${esc(name)}${watched[url] ? ' 👁️' : ''}${sc.isFake && !sc.listStatus ? ` <span style="color:#d32f2f;font-weight:900;">[${t('fakeTag')}]</span>` : ''}</div>
+          <div class="rec-meta">${countOf(posts, 'onePost', 'nPosts')} · ${countOf(roles, 'oneRole', 'nRoles')}${fakeLabel}</div>
         </div>
-        <div class="rec-badge ${sc.isFake ? 'high' : sc.level}">${sc.pts}</div>
+        <div class="rec-actions">${actions}</div>
+        <div class="rec-badge ${cls}">${sc.pts}</div>
       </div>`;
   }).join('');
 
   list.querySelectorAll('.recruiter-item').forEach(item => {
-    item.addEventListener('click', () => {
-      chrome.tabs.create({ url: decodeURIComponent(item.dataset.url) });
-    });
+    item.addEventListener('click', () => showDetail(decodeURIComponent(item.dataset.url)));
+  });
+  bindListActions(list);
+}
+
+// The active tab if it is a LinkedIn page, else null
+async function linkedInTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tab && tab.url && tab.url.includes('linkedin.com') ? tab : null;
+}
+
+// Asks the content script in tab; null when there is none (yet)
+async function askTab(tab, message) {
+  try {
+    return await chrome.tabs.sendMessage(tab.id, message);
+  } catch (_) {
+    return null;
+  }
+}
+
+// ─── On this page ─────────────────────────────────────────────
+// Flagged posts on the open LinkedIn tab, in page order (the toolbar badge
+// counts the same ones). A click scrolls the page to the post.
+const FLAG_ICONS = { fake: '🚨', high: '🚨', medium: '⚠️' };
+const FLAG_LABELS = { fake: 'fakeTag', high: 'statHigh', medium: 'statMedium' };
+
+async function renderPageFlags() {
+  const tab = await linkedInTab();
+  const flagged = (tab && await askTab(tab, { action: 'getFlagged' })) || [];
+  document.getElementById('pageHeader').style.display = flagged.length ? '' : 'none';
+
+  const el = document.getElementById('pageFlags');
+  el.innerHTML = flagged.map(({ id, flag, name, pts }) => `
+    <div class="list-entry flagged" data-id="${id}" role="button" tabindex="0" title="${esc(t('onPageScroll'))}">
+      <span class="list-entry-icon">${FLAG_ICONS[flag]}</span>
+      <span class="list-entry-name">${esc(name)}</span>
+      <span class="rec-badge ${flag === 'medium' ? 'medium' : 'high'}">${esc(t(FLAG_LABELS[flag]))} · ${pts}</span>
+    </div>`).join('');
+  el.querySelectorAll('.flagged').forEach(entry => {
+    const go = async () => {
+      await askTab(tab, { action: 'scrollToFlagged', id: Number(entry.dataset.id) });
+      window.close();
+    };
+    entry.addEventListener('click', go);
+    entry.addEventListener('keydown', e => { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); go(); } });
   });
 }
 
+// ─── Page diagnostics ─────────────────────────────────────────
+// What the content script can read on the open LinkedIn tab (diagnose() in
+// content.js), so "nothing suspicious" can be told from "blind on this layout"
+// Time spent reading, logging and badging, per post seen
+function msPerPost(perf) {
+  return ((perf.readMs + perf.storageMs + perf.badgeMs) / perf.posts).toFixed(1);
+}
+
+async function renderDiagnostics() {
+  const box = document.getElementById('diag');
+  const tab = await linkedInTab();
+  if (!tab) {
+    box.style.display = 'none';
+    return;
+  }
+  const d = await askTab(tab, { action: 'getDiagnostics' });
+  const summary = document.getElementById('diagSummary');
+  const body = document.getElementById('diagBody');
+  box.style.display = '';
+
+  if (!d) {
+    box.className = 'diag warn';
+    summary.textContent = `🩺 ${t('diagNoScript')}`;
+    body.innerHTML = '';
+    return;
+  }
+
+  const blind = d.found === 0;
+  const skipped = d.skipped.noText + d.skipped.notJob + d.skipped.noAuthor;
+  box.className = `diag${blind ? ' blind' : ''}`;
+  box.open = blind;
+  summary.textContent = blind ? `🙈 ${t('diagBlind')}` : `🩺 ${t('diagSummary', d.found, d.analyzed, skipped)}`;
+
+  const lines = [
+    blind && t('diagBlindHint'),
+    t('diagPage', d.page, d.version),
+    d.pending && t('diagPending', d.pending),
+    d.skipped.notJob && t('diagSkipNotJob', d.skipped.notJob),
+    d.skipped.noText && t('diagSkipNoText', d.skipped.noText),
+    d.skipped.noAuthor && t('diagSkipNoAuthor', d.skipped.noAuthor),
+    d.perf.posts && t('diagCost', msPerPost(d.perf), d.perf.batches, d.perf.logged, d.perf.cacheHits),
+  ].filter(Boolean);
+  const groups = d.selectors.map(g => {
+    const matched = g.matched.map(m =>
+      `<div class="diag-sel${m.fallback ? ' diag-fallback' : ''}">${esc(m.selector)} ×${m.count}${m.fallback ? ` (${esc(t('diagFallback'))})` : ''}</div>`).join('');
+    const miss = g.misses ? `<div class="diag-sel diag-miss">${esc(t('diagNoMatch'))} ×${g.misses}</div>` : '';
+    return `<div class="diag-group"><span class="diag-group-name">${esc(g.group)}</span><div class="diag-sels">${matched}${miss}</div></div>`;
+  }).join('');
+  body.innerHTML = lines.map(l => `<div class="diag-hint">${esc(l)}</div>`).join('') +
+    `<div class="detail-title">${esc(t('diagSelectors'))}</div>${groups}`;
+}
+
+// ─── Keyboard shortcuts ───────────────────────────────────────
+// Read from the browser, so bindings changed in its shortcut settings show here
+async function renderShortcuts() {
+  const commands = (await chrome.commands.getAll()).filter(c => c.name !== '_execute_action');
+  document.getElementById('shortcutList').innerHTML = commands.map(c => `
+    <div class="shortcut"><span>${esc(c.description)}</span><kbd>${esc(c.shortcut || t('shortcutUnset'))}</kbd></div>`).join('');
+}
+
+document.getElementById('shortcutsEdit').addEventListener('click', () => {
+  chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+});
+
+// ─── Recruiter detail view ────────────────────────────────────
+function levelIcon(sc) {
+  return sc.listStatus === 'trusted' ? '🛡️' : sc.listStatus === 'blocked' ? '⛔'
+       : sc.isFake || sc.level === 'high' ? '🚨' : sc.level === 'medium' ? '⚠️' : '✅';
+}
+
+// Long enough to show every detection window, and at least two weeks
+function timelineDays(cfg) {
+  const windows = ['FAKE_STRICT', 'FAKE_LIKELY', 'FAKE_SUSPICIOUS', 'FAKE_VERY_SUSPICIOUS', 'FAKE_WINDOW', 'OBSERVED'];
+  return Math.max(14, cfg.ONLY_HIRING_DAYS, ...windows.map(k => cfg[k].days));
+}
+
+function renderTimeline(rec, sc, cfg) {
+  const days = dailyActivity(rec.posts, timelineDays(cfg));
+  // Outline the days covered by the date window that fired, if any
+  const fired = sc.hiringAnalysis.window && sc.hiringAnalysis.window.startsWith('FAKE_') ? sc.hiringAnalysis.days : 0;
+  const cells = days.map((d, i) => {
+    const cls = d.count >= 3 ? 'c3' : d.count ? `c${d.count}` : '';
+    const inWindow = i >= days.length - fired ? ' in-window' : '';
+    return `<div class="heat-cell ${cls}${inWindow}" title="${d.date}: ${countOf(d.count, 'onePost', 'nPosts')}"></div>`;
+  }).join('');
+  return `<div class="heatmap">${cells}</div>
+    <div class="heat-axis"><span>${days[0].date}</span><span>${t('today')}</span></div>`;
+}
+
+function renderWindows(rec, cfg) {
+  return windowReport(rec.posts, rec.firstSeen, cfg, Date.now(), rec.other).map(w => `
+    <div class="window-row${w.fired ? ' fired' : w.met ? ' met' : ''}">
+      <span>${w.fired ? '🚨' : w.met ? '⚠️' : '·'}</span>
+      <span class="window-label">${w.label}</span>
+      <span class="window-rule">${w.rule}</span>
+      <span class="window-count">${w.count}/${w.needed}</span>
+    </div>`).join('');
+}
+
+function renderPosts(rec) {
+  const posts = [...(rec.posts || [])].sort((a, b) => (b.date || '').localeCompare(a.date || '') || (b.ts || 0) - (a.ts || 0));
+  return posts.map(p => {
+    const tags = [
+      ...(p.signals || []).map(id => getRule(id)).filter(Boolean).map(r => `<span title="${esc(r.label)}">${r.emoji}</span>`),
+      p.reposted ? `<span title="${esc(t('reposted'))}">🔁</span>` : '',
+      p.applicants != null ? `<span title="${esc(t('applicants'))}">👥 ${p.applicants}</span>` : '',
+      p.company ? `<span title="${esc(t('companiesHeader'))}">🏢 ${esc(p.company)}</span>` : '',
+    ].join(' ');
+    return `
+      <div class="detail-post">
+        <div class="detail-post-head"><span class="detail-post-date">${esc(p.date || '?')}</span><span>${esc(p.role || '')}</span><span>${tags}</span></div>
+        ${p.snippet ? `<div class="detail-post-snippet">${esc(p.snippet)}…</div>` : ''}
+      </div>`;
+  }).join('') || `<div class="detail-reason">${t('noPosts')}</div>`;
+}
+
+async function showDetail(url) {
+  const data = await getData();
+  const rec = data[url];
+  if (!rec) return showStatus(t('notTracked'), 'red');
+  const cfg = await loadScoringConfig();
+  const lists = await loadLists();
+  const shared = sharedTextIndex(data);
+  const impersonation = rollUp(data, cfg, lists, shared).impersonation[url];
+  const sc = score(rec, cfg, { listStatus: statusOf(lists, url), sharedText: shared[url], impersonation });
+  const cls = sc.listStatus || (sc.isFake ? 'high' : sc.level);
+  const verdict = sc.listStatus ? t('listedByYou', listName(sc.listStatus))
+                : sc.isFake ? t('verdictFake', sc.hiringAnalysis.reason, sc.hiringAnalysis.confidence)
+                : t('verdictRisk', t(`level_${sc.level}`));
+
+  document.getElementById('detailName').textContent = rec.name || t('unknownRecruiter');
+  document.getElementById('detailProfile').href = url;
+  const watch = document.getElementById('detailWatch');
+  watch.dataset.url = url;
+  watch.dataset.name = rec.name || '';
+  watch.setAttribute('aria-pressed', String(!!(await loadWatched())[url]));
+  document.getElementById('detailBody').innerHTML = `
+    <div class="detail-card">
+      <div class="verdict"><span>${levelIcon(sc)}</span><span>${esc(verdict)}</span><span class="rec-badge ${cls}">${sc.pts}</span></div>
+    </div>
+    <div class="detail-card">
+      <div class="detail-title">${t('activityTitle', timelineDays(cfg))}</div>
+      ${renderTimeline(rec, sc, cfg)}
+    </div>
+    <div class="detail-card">
+      <div class="detail-title">${t('windowsTitle')}</div>
+      ${renderWindows(rec, cfg)}
+    </div>
+    <div class="detail-card">
+      <div class="detail-title">${t('reasonsTitle')}</div>
+      ${sc.reasons.map(r => `<div class="detail-reason">• ${esc(r)}</div>`).join('') || `<div class="detail-reason">${t('noPatterns')}</div>`}
+    </div>
+    <div class="detail-card">
+      <div class="detail-title">${t('postsTitle', (rec.posts || []).length)}</div>
+      ${renderPosts(rec)}
+    </div>`;
+
+  document.getElementById('mainView').style.display = 'none';
+  document.getElementById('detailView').style.display = '';
+  window.scrollTo(0, 0);
+}
+
+// Watch / unwatch: desktop alerts on every step up in risk (alerts.js)
+document.getElementById('detailWatch').addEventListener('click', async e => {
+  const btn = e.currentTarget;
+  const on = btn.getAttribute('aria-pressed') !== 'true';
+  await request('setWatched', { url: btn.dataset.url, on, name: btn.dataset.name });
+  btn.setAttribute('aria-pressed', String(on));
+  showStatus(t(on ? 'notifyWatching' : 'notifyUnwatched', btn.dataset.name || t('unknownRecruiter')));
+  render();
+});
+
+document.getElementById('backBtn').addEventListener('click', () => {
+  document.getElementById('detailView').style.display = 'none';
+  document.getElementById('mainView').style.display = '';
+});
+
 // Scan button
 document.getElementById('scanBtn').addEventListener('click', async () => {
   const btn = document.getElementById('scanBtn');
   btn.disabled = true;
-  btn.textContent = '⏳ Scanning...';
+  btn.textContent = `⏳ ${t('scanning')}`;
 
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
   if (!tab.url || !tab.url.includes('linkedin.com')) {
-    showStatus('⚠️ Please navigate to LinkedIn first!', 'red');
+    showStatus(`⚠️ ${t('needLinkedIn')}`, 'red');
     btn.disabled = false;
-    btn.textContent = '🔍 Scan This Page Now';
+    btn.textContent = `🔍 ${t('scanNow')}`;
     return;
   }
 
   try {
     const resp = await chrome.tabs.sendMessage(tab.id, { action: 'scan' });
-    showStatus('✅ Scan complete! Badges added to job posts.');
+    showStatus(`✅ ${t('scanComplete')}`);
     await render();
   } catch (e) {
     // Content script might not be ready yet — inject it
     try {
-      await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['content.js'] });
-      await chrome.scripting.insertCSS({ target: { tabId: tab.id }, files: ['content.css'] });
+      await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: chrome.runtime.getManifest().content_scripts[0].js });
       setTimeout(async () => {
         try {
           await chrome.tabs.sendMessage(tab.id, { action: 'scan' });
-          showStatus('✅ Scan complete!');
+          showStatus(`✅ ${t('scanCompleteShort')}`);
           await render();
         } catch (_) {
-          showStatus('⚠️ Could not scan. Try refreshing the LinkedIn page.', 'red');
+          showStatus(`⚠️ ${t('scanFailed')}`, 'red');
         }
       }, 1500);
     } catch (_) {
-      showStatus('⚠️ Error. Refresh LinkedIn and try again.', 'red');
+      showStatus(`⚠️ ${t('scanError')}`, 'red');
     }
   }
 
   btn.disabled = false;
-  btn.textContent = '🔍 Scan This Page Now';
+  btn.textContent = `🔍 ${t('scanNow')}`;
+});
+
+// Settings button
+document.getElementById('settingsBtn').addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
+// Export / import
+function download(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportName(ext) {
+  return `linkedin-fraud-detector-${new Date().toISOString().slice(0, 10)}.${ext}`;
+}
+
+document.getElementById('exportJsonBtn').addEventListener('click', async () => {
+  const json = buildExport(await getData(), await loadScoringConfig(), await loadLists());
+  download(exportName('json'), JSON.stringify(json, null, 2), 'application/json');
+  showStatus(`⬇ ${t('exportedJson', json.recruiters.length)}`);
+});
+
+document.getElementById('exportCsvBtn').addEventListener('click', async () => {
+  download(exportName('csv'), buildCSV(await getData(), await loadScoringConfig(), await loadLists()), 'text/csv');
+  showStatus(`⬇ ${t('exportedCsv')}`);
+});
+
+document.getElementById('importBtn').addEventListener('click', () => {
+  document.getElementById('importFile').click();
+});
+
+document.getElementById('importFile').addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  try {
+    const exported = parseImport(await file.text());
+    const { stats } = await request('importData', { exported });
+    await render();
+    showStatus(`⬆ ${t('imported', stats.recruitersAdded, stats.recruitersMerged, stats.recruitersSkipped,
+      stats.postsAdded, stats.postsSkipped)}`);
+  } catch (err) {
+    showStatus(`⚠️ ${t('importFailed', err.message)}`, 'red');
+  }
+});
+
+// Clean up button: same pass as the daily alarm in background.js
+document.getElementById('pruneBtn').addEventListener('click', async () => {
+  const { stats } = await request('pruneData');
+  await render();
+  showStatus(stats.postsRemoved || stats.recruitersRemoved
+    ? `🧹 ${t('pruned', stats.postsRemoved, stats.recruitersRemoved)}`
+    : `🧹 ${t('pruneNothing')}`);
+});
+
+// Forget every verdict: scoring goes back to the weights in the options
+document.getElementById('calibrationReset').addEventListener('click', async () => {
+  if (!confirm(t('confirmCalibrationReset'))) return;
+  await request('resetFeedback');
+  await render();
+  showStatus(`🎯 ${t('calibrationResetDone')}`);
 });
 
 // Clear button
 document.getElementById('clearBtn').addEventListener('click', async () => {
-  if (!confirm('Clear all tracked recruiter data?')) return;
-  await chrome.storage.local.set({ [STORAGE_KEY]: {} });
+  if (!confirm(t('confirmClear'))) return;
+  await request('clearData');
   await render();
-  showStatus('🗑 Data cleared.');
+  showStatus(`🗑 ${t('cleared')}`);
 });
 
 // Init
+localizePage();
 render();
+renderShortcuts();
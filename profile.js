@@ -0,0 +1,127 @@
+/*  LinkedIn Fraud Job Detector — profile.js
+    Account signals read off a recruiter's own /in/ page (content.js reads
+    the page, store.saveProfile() keeps the result on the record as
+    rec.profile). Like signals.js, each rule is data: score() adds the
+    weight of every rule that holds, and the options page lists them.
+*/
+
+(function(root) {
+'use strict';
+
+const { t } = typeof module !== 'undefined' && module.exports ? require('./locales.js') : root.FRD.locales;
+
+// ─── Rules ────────────────────────────────────────────────────
+// id     : stable key (user-tunable weight: CFG.PROFILE_WEIGHTS[id])
+// label  : reason shown in the badge and the profile panel, in the UI language
+// weight : default points; credit rules take them off instead
+// test   : (profile, cfg) → true when the rule holds. Fields the page
+//          didn't show are null, and null never makes a rule hold.
+const RULES = [
+  {
+    id: 'no_photo',
+    emoji: '👤',
+    label: t('profileRule_no_photo'),
+    weight: 15,
+    test: p => p.photo === false,
+  },
+  {
+    id: 'no_experience',
+    emoji: '📄',
+    label: t('profileRule_no_experience'),
+    weight: 20,
+    test: p => p.experience === 0,
+  },
+  {
+    id: 'few_connections',
+    emoji: '🔗',
+    label: t('profileRule_few_connections'),
+    weight: 15,
+    test: (p, cfg) => p.connections !== null && p.connections < cfg.PROFILE_MIN_CONNECTIONS,
+    detail: p => ` (${p.connections})`,
+  },
+  {
+    id: 'no_company',
+    emoji: '🏷️',
+    label: t('profileRule_no_company'),
+    weight: 15,
+    test: p => p.recruiter === true && !p.company,
+  },
+  {
+    id: 'activity_hiring',
+    emoji: '📢',
+    label: t('profileRule_activity_hiring'),
+    weight: 15,
+    test: (p, cfg) => !!p.activity && p.activity.total >= cfg.PROFILE_ACTIVITY_MIN && p.activity.hiring === p.activity.total,
+    detail: p => ` (${t('nPosts', p.activity.total)})`,
+  },
+  {
+    id: 'verified',
+    emoji: '✔️',
+    label: t('profileRule_verified'),
+    weight: 15,
+    credit: true,
+    test: p => p.verified === true,
+  },
+];
+
+// ─── Record shape ─────────────────────────────────────────────
+// rec.profile: { headline, company, recruiter, connections, followers,
+//   verified, photo, experience, activity: { hiring, total }, checkedAt }
+// Anything missing or malformed becomes null, so a message from the page
+// or an imported file can't put junk on a record.
+function normalizeProfile(raw, now = Date.now()) {
+  const p = raw && typeof raw === 'object' ? raw : {};
+  const str = (v, max) => typeof v === 'string' && v.trim() ? v.trim().replace(/\s+/g, ' ').slice(0, max) : null;
+  const count = v => Number.isInteger(v) && v >= 0 ? v : null;
+  const bool = v => typeof v === 'boolean' ? v : null;
+  const a = p.activity;
+  const activity = a && count(a.hiring) !== null && count(a.total) !== null && a.hiring <= a.total
+    ? { hiring: a.hiring, total: a.total } : null;
+  return {
+    headline: str(p.headline, 200),
+    company: str(p.company, 80),
+    recruiter: bool(p.recruiter),
+    connections: count(p.connections),
+    followers: count(p.followers),
+    verified: bool(p.verified),
+    photo: bool(p.photo),
+    experience: count(p.experience),
+    activity,
+    checkedAt: typeof p.checkedAt === 'number' ? p.checkedAt : now,
+  };
+}
+
+// Same account signals, whenever they were read
+function sameProfile(a, b) {
+  if (!a || !b) return false;
+  const strip = ({ checkedAt, ...rest }) => JSON.stringify(rest);
+  return strip(a) === strip(b);
+}
+
+// ─── Analyzer ─────────────────────────────────────────────────
+// { pts, reasons, hits: [rule id] } for a normalized profile; credit rules
+// make pts go down, and reasons show them with their minus sign
+function profileRisk(profile, cfg, rules = RULES) {
+  const out = { pts: 0, reasons: [], hits: [] };
+  if (!profile) return out;
+  rules.forEach(r => {
+    if (!r.test(profile, cfg)) return;
+    const weight = cfg.PROFILE_WEIGHTS?.[r.id] ?? r.weight;
+    out.pts += r.credit ? -weight : weight;
+    out.hits.push(r.id);
+    out.reasons.push(`${r.emoji} ${r.label}${r.detail ? r.detail(profile) : ''}${r.credit ? ` (${t('creditPts', weight)})` : ''}`);
+  });
+  return out;
+}
+
+const api = {
+  RULES,
+  normalizeProfile,
+  sameProfile,
+  profileRisk,
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = api;
+else (root.FRD = root.FRD || {}).profile = api;
+
+})(typeof self !== 'undefined' ? self : this);
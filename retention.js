@@ -0,0 +1,121 @@
+/*  LinkedIn Fraud Job Detector — retention.js
+    Ages out old posts and idle recruiters so storage doesn't grow forever.
+    Detection only looks at the last few days, so the defaults keep far more
+    than scoring needs; flagged recruiters are kept longer as evidence.
+*/
+
+(function(root) {
+'use strict';
+
+const isNode = typeof module !== 'undefined' && module.exports;
+const { score, parsePostDate } = isNode ? require('./scoring.js') : root.FRD.scoring;
+const { statusOf } = isNode ? require('./lists.js') : root.FRD.lists;
+const { sharedTextIndex } = isNode ? require('./fingerprint.js') : root.FRD.fingerprint;
+
+const RETENTION_KEY = 'retentionConfig';
+
+const DEFAULT_RETENTION = {
+  POST_DAYS    : 60,  // drop posts older than this
+  IDLE_DAYS    : 30,  // drop low-risk recruiters with no post seen for this long
+  FLAGGED_DAYS : 180, // posts and recruiters that are high risk / fake / blocked
+};
+
+// Never prune inside the widest detection window
+const MIN_DAYS = 14;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Storage usage above this share of the quota shows a warning
+const WARN_RATIO = 0.8;
+
+function normalizeRetention(raw) {
+  const out = {};
+  Object.entries(DEFAULT_RETENTION).forEach(([k, v]) => {
+    const o = raw ? raw[k] : undefined;
+    out[k] = typeof o === 'number' && isFinite(o) ? Math.max(MIN_DAYS, Math.round(o)) : v;
+  });
+  return out;
+}
+
+// When a post was made (its date) or, failing that, when we logged it
+function postTime(p) {
+  const d = parsePostDate(p);
+  return d ? d.getTime() : (p.ts || 0);
+}
+
+// When we last saw this recruiter post anything
+function lastSeen(rec) {
+  return Math.max(rec.firstSeen || 0, ...(rec.posts || []).map(p => p.ts || 0));
+}
+
+// Works out what to drop without touching storage or the input:
+//   changed → { url: rec } for recruiters that lost some posts
+//   removed → URLs of recruiters to delete outright
+// Blocked recruiters score as fake, so they count as flagged here.
+function pruneRecords(all, retention, cfg, lists, now = Date.now()) {
+  const changed = {};
+  const removed = [];
+  let postsRemoved = 0;
+  const shared = sharedTextIndex(all);
+
+  Object.entries(all).forEach(([url, rec]) => {
+    const sc = score(rec, cfg, { listStatus: statusOf(lists, url), sharedText: shared[url], now });
+    const flagged = sc.isFake || sc.level === 'high';
+    const postDays = flagged ? retention.FLAGGED_DAYS : retention.POST_DAYS;
+    const idleDays = flagged ? retention.FLAGGED_DAYS
+                   : sc.level === 'low' || sc.level === 'unknown' ? retention.IDLE_DAYS
+                   : retention.POST_DAYS;
+
+    const posts = rec.posts || [];
+    const kept = posts.filter(p => now - postTime(p) <= postDays * MS_PER_DAY);
+    // Other posts age out with the job posts, so the hiring ratio covers one span
+    const other = rec.other || [];
+    const otherKept = other.filter(p => now - postTime(p) <= postDays * MS_PER_DAY);
+    const idle = now - lastSeen(rec) > idleDays * MS_PER_DAY;
+
+    // No job post left means no record, other posts and all: records are
+    // only made for people seen hiring (store.logPosts), and a hiring ratio
+    // with no hiring in it says nothing
+    if (!kept.length || idle) {
+      removed.push(url);
+      postsRemoved += posts.length;
+    } else if (kept.length < posts.length || otherKept.length < other.length) {
+      changed[url] = { ...rec, posts: kept, ...(rec.other && { other: otherKept }) };
+      postsRemoved += posts.length - kept.length;
+    }
+  });
+
+  return { changed, removed, stats: { postsRemoved, recruitersRemoved: removed.length } };
+}
+
+// ─── Storage ──────────────────────────────────────────────────
+function loadRetention() {
+  return new Promise(r => chrome.storage.local.get([RETENTION_KEY], d => r(normalizeRetention(d[RETENTION_KEY]))));
+}
+
+function saveRetention(retention) {
+  return new Promise(r => chrome.storage.local.set({ [RETENTION_KEY]: normalizeRetention(retention) }, r));
+}
+
+// { bytes, quota, ratio, warn }
+function getStorageUsage() {
+  return new Promise(r => chrome.storage.local.getBytesInUse(null, bytes => {
+    const quota = chrome.storage.local.QUOTA_BYTES || 10485760;
+    r({ bytes, quota, ratio: bytes / quota, warn: bytes / quota >= WARN_RATIO });
+  }));
+}
+
+const api = {
+  RETENTION_KEY,
+  DEFAULT_RETENTION,
+  MIN_DAYS,
+  normalizeRetention,
+  pruneRecords,
+  loadRetention,
+  saveRetention,
+  getStorageUsage,
+};
+
+if (isNode) module.exports = api;
+else (root.FRD = root.FRD || {}).retention = api;
+
+})(typeof self !== 'undefined' ? self : this);
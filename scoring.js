@@ -0,0 +1,563 @@
+/*  LinkedIn Fraud Job Detector — scoring.js
+    Shared scoring engine. Loaded by content.js (manifest), popup.html,
+    background.js (importScripts) and the Node test suite (require).
+*/
+
+(function(root) {
+'use strict';
+
+const { RULES: SIGNAL_RULES, analyzeText, getRule } = typeof module !== 'undefined' && module.exports
+  ? require('./signals.js')
+  : root.FRD.signals;
+const { fingerprint } = typeof module !== 'undefined' && module.exports
+  ? require('./fingerprint.js')
+  : root.FRD.fingerprint;
+const { RULES: PROFILE_RULES, profileRisk } = typeof module !== 'undefined' && module.exports
+  ? require('./profile.js')
+  : root.FRD.profile;
+const { t } = typeof module !== 'undefined' && module.exports
+  ? require('./locales.js')
+  : root.FRD.locales;
+
+// ─── Config ───────────────────────────────────────────────────
+const CFG = {
+  DAILY_LIMIT   : 2,   // >2 posts in one day → suspicious (stricter)
+  ROLE_VARIETY  : 3,   // >3 different roles   → suspicious (lowered)
+  SAME_REPEAT   : 2,   // same role 2+ times   → suspicious
+  // Multi-window fake detection (more accurate)
+  FAKE_STRICT   : { posts: 5, days: 5 },   // 5+ in 5 days = DEFINITE fake
+  FAKE_LIKELY   : { posts: 4, days: 5 },   // 4+ in 5 days = LIKELY fake
+  FAKE_WINDOW   : { posts: 5, days: 7 },   // 5+ in 7 days = fake
+  FAKE_SUSPICIOUS: { posts: 3, days: 5 },  // 3+ in 5 days = SUSPICIOUS
+  FAKE_VERY_SUSPICIOUS: { posts: 2, days: 3 }, // 2+ in 3 days = VERY SUSPICIOUS
+  OBSERVED      : { posts: 3, days: 5 },   // 3+ seen within 5 days of first observation = fake
+  OBSERVATION_DAYS: 10, // 5+ posts seen within 10 days of first observation = fake
+  ONLY_HIRING_THRESHOLD: 2, // 2+ hiring posts soon after first seen, with a high hiring ratio → fake
+  ONLY_HIRING_DAYS: 7,      // ...all of them seen within this many days
+  RATIO_MIN_POSTS: 4, // the hiring ratio counts once 4+ posts (hiring or not) were seen
+  HIRING_RATIO  : 80,  // 80%+ of an author's posts are hiring posts → suspicious
+  MANY_POSTS    : 6,   // 6+ hiring posts observed  → extra points
+  VERY_MANY_POSTS: 8,  // 8+ hiring posts observed  → more points
+  SHARED_TEXT_ACCOUNTS: 2, // same post text from 2+ different accounts (fingerprint.js)
+  IMPERSONATION_ACCOUNTS: 3, // 3+ unrelated people hiring for one company (companies.js)...
+  IMPERSONATION_FLAGGED : 2, // ...2+ of them flagged → company impersonation
+  PROFILE_MIN_CONNECTIONS: 50, // fewer connections on the recruiter's profile → suspicious (profile.js)
+  PROFILE_ACTIVITY_MIN  : 3,   // recent activity needs 3+ posts to count as all hiring
+  LEVEL_HIGH    : 45,  // pts >= 45 → high
+  LEVEL_MEDIUM  : 20,  // pts >= 20 → medium
+  // Points added by each rule in score()
+  WEIGHTS: {
+    FAKE           : 100, // any fake-detection window fired
+    DAILY          : 40,  // DAILY_LIMIT posts in one day
+    ROLE_VARIETY   : 30,  // ROLE_VARIETY different roles
+    SAME_ROLE      : 25,  // per role posted SAME_REPEAT+ times
+    ALL_HIRING     : 20,  // hiring ratio at HIRING_RATIO or above
+    MANY_POSTS     : 15,
+    VERY_MANY_POSTS: 10,
+    REPOSTED       : 15,  // a job listing shown as "Reposted"
+    SHARED_TEXT    : 40,  // copy-pasted post text shared with other accounts
+    IMPERSONATION  : 30,  // one of many flagged accounts hiring for the same company
+  },
+  // Points per content signal (signals.js), keyed by rule id
+  SIGNAL_WEIGHTS: Object.fromEntries(SIGNAL_RULES.map(r => [r.id, r.weight])),
+  // Points per profile signal (profile.js), keyed by rule id
+  PROFILE_WEIGHTS: Object.fromEntries(PROFILE_RULES.map(r => [r.id, r.weight])),
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// ─── Post log helpers ─────────────────────────────────────────
+// posts: hiring posts in full; other: just enough about everything else the
+// author posted to count it once ({ key, date, ts }, see recordOtherPost)
+function newRecruiter(url) {
+  return { url, name: '', posts: [], other: [], firstSeen: Date.now() };
+}
+
+// Activity ID out of a post's data-urn / data-id or a link to it
+// ("urn:li:activity:7171…", also URL-encoded), or null
+function activityId(urn) {
+  const m = /urn(?::|%3A)li(?::|%3A)activity(?::|%3A)(\d+)/i.exec(urn || '');
+  return m ? m[1] : null;
+}
+
+// When a post was made, from its activity ID: its first 41 bits (of 63)
+// are milliseconds since 1970, so shifting out the other 22 leaves the
+// time. null for IDs that don't decode to a time between LinkedIn's launch
+// and now (give or take a day).
+const LINKEDIN_LAUNCH = Date.UTC(2003, 4, 5);
+
+function activityTime(id, now = Date.now()) {
+  if (!/^\d{1,20}$/.test(id || '')) return null;
+  const at = Number(BigInt(id) >> 22n);
+  return at >= LINKEDIN_LAUNCH && at <= now + MS_PER_DAY ? at : null;
+}
+
+// Same post by activity ID: the post itself, a reshare of it, or another
+// reshare of the same original. ids: { id, of } (of: the reshared original)
+function sameActivity(p, { id, of } = {}) {
+  return !!id && !!p.id && (p.id === id || p.of === id || (!!of && (p.id === of || p.of === of)));
+}
+
+// Dedupe: a post with an activity ID only ever matches by ID, so the same
+// post under a drifting relative date ("1d" → "2d") is counted once and two
+// posts that open alike stay apart. Without one (logged before IDs were
+// kept, or markup without them) same role+date+snippet = same post.
+// ids: { id, of, jobId }; a job listing is the same listing whatever its
+// text or relative date says today.
+function findDuplicatePost(posts, role, dateStr, snippet, ids = {}) {
+  return posts.find(p => sameActivity(p, ids))
+    || (ids.jobId && posts.find(p => p.jobId === ids.jobId))
+    || posts.find(p => !(ids.id && p.id) &&
+      p.role === role && p.date === dateStr && (snippet ? p.snippet === snippet : true));
+}
+
+// How precise a post's postedAt is: 'exact' from its activity ID or a
+// <time datetime>, else read off relative text ("2d", "1w", see
+// locales.parseRelativeTime). slack: how much earlier it may have been made.
+const PRECISION_SLACK = { exact: 0, 'relative-day': MS_PER_DAY, 'relative-week': 7 * MS_PER_DAY };
+const precisionRank = p => ['relative-week', 'relative-day', 'exact'].indexOf(p);
+
+// Folds what a later sighting of a post adds into the logged one. Returns true if dup changed.
+function mergePost(dup, post) {
+  let changed = false;
+  // Logged before IDs were kept: it has one from now on
+  if (post.id && !dup.id) { dup.id = post.id; changed = true; }
+  if (post.of && !dup.of && post.of !== dup.id) { dup.of = post.of; changed = true; }
+  if (post.ts < dup.ts) { dup.ts = post.ts; changed = true; }
+  // A more precise time (its activity ID, say, where relative text was read before) replaces the old one
+  if (post.postedAt && precisionRank(post.precision) > precisionRank(dup.precision)) {
+    Object.assign(dup, { postedAt: post.postedAt, precision: post.precision, date: post.date });
+    changed = true;
+  }
+  // Seen again, maybe expanded via "see more": keep any new signals
+  const known = dup.signals || [];
+  const added = (post.signals || []).filter(id => !known.includes(id));
+  if (added.length) { dup.signals = known.concat(added); changed = true; }
+  if (post.reposted && !dup.reposted) { dup.reposted = true; changed = true; }
+  if (post.applicants != null && post.applicants !== dup.applicants) { dup.applicants = post.applicants; changed = true; }
+  if (post.company && !dup.company) { dup.company = post.company; changed = true; }
+  // Keep the fingerprint of the longest text seen, i.e. after "see more"
+  if (post.fp && post.words > (dup.words || 0)) { dup.fp = post.fp; dup.words = post.words; changed = true; }
+  return changed;
+}
+
+// Adds a post to rec unless it is a duplicate. Content signals and the
+// fingerprint of the full text are stored on the post. Returns true if rec needs saving.
+// meta: { company } the post claims to hire for (locales.js), { id, of }
+// its activity ID and the one it reshares (activityId()), { postedAt,
+// precision } when it was made (PRECISION_SLACK; dateStr is its local day);
+// job listings (see jobs.js) add { jobId, reposted, applicants }
+function recordPost(rec, name, role, dateStr, contentSnippet = '', meta = {}) {
+  if (name && name !== 'Unknown') rec.name = name;
+  const snippet = (contentSnippet || '').slice(0, 80).replace(/\s+/g, ' ').trim();
+  const signals = analyzeText(contentSnippet);
+  const fp = fingerprint(contentSnippet);
+  const post = {
+    role, date: dateStr, ts: Date.now(), id: meta.id || undefined, of: meta.of || undefined,
+    postedAt: meta.postedAt || undefined, precision: meta.postedAt ? meta.precision : undefined,
+    snippet: snippet || undefined, signals: signals.length ? signals : undefined,
+    company: meta.company || undefined, jobId: meta.jobId || undefined, reposted: meta.reposted || undefined, applicants: meta.applicants ?? undefined,
+    fp: fp ? fp.fp : undefined, words: fp ? fp.words : undefined,
+  };
+  const dup = findDuplicatePost(rec.posts, role, dateStr, snippet, meta);
+  if (dup) return mergePost(dup, post);
+  rec.posts.push(post);
+  return true;
+}
+
+// Duplicates logged before posts were keyed by activity ID: the same job
+// listing, or the same role and opening text dated at most DATE_DRIFT_DAYS
+// apart (a relative date read on two days) or cut short by "see more".
+// → posts with each duplicate merged into the first one logged
+const DATE_DRIFT_DAYS = 1;
+
+function collapseDuplicates(posts) {
+  const stem = s => (s || '').replace(/\s*(…|\.\.\.)\s*(see more)?$/i, '');
+  const sameText = (a, b) => a === b || (Math.min(a.length, b.length) >= 20 && (a.startsWith(b) || b.startsWith(a)));
+  const drift = (a, b) => Math.abs(new Date(a) - new Date(b)) / MS_PER_DAY;
+  const kept = [];
+  (posts || []).forEach(p => {
+    const dup = kept.find(k => p.id && k.id ? sameActivity(k, p)
+      : p.jobId && k.jobId ? p.jobId === k.jobId
+      : k.role === p.role && drift(k.date, p.date) <= DATE_DRIFT_DAYS && sameText(stem(k.snippet), stem(p.snippet)));
+    if (dup) mergePost(dup, p);
+    else kept.push(p);
+  });
+  return kept;
+}
+
+// 32-bit FNV-1a of the normalized text, base 36: tells posts apart without storing them
+function textKey(text) {
+  const norm = String(text || '').toLowerCase().replace(/\s+/g, ' ').trim().slice(0, 200);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < norm.length; i++) {
+    h ^= norm.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(36);
+}
+
+// Counts a post that isn't a job post, once. Returns true if rec needs saving.
+function recordOtherPost(rec, dateStr, text) {
+  const key = textKey(text);
+  const other = rec.other || (rec.other = []);
+  if (!text || other.some(o => o.key === key)) return false;
+  other.push({ key, date: dateStr, ts: Date.now() });
+  return true;
+}
+
+// Share of the author's posts we've seen that are hiring posts:
+// { hiring, total, pct, known }. known: enough posts (RATIO_MIN_POSTS) to go by.
+function hiringRatio(posts, other, cfg = CFG) {
+  const hiring = (posts || []).length;
+  const total = hiring + (other || []).length;
+  const pct = total ? Math.round(hiring / total * 100) : 0;
+  return { hiring, total, pct, known: total >= cfg.RATIO_MIN_POSTS };
+}
+
+// ─── Parse date safely ────────────────────────────────────────
+function parsePostDate(p) {
+  if (!p || !p.date) return null;
+  try {
+    const d = new Date(p.date + 'T12:00:00');
+    return isNaN(d.getTime()) ? null : d;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Posts made within the last days. A post with a postedAt counts only if
+// it surely falls inside: even the earliest time its precision allows is
+// on or after the cutoff, so "1w" never lands in a 5-day window. Posts
+// logged without one go by their day, read as local noon.
+function postsWithin(posts, days, now) {
+  const cutoff = now - days * MS_PER_DAY;
+  return posts.filter(p => {
+    if (p.postedAt) return p.postedAt - (PRECISION_SLACK[p.precision] ?? 0) >= cutoff;
+    const d = parsePostDate(p);
+    return d ? d.getTime() >= cutoff : false;
+  });
+}
+
+// ─── Check if posts indicate fake/spam pattern ──────────────────
+// Date-based windows in the order analyzeHiringPattern() tries them.
+// Labels and reasons are in the UI language (_locales/).
+const DATE_WINDOWS = [
+  { key: 'FAKE_STRICT',          label: t('window_FAKE_STRICT'),          confidence: 98 },
+  { key: 'FAKE_LIKELY',          label: t('window_FAKE_LIKELY'),          confidence: 90 },
+  { key: 'FAKE_SUSPICIOUS',      label: t('window_FAKE_SUSPICIOUS'),      confidence: 80 },
+  { key: 'FAKE_VERY_SUSPICIOUS', label: t('window_FAKE_VERY_SUSPICIOUS'), confidence: 75, reason: 'reasonWindowPattern' },
+  { key: 'FAKE_WINDOW',          label: t('window_FAKE_WINDOW'),          confidence: 92 },
+];
+
+// other: the author's non-job posts (rec.other), for the hiring ratio
+function analyzeHiringPattern(posts, firstSeen, cfg = CFG, now = Date.now(), other = []) {
+  if (!posts || posts.length === 0) return { isFake: false, count: 0, days: 0, reason: '', confidence: 0, window: null };
+
+  const daysSinceFirstSeen = firstSeen ? (now - firstSeen) / MS_PER_DAY : 999;
+  const ratio = hiringRatio(posts, other, cfg);
+
+  // Method 0: a new account that posts little but hiring posts - very suspicious.
+  // Needs enough posts seen for the ratio to mean something.
+  if (firstSeen && posts.length >= cfg.ONLY_HIRING_THRESHOLD && daysSinceFirstSeen <= cfg.ONLY_HIRING_DAYS &&
+      ratio.known && ratio.pct >= cfg.HIRING_RATIO) {
+    return {
+      isFake: true,
+      count: posts.length,
+      days: Math.round(daysSinceFirstSeen),
+      reason: t('reasonOnlyHiring', posts.length, Math.round(daysSinceFirstSeen), ratio.pct, ratio.total),
+      confidence: 85,
+      window: 'ONLY_HIRING',
+      recentPosts: posts
+    };
+  }
+
+  // Method 1: Observation-based (most reliable) - we've seen N posts since first seeing this recruiter
+  // Skip if firstSeen is missing (legacy data) to avoid false positives
+  if (firstSeen && posts.length >= cfg.OBSERVED.posts && daysSinceFirstSeen <= cfg.OBSERVED.days) {
+    return {
+      isFake: true,
+      count: posts.length,
+      days: Math.round(daysSinceFirstSeen),
+      reason: t('reasonObserved', posts.length, Math.round(daysSinceFirstSeen)),
+      confidence: 95,
+      window: 'OBSERVED',
+      recentPosts: posts
+    };
+  }
+
+  // Method 2: Date-based with multiple windows, checked in priority order
+  const recentByDays = {};
+  for (const w of DATE_WINDOWS) {
+    const { posts: min, days } = cfg[w.key];
+    const recent = recentByDays[days] || (recentByDays[days] = postsWithin(posts, days, now));
+    if (recent.length >= min) {
+      return {
+        isFake: true,
+        count: recent.length,
+        days,
+        reason: t(w.reason || 'reasonWindow', recent.length, days),
+        confidence: w.confidence,
+        window: w.key,
+        recentPosts: recent
+      };
+    }
+  }
+
+  // Not fake: report the busiest window
+  let best = null;
+  Object.keys(recentByDays).map(Number).sort((a, b) => a - b).forEach(days => {
+    if (!best || recentByDays[days].length > best.recent.length) best = { days, recent: recentByDays[days] };
+  });
+  return {
+    isFake: false,
+    count: best.recent.length,
+    days: best.days,
+    reason: '',
+    confidence: 0,
+    window: null,
+    recentPosts: best.recent
+  };
+}
+
+// Every rule analyzeHiringPattern() checks, in priority order, with how close
+// the posts came. met = threshold reached; fired = the one that decided (the
+// first met rule), matching analyzeHiringPattern().window.
+function windowReport(posts, firstSeen, cfg = CFG, now = Date.now(), other = []) {
+  posts = posts || [];
+  const fired = analyzeHiringPattern(posts, firstSeen, cfg, now, other).window;
+  const sinceFirst = firstSeen ? (now - firstSeen) / MS_PER_DAY : Infinity;
+  const ratio = hiringRatio(posts, other, cfg);
+  const observed = (key, label, min, days, rule = t('windowRuleObserved', min, days), ok = true) => ({
+    key, label, rule,
+    count: sinceFirst <= days ? posts.length : 0, needed: min,
+    met: sinceFirst <= days && posts.length >= min && ok, fired: fired === key,
+  });
+  return [
+    observed('ONLY_HIRING', t('window_ONLY_HIRING'), cfg.ONLY_HIRING_THRESHOLD, cfg.ONLY_HIRING_DAYS,
+      t('windowRuleOnlyHiring', cfg.ONLY_HIRING_THRESHOLD, cfg.ONLY_HIRING_DAYS, cfg.HIRING_RATIO, cfg.RATIO_MIN_POSTS),
+      ratio.known && ratio.pct >= cfg.HIRING_RATIO),
+    observed('OBSERVED', t('window_OBSERVED'), cfg.OBSERVED.posts, cfg.OBSERVED.days),
+    ...DATE_WINDOWS.map(w => {
+      const { posts: min, days } = cfg[w.key];
+      const count = postsWithin(posts, days, now).length;
+      return { key: w.key, label: w.label, rule: t('windowRuleRecent', min, days),
+        count, needed: min, met: count >= min, fired: fired === w.key };
+    }),
+  ];
+}
+
+// Posts per calendar day for the last `days` days, oldest first:
+// [{ date: 'YYYY-MM-DD', count }], in local days as parsePostDate() reads them.
+function dailyActivity(posts, days, now = Date.now()) {
+  const counts = {};
+  (posts || []).forEach(p => { if (p.date) counts[p.date] = (counts[p.date] || 0) + 1; });
+  const pad = v => String(v).padStart(2, '0');
+  const out = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const d = new Date(now);
+    d.setDate(d.getDate() - i);
+    const date = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+    out.push({ date, count: counts[date] || 0 });
+  }
+  return out;
+}
+
+// ─── Generate personalized fake post message ──────────────────
+function generateFakePostMessage(rec, hiringAnalysis, ratio = hiringRatio(rec.posts, rec.other)) {
+  const name = rec.name || t('fakeMsgSomeone');
+  const count = hiringAnalysis.count;
+  const days = hiringAnalysis.days;
+  const confidence = hiringAnalysis.confidence || 90;
+
+  const messages = [
+    `🚨 ${t('fakeMsgTitle')}`,
+    ``,
+    `⚠️ ${t('fakeMsgWhy', confidence)}`,
+    ``,
+    `• ${t('fakeMsgPosted', name, count, days)}`,
+    `• ${hiringAnalysis.reason}`,
+    `• ${t('fakeMsgRarely')}`,
+    `• ${t('fakeMsgPattern')}`,
+    `• ${t('fakeMsgScam')}`,
+    ``,
+    `💡 ${t('fakeMsgAdvice')}`,
+    `• ${t('fakeMsgNoApply')}`,
+    `• ${t('fakeMsgNoShare')}`,
+    `• ${t('fakeMsgReport')}`,
+    `• ${t('fakeMsgOfficial')}`,
+    ``,
+    `🔍 ${t('fakeMsgProfile')}`,
+    `• ${t('fakeMsgTracked', rec.posts.length)}`,
+    `• ${t('fakeMsgRisk')}`
+  ];
+  if (ratio.known) messages.splice(messages.length - 1, 0, `• ${t('fakeMsgRatio', ratio.hiring, ratio.total, ratio.pct)}`);
+
+  return messages.join('\n');
+}
+
+// ─── User list overrides ──────────────────────────────────────
+// Trusted recruiters are always genuine, blocked ones always fake. The
+// detected reasons are kept underneath so the user can still see them.
+function applyListStatus(sc, listStatus, cfg) {
+  if (listStatus === 'trusted') {
+    return { ...sc, level: 'low', pts: 0, isFake: false, fakeMessage: '', listStatus,
+      reasons: [`🛡️ ${t('reasonTrusted')}`, ...sc.reasons] };
+  }
+  if (listStatus === 'blocked') {
+    return { ...sc, level: 'high', pts: Math.max(sc.pts, cfg.WEIGHTS.FAKE), isFake: true, fakeMessage: '', listStatus,
+      reasons: [`⛔ ${t('reasonBlocked')}`, ...sc.reasons] };
+  }
+  return { ...sc, listStatus: null };
+}
+
+// ─── Scoring ──────────────────────────────────────────────────
+// ctx.now        : clock override (tests, previews)
+// ctx.listStatus : 'trusted' | 'blocked' | null, from lists.js
+// ctx.sharedText : accounts posting the same text as this one (fingerprint.sharedTextIndex)
+// ctx.impersonation: { company, people, flagged } when this recruiter is one of
+//                  many hiring for an impersonated company (companies.impersonationIndex)
+// rec.profile, once its /in/ page was checked, adds the account signals of
+// profile.js: with no posts logged they alone decide the level.
+// sc.rules lists the weights that added up to sc.pts by their cfg path
+// ('WEIGHTS.DAILY', 'SIGNAL_WEIGHTS.<id>', ...), for verdict feedback
+// (feedback.js). The fake windows aren't among them: they set the level
+// outright, whatever WEIGHTS.FAKE is.
+function score(rec, cfg = CFG, ctx = {}) {
+  const now = ctx.now || Date.now();
+  const posts = rec.posts || [];
+  const ratio = hiringRatio(posts, rec.other, cfg);
+  const profile = profileRisk(rec.profile, cfg);
+  // Use firstSeen if available; for legacy data without it, use old timestamp so observation-based won't trigger
+  const firstSeen = rec.firstSeen || (now - 365 * MS_PER_DAY);
+  if (!posts.length) {
+    const pts = Math.max(0, profile.pts);
+    const level = !rec.profile ? 'unknown' : pts >= cfg.LEVEL_HIGH ? 'high' : pts >= cfg.LEVEL_MEDIUM ? 'medium' : 'low';
+    return applyListStatus({
+      level, pts, reasons: profile.reasons, rules: profile.hits.map(id => `PROFILE_WEIGHTS.${id}`),
+      roles: [], byDate: {}, roleCnt: {}, signalCnt: {}, ratio, profile,
+      isFake: false, fakeMessage: '', hiringAnalysis: analyzeHiringPattern(posts, firstSeen, cfg, now, rec.other)
+    }, ctx.listStatus, cfg);
+  }
+
+  let pts = 0;
+  const reasons = [];
+  const rules = new Set(); // cfg paths of the weights that added up to pts
+  let isFake = false;
+  let fakeMessage = '';
+
+  // Primary: Multi-window fake detection (most accurate)
+  const hiringAnalysis = analyzeHiringPattern(posts, firstSeen, cfg, now, rec.other);
+  if (hiringAnalysis.isFake) {
+    pts += cfg.WEIGHTS.FAKE;
+    isFake = true;
+    reasons.push(`🚨 ${t('reasonCritical', hiringAnalysis.reason)}`);
+    fakeMessage = generateFakePostMessage(rec, hiringAnalysis, ratio);
+  }
+
+  // Group by date
+  const byDate = {};
+  posts.forEach(p => { (byDate[p.date] = byDate[p.date] || []).push(p); });
+  const dayCounts = Object.values(byDate).map(a => a.length);
+  const maxDay = dayCounts.length ? Math.max(...dayCounts) : 0;
+
+  if (maxDay >= cfg.DAILY_LIMIT) {
+    pts += cfg.WEIGHTS.DAILY;
+    rules.add('WEIGHTS.DAILY');
+    reasons.push(t('reasonDaily', maxDay));
+  }
+
+  const roles = [...new Set(posts.map(p => p.role).filter(Boolean))];
+  if (roles.length >= cfg.ROLE_VARIETY) {
+    pts += cfg.WEIGHTS.ROLE_VARIETY;
+    rules.add('WEIGHTS.ROLE_VARIETY');
+    reasons.push(t('reasonRoles', roles.length));
+  }
+
+  // Real accounts post about other things too; only once enough posts were seen
+  if (ratio.known && ratio.pct >= cfg.HIRING_RATIO) {
+    pts += cfg.WEIGHTS.ALL_HIRING;
+    rules.add('WEIGHTS.ALL_HIRING');
+    reasons.push(t('reasonRatio', ratio.hiring, ratio.total, ratio.pct));
+  }
+
+  const roleCnt = {};
+  posts.forEach(p => { if (p.role) roleCnt[p.role] = (roleCnt[p.role] || 0) + 1; });
+  Object.entries(roleCnt).forEach(([r, c]) => {
+    if (c >= cfg.SAME_REPEAT) { pts += cfg.WEIGHTS.SAME_ROLE; rules.add('WEIGHTS.SAME_ROLE'); reasons.push(t('reasonSameRole', r, c)); }
+  });
+
+  // Content signals: one reason per rule, however many posts hit it
+  const signalCnt = {};
+  posts.forEach(p => (p.signals || []).forEach(id => { signalCnt[id] = (signalCnt[id] || 0) + 1; }));
+  Object.entries(signalCnt).forEach(([id, c]) => {
+    const rule = getRule(id);
+    if (!rule) return;
+    pts += cfg.SIGNAL_WEIGHTS[id] ?? rule.weight;
+    rules.add(`SIGNAL_WEIGHTS.${id}`);
+    reasons.push(`${rule.emoji} ${rule.label}${c > 1 ? ` (${t('nPosts', c)})` : ''}`);
+  });
+
+  // Copy-paste campaigns: the same body posted from several profiles
+  if (ctx.sharedText >= cfg.SHARED_TEXT_ACCOUNTS) {
+    pts += cfg.WEIGHTS.SHARED_TEXT;
+    rules.add('WEIGHTS.SHARED_TEXT');
+    reasons.push(`📋 ${t('reasonSharedText', ctx.sharedText)}`);
+  }
+
+  // Fake openings "at" a real employer, advertised from many unrelated profiles
+  const imp = ctx.impersonation;
+  if (imp) {
+    pts += cfg.WEIGHTS.IMPERSONATION;
+    rules.add('WEIGHTS.IMPERSONATION');
+    reasons.push(`🎭 ${t('reasonImpersonation', imp.people, imp.company, imp.flagged)}`);
+  }
+
+  // What the recruiter's own profile page showed
+  pts += profile.pts;
+  reasons.push(...profile.reasons);
+  profile.hits.forEach(id => rules.add(`PROFILE_WEIGHTS.${id}`));
+
+  // Job listings: scam listings get reposted to stay at the top of search
+  const reposted = posts.filter(p => p.reposted).length;
+  if (reposted) {
+    pts += cfg.WEIGHTS.REPOSTED;
+    rules.add('WEIGHTS.REPOSTED');
+    reasons.push(`🔁 ${t('reasonReposted')}${reposted > 1 ? ` (${t('nListings', reposted)})` : ''}`);
+  }
+
+  if (posts.length >= cfg.MANY_POSTS) { pts += cfg.WEIGHTS.MANY_POSTS; rules.add('WEIGHTS.MANY_POSTS'); reasons.push(t('reasonManyPosts', posts.length)); }
+  if (posts.length >= cfg.VERY_MANY_POSTS) { pts += cfg.WEIGHTS.VERY_MANY_POSTS; rules.add('WEIGHTS.VERY_MANY_POSTS'); }
+
+  // A verified profile takes points off, never below zero
+  pts = Math.max(0, pts);
+
+  // Lower threshold for high risk - catch more suspicious cases
+  const level = isFake || pts >= cfg.LEVEL_HIGH ? 'high' : pts >= cfg.LEVEL_MEDIUM ? 'medium' : 'low';
+  return applyListStatus({ level, pts, reasons, rules: [...rules], roles, byDate, roleCnt, signalCnt, ratio, profile, isFake, fakeMessage, hiringAnalysis }, ctx.listStatus, cfg);
+}
+
+const api = {
+  CFG,
+  newRecruiter,
+  activityId,
+  activityTime,
+  PRECISION_SLACK,
+  findDuplicatePost,
+  recordPost,
+  collapseDuplicates,
+  recordOtherPost,
+  textKey,
+  hiringRatio,
+  parsePostDate,
+  analyzeHiringPattern,
+  windowReport,
+  dailyActivity,
+  generateFakePostMessage,
+  score,
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = api;
+else (root.FRD = root.FRD || {}).scoring = api;
+
+})(typeof self !== 'undefined' ? self : this);
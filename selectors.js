@@ -0,0 +1,253 @@
+/*  LinkedIn Fraud Job Detector — selectors.js
+    Every CSS selector the content script relies on, in one versioned pack.
+    Each list is ordered: what LinkedIn renders today first, then fallbacks
+    for older or A/B-tested layouts. content.js tallies which ones matched
+    so the popup's diagnostics can show when a layout has gone blind.
+
+    When LinkedIn changes markup: add the new selector at the front of its
+    list, keep the old one as a fallback, bump VERSION, and save the page as
+    a fixture (tests/fixtures/, see README).
+*/
+
+(function(root) {
+'use strict';
+
+const VERSION = 4;
+
+const SELECTORS = {
+  // Post containers on any page
+  post: [
+    // Home feed
+    '.feed-shared-update-v2',
+    'article.feed-shared-update-v2',
+    '.occludable-update',
+    'div[data-urn^="urn:li:activity"]',
+    'div[data-id^="urn:li:activity"]',
+    '[data-urn*="activity"]',
+    // Profile / company pages
+    'li.profile-creator-shared-feed-update__container',
+    '.profile-creator-shared-feed-update__container',
+    '.scaffold-finite-scroll__content article',
+    '.scaffold-finite-scroll__content > div > div',
+    'div[data-chameleon-result-urn]',
+    // Last resort: the actor header, for layouts whose container isn't known
+    '.update-components-actor',
+    '.feed-shared-actor',
+    '[data-activity-id]',
+  ],
+
+  // Extra containers on /in/, /company/ and /posts/ pages
+  profilePost: [
+    '.scaffold-finite-scroll__content article',
+    '.scaffold-finite-scroll__content [data-urn]',
+    '.profile-creator-shared-feed-update__container',
+    '.feed-shared-update-v2',
+  ],
+
+  // The home feed column, and the posts inside it
+  feed: ['.scaffold-layout__main', '.feed-container', '[data-test-id="feed-container"]'],
+  feedPost: ['.feed-shared-update-v2', 'article', '[data-urn*="activity"]'],
+
+  // Posts that get the Ctrl+Click handler
+  selectable: [
+    'div[data-urn^="urn:li:activity"]',
+    'div[data-id^="urn:li:activity"]',
+    '.feed-shared-update-v2',
+    '.occludable-update',
+    'li.profile-creator-shared-feed-update__container',
+  ],
+
+  // Where a post's activity ID is, when the post element itself has none;
+  // in a reshare, the original post inside it, and where its ID is
+  activity    : ['[data-urn*="activity"]', '[data-id*="activity"]', '[data-activity-id]'],
+  reshared    : ['.update-components-mini-update-v2', '.feed-shared-mini-update-v2', '.feed-shared-update-v2__update-content-wrapper'],
+  activityLink: ['a[href*="activity"]'],
+
+  // Added nodes that trigger a rescan
+  observed: ['.feed-shared-update-v2', 'article', '[data-urn*="activity"]', '.occludable-update'],
+
+  // The post's own text block; the badge goes right above it
+  body: ['.update-components-text', '.feed-shared-update-v2__description', '.feed-shared-text'],
+
+  // Post text, tried in order; failing all, the text of the first of textFallback
+  text: [
+    '.update-components-text',
+    '.feed-shared-update-v2__description',
+    '.feed-shared-text',
+    '.attributed-text-segment-list__content',
+    '.break-words',
+    '[data-placeholder="What do you want to talk about?"]',
+    '.feed-shared-inline-show-more-text',
+  ],
+  textFallback: ['.feed-shared-update-v2', '[data-urn]'],
+
+  // Link to the author's profile or company page
+  author: [
+    // Feed
+    '.feed-shared-actor__meta a[href*="/in/"]',
+    '.feed-shared-actor__meta a[href*="/company/"]',
+    '.feed-shared-actor a[href*="/in/"]',
+    '.feed-shared-actor a[href*="/company/"]',
+    '.update-components-actor__meta a[href*="/in/"]',
+    '.update-components-actor__meta a[href*="/company/"]',
+    '.update-components-actor__title a',
+    // Profile / company pages
+    '.profile-creator-shared-feed-update__container a[href*="/in/"]',
+    '.profile-creator-shared-feed-update__container a[href*="/company/"]',
+    '.feed-shared-actor__name-link',
+    '.update-components-actor__name-link',
+    // Generic
+    'a.app-aware-link[href*="/in/"]',
+    'a.app-aware-link[href*="/company/"]',
+    'a[data-control-name="actor"][href*="/in/"]',
+    'a[data-control-name="actor"][href*="/company/"]',
+    'header a[href*="/in/"]',
+    'header a[href*="/company/"]',
+  ],
+
+  // The name inside the author link. The name element also holds a visually
+  // hidden "View <name>'s profile"; its aria-hidden span is the name alone.
+  authorName: [
+    '.update-components-actor__name span[aria-hidden="true"]',
+    '.feed-shared-actor__name span[aria-hidden="true"]',
+    '.update-components-actor__name',
+    '.feed-shared-actor__name',
+    '.feed-shared-actor__name-link',
+    'span[aria-hidden="true"]',
+  ],
+
+  // The author's headline under their name ("Recruiter at Acme"), for the
+  // company a post hires for when its text doesn't say
+  authorHeadline: [
+    '.update-components-actor__description span[aria-hidden="true"]',
+    '.feed-shared-actor__description span[aria-hidden="true"]',
+    '.update-components-actor__description',
+    '.feed-shared-actor__description',
+  ],
+
+  // Page heading, for posts attributed to the profile / company being viewed
+  pageTitle: ['h1', '.text-heading-xlarge', '.pv-text-details__left-panel h1'],
+
+  // Main column of a profile / company page; the company banner goes on top
+  pageMain: ['main', '.scaffold-layout__main', '#main'],
+
+  // A person's top card on /in/ pages, and what the profile check reads in it
+  profileCard     : ['.pv-top-card', 'section[data-member-id]'],
+  profileHeadline : ['.pv-text-details__left-panel .text-body-medium', '.text-body-medium.break-words', '.pv-top-card--headline'],
+  profileCompany  : ['.pv-text-details__right-panel-item-text', '[aria-label^="Current company"] .inline-show-more-text', '.pv-top-card--experience-list-item'],
+  profileCounts   : ['.pv-top-card--list-bullet li', 'ul.pv-top-card--list li', '.pv-top-card__connections'],
+  profileVerified : ['.pv-text-details__title-verification-badge', 'svg[data-test-icon^="verified"]', '[data-test-icon^="verified"]'],
+  profilePhoto    : ['img.pv-top-card-profile-picture__image', '.pv-top-card__photo img', 'img.profile-photo-edit__preview'],
+  profileNoPhoto  : ['[class*="ghost-person"]', '.pv-top-card__photo--ghost'],
+  // Section anchors below the top card (About, Experience, Education, …);
+  // the Experience one, and the entries in its section
+  profileSection  : ['.pv-profile-card__anchor', 'section[data-section]'],
+  profileExperience: ['#experience', 'section[data-section="experience"]'],
+  experienceItem  : ['li.artdeco-list__item', '.pvs-list__paged-list-item', 'li'],
+
+  // Relative post time ("2d", "1w"); an exact <time datetime> wins when present
+  date: [
+    'time[datetime]',
+    '.update-components-actor__sub-description span[aria-hidden="true"]',
+    '.feed-shared-actor__sub-description span[aria-hidden="true"]',
+    '.update-components-actor__sub-description',
+    'time',
+    '[aria-label*=" ago"]',
+  ],
+
+  // Jobs pages (/jobs/view/, /jobs/search/)
+  jobDetail     : ['.jobs-search__job-details--container', '.job-view-layout', '.jobs-details'],
+  jobTitle      : ['.job-details-jobs-unified-top-card__job-title', '.jobs-unified-top-card__job-title', 'h1'],
+  jobCompany    : ['.job-details-jobs-unified-top-card__company-name a', '.jobs-unified-top-card__company-name a', 'a[href*="/company/"]'],
+  jobMeta       : ['.job-details-jobs-unified-top-card__primary-description-container', '.job-details-jobs-unified-top-card__tertiary-description-container', '.jobs-unified-top-card__primary-description', '.jobs-unified-top-card__subtitle-primary-grouping'],
+  jobPoster     : ['.hirer-card__hirer-information a[href*="/in/"]', '.jobs-poster__name-link', '.job-details-people-who-can-help__section a[href*="/in/"]'],
+  jobDescription: ['#job-details', '.jobs-description__content', '.jobs-box__html-content'],
+  jobCard       : ['li[data-occludable-job-id]', '.job-card-container[data-job-id]'],
+  jobCardTitle  : ['.job-card-list__title', '.job-card-container__link', 'a[href*="/jobs/view/"]'],
+  jobCardCompany: ['.job-card-container__primary-description', '.artdeco-entity-lockup__subtitle'],
+  jobCardCompanyLink: ['a[href*="/company/"]'],
+};
+
+// One selector string for querySelector(All): any of the group, in document order
+function sel(group) {
+  return SELECTORS[group].join(', ');
+}
+
+// The first selector of the group, in pack order, with a match inside root
+// that accept() takes: { el, selector, index } or null. index > 0 means a
+// fallback was needed. Pass hits (see newHits) to tally what matched.
+function firstMatch(root, group, accept = () => true, hits = null) {
+  const list = SELECTORS[group];
+  for (let i = 0; i < list.length; i++) {
+    const el = root.querySelector(list[i]);
+    if (el && accept(el)) {
+      if (hits) tally(hits, group, list[i]);
+      return { el, selector: list[i], index: i };
+    }
+  }
+  if (hits) tally(hits, group, null);
+  return null;
+}
+
+// Every element matching any selector of the group, in pack order, once each
+function matchAll(root, group, hits = null) {
+  const out = new Set();
+  SELECTORS[group].forEach(s => {
+    const found = root.querySelectorAll(s);
+    if (hits && found.length) tally(hits, group, s, found.length);
+    found.forEach(el => out.add(el));
+  });
+  return [...out];
+}
+
+// ─── Diagnostics ──────────────────────────────────────────────
+// hits: { group: { selector: count } }; a null selector counts misses
+function newHits() {
+  return {};
+}
+
+function tally(hits, group, selector, n = 1) {
+  const g = hits[group] || (hits[group] = {});
+  const key = selector === null ? '' : selector;
+  g[key] = (g[key] || 0) + n;
+}
+
+// Per group: what matched, whether only fallbacks did, and how often nothing did
+//   [{ group, matched: [{ selector, count, fallback }], misses }]
+function summarizeHits(hits) {
+  return Object.keys(SELECTORS).filter(g => hits[g]).map(group => {
+    const counts = hits[group];
+    const matched = SELECTORS[group]
+      .map((selector, i) => ({ selector, count: counts[selector] || 0, fallback: i > 0 }))
+      .filter(m => m.count);
+    return { group, matched, misses: counts[''] || 0 };
+  });
+}
+
+function pageType(pathname) {
+  const p = pathname || '';
+  if (/^\/jobs\//.test(p)) return 'jobs';
+  if (/^\/feed\/?$/.test(p)) return 'feed';
+  if (/^\/search\//.test(p)) return 'search';
+  if (/^\/company\//.test(p)) return 'company';
+  if (/^\/in\//.test(p)) return 'profile';
+  if (/^\/posts\/|^\/feed\/update\//.test(p)) return 'post';
+  return 'other';
+}
+
+const api = {
+  VERSION,
+  SELECTORS,
+  sel,
+  firstMatch,
+  matchAll,
+  newHits,
+  tally,
+  summarizeHits,
+  pageType,
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = api;
+else (root.FRD = root.FRD || {}).selectors = api;
+
+})(typeof self !== 'undefined' ? self : this);
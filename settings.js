@@ -0,0 +1,113 @@
+/*  LinkedIn Fraud Job Detector — settings.js
+    User-tunable detection config. Stored overrides are merged onto the
+    defaults in scoring.js (CFG) so new keys always have a value.
+*/
+
+(function(root) {
+'use strict';
+
+const { CFG } = typeof module !== 'undefined' && module.exports
+  ? require('./scoring.js')
+  : root.FRD.scoring;
+
+const SETTINGS_KEY = 'detectionConfig';
+
+// ─── Presets ──────────────────────────────────────────────────
+// Only the keys that differ from CFG; 'balanced' is CFG itself.
+const PRESETS = {
+  strict: {
+    ROLE_VARIETY  : 2,
+    FAKE_STRICT   : { posts: 4, days: 5 },
+    FAKE_LIKELY   : { posts: 3, days: 5 },
+    FAKE_WINDOW   : { posts: 4, days: 7 },
+    FAKE_SUSPICIOUS: { posts: 2, days: 5 },
+    FAKE_VERY_SUSPICIOUS: { posts: 2, days: 4 },
+    HIRING_RATIO  : 70,
+    LEVEL_HIGH    : 40,
+    LEVEL_MEDIUM  : 15,
+  },
+  balanced: {},
+  lenient: {
+    DAILY_LIMIT   : 3,
+    ROLE_VARIETY  : 5,
+    SAME_REPEAT   : 3,
+    FAKE_STRICT   : { posts: 7, days: 5 },
+    FAKE_LIKELY   : { posts: 6, days: 5 },
+    FAKE_WINDOW   : { posts: 8, days: 7 },
+    FAKE_SUSPICIOUS: { posts: 5, days: 5 },
+    FAKE_VERY_SUSPICIOUS: { posts: 4, days: 3 },
+    OBSERVED      : { posts: 5, days: 5 },
+    ONLY_HIRING_THRESHOLD: 4,
+    HIRING_RATIO  : 90,
+    LEVEL_HIGH    : 60,
+    LEVEL_MEDIUM  : 30,
+  },
+};
+
+// ─── Merge ────────────────────────────────────────────────────
+// A detection window ({ posts, days }) needs at least 1 of each: 0 posts
+// would be reached by every recruiter, 0 days by none
+const WINDOW_MIN = 1;
+
+function isWindow(v) {
+  return 'posts' in v && 'days' in v;
+}
+
+// Copies known keys from overrides onto base. Unknown keys and
+// non-numeric values are dropped so a bad stored value can't break scoring;
+// values below min are raised to it.
+function mergeConfig(base, overrides, min = 0) {
+  const out = {};
+  for (const [k, v] of Object.entries(base)) {
+    const o = overrides ? overrides[k] : undefined;
+    if (v && typeof v === 'object') {
+      out[k] = mergeConfig(v, o && typeof o === 'object' ? o : {}, isWindow(v) ? WINDOW_MIN : 0);
+    } else {
+      out[k] = typeof o === 'number' && isFinite(o) && o >= 0 ? Math.max(min, o) : v;
+    }
+  }
+  return out;
+}
+
+function presetConfig(name) {
+  return mergeConfig(CFG, PRESETS[name] || {});
+}
+
+// Name of the preset cfg matches exactly, or 'custom'
+function matchPreset(cfg) {
+  const json = JSON.stringify(cfg);
+  return Object.keys(PRESETS).find(name => JSON.stringify(presetConfig(name)) === json) || 'custom';
+}
+
+// ─── Storage ──────────────────────────────────────────────────
+function loadConfig() {
+  return new Promise(r => chrome.storage.local.get([SETTINGS_KEY], d => r(mergeConfig(CFG, d[SETTINGS_KEY]))));
+}
+
+function saveConfig(cfg) {
+  return new Promise(r => chrome.storage.local.set({ [SETTINGS_KEY]: cfg }, r));
+}
+
+// Calls cb(newCfg) whenever the stored config changes (any extension page or tab)
+function onConfigChange(cb) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[SETTINGS_KEY]) cb(mergeConfig(CFG, changes[SETTINGS_KEY].newValue));
+  });
+}
+
+const api = {
+  SETTINGS_KEY,
+  PRESETS,
+  WINDOW_MIN,
+  mergeConfig,
+  presetConfig,
+  matchPreset,
+  loadConfig,
+  saveConfig,
+  onConfigChange,
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = api;
+else (root.FRD = root.FRD || {}).settings = api;
+
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,124 @@
+/*  LinkedIn Fraud Job Detector — signals.js
+    Content-based scam markers. Each rule is data: add a new entry to RULES
+    and it is picked up by recordPost(), score(), the badge and the options
+    page without touching the scanner.
+*/
+
+(function(root) {
+'use strict';
+
+const { t } = typeof module !== 'undefined' && module.exports ? require('./locales.js') : root.FRD.locales;
+
+// ─── Rules ────────────────────────────────────────────────────
+// id       : stable key, stored on each post in post.signals
+// label    : reason shown in the badge, in the UI language (_locales/)
+// weight   : default points (user-tunable as CFG.SIGNAL_WEIGHTS[id])
+// patterns : any match → hit
+// unless   : any match → no hit (e.g. an official apply link is present)
+const RULES = [
+  {
+    id: 'pay_for_offer',
+    emoji: '💰',
+    label: t('signal_pay_for_offer'),
+    weight: 50,
+    patterns: [
+      /pay(?:ment)?\s+(?:for|to\s+get|before)\s+(?:the\s+|your\s+)?(?:offer|appointment|joining)\s+letter/i,
+      /(?:offer|appointment|joining)\s+letter\s+(?:after|on|upon|against)\s+(?:the\s+)?payment/i,
+      /(?:job|placement)\s+(?:after|on|upon)\s+(?:the\s+)?payment/i,
+    ],
+  },
+  {
+    id: 'fee',
+    emoji: '💸',
+    label: t('signal_fee'),
+    weight: 35,
+    patterns: [
+      /(?:registration|training|joining|processing|security|onboarding|documentation|application|verification)\s+(?:fee|fees|charges?|deposit|amount)/i,
+      /(?:refundable|pay\s+(?:a\s+)?(?:small|nominal|one[- ]time)?)\s*(?:fee|deposit|amount)/i,
+    ],
+  },
+  {
+    id: 'no_interview',
+    emoji: '🎯',
+    label: t('signal_no_interview'),
+    weight: 30,
+    patterns: [
+      /\b(?:no|without(?:\s+any)?)\s+interviews?\b/i,
+      /\bdirect\s+(?:joining|selection|hiring)\b/i,
+      /\b(?:100\s*%|guaranteed)\s+(?:job|placement|selection)\b/i,
+    ],
+  },
+  {
+    id: 'messenger_only',
+    emoji: '📱',
+    label: t('signal_messenger_only'),
+    weight: 25,
+    patterns: [
+      /\b(?:contact|message|msg|ping|text|dm|reach|apply|send)\b[^.\n]{0,30}\b(?:on|via|through|at|to)\s+(?:whats\s?app|telegram)\b/i,
+      /\b(?:whats\s?app|telegram)\s*(?:only|me|number|no\.?|#|:|\+?\d)/i,
+      /\bwa\.me\/|\bt\.me\//i,
+    ],
+    unless: [
+      /linkedin\.com\/jobs|\bcareers?\.[\w-]+\.|\bapply\s+(?:on|via|through)\s+(?:our|the)\s+(?:website|portal|careers?\s+page)/i,
+    ],
+  },
+  {
+    id: 'unrealistic_pay',
+    emoji: '🤑',
+    label: t('signal_unrealistic_pay'),
+    weight: 25,
+    patterns: [
+      /\bearn\s+(?:up\s*to\s+)?(?:₹|rs\.?|inr|\$|usd)?\s?\d[\d,]*\s*k?\+?\s*(?:per|\/|a|every)\s*(?:day|week|hour)\b/i,
+      /\b(?:daily|weekly)\s+(?:income|earnings?|payout)\b/i,
+      /\b(?:work\s+from\s+home|part[- ]time)\b[^.\n]{0,40}\b(?:earn|income)\b/i,
+      /\bno\s+(?:experience|skills?)\s+(?:needed|required)\b[^.\n]{0,40}(?:₹|rs\.?|\$)\s?\d/i,
+    ],
+  },
+  {
+    id: 'personal_email',
+    emoji: '📧',
+    label: t('signal_personal_email'),
+    weight: 20,
+    patterns: [
+      /[\w.+-]+@(?:gmail|googlemail|yahoo|ymail|hotmail|outlook|live|rediffmail|aol|protonmail|proton)\.(?:com|in|co\.in|co\.uk|me)\b/i,
+    ],
+  },
+  {
+    id: 'urgency',
+    emoji: '⏰',
+    label: t('signal_urgency'),
+    weight: 10,
+    patterns: [
+      /\burgent(?:ly)?\s+(?:hiring|requirement|opening|need)/i,
+      /\b(?:limited|only\s+\d+)\s+(?:seats|slots|positions|vacancies)\b/i,
+      /\b(?:apply|join|respond)\s+(?:today|asap|immediately)\b/i,
+      /\b(?:hurry|last\s+date\s+(?:is\s+)?today|offer\s+closes\s+today)\b/i,
+    ],
+  },
+];
+
+const RULES_BY_ID = Object.fromEntries(RULES.map(r => [r.id, r]));
+
+// ─── Analyzer ─────────────────────────────────────────────────
+// Returns the ids of every rule that fires on text
+function analyzeText(text, rules = RULES) {
+  if (!text) return [];
+  return rules
+    .filter(r => r.patterns.some(p => p.test(text)) && !(r.unless || []).some(p => p.test(text)))
+    .map(r => r.id);
+}
+
+function getRule(id) {
+  return RULES_BY_ID[id] || null;
+}
+
+const api = {
+  RULES,
+  analyzeText,
+  getRule,
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = api;
+else (root.FRD = root.FRD || {}).signals = api;
+
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,276 @@
+/*  LinkedIn Fraud Job Detector — store.js
+    Storage layer. The background worker is the only writer: it calls the
+    functions below, each queued behind the previous one, so two tabs (or a
+    scan overlapping a Ctrl+Click) can never clobber each other's writes.
+    Every other context talks to it through request().
+
+    Layout in chrome.storage.local:
+      rec:<profileUrl>  → one recruiter record ({ url, name, posts, firstSeen })
+      recruiterLists    → trusted / blocked lists (lists.js)
+      watchedRecruiters → recruiters to alert about (alerts.js)
+      verdictFeedback   → the user's Correct / Wrong verdicts on badges (feedback.js)
+      retentionConfig   → how long to keep data (retention.js)
+      recruiterData     → legacy single blob, migrated away on startup
+      postIdsMigrated   → set once duplicate posts from before activity IDs were collapsed
+*/
+
+(function(root) {
+'use strict';
+
+const isNode = typeof module !== 'undefined' && module.exports;
+const { newRecruiter, recordPost, recordOtherPost, collapseDuplicates } = isNode ? require('./scoring.js') : root.FRD.scoring;
+const { normalizeProfile, sameProfile } = isNode ? require('./profile.js') : root.FRD.profile;
+const { LISTS_KEY, withStatus, loadLists } = isNode ? require('./lists.js') : root.FRD.lists;
+const { mergeImport } = isNode ? require('./transfer.js') : root.FRD.transfer;
+const { pruneRecords } = isNode ? require('./retention.js') : root.FRD.retention;
+const { WATCH_KEY, withWatched, loadWatched } = isNode ? require('./alerts.js') : root.FRD.alerts;
+const { FEEDBACK_KEY, withVerdict, loadFeedback } = isNode ? require('./feedback.js') : root.FRD.feedback;
+
+const REC_PREFIX = 'rec:';
+const LEGACY_KEY = 'recruiterData';
+const POST_IDS_KEY = 'postIdsMigrated';
+
+function recKey(url) {
+  return REC_PREFIX + url;
+}
+
+// ─── chrome.storage wrappers ──────────────────────────────────
+function get(keys) {
+  return new Promise(r => chrome.storage.local.get(keys, r));
+}
+function set(items) {
+  return new Promise(r => chrome.storage.local.set(items, r));
+}
+function remove(keys) {
+  return new Promise(r => chrome.storage.local.remove(keys, r));
+}
+
+// ─── Write queue ──────────────────────────────────────────────
+// Runs fn after every previously queued fn has settled
+let queue = Promise.resolve();
+function serialize(fn) {
+  const run = queue.then(fn);
+  queue = run.catch(() => {});
+  return run;
+}
+
+// ─── Reads ────────────────────────────────────────────────────
+async function readRecruiter(url) {
+  const d = await get([recKey(url)]);
+  return d[recKey(url)] || null;
+}
+
+// All recruiters as { url: rec }, the shape recruiterData used to have
+async function readAll() {
+  const all = await get(null);
+  const data = {};
+  Object.keys(all).forEach(k => {
+    if (k.startsWith(REC_PREFIX)) data[k.slice(REC_PREFIX.length)] = all[k];
+  });
+  return data;
+}
+
+// ─── Writes (serialized) ──────────────────────────────────────
+function logPost(profileUrl, name, role, dateStr, text = '', meta = {}) {
+  return logPosts([{ profileUrl, name, role, date: dateStr, text, meta }]).then(recs => recs[profileUrl]);
+}
+
+// A whole scan's posts with one read and one write: [{ profileUrl, name,
+// role, date, text, meta }] → { profileUrl: rec } for every recruiter named.
+// Posts marked other: true aren't job posts: they only count towards the
+// hiring ratio of authors with a record, so people who never post a job
+// aren't stored at all.
+function logPosts(posts) {
+  return serialize(async () => {
+    const jobPosts = posts.filter(p => !p.other);
+    const urls = [...new Set(posts.map(p => p.profileUrl))];
+    const stored = await get(urls.map(recKey));
+    // recordPost() updates records in place; listeners get them as they were
+    const before = loggedListeners.length ? JSON.parse(JSON.stringify(stored)) : {};
+    const recs = {};
+    urls.forEach(url => { if (stored[recKey(url)]) recs[url] = stored[recKey(url)]; });
+    jobPosts.forEach(p => { if (!recs[p.profileUrl]) recs[p.profileUrl] = newRecruiter(p.profileUrl); });
+    const changed = {};
+    // Job posts first, so a new recruiter's other posts in the same batch count
+    jobPosts.forEach(p => {
+      if (recordPost(recs[p.profileUrl], p.name, p.role, p.date, p.text || '', p.meta || {})) {
+        changed[recKey(p.profileUrl)] = recs[p.profileUrl];
+      }
+    });
+    posts.filter(p => p.other && recs[p.profileUrl]).forEach(p => {
+      if (recordOtherPost(recs[p.profileUrl], p.date, p.text || '')) changed[recKey(p.profileUrl)] = recs[p.profileUrl];
+    });
+    if (Object.keys(changed).length) {
+      await set(changed);
+      const changes = Object.keys(changed).map(key => {
+        const url = key.slice(REC_PREFIX.length);
+        return { url, before: before[key] || null, after: recs[url] };
+      });
+      loggedListeners.forEach(fn => fn(changes));
+    }
+    return recs;
+  });
+}
+
+// New posts are the only thing that raises a recruiter's risk; fn gets
+// [{ url, before, after }] (before: null for a new recruiter) after each
+// logPosts write that changed something. Called inside the write queue:
+// fn must not wait on serialize().
+const loggedListeners = [];
+function onLogged(fn) {
+  loggedListeners.push(fn);
+}
+
+// What a recruiter's /in/ page shows (profile.js), kept on their record as
+// rec.profile. Profiles of people with no record aren't stored.
+// → { rec (as stored, or null), profile (normalized), changed }
+function saveProfile(url, raw) {
+  return serialize(async () => {
+    const profile = normalizeProfile(raw);
+    const rec = await readRecruiter(url);
+    if (!rec) return { rec: null, profile, changed: false };
+    const changed = !sameProfile(rec.profile, profile);
+    if (changed) {
+      rec.profile = profile;
+      await set({ [recKey(url)]: rec });
+    }
+    return { rec, profile, changed };
+  });
+}
+
+function setFlags(url, status, name = '') {
+  return serialize(async () => {
+    const next = withStatus(await loadLists(), url, status, name);
+    await set({ [LISTS_KEY]: next });
+    return next;
+  });
+}
+
+function setWatched(url, on, name = '') {
+  return serialize(async () => {
+    const next = withWatched(await loadWatched(), url, on, name);
+    await set({ [WATCH_KEY]: next });
+    return next;
+  });
+}
+
+// example: { name, verdict, level, pts, rules } from the badge, or null
+// to take the verdict back
+function setVerdict(url, example) {
+  return serialize(async () => {
+    const next = withVerdict(await loadFeedback(), url, example);
+    await set({ [FEEDBACK_KEY]: next });
+    return next;
+  });
+}
+
+// Forgets every verdict: scoring goes back to the configured weights
+function resetFeedback() {
+  return serialize(() => remove([FEEDBACK_KEY]));
+}
+
+function importData(exported) {
+  return serialize(async () => {
+    const data = await readAll();
+    const stats = mergeImport(data, exported);
+    const touched = {};
+    exported.recruiters.forEach(r => {
+      if (r && data[r.url]) touched[recKey(r.url)] = data[r.url];
+    });
+    await set(touched);
+    return stats;
+  });
+}
+
+function clearAll() {
+  return serialize(async () => {
+    const keys = Object.keys(await get(null)).filter(k => k.startsWith(REC_PREFIX));
+    await remove(keys.concat(LEGACY_KEY));
+  });
+}
+
+// Drops aged-out posts and idle recruiters, see retention.js
+function prune(retention, cfg, now = Date.now()) {
+  return serialize(async () => {
+    const { changed, removed, stats } = pruneRecords(await readAll(), retention, cfg, await loadLists(), now);
+    const items = {};
+    Object.entries(changed).forEach(([url, rec]) => { items[recKey(url)] = rec; });
+    if (Object.keys(items).length) await set(items);
+    if (removed.length) await remove(removed.map(recKey));
+    return stats;
+  });
+}
+
+// One-time move from the single recruiterData blob to per-recruiter keys
+function migrateLegacy() {
+  return serialize(async () => {
+    const d = await get([LEGACY_KEY]);
+    const legacy = d[LEGACY_KEY];
+    if (!legacy) return 0;
+    const items = {};
+    Object.entries(legacy).forEach(([url, rec]) => { items[recKey(url)] = rec; });
+    await set(items);
+    await remove([LEGACY_KEY]);
+    return Object.keys(items).length;
+  });
+}
+
+// One-time clean-up of posts logged twice before posts were keyed by their
+// activity ID (scoring.collapseDuplicates). Returns how many were dropped.
+function migratePostIds() {
+  return serialize(async () => {
+    if ((await get([POST_IDS_KEY]))[POST_IDS_KEY]) return 0;
+    const items = { [POST_IDS_KEY]: Date.now() };
+    let dropped = 0;
+    Object.entries(await readAll()).forEach(([url, rec]) => {
+      const posts = collapseDuplicates(rec.posts);
+      if (posts.length === (rec.posts || []).length) return;
+      dropped += rec.posts.length - posts.length;
+      items[recKey(url)] = { ...rec, posts };
+    });
+    await set(items);
+    return dropped;
+  });
+}
+
+// ─── Client ───────────────────────────────────────────────────
+// Content script / popup / options → background worker. Rejects with the
+// handler's error message so callers can show it.
+function request(action, payload = {}) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ action, ...payload }, resp => {
+      if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+      else if (resp && resp.error) reject(new Error(resp.error));
+      else resolve(resp);
+    });
+  });
+}
+
+const api = {
+  REC_PREFIX,
+  LEGACY_KEY,
+  POST_IDS_KEY,
+  recKey,
+  serialize,
+  readRecruiter,
+  readAll,
+  logPost,
+  logPosts,
+  onLogged,
+  saveProfile,
+  setFlags,
+  setWatched,
+  setVerdict,
+  resetFeedback,
+  importData,
+  clearAll,
+  prune,
+  migrateLegacy,
+  migratePostIds,
+  request,
+};
+
+if (isNode) module.exports = api;
+else (root.FRD = root.FRD || {}).store = api;
+
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { riskOf, shouldAlert, alertReason, withWatched, normalizeWatched, normalizeAlertScope, DEFAULT_SCOPE } = require('../alerts.js');
+
+const URL_A = 'https://www.linkedin.com/in/a';
+
+test('riskOf: fake outranks the level, listed recruiters have none', () => {
+  assert.equal(riskOf({ level: 'high', isFake: true, listStatus: null }), 'fake');
+  assert.equal(riskOf({ level: 'medium', isFake: false, listStatus: null }), 'medium');
+  assert.equal(riskOf({ level: 'high', isFake: true, listStatus: 'blocked' }), null);
+  assert.equal(riskOf({ level: 'low', isFake: false, listStatus: 'trusted' }), null);
+});
+
+test('shouldAlert: watched recruiters alert on every step up', () => {
+  const watched = { scope: 'watched', watched: true };
+  assert.equal(shouldAlert('low', 'medium', watched), true);
+  assert.equal(shouldAlert('medium', 'fake', watched), true);
+  assert.equal(shouldAlert('low', 'medium', { ...watched, isNew: true }), true);
+  assert.equal(shouldAlert('high', 'high', watched), false);
+  assert.equal(shouldAlert('high', 'medium', watched), false);
+  assert.equal(shouldAlert('low', null, watched), false, 'listed meanwhile');
+});
+
+test('shouldAlert: others only on turning fake, and not on first sight', () => {
+  assert.equal(shouldAlert('high', 'fake', { scope: 'fake' }), true);
+  assert.equal(shouldAlert('low', 'high', { scope: 'fake' }), false);
+  assert.equal(shouldAlert('low', 'fake', { scope: 'fake', isNew: true }), false);
+  assert.equal(shouldAlert('high', 'fake', { scope: 'watched' }), false);
+  assert.equal(shouldAlert('low', 'fake', { scope: 'off', watched: true }), false);
+  assert.equal(DEFAULT_SCOPE, 'fake');
+});
+
+test('alertReason: the hiring-pattern reason for fakes, else the top reason', () => {
+  assert.equal(alertReason({ isFake: true, hiringAnalysis: { reason: 'Posted 6 hiring posts in last 3 days' }, reasons: ['x'] }),
+    'Posted 6 hiring posts in last 3 days');
+  assert.equal(alertReason({ isFake: false, reasons: ['Same role posted 3 times'] }), 'Same role posted 3 times');
+  assert.equal(alertReason({ isFake: false, reasons: [] }), '');
+});
+
+test('withWatched: adds and removes without touching its input', () => {
+  const before = {};
+  const on = withWatched(before, URL_A, true, 'A');
+  assert.equal(on[URL_A].name, 'A');
+  assert.deepEqual(before, {});
+  assert.deepEqual(withWatched(on, URL_A, false), {});
+});
+
+test('normalizers: tolerate missing or malformed storage', () => {
+  assert.deepEqual(normalizeWatched(undefined), {});
+  assert.deepEqual(normalizeWatched([URL_A]), {});
+  assert.equal(normalizeAlertScope('loud'), DEFAULT_SCOPE);
+  assert.equal(normalizeAlertScope('off'), 'off');
+});
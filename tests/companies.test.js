@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CFG } = require('../scoring.js');
+const { emptyLists, withStatus } = require('../lists.js');
+const { companyKey, companySlug, claimsOf, rollUp, impersonationIndex, claimIndex, indexClaims, rollUpFor, findCompany } = require('../companies.js');
+
+const PAGE = 'https://www.linkedin.com/company/acme-demo-labs';
+const person = n => `https://www.linkedin.com/in/person-${n}`;
+
+// Four posts on one old day score high (daily limit + hiring ratio); one post is low
+function rec(url, company, flagged, name = url.split('/').pop()) {
+  const posts = (flagged ? ['2024-01-01', '2024-01-01', '2024-01-01', '2024-01-01'] : ['2024-01-01'])
+    .map((date, i) => ({ role: `Role ${i}`, date, snippet: `${url} ${i}`, company }));
+  return { url, name, firstSeen: 1, posts };
+}
+
+function data(...recs) {
+  return Object.fromEntries(recs.map(r => [r.url, r]));
+}
+
+test('companyKey: legal forms, case, accents and slugs fold together', () => {
+  assert.equal(companyKey('Acme Demo Labs Pvt. Ltd.'), 'acmedemolabs');
+  assert.equal(companyKey('acme-demo-labs'), 'acmedemolabs');
+  assert.equal(companyKey('Société Générale'), 'societegenerale');
+  assert.equal(companyKey('Beispiel GmbH'), 'beispiel');
+  assert.equal(companyKey(''), '');
+});
+
+test('companySlug / claimsOf', () => {
+  assert.equal(companySlug(PAGE), 'acme-demo-labs');
+  assert.equal(companySlug('/company/acme-demo-labs/posts/'), 'acme-demo-labs');
+  assert.equal(companySlug(person(1)), null);
+  const r = rec(person(1), 'Acme Demo Labs', true);
+  r.posts[1].company = 'ACME Demo Labs Ltd';
+  r.posts.push({ role: 'x', date: '2024-01-02', company: 'Other Co' }, { role: 'y', date: '2024-01-03' });
+  assert.deepEqual(claimsOf(r), { acmedemolabs: 'Acme Demo Labs', other: 'Other Co' });
+});
+
+test('rollUp: many unrelated people, enough of them flagged, is impersonation', () => {
+  const all = data(
+    rec(person(1), 'ACME Demo Labs Pvt Ltd', true),
+    rec(PAGE, 'Acme Demo Labs', false, 'Acme Demo Labs'),
+    rec(person(2), 'Acme Demo Labs', true),
+    rec(person(3), 'Acme Demo Labs', false),
+  );
+  const { companies, impersonation } = rollUp(all, CFG, emptyLists());
+  const acme = companies.acmedemolabs;
+  // Named as on its own page, not as whoever claimed it first
+  assert.deepEqual([acme.page, acme.name], [PAGE, 'Acme Demo Labs']);
+  assert.deepEqual([acme.people, acme.flagged, acme.impersonated], [3, 2, true]);
+  assert.deepEqual(Object.keys(impersonation).sort(), [person(1), person(2), person(3)]);
+  assert.deepEqual(impersonation[person(3)], { company: 'Acme Demo Labs', people: 3, flagged: 2 });
+});
+
+test('rollUp: thresholds come from cfg; trusted people are not counted', () => {
+  const all = data(rec(person(1), 'Acme', true), rec(person(2), 'Acme', true), rec(person(3), 'Acme', false));
+  assert.equal(rollUp(all, { ...CFG, IMPERSONATION_FLAGGED: 3 }).companies.acme.impersonated, false);
+
+  const lists = withStatus(emptyLists(), person(3), 'trusted');
+  const { companies, impersonation } = rollUp(all, CFG, lists);
+  assert.deepEqual([companies.acme.people, companies.acme.impersonated], [2, false]);
+  assert.deepEqual(impersonation, {});
+
+  // Blocked people score as fake, so they count as flagged
+  const blocked = withStatus(emptyLists(), person(3), 'blocked');
+  assert.equal(rollUp(all, { ...CFG, IMPERSONATION_FLAGGED: 3 }, blocked).companies.acme.impersonated, true);
+});
+
+test('impersonationIndex: feeds score() without scoring itself', () => {
+  const all = data(rec(person(1), 'Acme', true), rec(person(2), 'Acme', true), rec(person(3), 'Acme', false));
+  // Base scores decide who is flagged: the impersonation points alone must not flag person 3
+  assert.deepEqual(impersonationIndex(all, CFG, emptyLists())[person(3)], { company: 'Acme', people: 3, flagged: 2 });
+});
+
+test('findCompany: by page slug, then by name', () => {
+  const { companies } = rollUp(data(rec(PAGE, 'Acme Demo Labs', false), rec(person(1), 'Acme Demo Labs', true)));
+  assert.equal(findCompany(companies, { slug: 'acme-demo-labs' }).key, 'acmedemolabs');
+  assert.equal(findCompany(companies, { slug: 'acme-labs-india', name: 'Acme Demo Labs Ltd.' }).key, 'acmedemolabs');
+  assert.equal(findCompany(companies, { slug: 'someone-else', name: 'Someone Else' }), null);
+});
+
+test('rollUpFor: the companies asked about, as rollUp has them', () => {
+  const all = data(
+    rec(person(1), 'Acme', true),
+    rec(person(2), 'Acme', true),
+    rec(person(3), 'Acme', false),
+    rec(person(4), 'Other Co', true),
+    rec(PAGE, 'Acme Demo Labs', false, 'Acme Demo Labs'),
+  );
+  all[person(3)].posts.push({ role: 'x', date: '2024-01-02', company: 'Other Co' });
+  const full = rollUp(all, CFG, emptyLists(), {});
+  const index = claimIndex(all);
+
+  const some = rollUpFor(all, index, { urls: [person(3)] }, CFG, emptyLists());
+  assert.deepEqual(Object.keys(some.companies).sort(), ['acme', 'other']);
+  assert.deepEqual(some.companies.acme, full.companies.acme);
+  assert.deepEqual(some.impersonation, { [person(3)]: full.impersonation[person(3)] });
+
+  // By key alone: person 3's other claim (Acme) is not rolled up
+  assert.deepEqual(Object.keys(rollUpFor(all, index, { keys: ['other'] }).companies), ['other']);
+  assert.deepEqual(rollUpFor(all, index, { keys: ['acmedemolabs'] }).companies.acmedemolabs, full.companies.acmedemolabs);
+
+  // A new claim shows up once indexed
+  const moved = rec(person(4), 'Acme', true);
+  all[person(4)] = moved;
+  indexClaims(index, person(4), moved);
+  assert.deepEqual([...index.byKey.get('other')], [person(3)]);
+  assert.equal(rollUpFor(all, index, { keys: ['acme'] }).companies.acme.people, 4);
+});
@@ -0,0 +1,494 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadFixture, fixtureNames, expectedDate } = require('./helpers/dom.js');
+
+// One test per saved page in tests/fixtures: <name>.html and <name>.json with
+// the URL it was saved from and, per post, what should be read from it. Every
+// field but "selector" is optional; "level": null means no badge (not a job post).
+// "id" / "of": the post's activity ID and the one it reshares.
+// When LinkedIn changes its markup, save the broken page here first.
+fixtureNames().forEach(name => {
+  test(`fixture ${name}: extractors and badges`, async () => {
+    const page = loadFixture(name);
+    const { spec, document, content } = page;
+    try {
+      // Read the untouched page, as scanPosts does
+      spec.posts.forEach(post => {
+        const where = `${name} ${post.selector}`;
+        const el = document.querySelector(post.selector);
+        assert.ok(el, `${where}: not found`);
+        const text = content.getPostText(el);
+        const author = content.getAuthorFromPost(el);
+        if ('author' in post) assert.equal(author && author.url, post.author, `${where}: author URL`);
+        if ('name' in post) assert.equal(author && author.name, post.name, `${where}: author name`);
+        if ('date' in post) assert.equal(content.getPostDate(el), expectedDate(post.date), `${where}: date`);
+        if ('text' in post) assert.ok(text.includes(post.text), `${where}: text was ${JSON.stringify(text)}`);
+        if ('role' in post) assert.equal(content.extractRole(text), post.role, `${where}: role`);
+        if ('company' in post) assert.equal(content.getPostCompany(el, text, author), post.company, `${where}: company`);
+        if ('level' in post) assert.equal(content.isJobPost(text), post.level !== null, `${where}: job post`);
+        if ('id' in post) assert.deepEqual({ ...content.getPostIds(el) }, { id: post.id, of: post.of ?? null }, `${where}: activity IDs`);
+      });
+
+      const jobs = spec.posts.filter(post => post.level).length;
+      const before = content.diagnose();
+      assert.deepEqual([before.found, before.analyzed, before.pending], [spec.posts.length, 0, jobs], `${name}: diagnostics before scan`);
+
+      await page.scan();
+
+      spec.posts.filter(post => 'level' in post).forEach(post => {
+        const badge = document.querySelector(post.selector).querySelector('.frd-badge');
+        assert.equal(badge ? badge.className.replace('frd-badge frd-', '') : null, post.level, `${name} ${post.selector}: badge`);
+      });
+
+      // Nothing but the job posts above got a badge or was logged; a reshare
+      // of a post on the page by the same author is that post
+      assert.equal(document.querySelectorAll('.frd-badge').length, jobs, `${name}: badges on the page`);
+      const reshares = spec.posts.filter(post => post.level && post.of &&
+        spec.posts.some(o => o.id === post.of && o.author === post.author)).length;
+      const logged = Object.entries(page.storage.items)
+        .filter(([key]) => key.startsWith('rec:'))
+        .reduce((n, [, rec]) => n + rec.posts.length, 0);
+      assert.equal(logged, jobs - reshares, `${name}: posts logged`);
+
+      const after = content.diagnose();
+      assert.deepEqual([after.found, after.analyzed, after.pending], [spec.posts.length, jobs, 0], `${name}: diagnostics after scan`);
+      assert.equal(after.skipped.notJob, spec.posts.filter(post => post.level === null).length, `${name}: skipped as not a job post`);
+      assert.ok(after.selectors.find(g => g.group === 'post').matched.length, `${name}: post selectors`);
+    } finally {
+      page.close();
+    }
+  });
+});
+
+test('diagnostics: a layout no post selector knows reads as blind, not clean', async () => {
+  const page = loadFixture('feed');
+  try {
+    page.document.body.innerHTML = '<main><div class="post-v9"><p>We are hiring! DM me</p></div></main>';
+    const d = page.content.diagnose();
+    assert.equal(d.found, 0);
+    assert.equal(d.page, 'feed');
+    assert.deepEqual(JSON.parse(JSON.stringify(d.selectors)), [{ group: 'post', matched: [], misses: 1 }]);
+  } finally {
+    page.close();
+  }
+});
+
+test('viewport pipeline: posts are logged as they come into view, once', async () => {
+  const page = loadFixture('feed');
+  const { spec, document, content, storage } = page;
+  try {
+    // Writes to records only: the worker's start-up migrations don't count
+    let writes = 0;
+    const set = storage.set;
+    storage.set = (items, ...a) => { if (Object.keys(items).some(k => k.startsWith('rec:'))) writes++; set(items, ...a); };
+    // Reads of all storage: once the worker has its record index, it keeps it
+    let readAlls = 0;
+    const get = storage.get;
+    storage.get = (keys, ...a) => { if (keys === null) readAlls++; get(keys, ...a); };
+    const logged = () => Object.keys(storage.items).filter(k => k.startsWith('rec:')).length;
+    const [first, second] = spec.posts.filter(post => post.level).map(post => document.querySelector(post.selector));
+
+    await content.ready;
+    content.trackPosts();
+    await content.idle();
+    assert.equal(logged(), 0, 'nothing is logged before it is in view');
+
+    await page.reveal([first]);
+    assert.equal(logged(), 1);
+    assert.ok(first.querySelector('.frd-badge'));
+    assert.equal(second.querySelector('.frd-badge'), null);
+    readAlls = 0;
+
+    await page.reveal([...document.querySelectorAll('[data-frd-tracked]')]);
+    assert.equal(logged(), 2);
+    assert.deepEqual([content.perf.batches, content.perf.logged, writes, readAlls], [2, 2, 2, 0]);
+
+    // A rescan (popup Scan, settings change) is served from the cache
+    await content.rescanAll();
+    assert.deepEqual([content.perf.batches, content.perf.cacheHits, writes], [2, 2, 2]);
+    assert.equal(document.querySelectorAll('.frd-badge').length, 2);
+  } finally {
+    page.close();
+  }
+});
+
+test('viewport pipeline: an other post seen before the first job post of its author still counts', async () => {
+  const page = loadFixture('company-posts');
+  const { spec, document, content, storage } = page;
+  try {
+    const [job, , other] = spec.posts.map(post => document.querySelector(post.selector));
+    const rec = () => storage.items['rec:https://www.linkedin.com/company/demo-staffing-co'];
+    await content.ready;
+    content.trackPosts();
+    await content.idle();
+
+    // No record yet: the store drops it, the tab holds on to it
+    await page.reveal([other]);
+    assert.equal(rec(), undefined);
+
+    await page.reveal([job]);
+    assert.equal(rec().posts.length, 1);
+    assert.equal(rec().other.length, 1);
+  } finally {
+    page.close();
+  }
+});
+
+test('job cards: scored against whoever logged the listing, without reading all storage', async () => {
+  const hr = 'https://www.linkedin.com/in/demo-hr-9';
+  const storage = { [`rec:${hr}`]: { url: hr, name: 'Demo HR', firstSeen: 1,
+    posts: ['a', 'b', 'c', 'd'].map((r, i) => ({ role: `Role ${r}`, date: '2024-01-01', snippet: `hr ${i}`, jobId: `90${i}` })) } };
+  const page = loadFixture('feed', { storage });
+  const { document, content } = page;
+  try {
+    await page.scan();
+    let readAlls = 0;
+    const get = page.storage.get;
+    page.storage.get = (keys, ...a) => { if (keys === null) readAlls++; get(keys, ...a); };
+
+    const list = document.createElement('ul');
+    list.innerHTML = `
+      <li data-occludable-job-id="902"><a href="/jobs/view/902/">Data Entry Operator</a></li>
+      <li data-occludable-job-id="555"><a href="/jobs/view/555/">Nobody logged this</a></li>`;
+    document.body.appendChild(list);
+    await content.scanJobs();
+
+    const [logged, unknown] = list.querySelectorAll('li');
+    assert.ok(logged.querySelector('.frd-badge.frd-high'), logged.innerHTML);
+    assert.equal(unknown.querySelector('.frd-badge'), null, 'no owner and no company link: no badge');
+    assert.equal(readAlls, 0);
+    assert.equal(page.storage.items[`rec:${hr}`].posts.length, 4, 'cards are never logged');
+  } finally {
+    page.close();
+  }
+});
+
+test('badges: shadow DOM, ARIA state, one announcement per fake recruiter', async () => {
+  const page = loadFixture('profile-activity');
+  const { spec, document } = page;
+  try {
+    await page.scan();
+    const hosts = spec.posts.map(post => document.querySelector(post.selector).querySelector('.frd-badge'));
+    const root = hosts[0].shadowRoot;
+    assert.ok(root, 'badge content is in a shadow root');
+    assert.equal(hosts[0].children.length, 0, 'nothing of the badge in the page DOM');
+
+    // Fake posts open their details in full mode
+    const toggle = root.querySelector('.toggle');
+    assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+    assert.equal(toggle.getAttribute('aria-controls'), root.querySelector('.body').id);
+    toggle.click();
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    assert.ok(root.querySelector('.body').hidden);
+
+    const alerts = document.getElementById('frd-notifications').shadowRoot.querySelector('[role="alert"]');
+    assert.equal(alerts.getAttribute('aria-live'), 'assertive');
+    assert.equal(alerts.children.length, 1, 'three fake posts, one recruiter, one announcement');
+    assert.match(alerts.textContent, new RegExp(spec.posts[0].name));
+
+    // Keyboard focus survives a re-score
+    toggle.focus();
+    await page.content.rescanAll();
+    const again = document.querySelector(spec.posts[0].selector).querySelector('.frd-badge');
+    assert.notEqual(again, hosts[0]);
+    assert.equal(document.activeElement, again);
+    assert.equal(again.shadowRoot.activeElement, again.shadowRoot.querySelector('.toggle'));
+    assert.equal(alerts.children.length, 1);
+  } finally {
+    page.close();
+  }
+});
+
+test('badges: reasons are text, whatever a post named its company', async () => {
+  // Posts (or an import) claiming a company whose name is markup
+  const company = 'Demo <img src=x onerror="alert(1)"> Co';
+  const priya = 'https://www.linkedin.com/in/priya-sharma-hr-4a1b2c';
+  const storage = {};
+  [priya, ...[1, 2].map(n => `https://www.linkedin.com/in/demo-hr-${n}`)].forEach((url, n) => {
+    const dates = n ? Array(4).fill('2024-01-01') : ['2024-01-01'];
+    storage[`rec:${url}`] = { url, name: `HR ${n}`, firstSeen: 1,
+      posts: dates.map((date, i) => ({ role: `Role ${i}`, date, snippet: `hr ${n} ${i}`, company })) };
+  });
+  const page = loadFixture('feed', { storage });
+  const { spec, document } = page;
+  try {
+    await page.scan();
+    const root = document.querySelector(spec.posts[0].selector).querySelector('.frd-badge').shadowRoot;
+    assert.equal(root.querySelector('img'), null);
+    assert.ok([...root.querySelectorAll('.reason')].some(li => li.textContent.includes(`hiring for ${company}`)));
+  } finally {
+    page.close();
+  }
+});
+
+test('badges: compact mode keeps even fake posts to one line', async () => {
+  const page = loadFixture('profile-activity', { storage: { displayMode: 'compact' } });
+  try {
+    await page.scan();
+    const root = page.document.querySelector('.frd-badge').shadowRoot;
+    assert.ok(root.querySelector('.badge').classList.contains('compact'));
+    assert.equal(root.querySelector('.toggle').getAttribute('aria-expanded'), 'false');
+  } finally {
+    page.close();
+  }
+});
+
+test('badges: a Correct / Wrong verdict is stored with the rules behind the score', async () => {
+  const page = loadFixture('profile-activity');
+  const { spec, document, storage } = page;
+  try {
+    await page.scan();
+    const badge = () => document.querySelector(spec.posts[0].selector).querySelector('.frd-badge').shadowRoot;
+    const wrong = badge().querySelector('.action-verdict[data-verdict="wrong"]');
+    assert.equal(wrong.getAttribute('aria-pressed'), 'false');
+    wrong.click();
+    await new Promise(r => setTimeout(r, 50));
+
+    const example = storage.items.verdictFeedback[spec.posts[0].author];
+    assert.deepEqual([example.name, example.verdict, example.level], [spec.posts[0].name, 'wrong', 'high']);
+    assert.ok(example.rules.includes('SIGNAL_WEIGHTS.fee'), example.rules.join());
+    const toasts = document.getElementById('frd-notifications').shadowRoot.querySelector('.toasts').textContent;
+    assert.match(toasts, new RegExp(`verdict on ${spec.posts[0].name}`));
+
+    // Every tab re-scores once the verdict is stored, showing it pressed
+    page.window.chrome.storage.onChanged.listeners.forEach(fn => fn({ verdictFeedback: { newValue: storage.items.verdictFeedback } }, 'local'));
+    await new Promise(r => setTimeout(r, 50));
+    assert.equal(badge().querySelector('.action-verdict[data-verdict="wrong"]').getAttribute('aria-pressed'), 'true');
+  } finally {
+    page.close();
+  }
+});
+
+test('shortcuts: jump between flagged posts, hide badges, analyze the focused post', async () => {
+  const page = loadFixture('profile-activity');
+  const { spec, document } = page;
+  try {
+    await page.scan();
+    // No layout in jsdom: stack the badges at -200, 300 and 800px, around the middle (384px)
+    const hosts = spec.posts.map(post => document.querySelector(post.selector).querySelector('.frd-badge'));
+    hosts.forEach((host, i) => {
+      host.getBoundingClientRect = () => ({ top: i * 500 - 200, bottom: i * 500 - 160 });
+    });
+    const focused = () => document.activeElement.shadowRoot && document.activeElement;
+
+    assert.deepEqual(await page.command('next-flagged'), { ok: true });
+    assert.equal(focused(), hosts[2]);
+    await page.command('prev-flagged');
+    assert.equal(focused(), hosts[1]);
+
+    await page.command('toggle-badges');
+    assert.ok(hosts.every(host => host.hidden));
+    await page.command('rescan');
+    assert.ok([...document.querySelectorAll('.frd-badge')].every(host => host.hidden), 'new badges stay hidden');
+    await page.command('toggle-badges');
+    assert.ok([...document.querySelectorAll('.frd-badge')].every(host => !host.hidden));
+  } finally {
+    page.close();
+  }
+
+  const feed = loadFixture('feed');
+  try {
+    await feed.content.ready;
+    const post = feed.document.querySelector(feed.spec.posts[0].selector);
+    post.querySelector('a').focus();
+    assert.equal(feed.content.currentPost(), post);
+    await feed.command('analyze-post');
+    assert.ok(post.querySelector('.frd-badge'));
+  } finally {
+    feed.close();
+  }
+});
+
+test('context menu: analyze the post, check and block recruiters', async () => {
+  const page = loadFixture('feed');
+  const { spec, document, storage } = page;
+  try {
+    await page.content.ready;
+    const [first, , third] = spec.posts.map(post => document.querySelector(post.selector));
+    const toasts = () => document.getElementById('frd-notifications').shadowRoot.querySelector('.toasts').textContent;
+
+    // Anywhere inside the post will do
+    assert.deepEqual(await page.menu('analyze-post', first.querySelector('.update-components-text')), { ok: true });
+    assert.ok(first.querySelector('.frd-badge'));
+
+    // A profile link: the stored record, nothing logged
+    const link = first.querySelector('a[href*="/in/"]');
+    await page.menu('check-recruiter', link);
+    assert.match(toasts(), new RegExp(`${spec.posts[0].name}: medium risk .*1 hiring posts`));
+    await page.menu('check-recruiter', third.querySelector('a[href*="/company/"]'));
+    assert.match(toasts(), new RegExp(`No hiring posts from ${spec.posts[2].name}`));
+
+    // No link under the pointer: the post's author
+    await page.menu('block-recruiter', third.querySelector('.update-components-text'));
+    assert.equal(storage.items.recruiterLists.blocked[spec.posts[2].author].name, spec.posts[2].name);
+    await page.menu('trust-recruiter', link);
+    assert.ok(spec.posts[0].author in storage.items.recruiterLists.trusted);
+  } finally {
+    page.close();
+  }
+});
+
+test('toolbar: flagged posts on the page are counted per tab and listed for the popup', async () => {
+  const acme = 'https://www.linkedin.com/company/acme-demo-labs';
+  const page = loadFixture('feed', { storage: { recruiterLists: { trusted: {}, blocked: { [acme]: { name: 'Acme Demo Labs' } } } } });
+  const { spec, document } = page;
+  const settle = () => new Promise(r => setTimeout(r, 400)); // CFG.REPORT_DELAY in content.js
+  try {
+    await page.scan();
+    await settle();
+    // The medium-risk post, and the blocked company's, which counts as fake
+    assert.deepEqual(page.toolbar(), { text: '2', color: '#d93025', title: 'On this page: 1 fake, 0 high risk, 1 suspicious posts' });
+
+    const flagged = await page.message({ action: 'getFlagged' });
+    assert.deepEqual(flagged.map(f => [f.flag, f.name]), [['medium', spec.posts[0].name], ['fake', spec.posts[2].name]]);
+    assert.deepEqual(await page.message({ action: 'scrollToFlagged', id: flagged[1].id }), { ok: true });
+    assert.equal(document.activeElement, document.querySelector(spec.posts[2].selector).querySelector('.frd-badge'));
+
+    // A new page starts from zero until its own badges are counted
+    page.navigate('https://www.linkedin.com/feed/?page=2');
+    assert.equal(page.toolbar().text, '');
+    // Other feed churn is not a reason to count again
+    document.body.appendChild(document.createElement('div'));
+    await settle();
+    assert.equal(page.toolbar().text, '');
+    document.querySelector(spec.posts[2].selector).remove();
+    await settle();
+    assert.deepEqual([page.toolbar().text, page.toolbar().color], ['1', '#e8710a']);
+  } finally {
+    page.close();
+  }
+});
+
+test('badges: a button whose change the worker rejects comes back with an error toast', async () => {
+  const page = loadFixture('profile-activity');
+  const { spec, document, window } = page;
+  try {
+    await page.scan();
+    // As when the extension is reloaded under an open tab
+    window.chrome.runtime.sendMessage = (message, cb) => {
+      window.chrome.runtime.lastError = { message: 'Extension context invalidated.' };
+      cb(undefined);
+      window.chrome.runtime.lastError = undefined;
+    };
+    const root = document.querySelector(spec.posts[0].selector).querySelector('.frd-badge').shadowRoot;
+    for (const selector of ['.action-verdict[data-verdict="wrong"]', '.action-watch', '.action[data-status="blocked"]']) {
+      const btn = root.querySelector(selector);
+      btn.click();
+      await new Promise(r => setTimeout(r, 20));
+      assert.equal(btn.disabled, false, selector);
+    }
+    const urgent = document.getElementById('frd-notifications').shadowRoot.querySelector('.urgent');
+    assert.equal(urgent.querySelectorAll('.toast.error').length, 3);
+    assert.match(urgent.textContent, /Could not save that: Extension context invalidated/);
+  } finally {
+    page.close();
+  }
+});
+
+test('alerts: a watched recruiter stepping up raises a desktop notification', async () => {
+  // Seen once before, one post, low risk; the page holds three more
+  const neha = 'https://www.linkedin.com/in/neha-kapoor-talent-77x9';
+  const page = loadFixture('profile-activity', { storage: {
+    [`rec:${neha}`]: { url: neha, name: 'Neha Kapoor', firstSeen: Date.now(), posts: [{ role: 'Sales Executive', date: '2020-01-01', snippet: 'x', ts: 1 }] },
+    watchedRecruiters: { [neha]: { name: 'Neha Kapoor', at: 1 } },
+  } });
+  try {
+    await page.scan();
+    await new Promise(r => setTimeout(r, 50));
+    const root = page.document.querySelector('.frd-badge').shadowRoot;
+    assert.equal(root.querySelector('.action-watch').getAttribute('aria-pressed'), 'true');
+    assert.equal(page.notifications.length, 1);
+    const [alert] = page.notifications;
+    assert.equal(alert.id, `frd-alert:${neha}`);
+    assert.equal(alert.title, '🚨 Neha Kapoor now looks fake');
+    assert.equal(alert.contextMessage, 'Recruiter you watch');
+    assert.match(alert.message, /hiring posts/);
+  } finally {
+    page.close();
+  }
+});
+
+test('company banner: who hires for the company, and an impersonation warning', async () => {
+  // Three people elsewhere claim to hire for Demo Staffing Co; two post like spammers
+  const person = n => `https://www.linkedin.com/in/demo-staffing-hr-${n}`;
+  const storage = {};
+  [1, 2, 3].forEach(n => {
+    const dates = n < 3 ? Array(4).fill('2024-01-01') : ['2024-01-01'];
+    storage[`rec:${person(n)}`] = { url: person(n), name: `HR ${n}`, firstSeen: 1,
+      posts: dates.map((date, i) => ({ role: `Role ${i}`, date, snippet: `hr ${n} ${i}`, company: 'Demo Staffing Co.' })) };
+  });
+  const page = loadFixture('company-posts', { storage });
+  const { document, content } = page;
+  try {
+    await page.scan();
+    const company = 'https://www.linkedin.com/company/demo-staffing-co';
+    assert.equal(page.storage.items[`rec:${company}`].posts[0].company, 'Demo Staffing Co');
+    // Its post that isn't a job post only counts towards its hiring ratio
+    assert.equal(page.storage.items[`rec:${company}`].other.length, 1);
+
+    await content.showCompanyBanner();
+    const host = document.getElementById('frd-company-banner');
+    assert.equal(host.parentElement, document.querySelector('main'));
+    const root = host.shadowRoot;
+    assert.match(root.querySelector('.title').textContent, /^🎭 Demo Staffing Co may be impersonated: 3 unrelated recruiters .* 2 of them flagged/);
+    assert.deepEqual([...root.querySelectorAll('.accounts a')].map(a => a.textContent), ['HR 1', 'HR 2', 'HR 3']);
+    assert.equal(root.querySelectorAll('.accounts .flag').length, 2);
+
+    // The claimants' own scores carry the warning too
+    const { score } = await new Promise(r => page.window.chrome.runtime.sendMessage({ action: 'getProfileData', profileUrl: person(3) }, r));
+    assert.ok(score.reasons.includes('🎭 3 unrelated accounts hiring for Demo Staffing Co (2 flagged)'), score.reasons.join());
+
+    // Closed for this company until the page reloads
+    root.querySelector('.close').click();
+    assert.equal(document.getElementById('frd-company-banner'), null);
+    await content.showCompanyBanner();
+    assert.equal(document.getElementById('frd-company-banner'), null);
+  } finally {
+    page.close();
+  }
+});
+
+test('profile check: account signals in a panel, saved onto the record', async () => {
+  const page = loadFixture('profile');
+  const { document, content } = page;
+  const url = 'https://www.linkedin.com/in/ravi-sharma-hr-demo';
+  try {
+    await content.ready;
+    // Nothing logged yet: the panel still shows, but no record is made for it
+    await content.showProfilePanel();
+    let root = document.getElementById('frd-profile-panel').shadowRoot;
+    assert.equal(root.querySelector('.history').textContent, 'No hiring posts logged from this account yet');
+    assert.equal(page.storage.items[`rec:${url}`], undefined);
+
+    await page.scan();
+    assert.deepEqual(JSON.parse(JSON.stringify(content.readProfile())), {
+      headline: 'Senior HR Recruiter | Hiring for multiple roles', company: null, recruiter: true,
+      connections: 38, followers: 120, verified: false, photo: false, experience: 0,
+      activity: { hiring: 1, total: 2 },
+    });
+
+    await content.showProfilePanel();
+    const host = document.getElementById('frd-profile-panel');
+    assert.equal(host.parentElement, document.querySelector('main'));
+    root = host.shadowRoot;
+    assert.match(root.querySelector('.title').textContent, /Profile check/);
+    const reasons = [...root.querySelectorAll('.reasons li')].map(li => li.textContent);
+    ['👤 No profile photo', '📄 No work experience listed', '🔗 Very few connections (38)',
+      '🏷️ Recruiter headline without a current company'].forEach(r => assert.ok(reasons.includes(`• ${r}`), reasons.join()));
+    assert.ok([...root.querySelectorAll('.facts li')].some(li => li.textContent === '🔗 38 connections'));
+    assert.equal(page.storage.items[`rec:${url}`].profile.connections, 38);
+
+    // Badges and the popup count it from then on
+    const { score } = await new Promise(r => page.window.chrome.runtime.sendMessage({ action: 'getProfileData', profileUrl: url }, r));
+    assert.ok(score.reasons.includes('📄 No work experience listed'), score.reasons.join());
+
+    // Closed for this profile until the page reloads
+    root.querySelector('.close').click();
+    assert.equal(document.getElementById('frd-profile-panel'), null);
+    await content.showProfilePanel();
+    assert.equal(document.getElementById('frd-profile-panel'), null);
+  } finally {
+    page.close();
+  }
+});
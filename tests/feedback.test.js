@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CFG, score } = require('../scoring.js');
+const { normalizeProfile } = require('../profile.js');
+const { MAX_EXAMPLES, ruleLabel, normalizeFeedback, withVerdict, calibrate, adaptFactor, adaptWeights, calibrationRows } = require('../feedback.js');
+
+const person = n => `https://www.linkedin.com/in/person-${n}`;
+
+// n verdicts, all on recruiters the same rules fired on
+function verdicts(n, example, from = 0) {
+  let fb = {};
+  for (let i = from; i < from + n; i++) fb = withVerdict(fb, person(i), { name: `P${i}`, ...example });
+  return fb;
+}
+
+test('score: lists the weights that added up to its points by cfg path', () => {
+  const posts = ['2024-01-01', '2024-01-01', '2024-01-01'].map((date, i) => ({ role: `Role ${i}`, date, signals: ['fee'] }));
+  const sc = score({ posts, firstSeen: 1, profile: normalizeProfile({ verified: true }) }, CFG);
+  assert.deepEqual(sc.rules, ['WEIGHTS.DAILY', 'WEIGHTS.ROLE_VARIETY', 'SIGNAL_WEIGHTS.fee', 'PROFILE_WEIGHTS.verified']);
+  assert.deepEqual(score({ posts: [], profile: normalizeProfile({ photo: false }) }, CFG).rules, ['PROFILE_WEIGHTS.no_photo']);
+  assert.deepEqual(score({ posts: [{ role: 'Dev', date: '2020-01-01' }], firstSeen: 1 }, CFG).rules, []);
+});
+
+test('ruleLabel: names for weights, signals and profile rules', () => {
+  assert.equal(ruleLabel('WEIGHTS.DAILY'), 'Too many posts in a day');
+  assert.equal(ruleLabel('PROFILE_WEIGHTS.no_photo'), '👤 No profile photo');
+  assert.equal(ruleLabel('NOPE.x'), 'NOPE.x');
+});
+
+test('withVerdict: one example per recruiter, taken back with null, junk dropped', () => {
+  let fb = withVerdict({}, person(1), { name: 'A', verdict: 'correct', level: 'high', pts: 70, rules: ['WEIGHTS.DAILY', 'WEIGHTS.NOPE', 3] });
+  assert.deepEqual(Object.keys(fb), [person(1)]);
+  assert.deepEqual(fb[person(1)].rules, ['WEIGHTS.DAILY']);
+  fb = withVerdict(fb, person(1), { name: 'A', verdict: 'wrong', level: 'high', pts: 70, rules: [] });
+  assert.equal(fb[person(1)].verdict, 'wrong');
+  assert.deepEqual(withVerdict(fb, person(1), null), {});
+  assert.deepEqual(withVerdict({}, person(2), { verdict: 'maybe', level: 'high' }), {});
+  assert.deepEqual(normalizeFeedback([1, 2]), {});
+});
+
+test('normalizeFeedback: keeps the newest MAX_EXAMPLES', () => {
+  const raw = {};
+  for (let i = 0; i <= MAX_EXAMPLES; i++) raw[person(i)] = { verdict: 'correct', level: 'low', rules: [], at: i };
+  const fb = normalizeFeedback(raw);
+  assert.equal(Object.keys(fb).length, MAX_EXAMPLES);
+  assert.equal(fb[person(0)], undefined);
+});
+
+test('calibrate: false alarms among flagged, misses among the rest, per rule', () => {
+  let fb = verdicts(3, { verdict: 'wrong', level: 'high', rules: ['WEIGHTS.DAILY'] });
+  fb = withVerdict(fb, person(10), { verdict: 'correct', level: 'medium', rules: ['WEIGHTS.DAILY', 'WEIGHTS.REPOSTED'] });
+  fb = withVerdict(fb, person(11), { verdict: 'wrong', level: 'low', rules: ['WEIGHTS.REPOSTED'] });
+  fb = withVerdict(fb, person(12), { verdict: 'correct', level: 'low', rules: [] });
+  const cal = calibrate(fb);
+  assert.deepEqual([cal.total, cal.flagged, cal.fp, cal.fn, cal.fpRate, cal.fnRate], [6, 4, 3, 1, 0.75, 0.5]);
+  assert.deepEqual(cal.rules['WEIGHTS.DAILY'], { fired: 4, flagged: 4, fp: 3, fn: 0, fpRate: 0.75, fnRate: null });
+  assert.deepEqual(cal.rules['WEIGHTS.REPOSTED'], { fired: 2, flagged: 1, fp: 0, fn: 1, fpRate: 0, fnRate: 1 });
+  assert.deepEqual(calibrate({}), { total: 0, flagged: 0, fp: 0, fn: 0, rules: {}, fpRate: null, fnRate: null });
+});
+
+test('adaptFactor: needs enough verdicts, leans with them, stays within bounds', () => {
+  assert.equal(adaptFactor({ fired: 2, fp: 2, fn: 0 }), 1);
+  assert.equal(adaptFactor({ fired: 4, fp: 2, fn: 0 }), 0.75);
+  assert.equal(adaptFactor({ fired: 4, fp: 0, fn: 4 }), 1.5);
+  assert.equal(adaptFactor({ fired: 4, fp: 4, fn: 0 }), 0.5);
+  assert.equal(adaptFactor({ fired: 4, fp: 2, fn: 0 }, true), 1.25);
+});
+
+test('adaptWeights: false alarms lower a rule, misses raise it, cfg untouched', () => {
+  const fb = {
+    ...verdicts(4, { verdict: 'wrong', level: 'high', rules: ['WEIGHTS.DAILY', 'PROFILE_WEIGHTS.verified'] }),
+    ...verdicts(3, { verdict: 'wrong', level: 'low', rules: ['SIGNAL_WEIGHTS.fee'] }, 10),
+  };
+  const cfg = adaptWeights(CFG, fb);
+  assert.equal(cfg.WEIGHTS.DAILY, CFG.WEIGHTS.DAILY / 2);
+  assert.equal(cfg.SIGNAL_WEIGHTS.fee, Math.round(CFG.SIGNAL_WEIGHTS.fee * 1.5));
+  // A verified profile on false alarms should have taken more points off
+  assert.equal(cfg.PROFILE_WEIGHTS.verified, Math.round(CFG.PROFILE_WEIGHTS.verified * 1.5));
+  assert.equal(cfg.WEIGHTS.ROLE_VARIETY, CFG.WEIGHTS.ROLE_VARIETY);
+  assert.equal(CFG.WEIGHTS.DAILY, 40);
+  assert.deepEqual(adaptWeights(CFG, {}), CFG);
+});
+
+test('adaptWeights: scales the configured weight, not the default', () => {
+  const fb = verdicts(3, { verdict: 'wrong', level: 'medium', rules: ['WEIGHTS.DAILY'] });
+  assert.equal(adaptWeights({ ...CFG, WEIGHTS: { ...CFG.WEIGHTS, DAILY: 10 } }, fb).WEIGHTS.DAILY, 5);
+});
+
+test('calibrationRows: worst rules first, with configured and adapted weights', () => {
+  const fb = {
+    ...verdicts(3, { verdict: 'wrong', level: 'high', rules: ['WEIGHTS.DAILY'] }),
+    ...verdicts(1, { verdict: 'correct', level: 'high', rules: ['WEIGHTS.REPOSTED'] }, 10),
+  };
+  const rows = calibrationRows(CFG, fb);
+  assert.deepEqual(rows.map(r => [r.path, r.label, r.base, r.weight]), [
+    ['WEIGHTS.DAILY', 'Too many posts in a day', 40, 20],
+    ['WEIGHTS.REPOSTED', 'Job listing reposted', 15, 15],
+  ]);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { newRecruiter, recordPost } = require('../scoring.js');
+const { normalizeText, fingerprint, similarity, findClusters, sharedTextIndex, textIndex, indexPosts, sharedTextOf } = require('../fingerprint.js');
+
+const SCAM = `We are hiring Data Entry executives for work from home. Earn 5000 per day,
+no interview required. Pay a small registration fee to confirm your slot.
+Contact on WhatsApp +91 98765 43210 #hiring #wfh`;
+
+// Same body, different number, link and hashtags, one word changed
+const SCAM_COPY = `We are hiring Data Entry executives for work from home! Earn 7000 per day,
+no interview required. Pay a small registration fee to secure your slot.
+Contact on WhatsApp +44 7700 900123 https://wa.me/447700900123 #jobs`;
+
+const GENUINE = `Our platform team in Berlin is looking for a senior backend engineer with
+Go and Postgres experience. Hybrid, relocation support, apply through our careers page.`;
+
+function recWith(url, name, ...texts) {
+  const rec = newRecruiter(url);
+  texts.forEach((t, i) => recordPost(rec, name, `Role ${i}`, '2024-03-01', t));
+  return rec;
+}
+
+test('normalizeText: strips links, numbers, tags and punctuation', () => {
+  assert.equal(normalizeText('Call +91 98765! See https://x.io #Hiring @Jane, OK?'), 'call see ok');
+});
+
+test('fingerprint: short texts have none; copies are near-identical', () => {
+  assert.equal(fingerprint("We're hiring! DM me"), null);
+  const a = fingerprint(SCAM), b = fingerprint(SCAM_COPY), c = fingerprint(GENUINE);
+  assert.equal(a.fp.length, 16);
+  assert.deepEqual(fingerprint(SCAM), a);
+  assert.ok(similarity(a.fp, b.fp) >= 0.75, `copy similarity ${similarity(a.fp, b.fp)}`);
+  assert.ok(similarity(a.fp, c.fp) < 0.25);
+});
+
+test('findClusters: groups copies across accounts, not within one', () => {
+  const all = {
+    a: recWith('a', 'A', SCAM),
+    b: recWith('b', 'B', SCAM_COPY),
+    c: recWith('c', 'C', SCAM, GENUINE),
+    d: recWith('d', 'D', GENUINE + ' '), // one other account with the genuine text
+    e: recWith('e', 'E', SCAM_COPY, SCAM_COPY + ' Thanks.'), // repeats itself only
+  };
+  const clusters = findClusters(all);
+  assert.equal(clusters.length, 2);
+  assert.deepEqual(clusters[0].accounts.map(x => x.url).sort(), ['a', 'b', 'c', 'e']);
+  assert.deepEqual(clusters[1].accounts.map(x => x.url).sort(), ['c', 'd']);
+  assert.deepEqual(sharedTextIndex(all), { a: 4, b: 4, c: 4, e: 4, d: 2 });
+
+  const solo = { e: all.e };
+  assert.deepEqual(findClusters(solo), []);
+});
+
+test('textIndex: answers per account as sharedTextIndex does, and follows updates', () => {
+  const all = {
+    a: recWith('a', 'A', SCAM),
+    b: recWith('b', 'B', SCAM_COPY),
+    c: recWith('c', 'C', SCAM, GENUINE),
+    d: recWith('d', 'D', GENUINE + ' '),
+    e: recWith('e', 'E', SCAM_COPY, SCAM_COPY + ' Thanks.'),
+  };
+  const index = textIndex(all);
+  const shared = sharedTextIndex(all);
+  Object.keys(all).forEach(url => assert.equal(sharedTextOf(index, url), shared[url]));
+
+  indexPosts(index, 'c', null);
+  assert.deepEqual(['a', 'b', 'd', 'e'].map(url => sharedTextOf(index, url)), [3, 3, undefined, 3]);
+  indexPosts(index, 'f', recWith('f', 'F', GENUINE));
+  assert.equal(sharedTextOf(index, 'd'), 2);
+  assert.equal(sharedTextOf(index, 'nobody'), undefined);
+});
+
+test('recordPost: keeps the fingerprint of the longest text seen', () => {
+  const rec = newRecruiter('x');
+  const short = SCAM.split(' ').slice(0, 20).join(' ');
+  recordPost(rec, 'X', 'Dev', '2024-03-01', short);
+  const first = rec.posts[0].words;
+  // Same first 80 chars (same snippet), expanded via "see more"
+  assert.equal(recordPost(rec, 'X', 'Dev', '2024-03-01', SCAM), true);
+  assert.equal(rec.posts.length, 1);
+  assert.ok(rec.posts[0].words > first);
+});
@@ -0,0 +1,229 @@
+// Runs the extension against a saved LinkedIn page, offline, the way Chrome
+// would: background.js (and its importScripts) in one context, the
+// manifest's content scripts in a jsdom window, both sharing one fake
+// chrome.storage.local and talking through chrome.runtime messages.
+//
+//   const page = loadFixture('feed');
+//   await page.scan();
+//   page.content.getPostDate(postEl);   // test hooks, see the end of content.js
+//   await page.reveal([postEl]);         // scroll it into view
+//   await page.command('next-flagged');  // press a keyboard shortcut
+//   await page.menu('analyze-post', el); // right-click el, pick a context menu entry
+//   await page.message({ action: 'getFlagged' }); // as the popup would
+//   page.toolbar();                      // { text, color, title } of the toolbar button
+//   page.notifications;                  // desktop notifications raised, [{ id, ...options }]
+//   page.close();
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+const { fakeStorage } = require('./fake-chrome.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+const read = file => fs.readFileSync(path.join(ROOT, file), 'utf8');
+const copy = v => (v === undefined ? v : JSON.parse(JSON.stringify(v)));
+
+// ─── chrome.* ─────────────────────────────────────────────────
+// chrome.i18n from _locales/en, with $1…$9 substitutions
+function fakeI18n() {
+  const messages = JSON.parse(read('_locales/en/messages.json'));
+  return {
+    getMessage(key, subs = []) {
+      const m = messages[key];
+      return m ? m.message.replace(/\$(\d)/g, (_, n) => subs[n - 1] ?? '') : '';
+    },
+  };
+}
+
+function fakeEvent() {
+  const listeners = [];
+  return { listeners, addListener: fn => listeners.push(fn) };
+}
+
+// One chrome object per context; messages from one go to the other's listeners
+function fakeChromePair(storage) {
+  const make = () => ({
+    storage: { local: storage, onChanged: fakeEvent() },
+    runtime: { onMessage: fakeEvent(), onInstalled: fakeEvent(), lastError: undefined },
+    alarms: { get: (name, cb) => cb(undefined), create() {}, onAlarm: fakeEvent() },
+    i18n: fakeI18n(),
+  });
+  const background = make();
+  const page = make();
+
+  const connect = (from, to) => {
+    from.runtime.sendMessage = (message, cb) => {
+      const msg = copy(message);
+      setImmediate(() => {
+        let replied = false;
+        const reply = resp => {
+          if (replied) return;
+          replied = true;
+          if (cb) cb(copy(resp));
+        };
+        const pending = to.runtime.onMessage.listeners.map(l => l(msg, { tab: { id: 1 } }, reply));
+        if (!pending.includes(true)) reply(undefined);
+      });
+    };
+  };
+  connect(page, background);
+  connect(background, page);
+  // Only the one tab, so a message to any tab is a message to the page
+  background.commands = { onCommand: fakeEvent() };
+  background.contextMenus = { removeAll: cb => cb && cb(), create() {}, onClicked: fakeEvent() };
+  background.tabs = { sendMessage: (tabId, message, cb) => background.runtime.sendMessage(message, cb), onUpdated: fakeEvent() };
+  // Toolbar button state per tab: { text, color, title }
+  const toolbar = {};
+  background.action = Object.fromEntries(['setBadgeText', 'setBadgeBackgroundColor', 'setTitle'].map(fn =>
+    [fn, ({ tabId, ...value }) => Object.assign(toolbar[tabId] || (toolbar[tabId] = {}), value)]));
+  const notifications = [];
+  background.notifications = { create: (id, options) => notifications.push({ id, ...options }), clear() {}, onClicked: fakeEvent() };
+  return { background, page, toolbar, notifications };
+}
+
+function startBackground(chrome) {
+  const ctx = vm.createContext({ console, setTimeout, clearTimeout, setImmediate, URL, chrome });
+  ctx.self = ctx;
+  ctx.importScripts = (...files) => files.forEach(f => vm.runInContext(read(f), ctx, { filename: f }));
+  vm.runInContext(read('background.js'), ctx, { filename: 'background.js' });
+  return ctx;
+}
+
+// ─── Page ─────────────────────────────────────────────────────
+// jsdom has no layout, so no innerText. This is close enough for the
+// extractors: block elements start new lines, whitespace collapses, and
+// <script>, <style> and [hidden] are skipped.
+const BLOCK = new Set(['ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIGURE', 'FOOTER',
+  'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION',
+  'TABLE', 'TR', 'UL']);
+
+function innerText(el) {
+  let out = '';
+  (function walk(node) {
+    if (node.nodeType === 3) { out += node.data.replace(/\s+/g, ' '); return; }
+    if (node.nodeType !== 1 || /^(SCRIPT|STYLE|TEMPLATE)$/.test(node.tagName) || node.hidden) return;
+    if (node.tagName === 'BR') { out += '\n'; return; }
+    const block = BLOCK.has(node.tagName);
+    if (block) out += '\n';
+    node.childNodes.forEach(walk);
+    if (block) out += '\n';
+  })(el);
+  return out.split('\n').map(l => l.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n');
+}
+
+// Nor is anything ever in view: posts handed to an IntersectionObserver wait
+// for reveal(elements), which reports them as intersecting
+function fakeViewport(window) {
+  const observers = new Set();
+  window.IntersectionObserver = class {
+    constructor(cb) {
+      this.cb = cb;
+      this.targets = new Set();
+      observers.add(this);
+    }
+    observe(el) { this.targets.add(el); }
+    unobserve(el) { this.targets.delete(el); }
+    disconnect() { this.targets.clear(); }
+  };
+  return els => observers.forEach(o => {
+    const entries = els.filter(el => o.targets.has(el)).map(target => ({ target, isIntersecting: true }));
+    if (entries.length) o.cb(entries, o);
+  });
+}
+
+// Loads tests/fixtures/<name>.html at the URL given in <name>.json.
+// options.storage: initial chrome.storage.local contents
+function loadFixture(name, options = {}) {
+  const spec = JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+  const html = fs.readFileSync(path.join(FIXTURES, `${name}.html`), 'utf8');
+  const storage = fakeStorage(options.storage);
+  const chrome = fakeChromePair(storage);
+  startBackground(chrome.background);
+
+  const dom = new JSDOM(html, { url: spec.url, runScripts: 'outside-only', pretendToBeVisual: true });
+  const { window } = dom;
+  Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+    configurable: true,
+    get() { return innerText(this); },
+  });
+  window.chrome = chrome.page;
+  window.Element.prototype.scrollIntoView = function() {};
+  const reveal = fakeViewport(window);
+
+  // content.js exports its test hooks only when it sees a CommonJS module
+  const ctx = dom.getInternalVMContext();
+  const hooks = { exports: {} };
+  JSON.parse(read('manifest.json')).content_scripts[0].js.forEach(f => {
+    if (f === 'content.js') window.module = hooks;
+    new vm.Script(read(f), { filename: f }).runInContext(ctx);
+    delete window.module;
+  });
+  const content = hooks.exports;
+
+  // Fires a background event as Chrome would and resolves with the page's
+  // reply to the message background.js sends the tab in turn
+  const { tabs, commands, contextMenus } = chrome.background;
+  const tab = { id: 1, url: spec.url };
+  const viaBackground = fire => new Promise(resolve => {
+    const send = tabs.sendMessage;
+    tabs.sendMessage = (tabId, message, cb) => {
+      tabs.sendMessage = send;
+      send(tabId, message, resp => { if (cb) cb(resp); resolve(resp); });
+    };
+    fire();
+  });
+
+  return {
+    spec,
+    window,
+    document: window.document,
+    storage,
+    content,
+    // Waits for settings to load, then runs one full scan
+    scan: () => content.ready.then(() => content.scanPosts()),
+    // Brings posts into view, then waits out the batching delay
+    // (CFG.VISIBLE_DELAY in content.js) and the batch itself
+    reveal: async els => {
+      reveal(els);
+      await new Promise(r => setTimeout(r, 300));
+      await content.idle();
+    },
+    // Presses a keyboard shortcut (manifest "commands")
+    command: name => viaBackground(() => commands.onCommand.listeners.forEach(l => l(name, tab))),
+    // Right-clicks el and picks a context menu entry; Chrome reports the link under the pointer
+    menu: (menuItemId, el) => viaBackground(() => {
+      el.dispatchEvent(new window.MouseEvent('contextmenu', { bubbles: true }));
+      const link = el.closest('a');
+      const info = { menuItemId, linkUrl: link ? link.href : undefined };
+      contextMenus.onClicked.listeners.forEach(l => l(info, tab));
+    }),
+    message: msg => new Promise(resolve => tabs.sendMessage(tab.id, msg, resolve)),
+    toolbar: () => ({ ...chrome.toolbar[tab.id] }),
+    notifications: chrome.notifications,
+    // LinkedIn moving to another page without a reload
+    navigate: url => {
+      window.history.pushState(null, '', url);
+      tabs.onUpdated.listeners.forEach(l => l(tab.id, { url }, tab));
+    },
+    close: () => window.close(),
+  };
+}
+
+// Names of all fixtures, i.e. tests/fixtures/*.json
+function fixtureNames() {
+  return fs.readdirSync(FIXTURES).filter(f => f.endsWith('.json')).map(f => f.slice(0, -5)).sort();
+}
+
+// "-2d" → the date parseRelativeDate gives for "2d" today; "YYYY-MM-DD" as is
+function expectedDate(spec) {
+  const m = /^-(\d+)d$/.exec(spec);
+  if (!m) return spec;
+  const d = new Date();
+  d.setDate(d.getDate() - Number(m[1]));
+  const pad = v => String(v).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+module.exports = { loadFixture, fixtureNames, expectedDate };
@@ -0,0 +1,40 @@
+// Minimal in-memory chrome.storage.local with the callback API. Every call
+// completes on a later tick, like the real thing, so unserialized
+// read-modify-write sequences interleave and lose data.
+function fakeStorage(initial = {}) {
+  const items = JSON.parse(JSON.stringify(initial));
+  const later = fn => setImmediate(fn);
+  const copy = v => (v === undefined ? v : JSON.parse(JSON.stringify(v)));
+
+  return {
+    items,
+    get(keys, cb) {
+      later(() => {
+        const out = {};
+        const wanted = keys === null ? Object.keys(items) : [].concat(keys);
+        wanted.forEach(k => { if (k in items) out[k] = copy(items[k]); });
+        cb(out);
+      });
+    },
+    set(obj, cb) {
+      later(() => {
+        Object.entries(obj).forEach(([k, v]) => { items[k] = copy(v); });
+        cb && cb();
+      });
+    },
+    remove(keys, cb) {
+      later(() => {
+        [].concat(keys).forEach(k => { delete items[k]; });
+        cb && cb();
+      });
+    },
+  };
+}
+
+function installFakeChrome(initial = {}) {
+  const local = fakeStorage(initial);
+  global.chrome = { storage: { local, onChanged: { addListener() {} } }, runtime: {} };
+  return local;
+}
+
+module.exports = { fakeStorage, installFakeChrome };
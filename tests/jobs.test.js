@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isJobsPage, jobIdFromUrl, postedSegment, isReposted, parseApplicants, jobText } = require('../jobs.js');
+
+test('isJobsPage: view, search and collections only', () => {
+  assert.equal(isJobsPage('/jobs/view/3812345678/'), true);
+  assert.equal(isJobsPage('/jobs/search/'), true);
+  assert.equal(isJobsPage('/jobs/collections/recommended/'), true);
+  assert.equal(isJobsPage('/jobs/'), false);
+  assert.equal(isJobsPage('/feed/'), false);
+});
+
+test('jobIdFromUrl: path or currentJobId', () => {
+  assert.equal(jobIdFromUrl('https://www.linkedin.com/jobs/view/3812345678/?refId=x'), '3812345678');
+  assert.equal(jobIdFromUrl('https://www.linkedin.com/jobs/view/qa-engineer-at-acme-3812345678'), '3812345678');
+  assert.equal(jobIdFromUrl('https://www.linkedin.com/jobs/search/?currentJobId=99&keywords=qa'), '99');
+  assert.equal(jobIdFromUrl('/jobs/view/7/'), '7');
+  assert.equal(jobIdFromUrl('https://www.linkedin.com/feed/'), null);
+});
+
+test('postedSegment / isReposted: read the top card line', () => {
+  const line = 'Bengaluru, Karnataka, India · Reposted 3 days ago · Over 100 applicants';
+  assert.equal(postedSegment(line), 'Reposted 3 days ago');
+  assert.equal(isReposted(line), true);
+  assert.equal(postedSegment('Remote · 2 weeks ago'), '2 weeks ago');
+  assert.equal(isReposted('Remote · 2 weeks ago'), false);
+  assert.equal(postedSegment('Remote'), null);
+  assert.equal(postedSegment('Berlin · vor 3 Tagen · 40 Bewerber'), 'vor 3 Tagen');
+  assert.equal(postedSegment('Lisboa · há 2 dias'), 'há 2 dias');
+});
+
+test('parseApplicants: lower bound or null', () => {
+  assert.equal(parseApplicants('Over 100 applicants'), 100);
+  assert.equal(parseApplicants('1,234 applicants'), 1234);
+  assert.equal(parseApplicants('Be among the first 25 applicants'), 0);
+  assert.equal(parseApplicants('42 people clicked apply'), 42);
+  assert.equal(parseApplicants('Promoted'), null);
+});
+
+test('jobText: title, company and description', () => {
+  assert.equal(jobText({ title: 'QA', company: 'Acme', description: '' }), 'QA\nAcme');
+});
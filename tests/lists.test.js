@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { emptyLists, normalizeLists, statusOf, withStatus } = require('../lists.js');
+
+const URL_A = 'https://www.linkedin.com/in/a';
+
+test('normalizeLists: tolerates missing or malformed storage', () => {
+  assert.deepEqual(normalizeLists(undefined), emptyLists());
+  assert.deepEqual(normalizeLists({ trusted: 'x' }), emptyLists());
+});
+
+test('withStatus: a recruiter is on at most one list', () => {
+  let lists = withStatus(emptyLists(), URL_A, 'trusted', 'A');
+  assert.equal(statusOf(lists, URL_A), 'trusted');
+  assert.equal(lists.trusted[URL_A].name, 'A');
+
+  lists = withStatus(lists, URL_A, 'blocked', 'A');
+  assert.equal(statusOf(lists, URL_A), 'blocked');
+  assert.equal(URL_A in lists.trusted, false);
+
+  lists = withStatus(lists, URL_A, null);
+  assert.equal(statusOf(lists, URL_A), null);
+});
+
+test('withStatus: does not mutate its input', () => {
+  const before = emptyLists();
+  withStatus(before, URL_A, 'trusted');
+  assert.deepEqual(before, emptyLists());
+});
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  LOCALES, pickLocale, todayStr, parseRelativeTime, parseRelativeDate, isJobPost, extractRole, extractCompany, companyFromHeadline, parseCount, readCount, isRecruiterHeadline,
+  t,
+} = require('../locales.js');
+const { CFG } = require('../scoring.js');
+
+const NOW = new Date(2024, 2, 15, 12, 0, 0).getTime(); // local noon
+const DAY = 24 * 60 * 60 * 1000;
+
+test('pickLocale: base language, English fallback', () => {
+  assert.equal(pickLocale('de-DE'), 'de');
+  assert.equal(pickLocale('pt_BR'), 'pt');
+  assert.equal(pickLocale('ja'), 'en');
+  assert.equal(pickLocale(''), 'en');
+});
+
+test('parseRelativeDate: English short and long forms', () => {
+  assert.equal(parseRelativeDate('2d', 'en', NOW), '2024-03-13');
+  assert.equal(parseRelativeDate('3 days ago', 'en', NOW), '2024-03-12');
+  assert.equal(parseRelativeDate('1w • Edited', 'en', NOW), '2024-03-08');
+  assert.equal(parseRelativeDate('2mo', 'en', NOW), '2024-01-15');
+  assert.equal(parseRelativeDate('5h', 'en', NOW), '2024-03-15');
+  assert.equal(parseRelativeDate('45m', 'en', NOW), '2024-03-15');
+  assert.equal(parseRelativeDate('just now', 'en', NOW), '2024-03-15');
+  assert.equal(parseRelativeDate('Promoted', 'en', NOW), null);
+  assert.equal(parseRelativeDate(null), null);
+});
+
+test('todayStr: the local day, not the UTC one', () => {
+  const tz = process.env.TZ;
+  try {
+    process.env.TZ = 'Asia/Kolkata';
+    assert.equal(todayStr(Date.UTC(2024, 2, 15, 20, 0)), '2024-03-16');
+    assert.equal(parseRelativeDate('1d', 'en', Date.UTC(2024, 2, 15, 20, 0)), '2024-03-15');
+    process.env.TZ = 'America/Los_Angeles';
+    assert.equal(todayStr(Date.UTC(2024, 2, 15, 3, 0)), '2024-03-14');
+  } finally {
+    if (tz === undefined) delete process.env.TZ;
+    else process.env.TZ = tz;
+  }
+});
+
+test('parseRelativeTime: how precise each unit is, and how much earlier the post may be', () => {
+  assert.deepEqual(parseRelativeTime('5h', 'en', NOW), { at: NOW - 5 * 60 * 60 * 1000, precision: 'relative-day', slack: DAY });
+  assert.deepEqual(parseRelativeTime('2d', 'en', NOW), { at: NOW - 2 * DAY, precision: 'relative-day', slack: DAY });
+  assert.deepEqual(parseRelativeTime('1w', 'en', NOW), { at: NOW - 7 * DAY, precision: 'relative-week', slack: 7 * DAY });
+  assert.equal(parseRelativeTime('2 Mon.', 'de', NOW).precision, 'relative-week');
+  assert.deepEqual(parseRelativeTime('just now', 'en', NOW), { at: NOW, precision: 'relative-day', slack: DAY });
+  assert.equal(parseRelativeTime('Promoted', 'en', NOW), null);
+});
+
+test('parseRelativeDate: every locale pack', () => {
+  const cases = {
+    hi: [['2 दिन', '2024-03-13'], ['१ सप्ताह', '2024-03-08'], ['3 महीने', '2023-12-15'], ['5 घंटे', '2024-03-15'], ['अभी', '2024-03-15']],
+    de: [['2 Tg.', '2024-03-13'], ['vor 3 Tagen', '2024-03-12'], ['1 Wo.', '2024-03-08'], ['2 Mon.', '2024-01-15'], ['5 Std.', '2024-03-15']],
+    fr: [['2 j', '2024-03-13'], ['il y a 3 jours', '2024-03-12'], ['1 sem.', '2024-03-08'], ['2 mois', '2024-01-15'], ["à l'instant", '2024-03-15']],
+    es: [['2 d', '2024-03-13'], ['hace 3 días', '2024-03-12'], ['1 sem', '2024-03-08'], ['2 m', '2024-01-15'], ['5 min', '2024-03-15']],
+    pt: [['2 d', '2024-03-13'], ['há 3 dias', '2024-03-12'], ['1 sem', '2024-03-08'], ['2 meses', '2024-01-15'], ['agora', '2024-03-15']],
+  };
+  assert.deepEqual(Object.keys(cases).sort(), Object.keys(LOCALES).filter(l => l !== 'en').sort());
+  Object.entries(cases).forEach(([locale, pairs]) => pairs.forEach(([txt, want]) => {
+    assert.equal(parseRelativeDate(txt, locale, NOW), want, `${locale}: ${txt}`);
+  }));
+});
+
+test('parseRelativeDate: the page locale is tried before English', () => {
+  // "2 m" is two months in Spanish, two minutes in English
+  assert.equal(parseRelativeDate('2 m', 'es', NOW), '2024-01-15');
+  assert.equal(parseRelativeDate('2 m', 'en', NOW), '2024-03-15');
+  // English still works on a localized page
+  assert.equal(parseRelativeDate('2d', 'de', NOW), '2024-03-13');
+});
+
+test('isJobPost: locale keywords plus English', () => {
+  assert.equal(isJobPost('Wir stellen ein! Softwareentwickler (m/w/d) in Berlin', 'de'), true);
+  assert.equal(isJobPost('Nous recrutons un développeur web (H/F)', 'fr'), true);
+  assert.equal(isJobPost('Estamos contratando: desarrollador backend', 'es'), true);
+  assert.equal(isJobPost('Vaga para analista de dados, envie seu currículo', 'pt'), true);
+  assert.equal(isJobPost('हम भर्ती कर रहे हैं - डेटा एंट्री', 'hi'), true);
+  assert.equal(isJobPost('Frohe Ostern an alle!', 'de'), false);
+  assert.equal(isJobPost('Great team offsite #hiring', 'de'), true);
+  assert.equal(isJobPost('Nous recrutons un développeur', 'en'), false);
+});
+
+test('extractRole: locale patterns, then English, then the fallback', () => {
+  assert.equal(extractRole('Wir suchen ab sofort Backend Entwickler (m/w/d) für unser Team', 'de'), 'Backend Entwickler');
+  assert.equal(extractRole('Nous recrutons un Développeur Full Stack (H/F) à Paris', 'fr'), 'Développeur Full Stack');
+  assert.equal(extractRole('Buscamos: Analista de Datos, remoto', 'es'), 'Analista de Datos');
+  assert.equal(extractRole('Vaga para Engenheiro de Software. Remoto', 'pt'), 'Engenheiro de Software');
+  assert.equal(extractRole('भर्ती: डेटा एंट्री ऑपरेटर, तुरंत संपर्क करें', 'hi'), 'डेटा एंट्री ऑपरेटर');
+  assert.equal(extractRole('भर्ती: डेटा <img src=x onerror="alert(1)">', 'hi'), 'डेटा');
+  assert.equal(extractRole('We are hiring: QA Engineer\nApply now', 'de'), 'QA Engineer');
+  assert.equal(extractRole('Bonjour à tous', 'fr'), 'Job Position');
+});
+
+test('extractCompany: labels, "hiring at" and "join", per locale', () => {
+  assert.equal(extractCompany('We are hiring!\nCompany: Acme Demo Labs Pvt. Ltd.\nRole: QA'), 'Acme Demo Labs Pvt. Ltd');
+  assert.equal(extractCompany('Urgent openings at Infosys for Java developers'), 'Infosys');
+  assert.equal(extractCompany('Join Acme Demo Labs as a Senior Analyst'), 'Acme Demo Labs');
+  assert.equal(extractCompany('Join us! Open position: Senior Data Analyst'), null);
+  assert.equal(extractCompany('Unternehmen: Beispiel GmbH', 'de'), 'Beispiel GmbH');
+  assert.equal(extractCompany('Rejoignez Exemple SA en tant que développeur', 'fr'), 'Exemple SA');
+  assert.equal(extractCompany('Únete a Ejemplo SL como analista', 'es'), 'Ejemplo SL');
+  assert.equal(extractCompany('Venha trabalhar na Exemplo Ltda', 'pt'), 'Exemplo Ltda');
+  assert.equal(extractCompany('कंपनी: डेमो टेक', 'hi'), 'डेमो टेक');
+  // Names end up in badge reasons: no markup or double quotes get through
+  assert.equal(extractCompany('Company: Acme <img src=x onerror="alert(1)">'), 'Acme');
+  assert.equal(extractCompany('Company: <b>Acme</b>'), null);
+});
+
+test('companyFromHeadline: the employer after "at" / "bei" / "chez" / "@"', () => {
+  assert.equal(companyFromHeadline('HR Recruiter | Talent Acquisition at Demo Staffing Solutions'), 'Demo Staffing Solutions');
+  assert.equal(companyFromHeadline('Recruiter @Acme'), 'Acme');
+  assert.equal(companyFromHeadline('Talent Acquisition bei Beispiel GmbH', 'de'), 'Beispiel GmbH');
+  assert.equal(companyFromHeadline('Recruteuse chez Exemple', 'fr'), 'Exemple');
+  assert.equal(companyFromHeadline('Recruiter at Acme"><svg onload=alert(1)>'), 'Acme');
+  assert.equal(companyFromHeadline('Hiring Manager | Staffing Partner'), null);
+  assert.equal(companyFromHeadline('24,512 followers'), null);
+  assert.equal(companyFromHeadline(''), null);
+});
+
+test('readCount: connection and follower counts, per locale', () => {
+  assert.deepEqual(['1,234', '1.234', '1 234', '500', '12K', '1.5m', 'abc'].map(parseCount), [1234, 1234, 1234, 500, 12000, 1500000, null]);
+  const card = '500+ connections · 1,204 followers';
+  assert.deepEqual([readCount(card, 'connections'), readCount(card, 'followers')], [500, 1204]);
+  assert.equal(readCount('38 connections', 'connections'), 38);
+  assert.equal(readCount('1.234 Follower · 212 Kontakte', 'connections', 'de'), 212);
+  assert.equal(readCount('1 234 abonnés', 'followers', 'fr'), 1234);
+  assert.equal(readCount('97 contactos', 'connections', 'es'), 97);
+  assert.equal(readCount('45 conexões', 'connections', 'pt'), 45);
+  assert.equal(readCount('२५ कनेक्शन', 'connections', 'hi'), 25);
+  assert.equal(readCount('Posted 3 days ago', 'connections'), null);
+});
+
+test('isRecruiterHeadline: recruiting titles, per locale', () => {
+  assert.equal(isRecruiterHeadline('Senior Technical Recruiter | Hiring'), true);
+  assert.equal(isRecruiterHeadline('HR Executive'), true);
+  assert.equal(isRecruiterHeadline('Personalberaterin', 'de'), true);
+  assert.equal(isRecruiterHeadline('Chargée de recrutement', 'fr'), true);
+  assert.equal(isRecruiterHeadline('Software Engineer at Acme'), false);
+  assert.equal(isRecruiterHeadline(''), false);
+});
+
+test('t: English from _locales/en without chrome.i18n, the key when missing', () => {
+  assert.equal(t('reasonDaily', 3), 'Posted 3 jobs in a single day');
+  assert.equal(t('reasonImpersonation', 4, 'Acme $1', 2), '4 unrelated accounts hiring for Acme $1 (2 flagged)');
+  assert.equal(t('noSuchKey'), 'noSuchKey');
+});
+
+test('_locales: every language has every UI string, with the same substitutions', () => {
+  const fs = require('node:fs');
+  const path = require('node:path');
+  const dir = path.join(__dirname, '..', '_locales');
+  const read = lang => JSON.parse(fs.readFileSync(path.join(dir, lang, 'messages.json'), 'utf8'));
+  const subs = m => (m.match(/\$\d/g) || []).sort().join();
+  const en = read('en');
+
+  // Keys the UI asks for: t('key'), data-i18n="key", __MSG_key__
+  const used = new Set();
+  ['content.js', 'popup.js', 'popup.html', 'manifest.json', 'scoring.js', 'signals.js', 'profile.js'].forEach(f => {
+    const src = fs.readFileSync(path.join(__dirname, '..', f), 'utf8');
+    for (const m of src.matchAll(/\bt\('(\w+)'|data-i18n(?:-title)?="(\w+)"|__MSG_(\w+)__/g)) used.add(m[1] || m[2] || m[3]);
+  });
+  used.forEach(k => assert.ok(en[k], `missing in en: ${k}`));
+  ['high', 'medium', 'low', 'unknown'].forEach(l => assert.ok(en[`level_${l}`]));
+  ['trusted', 'blocked'].forEach(s => assert.ok(en[`list_${s}`]));
+  Object.keys(CFG.WEIGHTS).filter(id => id !== 'FAKE').forEach(id => assert.ok(en[`weight_${id}`], id));
+
+  Object.keys(LOCALES).forEach(lang => {
+    const msgs = read(lang);
+    assert.deepEqual(Object.keys(msgs).sort(), Object.keys(en).sort(), lang);
+    Object.keys(en).forEach(k => assert.equal(subs(msgs[k].message), subs(en[k].message), `${lang}.${k}`));
+  });
+});
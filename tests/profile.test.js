@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { RULES, normalizeProfile, sameProfile, profileRisk } = require('../profile.js');
+const { CFG, score } = require('../scoring.js');
+
+// A profile that trips every risk rule but none of the credits
+function shady(over = {}) {
+  return normalizeProfile({
+    headline: 'HR Recruiter | Hiring', company: null, recruiter: true, connections: 12, followers: 30,
+    verified: false, photo: false, experience: 0, activity: { hiring: 3, total: 3 }, checkedAt: 1, ...over,
+  });
+}
+
+test('rules have unique ids and a default weight', () => {
+  assert.equal(new Set(RULES.map(r => r.id)).size, RULES.length);
+  RULES.forEach(r => assert.ok(r.weight > 0 && r.label && r.emoji, r.id));
+  assert.deepEqual(Object.keys(CFG.PROFILE_WEIGHTS), RULES.map(r => r.id));
+});
+
+test('normalizeProfile: keeps known fields, anything else becomes null', () => {
+  const p = normalizeProfile({ headline: '  HR  Recruiter ', connections: -3, followers: 1.5, verified: 'yes',
+    activity: { hiring: 4, total: 2 }, extra: 'x' }, 42);
+  assert.deepEqual(p, {
+    headline: 'HR Recruiter', company: null, recruiter: null, connections: null, followers: null,
+    verified: null, photo: null, experience: null, activity: null, checkedAt: 42,
+  });
+  assert.equal(normalizeProfile(null, 7).checkedAt, 7);
+});
+
+test('sameProfile: ignores when it was read', () => {
+  assert.equal(sameProfile(shady(), shady({ checkedAt: 99 })), true);
+  assert.equal(sameProfile(shady(), shady({ connections: 13 })), false);
+  assert.equal(sameProfile(undefined, shady()), false);
+});
+
+test('profileRisk: one reason per rule, unknown fields never count', () => {
+  const r = profileRisk(shady(), CFG);
+  assert.deepEqual(r.hits, ['no_photo', 'no_experience', 'few_connections', 'no_company', 'activity_hiring']);
+  assert.equal(r.pts, 15 + 20 + 15 + 15 + 15);
+  assert.ok(r.reasons.includes('🔗 Very few connections (12)'));
+  assert.ok(r.reasons.includes('📢 Recent activity is nothing but hiring posts (3 posts)'));
+  assert.deepEqual(profileRisk(normalizeProfile({}), CFG), { pts: 0, reasons: [], hits: [] });
+  assert.deepEqual(profileRisk(undefined, CFG).hits, []);
+});
+
+test('profileRisk: thresholds and weights come from cfg; verified takes points off', () => {
+  const cfg = { ...CFG, PROFILE_MIN_CONNECTIONS: 10, PROFILE_ACTIVITY_MIN: 4, PROFILE_WEIGHTS: { ...CFG.PROFILE_WEIGHTS, no_photo: 0 } };
+  assert.deepEqual(profileRisk(shady(), cfg).hits, ['no_photo', 'no_experience', 'no_company']);
+  assert.equal(profileRisk(shady(), cfg).pts, 35);
+  const verified = profileRisk(normalizeProfile({ verified: true, photo: false }), CFG);
+  assert.equal(verified.pts, 0);
+  assert.deepEqual(verified.reasons, ['👤 No profile photo', '✔️ Identity verified on LinkedIn (−15 pts)']);
+});
+
+test('score: profile signals add to the posting history, never below zero', () => {
+  const posts = [{ role: 'Dev', date: '2020-01-01' }];
+  assert.equal(score({ posts, firstSeen: 1, profile: shady() }, CFG).pts, 80);
+  assert.equal(score({ posts, firstSeen: 1, profile: shady() }, CFG).level, 'high');
+  const verified = score({ posts, firstSeen: 1, profile: normalizeProfile({ verified: true }) }, CFG);
+  assert.deepEqual([verified.pts, verified.level], [0, 'low']);
+});
+
+test('score: with no posts logged, the profile alone decides the level', () => {
+  assert.equal(score({ posts: [] }, CFG).level, 'unknown');
+  const sc = score({ posts: [], profile: shady() }, CFG);
+  assert.deepEqual([sc.level, sc.pts, sc.reasons.length], ['high', 80, 5]);
+  assert.equal(score({ posts: [], profile: normalizeProfile({}) }, CFG).level, 'low');
+  assert.equal(score({ posts: [], profile: shady() }, CFG, { listStatus: 'trusted' }).level, 'low');
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CFG } = require('../scoring.js');
+const { emptyLists, withStatus } = require('../lists.js');
+const { DEFAULT_RETENTION, MIN_DAYS, normalizeRetention, pruneRecords } = require('../retention.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2024-06-01T12:00:00').getTime();
+const JANE = 'https://www.linkedin.com/in/jane';
+const BOB = 'https://www.linkedin.com/in/bob';
+
+// A post made daysAgo and seen at the same time. Tests give each post its
+// own role so that repeats don't push a recruiter into high risk.
+function post(daysAgo, role = 'Dev') {
+  const d = new Date(NOW - daysAgo * DAY);
+  return { role, date: d.toISOString().slice(0, 10), ts: d.getTime() };
+}
+
+function rec(url, posts) {
+  return { url, name: '', firstSeen: Math.min(...posts.map(p => p.ts)), posts };
+}
+
+test('normalizeRetention: fills defaults and clamps to the minimum', () => {
+  assert.deepEqual(normalizeRetention(undefined), DEFAULT_RETENTION);
+  const r = normalizeRetention({ POST_DAYS: 1, IDLE_DAYS: 'x', FLAGGED_DAYS: 365.4 });
+  assert.equal(r.POST_DAYS, MIN_DAYS);
+  assert.equal(r.IDLE_DAYS, DEFAULT_RETENTION.IDLE_DAYS);
+  assert.equal(r.FLAGGED_DAYS, 365);
+});
+
+test('pruneRecords: drops posts past POST_DAYS and leaves fresh data alone', () => {
+  const all = { [JANE]: rec(JANE, [post(90, 'Dev'), post(3, 'QA')]), [BOB]: rec(BOB, [post(2)]) };
+  const { changed, removed, stats } = pruneRecords(all, DEFAULT_RETENTION, CFG, emptyLists(), NOW);
+  assert.deepEqual(Object.keys(changed), [JANE]);
+  assert.equal(changed[JANE].posts.length, 1);
+  assert.equal(all[JANE].posts.length, 2); // input untouched
+  assert.deepEqual(removed, []);
+  assert.deepEqual(stats, { postsRemoved: 1, recruitersRemoved: 0 });
+});
+
+test('pruneRecords: other posts age out with the job posts', () => {
+  const other = [{ key: 'a', ...post(90) }, { key: 'b', ...post(3) }];
+  // Bob's job posts are all too old: his fresh other post goes with the record
+  const all = { [JANE]: { ...rec(JANE, [post(2)]), other }, [BOB]: { ...rec(BOB, [post(90)]), other: [post(3)] } };
+  const { changed, removed, stats } = pruneRecords(all, DEFAULT_RETENTION, CFG, emptyLists(), NOW);
+  assert.deepEqual(changed[JANE].other.map(o => o.key), ['b']);
+  assert.deepEqual(removed, [BOB]);
+  assert.deepEqual(stats, { postsRemoved: 1, recruitersRemoved: 1 });
+});
+
+test('pruneRecords: forgets low-risk recruiters not seen for IDLE_DAYS', () => {
+  const all = { [JANE]: rec(JANE, [post(40)]) };
+  const { removed, stats } = pruneRecords(all, DEFAULT_RETENTION, CFG, emptyLists(), NOW);
+  assert.deepEqual(removed, [JANE]);
+  assert.deepEqual(stats, { postsRemoved: 1, recruitersRemoved: 1 });
+});
+
+test('pruneRecords: keeps blocked recruiters until FLAGGED_DAYS', () => {
+  const all = { [JANE]: rec(JANE, [post(90, 'Dev'), post(200, 'QA')]) };
+  const lists = withStatus(emptyLists(), JANE, 'blocked');
+  const { changed, removed } = pruneRecords(all, DEFAULT_RETENTION, CFG, lists, NOW);
+  assert.deepEqual(removed, []);
+  assert.equal(changed[JANE].posts.length, 1);
+
+  const none = pruneRecords(all, DEFAULT_RETENTION, CFG, emptyLists(), NOW);
+  assert.deepEqual(none.removed, [JANE]);
+});
@@ -0,0 +1,386 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  CFG, newRecruiter, activityId, activityTime, recordPost, collapseDuplicates, recordOtherPost, textKey, hiringRatio, analyzeHiringPattern, windowReport, dailyActivity, score,
+} = require('../scoring.js');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date(2024, 2, 15, 12, 0, 0).getTime();
+const LONG_AGO = NOW - 60 * MS_PER_DAY; // firstSeen old enough to skip observation methods
+
+// Local "YYYY-MM-DD" for n days before NOW, as getPostDate() would store it
+function daysAgo(n) {
+  const d = new Date(NOW);
+  d.setDate(d.getDate() - n);
+  const pad = v => String(v).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function posts(...offsets) {
+  return offsets.map((n, i) => ({ role: `Role ${i}`, date: daysAgo(n), snippet: `post ${i}` }));
+}
+
+// Non-job posts as recordOtherPost() stores them
+function others(...offsets) {
+  return offsets.map((n, i) => ({ key: `k${i}`, date: daysAgo(n), ts: NOW }));
+}
+
+// Two posts are enough to know the hiring ratio
+const RATIO2 = { ...CFG, RATIO_MIN_POSTS: 2 };
+
+test('analyzeHiringPattern: no posts is not fake', () => {
+  const r = analyzeHiringPattern([], LONG_AGO, CFG, NOW);
+  assert.equal(r.isFake, false);
+  assert.equal(r.count, 0);
+  assert.equal(r.window, null);
+});
+
+test('analyzeHiringPattern: 2+ posts within a week of first observation, mostly hiring', () => {
+  const firstSeen = NOW - 2 * MS_PER_DAY;
+  const r = analyzeHiringPattern(posts(0, 1), firstSeen, RATIO2, NOW);
+  assert.equal(r.isFake, true);
+  assert.equal(r.window, 'ONLY_HIRING');
+  assert.equal(r.days, 2);
+  assert.match(r.reason, /100% of 2 posts are hiring/);
+  // Too few posts seen for the ratio, or a low ratio: the other rules decide
+  assert.notEqual(analyzeHiringPattern(posts(0, 1), firstSeen, CFG, NOW).window, 'ONLY_HIRING');
+  assert.notEqual(analyzeHiringPattern(posts(0, 1), firstSeen, RATIO2, NOW, others(0, 1)).window, 'ONLY_HIRING');
+});
+
+test('analyzeHiringPattern: observation methods need firstSeen', () => {
+  const r = analyzeHiringPattern(posts(20, 30), null, CFG, NOW);
+  assert.equal(r.isFake, false);
+});
+
+test('analyzeHiringPattern: date windows in priority order', () => {
+  const cases = [
+    { offsets: [0, 1, 2, 3, 4],     window: 'FAKE_STRICT',          count: 5, confidence: 98 },
+    { offsets: [1, 2, 4, 5],        window: 'FAKE_LIKELY',          count: 4, confidence: 90 },
+    { offsets: [4, 4, 5],           window: 'FAKE_SUSPICIOUS',      count: 3, confidence: 80 },
+    { offsets: [0, 3],              window: 'FAKE_VERY_SUSPICIOUS', count: 2, confidence: 75 },
+    { offsets: [1, 6, 6, 7, 7],     window: 'FAKE_WINDOW',          count: 5, confidence: 92 },
+  ];
+  for (const c of cases) {
+    const r = analyzeHiringPattern(posts(...c.offsets), LONG_AGO, CFG, NOW);
+    assert.equal(r.isFake, true, c.window);
+    assert.equal(r.window, c.window);
+    assert.equal(r.count, c.count, c.window);
+    assert.equal(r.confidence, c.confidence, c.window);
+  }
+});
+
+test('analyzeHiringPattern: posts just outside a window are not counted', () => {
+  // 6 days ago is outside the 5-day window; 4 days ago is outside the 3-day window
+  const r = analyzeHiringPattern(posts(4, 6, 6), LONG_AGO, CFG, NOW);
+  assert.equal(r.isFake, false);
+  assert.equal(r.count, 3);
+  assert.equal(r.days, 7);
+});
+
+test('analyzeHiringPattern: windows go by postedAt, counting only what surely falls inside', () => {
+  const at = (hours, precision) => ({ role: 'Dev', date: daysAgo(Math.floor(hours / 24)), postedAt: NOW - hours * 60 * 60 * 1000, precision });
+  // 2h and 70h ago, read off the activity ID: 2 posts within 3 days
+  assert.equal(analyzeHiringPattern([at(2, 'exact'), at(70, 'exact')], LONG_AGO, CFG, NOW).window, 'FAKE_VERY_SUSPICIOUS');
+  // "2d" may be up to 72h ago, so it's inside 3 days; "3d" may be 96h ago
+  assert.equal(analyzeHiringPattern([at(2, 'exact'), at(48, 'relative-day')], LONG_AGO, CFG, NOW).window, 'FAKE_VERY_SUSPICIOUS');
+  assert.equal(analyzeHiringPattern([at(2, 'exact'), at(72, 'relative-day')], LONG_AGO, CFG, NOW).isFake, false);
+  // "1w" is 7 to 14 days ago: never in a 7-day window
+  const weekly = [at(1, 'exact'), at(2, 'exact'), at(3, 'exact'), at(4, 'exact'), at(168, 'relative-week')];
+  assert.equal(windowReport(weekly, LONG_AGO, CFG, NOW).find(w => w.key === 'FAKE_WINDOW').count, 4);
+  assert.equal(windowReport(weekly.slice(0, 4).concat(at(160, 'exact')), LONG_AGO, CFG, NOW).find(w => w.key === 'FAKE_WINDOW').count, 5);
+});
+
+test('analyzeHiringPattern: not fake reports the smallest busiest window', () => {
+  const r = analyzeHiringPattern(posts(1, 20), LONG_AGO, CFG, NOW);
+  assert.equal(r.isFake, false);
+  assert.equal(r.count, 1);
+  assert.equal(r.days, 3);
+});
+
+test('analyzeHiringPattern: thresholds come from cfg', () => {
+  const cfg = { ...CFG, FAKE_VERY_SUSPICIOUS: { posts: 3, days: 3 } };
+  assert.equal(analyzeHiringPattern(posts(0, 3), LONG_AGO, CFG, NOW).isFake, true);
+  assert.equal(analyzeHiringPattern(posts(0, 3), LONG_AGO, cfg, NOW).isFake, false);
+});
+
+test('windowReport: lists every rule and marks the one analyzeHiringPattern used', () => {
+  // 3 posts in 4 days: meets FAKE_SUSPICIOUS and FAKE_VERY_SUSPICIOUS (2 in 3 days)
+  const p = posts(0, 2, 4);
+  const report = windowReport(p, LONG_AGO, CFG, NOW);
+  assert.deepEqual(report.map(w => w.key),
+    ['ONLY_HIRING', 'OBSERVED', 'FAKE_STRICT', 'FAKE_LIKELY', 'FAKE_SUSPICIOUS', 'FAKE_VERY_SUSPICIOUS', 'FAKE_WINDOW']);
+  assert.deepEqual(report.filter(w => w.met).map(w => w.key), ['FAKE_SUSPICIOUS', 'FAKE_VERY_SUSPICIOUS']);
+  assert.deepEqual(report.filter(w => w.fired).map(w => w.key), [analyzeHiringPattern(p, LONG_AGO, CFG, NOW).window]);
+  const strict = report.find(w => w.key === 'FAKE_STRICT');
+  assert.deepEqual([strict.count, strict.needed, strict.rule], [3, 5, '5+ posts in the last 5 days']);
+});
+
+test('windowReport: observation rules count only while inside their window', () => {
+  const report = windowReport(posts(0, 1), NOW - 2 * MS_PER_DAY, RATIO2, NOW);
+  assert.equal(report[0].fired, true);       // ONLY_HIRING: 2 posts, 2 days since first seen
+  assert.equal(windowReport(posts(0, 1), NOW - 2 * MS_PER_DAY, RATIO2, NOW, others(0, 1))[0].fired, false);
+  assert.equal(report[1].count, 2);
+  assert.equal(windowReport(posts(0, 1), LONG_AGO, CFG, NOW)[0].count, 0);
+});
+
+test('dailyActivity: one entry per day, oldest first', () => {
+  const days = dailyActivity(posts(0, 0, 2, 20), 5, NOW);
+  assert.equal(days.length, 5);
+  assert.equal(days[4].date, daysAgo(0));
+  assert.deepEqual(days.map(d => d.count), [0, 0, 1, 0, 2]);
+});
+
+test('recordPost: dedupes on role + date + snippet', () => {
+  const rec = newRecruiter('https://www.linkedin.com/in/jane');
+  assert.equal(recordPost(rec, 'Jane', 'QA Engineer', '2024-03-15', 'We are hiring QA'), true);
+  assert.equal(recordPost(rec, 'Jane', 'QA Engineer', '2024-03-15', 'We are   hiring QA'), false);
+  assert.equal(recordPost(rec, 'Jane', 'QA Engineer', '2024-03-15', 'Another opening for QA'), true);
+  assert.equal(recordPost(rec, 'Jane', 'QA Engineer', '2024-03-14', 'We are hiring QA'), true);
+  assert.equal(rec.posts.length, 3);
+});
+
+test('recordPost: snippet is normalized and truncated to 80 chars', () => {
+  const rec = newRecruiter('https://www.linkedin.com/in/jane');
+  const long = 'x'.repeat(100);
+  recordPost(rec, 'Jane', 'Dev', '2024-03-15', long);
+  assert.equal(rec.posts[0].snippet.length, 80);
+  assert.equal(recordPost(rec, 'Jane', 'Dev', '2024-03-15', long + ' tail'), false);
+});
+
+test('recordPost: a post without a snippet matches any post with the same role and date', () => {
+  const rec = newRecruiter('https://www.linkedin.com/in/jane');
+  recordPost(rec, 'Jane', 'Dev', '2024-03-15', 'Hiring devs');
+  assert.equal(recordPost(rec, 'Jane', 'Dev', '2024-03-15', ''), false);
+});
+
+test('recordPost: keeps the known name when the new one is Unknown', () => {
+  const rec = newRecruiter('https://www.linkedin.com/in/jane');
+  recordPost(rec, 'Jane', 'Dev', '2024-03-15', 'a');
+  recordPost(rec, 'Unknown', 'Dev', '2024-03-14', 'b');
+  assert.equal(rec.name, 'Jane');
+});
+
+test('recordPost: job listings dedupe on jobId and pick up reposts', () => {
+  const rec = newRecruiter('https://www.linkedin.com/company/acme');
+  assert.equal(recordPost(rec, 'Acme', 'QA Engineer', '2024-03-10', 'card text', { jobId: '42', applicants: 10 }), true);
+  assert.equal(recordPost(rec, 'Acme', 'QA Engineer', '2024-03-12', 'full description', { jobId: '42', applicants: 10 }), false);
+  assert.equal(recordPost(rec, 'Acme', 'QA Engineer', '2024-03-14', 'full description', { jobId: '42', reposted: true, applicants: 30 }), true);
+  assert.equal(rec.posts.length, 1);
+  assert.equal(rec.posts[0].reposted, true);
+  assert.equal(rec.posts[0].applicants, 30);
+  assert.equal(rec.posts[0].date, '2024-03-10');
+});
+
+test('recordPost: stores the company, and fills it in on a post seen before without one', () => {
+  const rec = newRecruiter('https://www.linkedin.com/in/jane');
+  recordPost(rec, 'Jane', 'Dev', '2024-03-15', 'a');
+  assert.equal(rec.posts[0].company, undefined);
+  assert.equal(recordPost(rec, 'Jane', 'Dev', '2024-03-15', 'a', { company: 'Acme' }), true);
+  assert.equal(recordPost(rec, 'Jane', 'Dev', '2024-03-15', 'a', { company: 'Other' }), false);
+  assert.equal(rec.posts[0].company, 'Acme');
+});
+
+test('activityId: from a data-urn, data-id or a link to the post', () => {
+  assert.equal(activityId('urn:li:activity:7171000000000000001'), '7171000000000000001');
+  assert.equal(activityId('https://www.linkedin.com/feed/update/urn%3Ali%3Aactivity%3A7170600000000000052/'), '7170600000000000052');
+  assert.equal(activityId('urn:li:aggregate:(urn:li:activity:1,2)'), '1');
+  assert.equal(activityId('urn:li:share:42'), null);
+  assert.equal(activityId(null), null);
+});
+
+test('activityTime: the first 41 bits of the ID, within LinkedIn\'s lifetime', () => {
+  assert.equal(activityTime('7172531630899212345', NOW), Date.UTC(2024, 2, 10, 10, 0, 0));
+  assert.equal(activityTime('12345', NOW), null);
+  assert.equal(activityTime('9172531630899212345', NOW), null, 'in the future');
+  assert.equal(activityTime('urn:li:activity:1', NOW), null);
+  assert.equal(activityTime(null, NOW), null);
+});
+
+test('recordPost: keeps when the post was made, and a more precise time wins', () => {
+  const rec = newRecruiter('https://www.linkedin.com/in/jane');
+  const week = { id: '1', postedAt: NOW - 7 * MS_PER_DAY, precision: 'relative-week' };
+  recordPost(rec, 'Jane', 'Dev', daysAgo(7), 'Hiring devs', week);
+  assert.deepEqual([rec.posts[0].postedAt, rec.posts[0].precision], [week.postedAt, 'relative-week']);
+  const exact = NOW - 10 * MS_PER_DAY;
+  assert.equal(recordPost(rec, 'Jane', 'Dev', daysAgo(10), 'Hiring devs', { id: '1', postedAt: exact, precision: 'exact' }), true);
+  assert.equal(recordPost(rec, 'Jane', 'Dev', daysAgo(8), 'Hiring devs', { id: '1', postedAt: NOW - 8 * MS_PER_DAY, precision: 'relative-day' }), false);
+  assert.deepEqual([rec.posts[0].postedAt, rec.posts[0].precision, rec.posts[0].date], [exact, 'exact', daysAgo(10)]);
+  recordPost(rec, 'Jane', 'QA', daysAgo(0), 'Hiring QA');
+  assert.deepEqual([rec.posts[1].postedAt, rec.posts[1].precision], [undefined, undefined]);
+});
+
+test('recordPost: posts with an activity ID dedupe on it alone', () => {
+  const rec = newRecruiter('https://www.linkedin.com/in/jane');
+  assert.equal(recordPost(rec, 'Jane', 'QA Engineer', '2024-03-14', 'We are hiring QA', { id: '1' }), true);
+  // Seen the next day, the relative date reads one day further back
+  assert.equal(recordPost(rec, 'Jane', 'QA Engineer', '2024-03-13', 'We are hiring QA, see more', { id: '1' }), false);
+  // Same opening, different post
+  assert.equal(recordPost(rec, 'Jane', 'QA Engineer', '2024-03-14', 'We are hiring QA', { id: '2' }), true);
+  assert.deepEqual(rec.posts.map(p => [p.id, p.date]), [['1', '2024-03-14'], ['2', '2024-03-14']]);
+});
+
+test('recordPost: a reshare is the post it reshares', () => {
+  const rec = newRecruiter('https://www.linkedin.com/in/jane');
+  assert.equal(recordPost(rec, 'Jane', 'Dev', '2024-03-15', 'Still hiring!', { id: '9', of: '1' }), true);
+  assert.equal(recordPost(rec, 'Jane', 'Dev', '2024-03-12', 'We are hiring devs', { id: '1' }), false);
+  assert.equal(recordPost(rec, 'Jane', 'Dev', '2024-03-16', 'Hiring, sharing again', { id: '10', of: '1' }), false);
+  assert.deepEqual(rec.posts.map(p => [p.id, p.of]), [['9', '1']]);
+});
+
+test('recordPost: a post logged before IDs were kept picks its ID up', () => {
+  const rec = newRecruiter('https://www.linkedin.com/in/jane');
+  recordPost(rec, 'Jane', 'Dev', '2024-03-15', 'Hiring devs');
+  assert.equal(recordPost(rec, 'Jane', 'Dev', '2024-03-15', 'Hiring devs', { id: '1' }), true);
+  assert.equal(recordPost(rec, 'Jane', 'Dev', '2024-03-14', 'Hiring devs', { id: '1' }), false);
+  assert.deepEqual(rec.posts.map(p => p.id), ['1']);
+});
+
+test('collapseDuplicates: merges posts logged twice before activity IDs', () => {
+  const logged = [
+    { role: 'Dev', date: '2024-03-14', ts: 1, snippet: 'We are hiring devs for our Pune office' },
+    { role: 'Dev', date: '2024-03-13', ts: 2, snippet: 'We are hiring devs for our Pune office', signals: ['whatsapp'] }, // "1d" → "2d"
+    { role: 'Dev', date: '2024-03-14', ts: 3, snippet: 'We are hiring devs for our Pune office and remote too' }, // after "see more"
+    { role: 'Dev', date: '2024-03-07', ts: 4, snippet: 'We are hiring devs for our Pune office' }, // posted again a week later
+    { role: 'QA', date: '2024-03-14', ts: 5, snippet: 'We are hiring devs for our Pune office' },
+    { role: 'QA', date: '2024-03-01', ts: 6, jobId: '42' },
+    { role: 'QA', date: '2024-03-05', ts: 7, jobId: '42', reposted: true },
+  ];
+  const posts = collapseDuplicates(logged);
+  assert.deepEqual(posts.map(p => p.ts), [1, 4, 5, 6]);
+  assert.deepEqual(posts[0].signals, ['whatsapp']);
+  assert.equal(posts[0].date, '2024-03-14');
+  assert.equal(posts[3].reposted, true);
+  assert.deepEqual(collapseDuplicates(undefined), []);
+});
+
+test('recordOtherPost: counts each non-job post once, by its text', () => {
+  const rec = newRecruiter('u');
+  assert.deepEqual(rec.other, []);
+  assert.equal(recordOtherPost(rec, '2024-03-15', 'Proud of my team this quarter!'), true);
+  assert.equal(recordOtherPost(rec, '2024-03-16', '  PROUD of my team   this quarter! '), false);
+  assert.equal(recordOtherPost(rec, '2024-03-16', ''), false);
+  assert.equal(rec.other.length, 1);
+  assert.deepEqual([rec.other[0].key, rec.other[0].date], [textKey('Proud of my team this quarter!'), '2024-03-15']);
+});
+
+test('hiringRatio: known once RATIO_MIN_POSTS posts were seen', () => {
+  assert.deepEqual(hiringRatio(posts(1, 2, 3), [], CFG), { hiring: 3, total: 3, pct: 100, known: false });
+  assert.deepEqual(hiringRatio(posts(1, 2, 3), others(1), CFG), { hiring: 3, total: 4, pct: 75, known: true });
+  assert.deepEqual(hiringRatio([], undefined, CFG), { hiring: 0, total: 0, pct: 0, known: false });
+});
+
+test('score: no posts is unknown', () => {
+  const sc = score({ posts: [] }, CFG, { now: NOW });
+  assert.equal(sc.level, 'unknown');
+  assert.equal(sc.pts, 0);
+  assert.deepEqual(sc.reasons, []);
+});
+
+test('score: a single old post looks genuine', () => {
+  const sc = score({ posts: posts(30), firstSeen: LONG_AGO }, CFG, { now: NOW });
+  assert.equal(sc.level, 'low');
+  assert.equal(sc.pts, 0);
+});
+
+test('score: two spread-out posts are medium once they make a high hiring ratio', () => {
+  const rec = { posts: posts(20, 30), firstSeen: LONG_AGO };
+  assert.equal(score(rec, CFG, { now: NOW }).pts, 0);
+  const sc = score(rec, RATIO2, { now: NOW });
+  assert.equal(sc.isFake, false);
+  assert.equal(sc.pts, 20);
+  assert.equal(sc.level, 'medium');
+  assert.deepEqual(sc.reasons, ['2 of 2 posts seen are hiring posts (100% hiring ratio)']);
+  assert.deepEqual(sc.ratio, { hiring: 2, total: 2, pct: 100, known: true });
+  // Half of what they post isn't hiring
+  assert.equal(score({ ...rec, other: others(5, 25) }, RATIO2, { now: NOW }).pts, 0);
+});
+
+test('score: reposted job listings add one reason', () => {
+  const p = posts(30).map(x => ({ ...x, jobId: '1', reposted: true }));
+  const sc = score({ posts: p, firstSeen: LONG_AGO }, CFG, { now: NOW });
+  assert.equal(sc.pts, CFG.WEIGHTS.REPOSTED);
+  assert.deepEqual(sc.reasons, ['🔁 Job listing reposted']);
+});
+
+test('score: shared text needs SHARED_TEXT_ACCOUNTS accounts', () => {
+  const rec = { posts: posts(30), firstSeen: LONG_AGO };
+  assert.equal(score(rec, CFG, { now: NOW, sharedText: 1 }).pts, 0);
+  const sc = score(rec, CFG, { now: NOW, sharedText: 3 });
+  assert.equal(sc.pts, CFG.WEIGHTS.SHARED_TEXT);
+  assert.deepEqual(sc.reasons, ['📋 Same text posted by 3 different accounts']);
+});
+
+test('score: reasons and the fake warning are in the UI language', () => {
+  const de = require('../_locales/de/messages.json');
+  global.chrome = { i18n: { getMessage: (key, subs) => de[key].message.replace(/\$(\d)/g, (_, n) => subs[n - 1]) } };
+  try {
+    const rec = { posts: posts(30), firstSeen: LONG_AGO };
+    assert.deepEqual(score(rec, CFG, { now: NOW, sharedText: 3 }).reasons, ['📋 Gleicher Text von 3 verschiedenen Konten gepostet']);
+    const fake = score({ name: 'Jane', posts: posts(0, 0, 1, 1, 2), firstSeen: LONG_AGO }, CFG, { now: NOW });
+    assert.match(fake.reasons[0], /^🚨 KRITISCH: 5 Stellenangebote in den letzten 5 Tagen gepostet/);
+    assert.match(fake.fakeMessage, /Jane hat in den letzten 5 Tagen 5 Stellenangebote gepostet/);
+  } finally {
+    delete global.chrome;
+  }
+});
+
+test('score: impersonation adds its weight and names the company', () => {
+  const rec = { posts: posts(30), firstSeen: LONG_AGO };
+  const sc = score(rec, CFG, { now: NOW, impersonation: { company: 'Acme', people: 4, flagged: 3 } });
+  assert.equal(sc.pts, CFG.WEIGHTS.IMPERSONATION);
+  assert.deepEqual(sc.reasons, ['🎭 4 unrelated accounts hiring for Acme (3 flagged)']);
+});
+
+test('score: level boundaries follow cfg', () => {
+  // Two posts on the same old day: 40 (daily) + 20 (hiring ratio) = 60
+  const rec = { posts: posts(30, 30), firstSeen: LONG_AGO };
+  assert.equal(score(rec, RATIO2, { now: NOW }).pts, 60);
+  assert.equal(score(rec, { ...RATIO2, LEVEL_HIGH: 60 }, { now: NOW }).level, 'high');
+  assert.equal(score(rec, { ...RATIO2, LEVEL_HIGH: 61 }, { now: NOW }).level, 'medium');
+  assert.equal(score(rec, { ...RATIO2, LEVEL_HIGH: 100, LEVEL_MEDIUM: 61 }, { now: NOW }).level, 'low');
+});
+
+test('score: fake detection forces high and explains itself', () => {
+  const sc = score({ name: 'Jane', posts: posts(0, 1, 2, 3, 4), firstSeen: LONG_AGO }, CFG, { now: NOW });
+  assert.equal(sc.isFake, true);
+  assert.equal(sc.level, 'high');
+  assert.equal(sc.hiringAnalysis.window, 'FAKE_STRICT');
+  assert.match(sc.reasons[0], /CRITICAL: Posted 5 hiring posts in last 5 days/);
+  assert.match(sc.fakeMessage, /Jane has posted 5 hiring posts in the last 5 days/);
+});
+
+test('score: repeated roles add one reason per role', () => {
+  const p = [
+    { role: 'Dev', date: daysAgo(20) }, { role: 'Dev', date: daysAgo(30) },
+    { role: 'QA', date: daysAgo(40) },  { role: 'QA', date: daysAgo(50) },
+  ];
+  const sc = score({ posts: p, firstSeen: LONG_AGO }, CFG, { now: NOW });
+  assert.deepEqual(sc.roleCnt, { Dev: 2, QA: 2 });
+  assert.equal(sc.reasons.filter(r => / posted 2 times$/.test(r)).length, 2);
+});
+
+test('score: trusted recruiters are always genuine', () => {
+  const rec = { posts: posts(0, 1, 2, 3, 4), firstSeen: LONG_AGO };
+  const sc = score(rec, CFG, { now: NOW, listStatus: 'trusted' });
+  assert.equal(sc.listStatus, 'trusted');
+  assert.equal(sc.isFake, false);
+  assert.equal(sc.level, 'low');
+  assert.equal(sc.pts, 0);
+  assert.equal(sc.fakeMessage, '');
+  assert.match(sc.reasons[0], /trusted/);
+  assert.ok(sc.reasons.length > 1, 'detected reasons are kept');
+});
+
+test('score: blocked recruiters are always fake', () => {
+  const sc = score({ posts: posts(30), firstSeen: LONG_AGO }, CFG, { now: NOW, listStatus: 'blocked' });
+  assert.equal(sc.listStatus, 'blocked');
+  assert.equal(sc.isFake, true);
+  assert.equal(sc.level, 'high');
+  assert.equal(sc.pts, CFG.WEIGHTS.FAKE);
+  assert.equal(score({ posts: [] }, CFG, { now: NOW, listStatus: 'blocked' }).isFake, true);
+});
+
+test('score: unlisted recruiters report listStatus null', () => {
+  assert.equal(score({ posts: posts(30), firstSeen: LONG_AGO }, CFG, { now: NOW }).listStatus, null);
+});
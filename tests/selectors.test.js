@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const { VERSION, SELECTORS, sel, firstMatch, matchAll, newHits, summarizeHits, pageType } = require('../selectors.js');
+
+const doc = html => new JSDOM(html).window.document;
+
+test('pack: every group is a non-empty list of valid selectors', () => {
+  assert.ok(Number.isInteger(VERSION) && VERSION > 0);
+  const d = doc('');
+  Object.entries(SELECTORS).forEach(([group, list]) => {
+    assert.ok(Array.isArray(list) && list.length, group);
+    list.forEach(s => assert.doesNotThrow(() => d.querySelector(s), `${group}: ${s}`));
+  });
+  assert.equal(sel('body'), SELECTORS.body.join(', '));
+});
+
+test('firstMatch: pack order, not document order, and accept() can pass on a match', () => {
+  const d = doc(`<div class="feed-shared-text">old</div><div class="update-components-text">new</div>`);
+  const m = firstMatch(d, 'text');
+  assert.equal(m.el.textContent, 'new');
+  assert.equal(m.index, 0);
+
+  const fallback = firstMatch(d, 'text', el => el.textContent === 'old');
+  assert.equal(fallback.selector, '.feed-shared-text');
+  assert.ok(fallback.index > 0);
+  assert.equal(firstMatch(d, 'text', () => false), null);
+});
+
+test('matchAll: each element once, every matching selector tallied', () => {
+  const d = doc(`<div class="feed-shared-update-v2" data-urn="urn:li:activity:1"></div>
+                 <div class="feed-shared-update-v2" data-urn="urn:li:activity:2"></div>`);
+  const hits = newHits();
+  assert.equal(matchAll(d, 'post', hits).length, 2);
+  assert.equal(hits.post['.feed-shared-update-v2'], 2);
+  assert.equal(hits.post['div[data-urn^="urn:li:activity"]'], 2);
+});
+
+test('summarizeHits: matches in pack order with fallbacks marked, plus misses', () => {
+  const d = doc(`<p class="feed-shared-text">a</p>`);
+  const hits = newHits();
+  firstMatch(d, 'text', undefined, hits);
+  firstMatch(d, 'text', undefined, hits);
+  firstMatch(d, 'date', undefined, hits);
+  assert.deepEqual(summarizeHits(hits), [
+    { group: 'text', matched: [{ selector: '.feed-shared-text', count: 2, fallback: true }], misses: 0 },
+    { group: 'date', matched: [], misses: 1 },
+  ]);
+});
+
+test('pageType', () => {
+  assert.equal(pageType('/feed/'), 'feed');
+  assert.equal(pageType('/jobs/view/123/'), 'jobs');
+  assert.equal(pageType('/search/results/content/'), 'search');
+  assert.equal(pageType('/company/acme/posts/'), 'company');
+  assert.equal(pageType('/in/jane/recent-activity/all/'), 'profile');
+  assert.equal(pageType('/feed/update/urn:li:activity:1/'), 'post');
+  assert.equal(pageType('/messaging/'), 'other');
+});
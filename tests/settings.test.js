@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CFG, score } = require('../scoring.js');
+const { PRESETS, WINDOW_MIN, mergeConfig, presetConfig, matchPreset } = require('../settings.js');
+
+test('mergeConfig: no overrides returns the defaults', () => {
+  assert.deepEqual(mergeConfig(CFG, undefined), CFG);
+});
+
+test('mergeConfig: merges nested windows and weights key by key', () => {
+  const cfg = mergeConfig(CFG, { FAKE_STRICT: { posts: 9 }, WEIGHTS: { DAILY: 5 } });
+  assert.deepEqual(cfg.FAKE_STRICT, { posts: 9, days: CFG.FAKE_STRICT.days });
+  assert.equal(cfg.WEIGHTS.DAILY, 5);
+  assert.equal(cfg.WEIGHTS.FAKE, CFG.WEIGHTS.FAKE);
+});
+
+test('mergeConfig: drops unknown keys and invalid values', () => {
+  const cfg = mergeConfig(CFG, { BOGUS: 1, DAILY_LIMIT: 'x', ROLE_VARIETY: -1, SAME_REPEAT: NaN, FAKE_LIKELY: 3 });
+  assert.equal('BOGUS' in cfg, false);
+  assert.equal(cfg.DAILY_LIMIT, CFG.DAILY_LIMIT);
+  assert.equal(cfg.ROLE_VARIETY, CFG.ROLE_VARIETY);
+  assert.equal(cfg.SAME_REPEAT, CFG.SAME_REPEAT);
+  assert.deepEqual(cfg.FAKE_LIKELY, CFG.FAKE_LIKELY);
+});
+
+test('mergeConfig: window posts and days are raised to at least 1, weights may be 0', () => {
+  const cfg = mergeConfig(CFG, { FAKE_STRICT: { posts: 0, days: 0 }, OBSERVED: { posts: 0.5 }, WEIGHTS: { DAILY: 0 } });
+  assert.deepEqual(cfg.FAKE_STRICT, { posts: WINDOW_MIN, days: WINDOW_MIN });
+  assert.equal(cfg.OBSERVED.posts, WINDOW_MIN);
+  assert.equal(cfg.WEIGHTS.DAILY, 0);
+  const rec = { posts: [{ role: 'Dev', date: '2020-01-01' }], firstSeen: 1 };
+  assert.equal(score(rec, cfg).isFake, false);
+});
+
+test('presets: balanced is the default config', () => {
+  assert.deepEqual(presetConfig('balanced'), CFG);
+  assert.equal(matchPreset(CFG), 'balanced');
+});
+
+test('presets: every preset is recognised and anything else is custom', () => {
+  for (const name of Object.keys(PRESETS)) assert.equal(matchPreset(presetConfig(name)), name);
+  assert.equal(matchPreset(mergeConfig(CFG, { DAILY_LIMIT: 9 })), 'custom');
+});
+
+test('presets: weights drive score()', () => {
+  const rec = { posts: [{ role: 'Dev', date: '2020-01-01' }], firstSeen: 1 };
+  const sameDay = { posts: [...rec.posts, { role: 'QA', date: '2020-01-01' }], firstSeen: 1 };
+  const cfg = mergeConfig(CFG, { RATIO_MIN_POSTS: 2, WEIGHTS: { DAILY: 1, ALL_HIRING: 2 } });
+  assert.equal(score(rec, cfg).pts, 0);
+  assert.equal(score(sameDay, cfg).pts, 3);
+});
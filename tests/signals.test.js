@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { RULES, analyzeText, getRule } = require('../signals.js');
+const { CFG, newRecruiter, recordPost, score } = require('../scoring.js');
+
+const hits = (text, id) => analyzeText(text).includes(id);
+
+test('rules have unique ids and a default weight', () => {
+  const ids = RULES.map(r => r.id);
+  assert.equal(new Set(ids).size, ids.length);
+  for (const r of RULES) {
+    assert.equal(typeof r.weight, 'number', r.id);
+    assert.equal(CFG.SIGNAL_WEIGHTS[r.id], r.weight, r.id);
+    assert.equal(getRule(r.id), r);
+  }
+});
+
+test('fee: registration / training fees', () => {
+  assert.ok(hits('Selected candidates must pay a registration fee of Rs 1500', 'fee'));
+  assert.ok(hits('One-time training charges apply', 'fee'));
+  assert.ok(hits('Refundable deposit required before joining', 'fee'));
+  assert.ok(!hits('No fees at any stage of the process', 'fee'));
+});
+
+test('pay_for_offer: payment for an offer letter', () => {
+  assert.ok(hits('Make payment for the offer letter and start Monday', 'pay_for_offer'));
+  assert.ok(hits('Offer letter upon payment of processing charges', 'pay_for_offer'));
+  assert.ok(!hits('You will receive an offer letter after the final round', 'pay_for_offer'));
+});
+
+test('messenger_only: WhatsApp / Telegram contact without an official channel', () => {
+  assert.ok(hits('Interested candidates message me on WhatsApp', 'messenger_only'));
+  assert.ok(hits('WhatsApp: +91 98xxxxxx', 'messenger_only'));
+  assert.ok(hits('Join https://t.me/jobs123', 'messenger_only'));
+  assert.ok(!hits('Apply on our careers page, or ping me on WhatsApp: careers.acme.com', 'messenger_only'));
+  assert.ok(!hits('We built a WhatsApp integration', 'messenger_only'));
+});
+
+test('personal_email: free-mail addresses', () => {
+  assert.ok(hits('Send CV to hr.acmecorp@gmail.com', 'personal_email'));
+  assert.ok(hits('mail resume: jobs_2024@yahoo.co.in', 'personal_email'));
+  assert.ok(!hits('Send CV to talent@acme.com', 'personal_email'));
+});
+
+test('unrealistic_pay: easy money promises', () => {
+  assert.ok(hits('Earn ₹5000 per day from your phone', 'unrealistic_pay'));
+  assert.ok(hits('Part-time work, earn from home', 'unrealistic_pay'));
+  assert.ok(hits('Daily payout guaranteed', 'unrealistic_pay'));
+  assert.ok(!hits('Competitive salary and benefits', 'unrealistic_pay'));
+});
+
+test('urgency and no_interview', () => {
+  assert.ok(hits('Urgent requirement! Only 5 seats left', 'urgency'));
+  assert.ok(hits('Direct joining, no interview', 'no_interview'));
+  assert.ok(hits('100% job guarantee', 'no_interview'));
+  assert.ok(!hits('Three interview rounds over two weeks', 'no_interview'));
+});
+
+test('analyzeText: empty text has no signals', () => {
+  assert.deepEqual(analyzeText(''), []);
+  assert.deepEqual(analyzeText(undefined), []);
+});
+
+test('recordPost stores signals and merges them on re-sighting', () => {
+  const rec = newRecruiter('https://www.linkedin.com/in/x');
+  // Longer than the 80-char snippet, so the expanded text dedupes onto it
+  const short = 'We are hiring data entry operators for our growing team, earn ₹3000 per day from home';
+  recordPost(rec, 'X', 'Data Entry', '2024-03-15', short);
+  assert.deepEqual(rec.posts[0].signals, ['unrealistic_pay']);
+  // Same post after "see more": same snippet, more text
+  assert.equal(recordPost(rec, 'X', 'Data Entry', '2024-03-15', short + '. Registration fee 500.'), true);
+  assert.equal(rec.posts.length, 1);
+  assert.deepEqual(rec.posts[0].signals.sort(), ['fee', 'unrealistic_pay']);
+  assert.equal(recordPost(rec, 'X', 'Data Entry', '2024-03-15', short), false);
+});
+
+test('score: each signal is its own reason with its own weight', () => {
+  const rec = {
+    firstSeen: 1,
+    posts: [
+      { role: 'A', date: '2020-01-01', signals: ['fee'] },
+      { role: 'B', date: '2020-02-01', signals: ['fee', 'personal_email'] },
+    ],
+  };
+  const sc = score(rec, CFG);
+  assert.deepEqual(sc.signalCnt, { fee: 2, personal_email: 1 });
+  assert.ok(sc.reasons.includes('💸 Asks for a registration / training fee (2 posts)'));
+  assert.ok(sc.reasons.includes('📧 Uses a personal email address for a company role'));
+  // 35 (fee) + 20 (personal email); two posts are too few for the hiring ratio
+  assert.equal(sc.pts, 55);
+  const tuned = score(rec, { ...CFG, SIGNAL_WEIGHTS: { ...CFG.SIGNAL_WEIGHTS, fee: 0 } });
+  assert.equal(tuned.pts, 20);
+});
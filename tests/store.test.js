@@ -0,0 +1,191 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installFakeChrome } = require('./helpers/fake-chrome.js');
+const store = require('../store.js');
+const { EXPORT_FORMAT } = require('../transfer.js');
+const { CFG } = require('../scoring.js');
+const { DEFAULT_RETENTION } = require('../retention.js');
+
+const JANE = 'https://www.linkedin.com/in/jane';
+const BOB = 'https://www.linkedin.com/in/bob';
+
+test('logPost: concurrent writes from several tabs are all kept', async () => {
+  const local = installFakeChrome();
+  await Promise.all([
+    store.logPost(JANE, 'Jane', 'Dev', '2024-03-01', 'tab 1 post'),
+    store.logPost(JANE, 'Jane', 'QA', '2024-03-01', 'tab 2 post'),
+    store.logPost(BOB, 'Bob', 'Dev', '2024-03-01', 'bob post'),
+    store.logPost(JANE, 'Jane', 'Ops', '2024-03-02', 'tab 1 again'),
+  ]);
+  assert.equal(local.items[store.recKey(JANE)].posts.length, 3);
+  assert.equal(local.items[store.recKey(BOB)].posts.length, 1);
+});
+
+test('logPost: returns the record as stored, duplicates are not re-written', async () => {
+  installFakeChrome();
+  const first = await store.logPost(JANE, 'Jane', 'Dev', '2024-03-01', 'hiring devs');
+  const again = await store.logPost(JANE, 'Jane', 'Dev', '2024-03-01', 'hiring devs');
+  assert.equal(first.posts.length, 1);
+  assert.equal(again.posts.length, 1);
+  assert.equal(again.posts[0].ts, first.posts[0].ts);
+});
+
+test('logPosts: one read and one write for the whole batch', async () => {
+  const local = installFakeChrome({ [store.recKey(JANE)]: { url: JANE, name: 'Jane', posts: [], firstSeen: 1 } });
+  let gets = 0, sets = 0;
+  const { get, set } = local;
+  local.get = (...a) => { gets++; get(...a); };
+  local.set = (...a) => { sets++; set(...a); };
+  const recs = await store.logPosts([
+    { profileUrl: JANE, name: 'Jane', role: 'Dev', date: '2024-03-01', text: 'hiring devs' },
+    { profileUrl: BOB, name: 'Bob', role: 'QA', date: '2024-03-01', text: 'hiring QA' },
+    { profileUrl: JANE, name: 'Jane', role: 'Ops', date: '2024-03-02', text: 'hiring ops' },
+    { profileUrl: JANE, name: 'Jane', role: 'Dev', date: '2024-03-01', text: 'hiring devs' },
+  ]);
+  assert.deepEqual([gets, sets], [1, 1]);
+  assert.deepEqual(Object.keys(recs).sort(), [BOB, JANE]);
+  assert.equal(recs[JANE].posts.length, 2);
+  assert.equal(local.items[store.recKey(JANE)].posts.length, 2);
+  assert.equal(local.items[store.recKey(BOB)].name, 'Bob');
+
+  // Nothing new: nothing written
+  await store.logPosts([{ profileUrl: BOB, name: 'Bob', role: 'QA', date: '2024-03-01', text: 'hiring QA' }]);
+  assert.equal(sets, 1);
+});
+
+test('logPosts: other posts count for recruiters with a record, and create none', async () => {
+  const local = installFakeChrome();
+  const recs = await store.logPosts([
+    { profileUrl: BOB, name: 'Bob', date: '2024-03-01', text: 'Happy new year', other: true },
+    { profileUrl: JANE, name: 'Jane', date: '2024-03-01', text: 'Proud of my team', other: true },
+    { profileUrl: JANE, name: 'Jane', role: 'Dev', date: '2024-03-01', text: 'hiring devs' },
+    { profileUrl: JANE, name: 'Jane', date: '2024-03-02', text: 'proud of my  team', other: true },
+  ]);
+  assert.deepEqual(Object.keys(recs), [JANE]);
+  assert.equal(local.items[store.recKey(BOB)], undefined);
+  const jane = local.items[store.recKey(JANE)];
+  assert.deepEqual([jane.posts.length, jane.other.length], [1, 1]);
+});
+
+test('onLogged: each changed record as it was and as it is, after the write', async () => {
+  const local = installFakeChrome({ [store.recKey(JANE)]: { url: JANE, name: 'Jane', posts: [{ role: 'Dev', date: '2024-03-01' }], firstSeen: 1 } });
+  const seen = [];
+  store.onLogged(changes => seen.push(changes.map(c => [c.url, c.before && c.before.posts.length, c.after.posts.length, !!local.items[store.recKey(c.url)]])));
+  await store.logPosts([
+    { profileUrl: JANE, name: 'Jane', role: 'QA', date: '2024-03-02', text: 'hiring QA' },
+    { profileUrl: BOB, name: 'Bob', role: 'Dev', date: '2024-03-02', text: 'hiring devs' },
+  ]);
+  assert.deepEqual(seen, [[[JANE, 1, 2, true], [BOB, null, 1, true]]]);
+
+  // Nothing new: no call
+  await store.logPosts([{ profileUrl: BOB, name: 'Bob', role: 'Dev', date: '2024-03-02', text: 'hiring devs' }]);
+  assert.equal(seen.length, 1);
+});
+
+test('saveProfile: kept on existing records only, written when it changed', async () => {
+  const local = installFakeChrome({ [store.recKey(JANE)]: { url: JANE, name: 'Jane', posts: [], firstSeen: 1 } });
+  let sets = 0;
+  const { set } = local;
+  local.set = (...a) => { sets++; set(...a); };
+  const first = await store.saveProfile(JANE, { connections: 12, photo: false, junk: 1 });
+  assert.deepEqual([first.changed, first.rec.profile.connections, 'junk' in first.profile], [true, 12, false]);
+  const again = await store.saveProfile(JANE, { connections: 12, photo: false });
+  assert.deepEqual([again.changed, sets], [false, 1]);
+
+  const stranger = await store.saveProfile(BOB, { connections: 12 });
+  assert.deepEqual([stranger.rec, stranger.changed, stranger.profile.connections], [null, false, 12]);
+  assert.equal(local.items[store.recKey(BOB)], undefined);
+});
+
+test('readAll: returns only recruiter keys, keyed by URL', async () => {
+  installFakeChrome({ [store.recKey(JANE)]: { url: JANE, posts: [] }, detectionConfig: {}, recruiterLists: {} });
+  assert.deepEqual(Object.keys(await store.readAll()), [JANE]);
+});
+
+test('migrateLegacy: splits the recruiterData blob into per-recruiter keys once', async () => {
+  const local = installFakeChrome({
+    recruiterData: { [JANE]: { url: JANE, posts: [{ role: 'Dev', date: '2024-03-01' }] }, [BOB]: { url: BOB, posts: [] } },
+  });
+  assert.equal(await store.migrateLegacy(), 2);
+  assert.equal(store.LEGACY_KEY in local.items, false);
+  assert.equal(local.items[store.recKey(JANE)].posts.length, 1);
+  assert.equal(await store.migrateLegacy(), 0);
+});
+
+test('migratePostIds: collapses posts logged twice, once', async () => {
+  const dup = { role: 'Dev', date: '2024-03-01', snippet: 'hiring devs' };
+  const local = installFakeChrome({
+    [store.recKey(JANE)]: { url: JANE, posts: [{ ...dup, ts: 1 }, { ...dup, date: '2024-03-02', ts: 2 }] },
+    [store.recKey(BOB)]: { url: BOB, posts: [{ ...dup, ts: 1 }] },
+  });
+  const bob = local.items[store.recKey(BOB)];
+  assert.equal(await store.migratePostIds(), 1);
+  assert.deepEqual(local.items[store.recKey(JANE)].posts.map(p => p.ts), [1]);
+  assert.equal(local.items[store.recKey(BOB)], bob, 'records without duplicates are not re-written');
+  assert.equal(typeof local.items[store.POST_IDS_KEY], 'number');
+
+  local.items[store.recKey(JANE)].posts.push({ ...dup, ts: 3 });
+  assert.equal(await store.migratePostIds(), 0);
+  assert.equal(local.items[store.recKey(JANE)].posts.length, 2);
+});
+
+test('setFlags: serialized list updates do not lose each other', async () => {
+  const local = installFakeChrome();
+  await Promise.all([store.setFlags(JANE, 'trusted', 'Jane'), store.setFlags(BOB, 'blocked', 'Bob')]);
+  assert.ok(local.items.recruiterLists.trusted[JANE]);
+  assert.ok(local.items.recruiterLists.blocked[BOB]);
+});
+
+test('setWatched: serialized watch list updates do not lose each other', async () => {
+  const local = installFakeChrome({ watchedRecruiters: { [BOB]: { name: 'Bob', at: 1 } } });
+  await Promise.all([store.setWatched(JANE, true, 'Jane'), store.setWatched(BOB, false)]);
+  assert.deepEqual(Object.keys(local.items.watchedRecruiters), [JANE]);
+});
+
+test('setVerdict / resetFeedback: serialized verdicts, all forgotten on reset', async () => {
+  const local = installFakeChrome();
+  await Promise.all([
+    store.setVerdict(JANE, { name: 'Jane', verdict: 'wrong', level: 'high', pts: 70, rules: ['WEIGHTS.DAILY'] }),
+    store.setVerdict(BOB, { name: 'Bob', verdict: 'correct', level: 'low', pts: 0, rules: [] }),
+  ]);
+  assert.deepEqual(Object.keys(local.items.verdictFeedback).sort(), [BOB, JANE]);
+  await store.setVerdict(BOB, null);
+  assert.deepEqual(Object.keys(local.items.verdictFeedback), [JANE]);
+  await store.resetFeedback();
+  assert.equal(local.items.verdictFeedback, undefined);
+});
+
+test('importData: merges and writes only touched recruiters', async () => {
+  const local = installFakeChrome({ [store.recKey(JANE)]: { url: JANE, name: 'Jane', firstSeen: 10, posts: [] } });
+  const stats = await store.importData({
+    format: EXPORT_FORMAT, version: 1,
+    recruiters: [{ url: BOB, name: 'Bob', firstSeen: 5, posts: [{ role: 'Dev', date: '2024-03-01' }] }],
+  });
+  assert.equal(stats.recruitersAdded, 1);
+  assert.equal(local.items[store.recKey(BOB)].name, 'Bob');
+  assert.equal(local.items[store.recKey(JANE)].name, 'Jane');
+});
+
+test('clearAll: removes recruiters but keeps lists and settings', async () => {
+  const local = installFakeChrome({
+    [store.recKey(JANE)]: { url: JANE, posts: [] }, recruiterData: {}, recruiterLists: { trusted: {}, blocked: {} }, detectionConfig: {},
+  });
+  await store.clearAll();
+  assert.deepEqual(Object.keys(local.items).sort(), ['detectionConfig', 'recruiterLists']);
+});
+
+test('prune: writes trimmed records and removes dropped ones', async () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const now = Date.now();
+  const old = { role: 'Dev', date: new Date(now - 90 * DAY).toISOString().slice(0, 10), ts: now - 90 * DAY };
+  const fresh = { role: 'QA', date: new Date(now).toISOString().slice(0, 10), ts: now };
+  const local = installFakeChrome({
+    [store.recKey(JANE)]: { url: JANE, firstSeen: old.ts, posts: [old, fresh] },
+    [store.recKey(BOB)]: { url: BOB, firstSeen: old.ts, posts: [old] },
+  });
+  const stats = await store.prune(DEFAULT_RETENTION, CFG, now);
+  assert.deepEqual(stats, { postsRemoved: 2, recruitersRemoved: 1 });
+  assert.equal(local.items[store.recKey(JANE)].posts.length, 1);
+  assert.equal(store.recKey(BOB) in local.items, false);
+});
@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CFG } = require('../scoring.js');
+const { emptyLists, withStatus } = require('../lists.js');
+const { EXPORT_FORMAT, buildExport, buildCSV, parseImport, mergeImport } = require('../transfer.js');
+
+const JANE = 'https://www.linkedin.com/in/jane';
+const ACME = 'https://www.linkedin.com/company/acme';
+
+function sample() {
+  return {
+    [JANE]: {
+      url: JANE, name: 'Jane', firstSeen: 1000,
+      posts: [
+        { role: 'QA Engineer', date: '2024-03-01', ts: 1, snippet: 'We are hiring QA, "urgent"' },
+        { role: 'Dev', date: '2024-03-02', ts: 2, snippet: 'Hiring devs\nDM me', signals: ['fee'], company: 'Acme' },
+      ],
+    },
+  };
+}
+
+function exportOf(recruiters) {
+  return { format: EXPORT_FORMAT, version: 1, recruiters };
+}
+
+test('buildExport: includes posts, score and reasons', () => {
+  const lists = withStatus(emptyLists(), JANE, 'blocked', 'Jane');
+  const json = buildExport(sample(), CFG, lists, 0);
+  assert.equal(json.format, EXPORT_FORMAT);
+  assert.equal(json.exportedAt, '1970-01-01T00:00:00.000Z');
+  const [r] = json.recruiters;
+  assert.equal(r.url, JANE);
+  assert.equal(r.posts.length, 2);
+  assert.equal(r.score.listStatus, 'blocked');
+  assert.equal(r.score.isFake, true);
+  assert.ok(r.score.reasons.length > 0);
+});
+
+test('buildCSV: one escaped row per post', () => {
+  const lines = buildCSV(sample(), CFG, emptyLists()).split('\r\n');
+  assert.equal(lines[0].split(',')[0], 'recruiter_url');
+  assert.equal(lines.length, 1 + 2); // rows end in CRLF; the bare LF inside a snippet stays quoted
+  assert.match(lines[1], /"We are hiring QA, ""urgent"""/);
+  assert.match(lines[2], /,"Hiring devs\nDM me",fee,Acme$/);
+});
+
+test('buildCSV: text that would run as a formula opens as text', () => {
+  const data = sample();
+  data[JANE].name = '@Jane';
+  data[JANE].posts[0].snippet = '=HYPERLINK("https://evil.example","Apply")';
+  data[JANE].posts[1].company = '+Acme';
+  const lines = buildCSV(data, CFG, emptyLists()).split('\r\n');
+  assert.match(lines[1], /^https:\/\/www\.linkedin\.com\/in\/jane,'@Jane,/);
+  assert.match(lines[1], /,"'=HYPERLINK\(""https:\/\/evil\.example"",""Apply""\)",/);
+  assert.match(lines[2], /,'\+Acme$/);
+  assert.match(buildCSV({ [ACME]: { url: ACME, name: '-', posts: [] } }, CFG, emptyLists()), /,'-,/);
+});
+
+test('buildCSV: recruiter without posts still gets a row', () => {
+  const lines = buildCSV({ [ACME]: { url: ACME, name: 'Acme', posts: [] } }, CFG, emptyLists()).split('\r\n');
+  assert.equal(lines.length, 2);
+  assert.match(lines[1], /^https:\/\/www\.linkedin\.com\/company\/acme,Acme,,unknown,0,false,,,,,,,$/);
+});
+
+test('parseImport: rejects non-JSON and foreign files', () => {
+  assert.throws(() => parseImport('nope'), /not valid JSON/);
+  assert.throws(() => parseImport('{"recruiterData":{}}'), /not a LinkedIn Fraud Detector export/);
+  assert.throws(() => parseImport(JSON.stringify({ ...exportOf([]), version: 99 })), /newer/);
+  assert.deepEqual(parseImport(JSON.stringify(exportOf([]))).recruiters, []);
+});
+
+test('mergeImport: round-trips an export into empty data', () => {
+  const data = {};
+  const stats = mergeImport(data, buildExport(sample(), CFG, emptyLists()));
+  assert.deepEqual(stats, { recruitersAdded: 1, recruitersMerged: 0, recruitersSkipped: 0, postsAdded: 2, postsSkipped: 0 });
+  assert.deepEqual(data[JANE].posts, sample()[JANE].posts.map(p => ({ id: undefined, of: undefined, company: undefined, signals: undefined, jobId: undefined, reposted: undefined, applicants: undefined, ...p })));
+});
+
+test('mergeImport: unions posts with logPost dedupe and keeps earliest firstSeen', () => {
+  const data = sample();
+  const stats = mergeImport(data, exportOf([{
+    url: JANE, name: 'Someone Else', firstSeen: 500,
+    posts: [
+      { role: 'QA Engineer', date: '2024-03-01', snippet: 'We are hiring QA, "urgent"' }, // duplicate
+      { role: 'QA Engineer', date: '2024-03-01', snippet: 'Different opening' },          // new
+      { role: 'Dev', date: 'yesterday' },                                                  // invalid
+    ],
+  }]));
+  assert.deepEqual(stats, { recruitersAdded: 0, recruitersMerged: 1, recruitersSkipped: 0, postsAdded: 1, postsSkipped: 2 });
+  assert.equal(data[JANE].posts.length, 3);
+  assert.equal(data[JANE].firstSeen, 500);
+  assert.equal(data[JANE].name, 'Jane');
+});
+
+test('mergeImport: posts with an activity ID dedupe on it, reshares included', () => {
+  const data = sample();
+  data[JANE].posts[0].id = '1';
+  const stats = mergeImport(data, exportOf([{
+    url: JANE,
+    posts: [
+      { role: 'QA Engineer', date: '2024-02-29', id: '1', snippet: 'We are hiring QA, "urgent"' }, // drifted date
+      { role: 'QA Engineer', date: '2024-03-04', id: '7', of: '1', snippet: 'Still hiring' },   // reshare
+      { role: 'QA Engineer', date: '2024-03-01', id: '8', snippet: 'We are hiring QA, "urgent"' }, // same opening
+      { role: 'Ops', date: '2024-03-05', id: 'x1', of: '', snippet: 'Ops' },                     // junk IDs dropped
+    ],
+  }]));
+  assert.deepEqual([stats.postsAdded, stats.postsSkipped], [2, 2]);
+  assert.deepEqual(data[JANE].posts.map(p => [p.id, p.of]), [['1', undefined], [undefined, undefined], ['8', undefined], [undefined, undefined]]);
+});
+
+test('mergeImport: keeps when posts were made, if the precision is known', () => {
+  const data = {};
+  mergeImport(data, exportOf([{
+    url: JANE,
+    posts: [
+      { role: 'A', date: '2024-03-01', postedAt: 1709280000000, precision: 'exact' },
+      { role: 'B', date: '2024-03-01', postedAt: 1709280000000, precision: 'roughly' },
+      { role: 'C', date: '2024-03-01', postedAt: 'yesterday', precision: 'exact' },
+    ],
+  }]));
+  assert.deepEqual(data[JANE].posts.map(p => [p.postedAt, p.precision]),
+    [[1709280000000, 'exact'], [undefined, undefined], [undefined, undefined]]);
+});
+
+test('mergeImport: unions other posts by key and drops malformed ones', () => {
+  const data = sample();
+  data[JANE].other = [{ key: 'abc', date: '2024-03-01', ts: 1 }];
+  const stats = mergeImport(data, exportOf([{
+    url: JANE, posts: [],
+    other: [{ key: 'abc', date: '2024-03-01' }, { key: 'def', date: '2024-03-03', ts: 5 }, { key: 'BAD!', date: '2024-03-03' }],
+  }]));
+  assert.equal(stats.recruitersMerged, 1);
+  assert.deepEqual(data[JANE].other, [{ key: 'abc', date: '2024-03-01', ts: 1 }, { key: 'def', date: '2024-03-03', ts: 5 }]);
+  assert.deepEqual(buildExport(data, CFG, emptyLists()).recruiters[0].other, data[JANE].other);
+});
+
+test('mergeImport: the more recent profile check wins', () => {
+  const data = sample();
+  data[JANE].profile = { connections: 12, checkedAt: 10 };
+  mergeImport(data, exportOf([{ url: JANE, posts: [], profile: { connections: 5, checkedAt: 5 } }]));
+  assert.equal(data[JANE].profile.connections, 12);
+  const stats = mergeImport(data, exportOf([{ url: JANE, posts: [], profile: { connections: 40, photo: 'no', checkedAt: 20 } }]));
+  assert.equal(stats.recruitersMerged, 1);
+  assert.deepEqual([data[JANE].profile.connections, data[JANE].profile.photo, data[JANE].profile.checkedAt], [40, null, 20]);
+});
+
+test('mergeImport: later firstSeen does not overwrite', () => {
+  const data = sample();
+  mergeImport(data, exportOf([{ url: JANE, firstSeen: 9999, posts: [] }]));
+  assert.equal(data[JANE].firstSeen, 1000);
+});
+
+test('mergeImport: skips invalid recruiters', () => {
+  const data = {};
+  const stats = mergeImport(data, exportOf([
+    null,
+    { url: 'https://evil.example.com/in/x', posts: [] },
+    { url: ACME },
+    { url: ACME, posts: [{ role: 'x' }] },
+  ]));
+  assert.equal(stats.recruitersSkipped, 4);
+  assert.equal(stats.postsSkipped, 1);
+  assert.deepEqual(data, {});
+});
+
+test('mergeImport: keeps job listing fields and dedupes on jobId', () => {
+  const data = {};
+  const stats = mergeImport(data, exportOf([{
+    url: ACME, name: 'Acme', firstSeen: 1,
+    posts: [
+      { role: 'QA', date: '2024-03-01', snippet: 'card', jobId: '42', reposted: true, applicants: 100 },
+      { role: 'QA', date: '2024-03-03', snippet: 'detail', jobId: '42' }, // same listing
+      { role: 'Dev', date: '2024-03-01', jobId: 'not-a-number' },
+    ],
+  }]));
+  assert.equal(stats.postsAdded, 2);
+  assert.equal(stats.postsSkipped, 1);
+  const [job, other] = data[ACME].posts;
+  assert.deepEqual([job.jobId, job.reposted, job.applicants], ['42', true, 100]);
+  assert.equal(other.jobId, undefined);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const { installFakeChrome } = require('./helpers/fake-chrome.js');
+const ui = require('../ui.js');
+
+test('display mode: unknown values fall back to full', async () => {
+  assert.equal(ui.normalizeDisplayMode('compact'), 'compact');
+  assert.equal(ui.normalizeDisplayMode('tiny'), 'full');
+  assert.equal(ui.normalizeDisplayMode(undefined), 'full');
+
+  const local = installFakeChrome();
+  assert.equal(await ui.loadDisplayMode(), 'full');
+  await ui.saveDisplayMode('compact');
+  assert.equal(local.items[ui.DISPLAY_KEY], 'compact');
+  assert.equal(await ui.loadDisplayMode(), 'compact');
+});
+
+test('mount: styles and markup live in the shadow root only', () => {
+  const { document } = new JSDOM('<body></body>').window;
+  const host = document.createElement('div');
+  document.body.appendChild(host);
+  const root = ui.mount(host, '.x { color: red; }', '<p class="x">hi</p>');
+  assert.equal(root, host.shadowRoot);
+  assert.equal(root.querySelector('style').textContent, '.x { color: red; }');
+  assert.equal(root.querySelector('.x').textContent, 'hi');
+  assert.equal(document.querySelector('.x, style'), null);
+});
+
+test('trapFocus: Tab wraps from the last control to the first, Shift+Tab back', () => {
+  const { document, KeyboardEvent } = new JSDOM('<body></body>').window;
+  const host = document.createElement('div');
+  document.body.appendChild(host);
+  const root = ui.mount(host, '', '<button id="a">a</button><a id="b" href="#">b</a><button id="c" disabled>c</button>');
+  const key = shiftKey => new KeyboardEvent('keydown', { key: 'Tab', shiftKey, cancelable: true });
+
+  root.getElementById('b').focus();
+  let e = key(false);
+  ui.trapFocus(root, e);
+  assert.ok(e.defaultPrevented);
+  assert.equal(root.activeElement.id, 'a');
+
+  e = key(true);
+  ui.trapFocus(root, e);
+  assert.equal(root.activeElement.id, 'b');
+
+  e = key(false);
+  root.getElementById('a').focus();
+  ui.trapFocus(root, e);
+  assert.ok(!e.defaultPrevented, 'Tab between controls is left to the browser');
+});
@@ -0,0 +1,220 @@
+/*  LinkedIn Fraud Job Detector — transfer.js
+    Export (JSON / CSV) and import (JSON, merged) of tracked recruiter data.
+    Pure functions over the recruiterData map; callers do the storage I/O.
+*/
+
+(function(root) {
+'use strict';
+
+const { score, findDuplicatePost, PRECISION_SLACK } = typeof module !== 'undefined' && module.exports
+  ? require('./scoring.js')
+  : root.FRD.scoring;
+const { statusOf } = typeof module !== 'undefined' && module.exports
+  ? require('./lists.js')
+  : root.FRD.lists;
+const { HASHES, sharedTextIndex } = typeof module !== 'undefined' && module.exports
+  ? require('./fingerprint.js')
+  : root.FRD.fingerprint;
+const { impersonationIndex } = typeof module !== 'undefined' && module.exports
+  ? require('./companies.js')
+  : root.FRD.companies;
+const { normalizeProfile } = typeof module !== 'undefined' && module.exports
+  ? require('./profile.js')
+  : root.FRD.profile;
+
+const EXPORT_FORMAT = 'checkonce-recruiters';
+const EXPORT_VERSION = 1;
+
+const PROFILE_URL_RE = /^https:\/\/www\.linkedin\.com\/(in|company)\/[^/?#]+$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// ─── Export ───────────────────────────────────────────────────
+function scoreSummary(rec, url, cfg, lists, shared, impersonation) {
+  const sc = score(rec, cfg, { listStatus: statusOf(lists, url), sharedText: shared[url], impersonation: impersonation[url] });
+  return { level: sc.level, points: sc.pts, isFake: sc.isFake, listStatus: sc.listStatus, reasons: sc.reasons };
+}
+
+function buildExport(data, cfg, lists, now = Date.now()) {
+  const shared = sharedTextIndex(data);
+  const impersonation = impersonationIndex(data, cfg, lists, shared);
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date(now).toISOString(),
+    recruiters: Object.entries(data).map(([url, rec]) => ({
+      url,
+      name: rec.name || '',
+      firstSeen: rec.firstSeen || null,
+      posts: rec.posts || [],
+      other: rec.other || [],
+      profile: rec.profile || null,
+      score: scoreSummary(rec, url, cfg, lists, shared, impersonation),
+    })),
+  };
+}
+
+// Text that a spreadsheet would run as a formula (=, +, -, @, tab or CR up
+// front) gets a leading ' so it opens as text; numbers are left alone
+function csvCell(v) {
+  let s = v == null ? '' : String(v);
+  if (typeof v === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const CSV_COLUMNS = [
+  'recruiter_url', 'recruiter_name', 'first_seen', 'level', 'points', 'is_fake', 'list_status', 'reasons',
+  'post_date', 'post_role', 'post_snippet', 'post_signals', 'post_company',
+];
+
+// One row per post; recruiters with no posts get a single row with empty post columns
+function buildCSV(data, cfg, lists) {
+  const rows = [CSV_COLUMNS];
+  const shared = sharedTextIndex(data);
+  const impersonation = impersonationIndex(data, cfg, lists, shared);
+  Object.entries(data).forEach(([url, rec]) => {
+    const sc = scoreSummary(rec, url, cfg, lists, shared, impersonation);
+    const head = [
+      url, rec.name || '', rec.firstSeen ? new Date(rec.firstSeen).toISOString() : '',
+      sc.level, sc.points, sc.isFake, sc.listStatus || '', sc.reasons.join(' | '),
+    ];
+    const posts = rec.posts && rec.posts.length ? rec.posts : [null];
+    posts.forEach(p => rows.push(head.concat(p
+      ? [p.date, p.role, p.snippet || '', (p.signals || []).join(' '), p.company || '']
+      : ['', '', '', '', ''])));
+  });
+  return rows.map(r => r.map(csvCell).join(',')).join('\r\n');
+}
+
+// ─── Import ───────────────────────────────────────────────────
+// { fp, words } from an imported post, or {} if missing or malformed
+function validFingerprint(p) {
+  const ok = Array.isArray(p.fp) && p.fp.length === HASHES &&
+    p.fp.every(h => Number.isInteger(h) && h >= 0 && h <= 0xffffffff) && Number.isInteger(p.words);
+  return ok ? { fp: p.fp, words: p.words } : {};
+}
+
+// Throws an Error with a user-facing message if the file is not an export
+function parseImport(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (_) {
+    throw new Error('File is not valid JSON.');
+  }
+  if (!json || json.format !== EXPORT_FORMAT || !Array.isArray(json.recruiters)) {
+    throw new Error('File is not a LinkedIn Fraud Detector export.');
+  }
+  if (json.version > EXPORT_VERSION) {
+    throw new Error(`Export version ${json.version} is newer than this extension supports.`);
+  }
+  return json;
+}
+
+function validPost(p) {
+  return p && typeof p === 'object' && typeof p.role === 'string' && typeof p.date === 'string' && DATE_RE.test(p.date);
+}
+
+// Activity and job IDs are strings of digits
+function digits(v) {
+  return typeof v === 'string' && /^\d+$/.test(v) ? v : undefined;
+}
+
+// When the post was made, as recordPost() stores it, or nothing
+function validPostedAt(p) {
+  return typeof p.postedAt === 'number' && p.postedAt > 0 && Object.hasOwn(PRECISION_SLACK, p.precision)
+    ? { postedAt: p.postedAt, precision: p.precision } : {};
+}
+
+// A non-job post as recordOtherPost() stores it
+function validOther(o) {
+  return o && typeof o === 'object' && typeof o.key === 'string' && /^[0-9a-z]{1,13}$/.test(o.key) &&
+    typeof o.date === 'string' && DATE_RE.test(o.date);
+}
+
+// Merges an export into data (mutated). Posts are unioned with the same
+// dedupe rule as logPost(); the earliest firstSeen wins.
+function mergeImport(data, exported) {
+  const stats = { recruitersAdded: 0, recruitersMerged: 0, recruitersSkipped: 0, postsAdded: 0, postsSkipped: 0 };
+
+  exported.recruiters.forEach(r => {
+    if (!r || typeof r.url !== 'string' || !PROFILE_URL_RE.test(r.url) || !Array.isArray(r.posts)) {
+      stats.recruitersSkipped++;
+      return;
+    }
+    const existing = data[r.url];
+    const rec = existing || { url: r.url, name: '', posts: [], firstSeen: null };
+    if (!rec.name && typeof r.name === 'string') rec.name = r.name;
+    if (typeof r.firstSeen === 'number' && (!rec.firstSeen || r.firstSeen < rec.firstSeen)) rec.firstSeen = r.firstSeen;
+
+    let added = 0;
+    r.posts.forEach(p => {
+      const snippet = typeof p?.snippet === 'string' ? p.snippet : '';
+      const ids = { id: digits(p?.id), of: digits(p?.of), jobId: digits(p?.jobId) };
+      if (!validPost(p) || findDuplicatePost(rec.posts, p.role, p.date, snippet, ids)) {
+        stats.postsSkipped++;
+        return;
+      }
+      rec.posts.push({
+        role: p.role,
+        date: p.date,
+        ts: typeof p.ts === 'number' ? p.ts : Date.now(),
+        id: ids.id,
+        of: ids.of,
+        ...validPostedAt(p),
+        snippet: snippet || undefined,
+        company: typeof p.company === 'string' && p.company.trim() ? p.company.trim().slice(0, 80) : undefined,
+        signals: Array.isArray(p.signals) && p.signals.length ? p.signals.filter(s => typeof s === 'string') : undefined,
+        jobId: ids.jobId,
+        reposted: p.reposted === true || undefined,
+        applicants: typeof p.applicants === 'number' && p.applicants >= 0 ? p.applicants : undefined,
+        ...validFingerprint(p),
+      });
+      added++;
+    });
+    stats.postsAdded += added;
+
+    // The profile check: the more recent reading wins
+    let profileAdded = false;
+    if (r.profile && typeof r.profile === 'object' && typeof r.profile.checkedAt === 'number' &&
+        (!rec.profile || r.profile.checkedAt > rec.profile.checkedAt)) {
+      rec.profile = normalizeProfile(r.profile);
+      profileAdded = true;
+    }
+
+    // Non-job posts only count towards the hiring ratio; unioned by text key
+    let otherAdded = 0;
+    (Array.isArray(r.other) ? r.other : []).filter(validOther).forEach(o => {
+      const other = rec.other || (rec.other = []);
+      if (other.some(q => q.key === o.key)) return;
+      other.push({ key: o.key, date: o.date, ts: typeof o.ts === 'number' ? o.ts : Date.now() });
+      otherAdded++;
+    });
+
+    if (!existing) {
+      if (!rec.posts.length) {
+        stats.recruitersSkipped++;
+        return;
+      }
+      if (!rec.firstSeen) rec.firstSeen = Date.now();
+      data[r.url] = rec;
+      stats.recruitersAdded++;
+    } else if (added || otherAdded || profileAdded) {
+      stats.recruitersMerged++;
+    }
+  });
+
+  return stats;
+}
+
+const api = {
+  EXPORT_FORMAT,
+  buildExport,
+  buildCSV,
+  parseImport,
+  mergeImport,
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = api;
+else (root.FRD = root.FRD || {}).transfer = api;
+
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,541 @@
+/*  LinkedIn Fraud Job Detector — ui.js
+    Everything content.js draws on LinkedIn (badges, notifications, the
+    instructions overlay, the company page banner, the profile check panel)
+    lives in a shadow root with the styles below, so LinkedIn's CSS can't
+    restyle it and ours can't touch LinkedIn's page.
+    Also holds the badge display mode (full / compact) users pick in Settings.
+*/
+
+(function(root) {
+'use strict';
+
+const DISPLAY_KEY = 'displayMode';
+const DISPLAY_MODES = ['full', 'compact'];
+const DEFAULT_DISPLAY = 'full';
+
+// ─── Styles ───────────────────────────────────────────────────
+// Inherited properties (font, colour, line-height) would still reach in
+// through the host, hence `all: initial` first.
+const HOST_CSS = `
+:host { all: initial; display: block; }
+:host([hidden]) { display: none; }
+* { box-sizing: border-box; }
+.sr-only {
+  position: absolute; width: 1px; height: 1px; overflow: hidden;
+  clip: rect(0 0 0 0); clip-path: inset(50%); white-space: nowrap;
+}
+button:focus-visible, a:focus-visible { outline: 2px solid #0a66c2; outline-offset: 2px; }
+`;
+
+const BADGE_CSS = HOST_CSS + `
+.badge {
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  font-size: 13px;
+  line-height: 1.4;
+  color: #1d2226;
+  border-radius: 8px;
+  margin: 8px 0 12px 0;
+  border: 2px solid;
+  overflow: hidden;
+  animation: frdIn .35s ease;
+}
+
+@keyframes frdIn {
+  from { opacity: 0; transform: translateY(-6px); }
+  to   { opacity: 1; transform: translateY(0); }
+}
+@media (prefers-reduced-motion: reduce) {
+  .badge, .fake-warning, .do-not-apply { animation: none !important; }
+}
+
+/* Jobs search results: cards are narrow, keep the badge small */
+:host(.frd-card) .badge { font-size: 12px; margin: 4px 0 6px 0; }
+:host(.frd-card) .top { padding: 4px 8px; gap: 6px; }
+:host(.frd-card) .emoji { font-size: 14px; }
+:host(.frd-card) .label { font-size: 12px; }
+
+/* Compact: one line; details on demand */
+.badge.compact { display: inline-block; border-width: 1px; border-radius: 14px; margin: 4px 0 8px 0; max-width: 100%; }
+.compact .top { padding: 2px 4px 2px 10px; gap: 6px; }
+.compact .emoji { font-size: 13px; }
+.compact .label { font-size: 12px; }
+.compact.fake .label, .compact.blocked .label { font-size: 12px; }
+.compact .body { border-radius: 0 0 14px 14px; }
+
+/* Level colours */
+.high   { border-color: #d93025; background: #fdf2f2; }
+.medium { border-color: #e8710a; background: #fef7f0; }
+.low    { border-color: #1a7f37; background: #f0faf4; }
+.fake   { border-color: #d93025; background: #fff5f5; border-width: 3px; box-shadow: 0 0 0 2px rgba(217, 48, 37, 0.2); }
+.trusted { border-color: #0a66c2; background: #f0f6fc; }
+.blocked { border-color: #1d2226; background: #fff5f5; border-width: 3px; }
+
+.top {
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  padding: 8px 12px;
+  cursor: default;
+}
+
+.high   .top { background: #fce8e6; }
+.medium .top { background: #fef0e3; }
+.low    .top { background: #e3f4ea; }
+.fake   .top { background: #ffebee; }
+.fake:not(.compact) .top { border-bottom: 2px solid #d93025; }
+.trusted .top { background: #e8f3ff; }
+.blocked .top { background: #1d2226; }
+
+.emoji { font-size: 18px; flex-shrink: 0; }
+
+.label {
+  flex: 1;
+  font-weight: 700;
+  font-size: 13px;
+}
+.high   .label { color: #b31412; }
+.medium .label { color: #a34b00; }
+.low    .label { color: #0d6b2a; }
+.fake   .label { color: #c62828; font-size: 15px; font-weight: 900; text-transform: uppercase; letter-spacing: 0.5px; }
+.trusted .label { color: #004182; }
+.blocked .label { color: #fff; font-weight: 900; text-transform: uppercase; letter-spacing: 0.5px; }
+
+.pts {
+  font-size: 11px;
+  font-weight: 700;
+  padding: 2px 8px;
+  border-radius: 20px;
+  flex-shrink: 0;
+}
+.high   .pts { background: #d93025; color: #fff; }
+.medium .pts { background: #e8710a; color: #fff; }
+.low    .pts { background: #1a7f37; color: #fff; }
+.trusted .pts { background: #0a66c2; color: #fff; }
+.blocked .pts { background: #d93025; color: #fff; }
+.blocked .toggle { background: rgba(255,255,255,.2); color: #fff; }
+
+.toggle {
+  font: inherit;
+  background: rgba(0,0,0,.08);
+  border: none;
+  border-radius: 4px;
+  padding: 3px 8px;
+  font-size: 11px;
+  cursor: pointer;
+  font-weight: 600;
+  color: #444;
+  flex-shrink: 0;
+}
+.toggle:hover { background: rgba(0,0,0,.15); }
+
+.body {
+  padding: 10px 14px 12px;
+  border-top: 1px solid rgba(0,0,0,.08);
+}
+.body[hidden] { display: none; }
+
+.reason {
+  font-size: 12.5px;
+  color: #333;
+  margin: 0 0 4px 0;
+  padding: 0;
+  list-style: none;
+  line-height: 1.5;
+}
+.reasons { margin: 0; padding: 0; }
+
+.ratio { margin-top: 6px; font-size: 12px; color: #555; }
+
+.roles {
+  margin-top: 8px;
+  display: flex;
+  flex-wrap: wrap;
+  gap: 5px;
+}
+
+.tag {
+  display: inline-block;
+  font-size: 11px;
+  padding: 2px 8px;
+  border-radius: 12px;
+  background: rgba(0,0,0,.07);
+  color: #555;
+  border: 1px solid rgba(0,0,0,.1);
+}
+
+.link {
+  display: inline-block;
+  margin-top: 10px;
+  font-size: 12px;
+  font-weight: 600;
+  color: #0a66c2;
+  text-decoration: none;
+}
+.link:hover { text-decoration: underline; }
+
+/* Trust / block actions */
+.actions {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 6px;
+  margin-top: 10px;
+}
+
+.action {
+  font: inherit;
+  background: transparent;
+  border: 1px solid rgba(0,0,0,.2);
+  border-radius: 14px;
+  padding: 3px 10px;
+  font-size: 11.5px;
+  font-weight: 600;
+  color: #444;
+  cursor: pointer;
+}
+.action:hover { background: rgba(0,0,0,.06); }
+.action:disabled { opacity: .5; cursor: default; }
+.action-trust { color: #0a66c2; border-color: #0a66c2; }
+.action-block { color: #b31412; border-color: #d93025; }
+.action-watch[aria-pressed="true"] { background: #e8f3ff; }
+
+/* Correct / wrong verdict on the badge */
+.feedback {
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 6px;
+  margin-top: 8px;
+  font-size: 11.5px;
+  color: #666;
+}
+.action-verdict[aria-pressed="true"] { background: #e8f3ff; border-color: #0a66c2; color: #0a66c2; }
+
+/* Fake post warning section */
+.fake-warning {
+  background: #fff3cd;
+  border: 2px solid #ffc107;
+  border-radius: 6px;
+  padding: 12px;
+  margin-bottom: 12px;
+  animation: frdPulse 2s ease-in-out infinite;
+}
+
+@keyframes frdPulse {
+  0%, 100% { box-shadow: 0 0 0 0 rgba(255, 193, 7, 0.4); }
+  50% { box-shadow: 0 0 0 4px rgba(255, 193, 7, 0); }
+}
+
+.fake-title {
+  font-size: 16px;
+  font-weight: 900;
+  color: #d32f2f;
+  margin: 0 0 8px 0;
+  text-transform: uppercase;
+  letter-spacing: 0.5px;
+}
+
+.fake-message {
+  font-size: 12.5px;
+  line-height: 1.6;
+  color: #333;
+}
+
+.fake-message div {
+  margin: 4px 0;
+}
+
+.do-not-apply {
+  background: #d32f2f;
+  color: white;
+  padding: 10px;
+  border-radius: 6px;
+  font-weight: 900;
+  text-align: center;
+  margin-top: 12px;
+  font-size: 14px;
+  text-transform: uppercase;
+  letter-spacing: 1px;
+  animation: frdShake 0.5s ease-in-out;
+}
+
+@keyframes frdShake {
+  0%, 100% { transform: translateX(0); }
+  25% { transform: translateX(-5px); }
+  75% { transform: translateX(5px); }
+}
+`;
+
+const TOAST_CSS = HOST_CSS + `
+.toasts {
+  position: fixed;
+  top: 20px;
+  right: 20px;
+  z-index: 100000;
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+  max-width: 350px;
+}
+
+.toast {
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  padding: 14px 18px;
+  border-radius: 8px;
+  font-size: 14px;
+  font-weight: 600;
+  box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+  transform: translateX(400px);
+  transition: transform 0.3s ease;
+}
+
+.toast.show {
+  transform: translateX(0);
+}
+@media (prefers-reduced-motion: reduce) {
+  .toast { transition: none; }
+}
+
+.toast.info {
+  background: #e3f2fd;
+  color: #1976d2;
+  border: 2px solid #2196f3;
+}
+
+.toast.success {
+  background: #e8f5e9;
+  color: #388e3c;
+  border: 2px solid #4caf50;
+}
+
+.toast.error {
+  background: #ffebee;
+  color: #c62828;
+  border: 2px solid #f44336;
+}
+`;
+
+const OVERLAY_CSS = HOST_CSS + `
+.overlay {
+  position: fixed;
+  top: 0;
+  left: 0;
+  right: 0;
+  bottom: 0;
+  background: rgba(0,0,0,0.5);
+  z-index: 999999;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  opacity: 0;
+  transition: opacity 0.3s ease;
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+}
+
+.overlay.show {
+  opacity: 1;
+}
+
+.content {
+  background: white;
+  border-radius: 12px;
+  padding: 24px;
+  max-width: 500px;
+  box-shadow: 0 8px 24px rgba(0,0,0,0.2);
+  transform: scale(0.9);
+  transition: transform 0.3s ease;
+}
+
+.overlay.show .content {
+  transform: scale(1);
+}
+@media (prefers-reduced-motion: reduce) {
+  .overlay, .content { transition: none; }
+}
+
+.title {
+  font-size: 20px;
+  font-weight: 700;
+  margin: 0 0 12px 0;
+  color: #0a66c2;
+}
+
+.text {
+  font-size: 14px;
+  line-height: 1.6;
+  color: #333;
+  margin-bottom: 16px;
+}
+
+.text ul { margin: 4px 0 0 0; padding-left: 18px; }
+
+.text kbd {
+  background: #f5f5f5;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  padding: 2px 6px;
+  font-family: monospace;
+  font-size: 12px;
+  box-shadow: 0 1px 2px rgba(0,0,0,0.1);
+}
+
+.close {
+  font: inherit;
+  background: #0a66c2;
+  color: white;
+  border: none;
+  padding: 10px 20px;
+  border-radius: 6px;
+  font-weight: 600;
+  cursor: pointer;
+  width: 100%;
+  transition: background 0.2s;
+}
+
+.close:hover {
+  background: #004182;
+}
+`;
+
+const BANNER_CSS = HOST_CSS + `
+.banner {
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  font-size: 13px;
+  line-height: 1.4;
+  color: #1d2226;
+  background: #f3f6f8;
+  border: 2px solid #0a66c2;
+  border-radius: 8px;
+  margin: 0 0 12px 0;
+  padding: 10px 12px;
+}
+.banner.warn { background: #ffebee; border-color: #d93025; }
+
+.top { display: flex; align-items: flex-start; gap: 8px; }
+.title { flex: 1; font-size: 14px; }
+.warn .title { color: #c62828; }
+
+.close {
+  font: inherit;
+  background: none;
+  border: none;
+  padding: 0 4px;
+  color: #666;
+  cursor: pointer;
+}
+.close:hover { color: #1d2226; }
+
+.accounts { margin: 6px 0 0 0; padding-left: 18px; }
+.accounts a { color: #0a66c2; text-decoration: none; }
+.accounts a:hover { text-decoration: underline; }
+.flag { color: #d93025; font-weight: 600; font-size: 12px; }
+`;
+
+const PANEL_CSS = HOST_CSS + `
+.panel {
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  font-size: 13px;
+  line-height: 1.4;
+  color: #1d2226;
+  background: #f3f6f8;
+  border: 2px solid #0a66c2;
+  border-radius: 8px;
+  margin: 0 0 12px 0;
+  padding: 10px 12px;
+}
+.panel.high, .panel.fake, .panel.blocked { border-color: #d93025; background: #fdf2f2; }
+.panel.medium { border-color: #e8710a; background: #fef7f0; }
+.panel.low    { border-color: #1a7f37; background: #f0faf4; }
+
+.top { display: flex; align-items: center; gap: 8px; }
+.title { flex: 1; font-size: 14px; }
+.pts { font-size: 12px; font-weight: 600; padding: 1px 8px; border-radius: 10px; background: #e0e0e0; }
+
+.close {
+  font: inherit;
+  background: none;
+  border: none;
+  padding: 0 4px;
+  color: #666;
+  cursor: pointer;
+}
+.close:hover { color: #1d2226; }
+
+.facts { display: flex; flex-wrap: wrap; gap: 4px 14px; margin: 6px 0 0 0; padding: 0; list-style: none; color: #444; }
+.reasons { margin: 6px 0 0 0; padding: 0; list-style: none; }
+.history { margin-top: 6px; font-size: 12px; color: #666; }
+`;
+
+// ─── Shadow roots ─────────────────────────────────────────────
+// Gives host an open shadow root holding css and then html; returns the root
+function mount(host, css, html = '') {
+  const doc = host.ownerDocument;
+  const shadow = host.attachShadow({ mode: 'open' });
+  const style = doc.createElement('style');
+  style.textContent = css;
+  const tpl = doc.createElement('template');
+  tpl.innerHTML = html;
+  shadow.append(style, tpl.content);
+  return shadow;
+}
+
+// Buttons, links and anything tabbable inside root, in tab order
+function focusables(root) {
+  return [...root.querySelectorAll('button:not([disabled]), a[href], [tabindex]:not([tabindex="-1"])')];
+}
+
+// Tab / Shift+Tab from the last / first focusable wraps around inside root
+function trapFocus(root, e) {
+  if (e.key !== 'Tab') return;
+  const items = focusables(root);
+  if (!items.length) return;
+  const first = items[0];
+  const last = items[items.length - 1];
+  const active = root.activeElement;
+  if (e.shiftKey ? active === first || !items.includes(active) : active === last) {
+    e.preventDefault();
+    (e.shiftKey ? last : first).focus();
+  }
+}
+
+// ─── Display mode ─────────────────────────────────────────────
+function normalizeDisplayMode(mode) {
+  return DISPLAY_MODES.includes(mode) ? mode : DEFAULT_DISPLAY;
+}
+
+function loadDisplayMode() {
+  return new Promise(r => chrome.storage.local.get([DISPLAY_KEY], d => r(normalizeDisplayMode(d[DISPLAY_KEY]))));
+}
+
+function saveDisplayMode(mode) {
+  return new Promise(r => chrome.storage.local.set({ [DISPLAY_KEY]: normalizeDisplayMode(mode) }, r));
+}
+
+// Calls cb(mode) whenever the stored display mode changes
+function onDisplayModeChange(cb) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[DISPLAY_KEY]) cb(normalizeDisplayMode(changes[DISPLAY_KEY].newValue));
+  });
+}
+
+const api = {
+  DISPLAY_KEY,
+  DISPLAY_MODES,
+  DEFAULT_DISPLAY,
+  BADGE_CSS,
+  TOAST_CSS,
+  OVERLAY_CSS,
+  BANNER_CSS,
+  PANEL_CSS,
+  mount,
+  focusables,
+  trapFocus,
+  normalizeDisplayMode,
+  loadDisplayMode,
+  saveDisplayMode,
+  onDisplayModeChange,
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = api;
+else (root.FRD = root.FRD || {}).ui = api;
+
+})(typeof self !== 'undefined' ? self : this);